@@ -13,6 +13,12 @@ window.MediaPipeConfig = {
   TFJS_BACKEND_WEBGL_URL: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@4.10.0/dist/tf-backend-webgl.esm.js',
   POSE_DETECTION_URL: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.0/dist/pose-detection.esm.js',
   BLAZEPOSE_MODEL_TYPE: 'lite', // 'lite'|'full'|'heavy'
+  // Run inference in a Web Worker (OffscreenCanvas) when the browser supports it, so the UI thread stays
+  // free. The MediaPipe Pose solution needs the DOM, so the worker runs TFJS BlazePose (BLAZEPOSE_MODEL_TYPE),
+  // or MoveNet MultiPose for multi-person; POSE_BACKEND runs on the main thread when the worker cannot.
+  // false keeps POSE_BACKEND on the main thread
+  INFERENCE_WORKER: true,
+  WORKER_INIT_TIMEOUT_MS: 20000,
   
   // Pose detection settings optimized for web
   POSE_CONFIG: {
@@ -125,6 +131,104 @@ window.MediaPipeConfig = {
     WARNING_COOLDOWN: 2000          // milliseconds between warnings
   },
   
+  // Mountain Climbers-specific settings
+  MOUNTAINCLIMBERS_CONFIG: {
+    // Hip flexion (shoulder-hip-knee) and knee flexion (hip-knee-ankle) for a knee drive
+    DRIVE_HIP_ANGLE: 120,           // degrees: hip flexed - knee driven towards the chest
+    DRIVE_KNEE_ANGLE: 130,          // degrees: knee bent during the drive
+    RETURN_HIP_ANGLE: 150,          // degrees: hip extended - leg back in plank
+
+    // Plank base (validated with PLANK_CONFIG on the planted leg)
+    BASE_GRACE_MS: 1000,            // milliseconds a confirmed plank base stays valid while driving
+
+    // Timing and debouncing
+    MIN_REP_MS: 250,                // minimum milliseconds between drives of the same leg
+
+    // Warning cooldown
+    WARNING_COOLDOWN: 2000          // milliseconds between warnings
+  },
+  
+  // Reverse Plank-specific settings (horizontal/stability checks use PLANK_CONFIG)
+  REVERSEPLANK_CONFIG: {
+    HIP_SAG_THRESHOLD: 0.04,        // hip drop below the shoulder-ankle line (fraction of body length)
+    WARNING_COOLDOWN: 2000          // milliseconds between warnings
+  },
+  
+  // Adaptive frame rate / resolution (see src/utils/frameGovernor.js)
+  GOVERNOR_CONFIG: {
+    ENABLED: true,
+    TARGET_FPS: 24,          // inference rate to hold
+    UPGRADE_HEADROOM: 0.6,   // step quality back up when latency < 60% of the budget
+    // Quality ladder, best first: input scale, MediaPipe modelComplexity, animation frames skipped
+    LEVELS: [
+      { scale: 1, modelComplexity: 1, skip: 0 },
+      { scale: 1, modelComplexity: 0, skip: 0 },
+      { scale: 0.75, modelComplexity: 0, skip: 0 },
+      { scale: 0.5, modelComplexity: 0, skip: 0 },
+      { scale: 0.5, modelComplexity: 0, skip: 1 },
+      { scale: 0.5, modelComplexity: 0, skip: 2 }
+    ]
+  },
+
+  // Exercise recognition (see src/utils/exerciseRecognizer.js)
+  RECOGNITION_CONFIG: {
+    WARNING_COOLDOWN: 10000         // milliseconds between "looks like ..." warnings
+  },
+
+  // Form breakdown within a set (see src/utils/fatigue.js)
+  FATIGUE_CONFIG: {
+    BASELINE_REPS: 3,               // first reps of a set that define fresh form
+    WARN_FORM_LOSS: 25              // percent form loss that triggers "form breaking down"
+  },
+
+  // Framing check before a set starts (see src/utils/framingCheck.js)
+  FRAMING_CONFIG: {
+    ENABLED: true,                  // false: no on-canvas guidance, Start is never locked
+    STABLE_MS: 1500,                // milliseconds of good framing before Start unlocks
+    EDGE_MARGIN: 0.02               // landmarks this close to a frame edge count as cut off
+  },
+
+  // Whole-file analysis of uploaded videos (see src/utils/videoAnalysis.js)
+  VIDEO_ANALYSIS_CONFIG: {
+    SAMPLE_FPS: 15,                 // frames analyzed per second of video (counters scale to this rate)
+    SEEK_TIMEOUT_MS: 5000,          // give up on a frame the browser cannot seek to
+    FRAME_TIMEOUT_MS: 3000          // wait this long for an inference worker result
+  },
+
+  // Ghost skeleton showing the exercise's reference form (see src/utils/ghostPose.js)
+  GHOST_CONFIG: {
+    ENABLED: true,                  // false: the ghost toggle has no effect
+    ANGLE_TOLERANCE_DEG: 20,        // joints further than this from the reference are highlighted red
+    SAMPLES: 24                     // reference phases compared against the user's pose
+  },
+
+  // Multi-person detection and the athlete lock (see src/utils/athleteLock.js); TFJS only
+  MULTI_POSE_CONFIG: {
+    ENABLED: false,                 // default for the camera's "Multi-person" setting
+    MAX_POSES: 6,                   // people detected per frame
+    MIN_POSE_SCORE: 0.25,           // weaker detections are dropped
+    MATCH_IOU_MIN: 0.3,             // box overlap that keeps the lock when the tracking ID changes
+    PROPORTION_TOLERANCE: 0.15,     // body proportion difference still treated as the same person
+    LOST_TIMEOUT_MS: 1500           // unseen this long: re-acquire the athlete by body proportions
+  },
+
+  // 3D joint angles for counters declaring geometry 'world' (see src/utils/jointGeometry.js)
+  GEOMETRY_CONFIG: {
+    WORLD_LANDMARKS: true,          // false: every counter measures on the 2D image landmarks
+    MIN_VISIBILITY: 0.5             // world points below this fall back to the image landmarks
+  },
+
+  // Per-rep counting confidence shown in the rep log (see src/utils/repConfidence.js)
+  CONFIDENCE_CONFIG: {
+    ENABLED: true,
+    FULL_MARGIN: 0.1,               // relative distance past a machine threshold that scores full marks
+    VISIBILITY_GOOD: 0.85,          // mean critical landmark visibility scoring full marks
+    VISIBILITY_BAD: 0.5,            // ... and scoring zero
+    FAST_REP_RATIO: 0.6,            // reps quicker than this share of the set's median interval lose confidence
+    LOW_CONFIDENCE: 50,             // below this a rep is flagged for review
+    HIGH_CONFIDENCE: 75
+  },
+  
   // Side Plank-specific settings
   SIDEPLANK_CONFIG: {
     // Shoulder support angle (shoulder-elbow-wrist) - should be ~90°
@@ -315,7 +419,9 @@ window.MediaPipeConfig = {
     // Calibration duration in milliseconds
     calibrationDurationMs: 3000,
     // Minimum frames required for stable calibration
-    minStableFrames: 30
+    minStableFrames: 30,
+    // Per-frame smoothing of the live re-measured body size (0-1, higher follows faster)
+    liveSizeSmoothing: 0.05
   },
   
   // Telemetry configuration for debugging and validation
@@ -392,6 +498,11 @@ window.MediaPipeConfig = {
     sideplank: {
       goodFrames: 3,
       badFrames: 4
+    },
+    // Reverse plank (horizontal orientation, facing up)
+    reverseplank: {
+      goodFrames: 3,
+      badFrames: 5
     }
   },
   
@@ -412,6 +523,9 @@ window.MediaPipeConfig = {
     // High knees require hips, knees, ankles
     highknees: [23, 24, 25, 26, 27, 28],
     
+    // Mountain climbers require shoulders, hips, knees, ankles
+    mountainclimbers: [11, 12, 23, 24, 25, 26, 27, 28],
+    
     // Wall sit requires hips, knees, ankles, shoulders
     wallsit: [11, 12, 23, 24, 25, 26, 27, 28],
     
@@ -421,6 +535,9 @@ window.MediaPipeConfig = {
     // Plank requires shoulders, elbows, wrists, hips, knees, ankles
     plank: [11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28],
     
+    // Reverse plank requires shoulders, hips, knees, ankles (arms may be hidden side-on)
+    reverseplank: [11, 12, 23, 24, 25, 26, 27, 28],
+    
     // Side plank requires shoulders, elbows, hips, ankles
     sideplank: [11, 12, 13, 14, 23, 24, 27, 28]
   }
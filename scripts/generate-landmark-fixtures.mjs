@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+// Synthetic landmark fixtures for the replay harness (scripts/replay-landmarks.mjs)
+// Builds 30 fps skeleton streams from joint angles, so every counter has a deterministic full rep
+// and a rep it must reject (too fast, bad form, incomplete) without a camera recording.
+// The *-boundary fixtures put reps a few degrees (or hundredths) either side of one machine threshold,
+// so a wrong number in a machine or in mediapipe-config.js fails a check.
+// Streams are side views except lunges (three-quarter view, like the lunge thresholds expect).
+// A small seeded jitter stands in for tracking noise; the output is byte-identical on every run.
+//
+// Usage:
+//   node scripts/generate-landmark-fixtures.mjs            # writes fixtures/landmarks/synthetic-*.json.gz
+//   node scripts/generate-landmark-fixtures.mjs out/dir    # somewhere else
+//
+// expect values are what the counters should report; check them with `npm run replay` after regenerating.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { FIXTURE_VERSION, encodeLandmarks } from '../src/utils/landmarkFixtures.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT_DIR = path.resolve(process.argv[2] || path.join(ROOT, 'fixtures', 'landmarks'));
+const FRAME_MS = 33;
+const JITTER = 0.0015;    // ± image units of tracking noise
+const FAR_SIDE_DX = 0.012; // far-side joints sit just behind the near side in a side view
+
+const rad = (deg) => deg * Math.PI / 180;
+const lerp = (a, b, k) => a + (b - a) * k;
+const ease = (k) => (1 - Math.cos(Math.PI * Math.min(1, Math.max(0, k)))) / 2;
+const add = (p, dx, dy) => ({ x: p.x + dx, y: p.y + dy });
+// Point at `length` from `from`, `deg` away from straight down (positive = toward +x)
+const limb = (from, length, deg) => ({ x: from.x + length * Math.sin(rad(deg)), y: from.y + length * Math.cos(rad(deg)) });
+
+// Deterministic noise (mulberry32)
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 33 MediaPipe landmarks from the main joints of both sides
+ * @param {Object} left - { shoulder, elbow, wrist, hip, knee, ankle } for the left side
+ * @param {Object} right - Same joints for the right side
+ * @param {Object} head - Nose position
+ * @param {number} facing - -1 when the person faces -x, 1 when facing +x
+ * @returns {Array} - [{ x, y, z, visibility }] × 33
+ */
+function skeleton(left, right, head, facing) {
+  const lm = new Array(33);
+  const point = (p, visibility = 0.98) => ({ x: p.x, y: p.y, z: 0, visibility });
+  lm[0] = point(head);
+  [1, 2, 3].forEach((i) => { lm[i] = point(add(head, -facing * 0.01, -0.02)); });
+  [4, 5, 6].forEach((i) => { lm[i] = point(add(head, -facing * 0.006, -0.02), 0.9); });
+  lm[7] = point(add(head, -facing * 0.04, -0.01));
+  lm[8] = point(add(head, -facing * 0.035, -0.01), 0.9);
+  lm[9] = point(add(head, -facing * 0.005, 0.02));
+  lm[10] = point(add(head, -facing * 0.002, 0.02), 0.9);
+
+  [[left, 0, 0.98], [right, 1, 0.9]].forEach(([side, offset, visibility]) => {
+    lm[11 + offset] = point(side.shoulder, visibility);
+    lm[13 + offset] = point(side.elbow, visibility);
+    lm[15 + offset] = point(side.wrist, visibility);
+    [17, 19, 21].forEach((i) => { lm[i + offset] = point(add(side.wrist, facing * 0.015, 0.01), visibility); });
+    lm[23 + offset] = point(side.hip, visibility);
+    lm[25 + offset] = point(side.knee, visibility);
+    lm[27 + offset] = point(side.ankle, visibility);
+    lm[29 + offset] = point(add(side.ankle, -facing * 0.012, 0.01), visibility);
+    lm[31 + offset] = point(add(side.ankle, facing * 0.04, 0.015), visibility);
+  });
+  return lm;
+}
+
+// Side view: the far side mirrors the near (left) side a little further back
+const sideView = (joints, head, facing) => {
+  const far = Object.fromEntries(Object.entries(joints).map(([name, p]) => [name, add(p, -facing * FAR_SIDE_DX, -0.004)]));
+  return skeleton(joints, far, head, facing);
+};
+
+/**
+ * Push-up, side view facing -x, hands fixed on the floor
+ * @param {number} elbowDeg - Elbow angle (≈170 locked out, ≈75 at the bottom)
+ */
+function pushupPose(elbowDeg) {
+  const upperArm = 0.1;
+  const wrist = { x: 0.3, y: 0.8 };
+  // Shoulder straight above the wrist; the elbow points back toward the feet
+  const reach = Math.sqrt(2 * upperArm * upperArm * (1 - Math.cos(rad(elbowDeg))));
+  const shoulder = { x: wrist.x, y: wrist.y - reach };
+  const bend = Math.sqrt(Math.max(0, upperArm * upperArm - (reach / 2) ** 2));
+  const elbow = { x: wrist.x + bend, y: wrist.y - reach / 2 };
+  const ankle = { x: 0.82, y: 0.77 };
+  const along = (k) => ({ x: lerp(shoulder.x, ankle.x, k), y: lerp(shoulder.y, ankle.y, k) });
+  return sideView({ shoulder, elbow, wrist, hip: along(0.45), knee: along(0.72), ankle }, add(shoulder, -0.07, -0.01), -1);
+}
+
+/**
+ * Squat, side view facing -x, feet fixed on the floor
+ * @param {number} depth - 0 standing, 1 hips below the knees
+ * @param {number} extraLean - Torso lean added on top of the natural lean (degrees)
+ */
+function squatPose(depth, extraLean = 0) {
+  const ankle = { x: 0.5, y: 0.88 };
+  const knee = limb(ankle, -0.21, 35 * depth);            // shin tips forward (-x)
+  const hip = limb(knee, -0.21, -105 * depth);            // thigh folds back (+x)
+  const shoulder = limb(hip, -0.26, 20 * depth + extraLean); // torso leans forward (-x)
+  // Arms held forward at shoulder height for balance
+  const elbow = add(shoulder, -0.1, 0.01);
+  const wrist = add(shoulder, -0.2, 0.01);
+  return sideView({ shoulder, elbow, wrist, hip, knee, ankle }, add(shoulder, -0.02, -0.08), -1);
+}
+
+/**
+ * Forward lunge, three-quarter view facing -x
+ * @param {number} depth - 0 standing, 1 both knees near 90°
+ * @param {string} front - Leading leg: 'left' | 'right'
+ * @param {number} backDepth - Back leg depth when it differs from the front leg
+ */
+function lungePose(depth, front, backDepth = depth) {
+  const squash = 0.34; // side-view x foreshortened by the camera angle
+  const thigh = 0.22;
+  const shin = 0.22;
+  const hip0 = { x: 0.5, y: 0 };
+  const leg = (frontLeg, lateral) => {
+    const thighDeg = frontLeg ? 88 * depth : -15 * backDepth;  // front thigh forward, back thigh behind
+    const shinDeg = frontLeg ? 0 : -85 * backDepth;           // back shin trails toward the floor behind
+    const hip = { x: hip0.x + lateral, y: hip0.y };
+    const k = limb(hip, thigh, -thighDeg);
+    const knee = { x: hip.x + (k.x - hip.x) * squash, y: k.y };
+    const a = limb(k, shin, -shinDeg);
+    const ankle = { x: hip.x + (a.x - hip.x) * squash, y: a.y };
+    return { hip, knee, ankle };
+  };
+  const leftLeg = leg(front === 'left', -0.025);
+  const rightLeg = leg(front === 'right', 0.025);
+  // Keep the lowest foot on the floor
+  const drop = 0.9 - Math.max(leftLeg.ankle.y, rightLeg.ankle.y);
+  const shift = (joints) => Object.fromEntries(Object.entries(joints).map(([name, p]) => [name, add(p, 0, drop)]));
+  const l = shift(leftLeg);
+  const r = shift(rightLeg);
+  const arm = (hip, lateral) => {
+    const shoulder = { x: hip.x + lateral, y: hip.y - 0.26 };
+    return { shoulder, elbow: add(shoulder, 0, 0.12), wrist: add(shoulder, -0.01, 0.23) };
+  };
+  const left = { ...arm(l.hip, -0.02), ...l };
+  const right = { ...arm(r.hip, 0.02), ...r };
+  const head = { x: (left.shoulder.x + right.shoulder.x) / 2 - 0.01, y: left.shoulder.y - 0.09 };
+  return skeleton(left, right, head, -1);
+}
+
+/**
+ * Forearm plank, side view facing -x
+ * @param {number} sag - Hip drop below the shoulder-ankle line (image units)
+ */
+function plankPose(sag = 0) {
+  const elbow = { x: 0.3, y: 0.8 };
+  const shoulder = { x: 0.3, y: 0.66 };
+  const wrist = { x: 0.2, y: 0.8 };
+  const ankle = { x: 0.82, y: 0.78 };
+  const along = (k, dy = 0) => ({ x: lerp(shoulder.x, ankle.x, k), y: lerp(shoulder.y, ankle.y, k) + dy });
+  return sideView({ shoulder, elbow, wrist, hip: along(0.45, sag), knee: along(0.72, sag / 2), ankle }, add(shoulder, -0.07, -0.01), -1);
+}
+
+/**
+ * Reverse plank, side view facing up: straight arms behind, heels on the floor toward +x
+ * @param {number} drop - Hip drop below the shoulder-heel line (image units)
+ */
+function reversePlankPose(drop = 0) {
+  const wrist = { x: 0.3, y: 0.8 };
+  const elbow = { x: 0.3, y: 0.68 };
+  const shoulder = { x: 0.3, y: 0.56 };
+  const ankle = { x: 0.82, y: 0.8 };
+  const along = (k, dy = 0) => ({ x: lerp(shoulder.x, ankle.x, k), y: lerp(shoulder.y, ankle.y, k) + dy });
+  return sideView({ shoulder, elbow, wrist, hip: along(0.45, drop), knee: along(0.72, drop / 2), ankle }, add(shoulder, -0.06, -0.04), 1);
+}
+
+/**
+ * Mountain climber, side view facing -x, straight arms with the hands fixed on the floor
+ * Both legs start straight to the same floor point; a drive folds the thigh toward the chest.
+ * @param {number} leftDrive - Left knee drive: 0 leg back in plank, 1 knee under the chest
+ * @param {number} rightDrive - Same for the right leg
+ * @param {number} hipOffset - Hips raised (< 0, piked) or dropped (> 0, sagging) off the body line
+ */
+function climberPose(leftDrive, rightDrive, hipOffset = 0) {
+  const wrist = { x: 0.3, y: 0.8 };
+  const shoulder = { x: 0.3, y: 0.58 };
+  const elbow = { x: 0.3, y: 0.69 };
+  const floor = { x: 0.82, y: 0.79 };
+  const hip = add({ x: lerp(shoulder.x, floor.x, 0.45), y: lerp(shoulder.y, floor.y, 0.45) }, 0, hipOffset);
+  const segment = Math.hypot(floor.x - hip.x, floor.y - hip.y) / 2;
+  const straightDeg = Math.atan2(floor.y - hip.y, floor.x - hip.x) * 180 / Math.PI;
+  // Angles from +x toward +y (down in the image): the thigh swings under the body toward the hands
+  const along = (from, deg) => ({ x: from.x + segment * Math.cos(rad(deg)), y: from.y + segment * Math.sin(rad(deg)) });
+  const leg = (drive) => {
+    const knee = along(hip, straightDeg + 120 * drive);
+    return { hip, knee, ankle: along(knee, straightDeg + 10 * drive) };
+  };
+  const arm = { shoulder, elbow, wrist };
+  const far = Object.fromEntries(Object.entries({ ...arm, ...leg(rightDrive) }).map(([name, p]) => [name, add(p, FAR_SIDE_DX, -0.004)]));
+  return skeleton({ ...arm, ...leg(leftDrive) }, far, add(shoulder, -0.07, -0.01), -1);
+}
+
+/**
+ * Timeline of poses → fixture frames
+ * Each segment is { ms, pose: (k) => landmarks } with k running 0 → 1 over the segment.
+ */
+function render(segments, seed) {
+  const random = createRandom(seed);
+  const frames = [];
+  let t = 0;
+  segments.forEach(({ ms, pose }) => {
+    const steps = Math.max(1, Math.round(ms / FRAME_MS));
+    for (let i = 0; i < steps; i++) {
+      const landmarks = pose(i / steps).map((p) => ({
+        ...p,
+        x: p.x + (random() - 0.5) * 2 * JITTER,
+        y: p.y + (random() - 0.5) * 2 * JITTER
+      }));
+      frames.push({ t, landmarks: encodeLandmarks(landmarks) });
+      t += FRAME_MS;
+    }
+  });
+  return frames;
+}
+
+const hold = (ms, pose) => ({ ms, pose: () => pose });
+const move = (ms, poseAt, from, to) => ({ ms, pose: (k) => poseAt(lerp(from, to, ease(k))) });
+const repeat = (n, build) => Array.from({ length: n }, (_, i) => build(i)).flat();
+// One knee drive and return, left leg on even i
+const climberDrive = (i, hipOffset = 0) => {
+  const at = (d) => (i % 2 === 0 ? climberPose(d, 0, hipOffset) : climberPose(0, d, hipOffset));
+  return [move(300, at, 0, 1), move(300, at, 1, 0)];
+};
+
+const FIXTURES = [
+  {
+    name: 'synthetic-pushups-clean',
+    exercise: 'pushups',
+    description: 'Synthetic side view: 5 controlled push-ups (1.6 s each) after a 1 s plank',
+    segments: [
+      hold(1000, pushupPose(170)),
+      ...repeat(5, () => [
+        move(800, pushupPose, 170, 75),
+        move(800, pushupPose, 75, 170),
+        hold(300, pushupPose(170))
+      ])
+    ],
+    expect: { count: 5, feedback: [{ type: 'success', message: 'Push-up', min: 5, max: 5 }] }
+  },
+  {
+    name: 'synthetic-pushups-too-fast',
+    exercise: 'pushups',
+    description: 'Synthetic side view: 2 controlled push-ups, then 4 bounces 260 ms apart; the 400 ms rep floor drops every other one',
+    segments: [
+      hold(1000, pushupPose(170)),
+      ...repeat(2, () => [
+        move(800, pushupPose, 170, 75),
+        move(800, pushupPose, 75, 170),
+        hold(300, pushupPose(170))
+      ]),
+      ...repeat(4, () => [
+        move(130, pushupPose, 170, 80),
+        move(130, pushupPose, 80, 170)
+      ]),
+      hold(600, pushupPose(170))
+    ],
+    expect: { count: 4 }
+  },
+  {
+    name: 'synthetic-pushups-depth-boundary',
+    exercise: 'pushups',
+    description: 'Synthetic side view: push-ups alternating 104° (past ELBOW_ANGLE_DOWN 110) and 116° (short of it) at the bottom',
+    segments: [
+      hold(1000, pushupPose(170)),
+      ...repeat(4, (i) => {
+        const bottom = i % 2 === 0 ? 104 : 116;
+        return [move(800, pushupPose, 170, bottom), move(800, pushupPose, bottom, 170), hold(300, pushupPose(170))];
+      })
+    ],
+    expect: { count: 2 }
+  },
+  {
+    name: 'synthetic-pushups-lockout-boundary',
+    exercise: 'pushups',
+    description: 'Synthetic side view: between reps the arms straighten to 134° (short of ELBOW_ANGLE_UP 140, no new rep) or 146° (re-arms)',
+    segments: [
+      hold(1000, pushupPose(170)),
+      move(800, pushupPose, 170, 75),
+      move(800, pushupPose, 75, 134),
+      move(800, pushupPose, 134, 75),
+      move(800, pushupPose, 75, 146),
+      move(800, pushupPose, 146, 75),
+      move(800, pushupPose, 75, 170),
+      hold(300, pushupPose(170))
+    ],
+    expect: { count: 2 }
+  },
+  {
+    name: 'synthetic-squats-clean',
+    exercise: 'squats',
+    description: 'Synthetic side view: 5 squats below parallel with an upright torso',
+    segments: [
+      hold(1000, squatPose(0)),
+      ...repeat(5, () => [
+        move(900, squatPose, 0, 1),
+        hold(200, squatPose(1)),
+        move(900, squatPose, 1, 0),
+        hold(400, squatPose(0))
+      ])
+    ],
+    expect: { count: 5 }
+  },
+  {
+    name: 'synthetic-squats-leaning',
+    exercise: 'squats',
+    description: 'Synthetic side view: 2 good squats, then 3 that come up with the chest folded over (vetoed)',
+    segments: [
+      hold(1000, squatPose(0)),
+      ...repeat(2, () => [
+        move(900, squatPose, 0, 1),
+        hold(200, squatPose(1)),
+        move(900, squatPose, 1, 0),
+        hold(400, squatPose(0))
+      ]),
+      ...repeat(3, () => [
+        move(900, (d) => squatPose(d, 30 * d), 0, 1),
+        hold(200, squatPose(1, 30)),
+        move(900, (d) => squatPose(d, 30), 1, 0),
+        move(300, (lean) => squatPose(0, lean), 30, 0),
+        hold(400, squatPose(0))
+      ])
+    ],
+    expect: { count: 2 }
+  },
+  {
+    name: 'synthetic-squats-depth-boundary',
+    exercise: 'squats',
+    description: 'Synthetic side view: squats alternating hips 0.024 below the knees (past HIP_BELOW_KNEE_MIN 0.01) and level with them',
+    segments: [
+      hold(1000, squatPose(0)),
+      ...repeat(4, (i) => {
+        const depth = i % 2 === 0 ? 0.92 : 0.86;
+        return [move(900, squatPose, 0, depth), hold(200, squatPose(depth)), move(900, squatPose, depth, 0), hold(400, squatPose(0))];
+      })
+    ],
+    expect: { count: 2 }
+  },
+  {
+    name: 'synthetic-squats-lean-boundary',
+    exercise: 'squats',
+    description: 'Synthetic side view: squats that come up leaning ≈21° (inside TORSO_VERTICAL_THRESHOLD 25) and ≈29° (vetoed), alternating',
+    segments: [
+      hold(1000, squatPose(0)),
+      ...repeat(4, (i) => {
+        const lean = i % 2 === 0 ? 3 : 11;
+        return [
+          move(900, (d) => squatPose(d, lean * d), 0, 1),
+          hold(200, squatPose(1, lean)),
+          move(900, (d) => squatPose(d, lean), 1, 0),
+          move(300, (l) => squatPose(0, l), lean, 0),
+          hold(400, squatPose(0))
+        ];
+      })
+    ],
+    expect: { count: 2 }
+  },
+  {
+    name: 'synthetic-lunges-alternating',
+    exercise: 'lunges',
+    description: 'Synthetic three-quarter view: 6 alternating forward lunges (left leg first)',
+    segments: [
+      hold(1000, lungePose(0, 'left')),
+      ...repeat(6, (i) => {
+        const front = i % 2 === 0 ? 'left' : 'right';
+        const at = (d) => lungePose(d, front);
+        return [move(900, at, 0, 1), hold(300, at(1)), move(900, at, 1, 0), hold(500, at(0))];
+      })
+    ],
+    expect: { count: 6, sideCounts: { left: 3, right: 3 } }
+  },
+  {
+    name: 'synthetic-lunges-half-rise',
+    exercise: 'lunges',
+    description: 'Synthetic three-quarter view: 2 lunges, then 2 that only rise halfway before sinking again (no count)',
+    segments: [
+      hold(1000, lungePose(0, 'left')),
+      ...repeat(2, (i) => {
+        const at = (d) => lungePose(d, i === 0 ? 'left' : 'right');
+        return [move(900, at, 0, 1), hold(300, at(1)), move(900, at, 1, 0), hold(500, at(0))];
+      }),
+      move(900, (d) => lungePose(d, 'left'), 0, 1),
+      ...repeat(2, () => {
+        const at = (d) => lungePose(d, 'left');
+        return [move(500, at, 1, 0.55), hold(200, at(0.55)), move(500, at, 0.55, 1), hold(300, at(1))];
+      }),
+      move(900, (d) => lungePose(d, 'left'), 1, 0),
+      hold(500, lungePose(0, 'left'))
+    ],
+    expect: { count: 3, sideCounts: { left: 2, right: 1 } }
+  },
+  {
+    name: 'synthetic-lunges-depth-boundary',
+    exercise: 'lunges',
+    description: 'Synthetic three-quarter view: left lunges at front/back knee ≈96°/115° (inside frontKneeBent 100 and '
+      + 'backKneeBent 120), ≈106°/115° and ≈96°/126°, then ≈96°/115° again; only the first and last count',
+    segments: [
+      hold(1000, lungePose(0, 'left')),
+      ...[[1, 0.975], [0.96, 0.975], [1, 0.92], [1, 0.975]].flatMap(([frontDepth, backDepth]) => {
+        const at = (k) => lungePose(k * frontDepth, 'left', k * backDepth);
+        return [move(900, at, 0, 1), hold(300, at(1)), move(900, at, 1, 0), hold(500, at(0))];
+      })
+    ],
+    expect: { count: 2, sideCounts: { left: 2, right: 0 } }
+  },
+  {
+    name: 'synthetic-lunges-rise-boundary',
+    exercise: 'lunges',
+    description: 'Synthetic three-quarter view: between lunges the front knee straightens to ≈156° (short of standingFrontKnee 160, '
+      + 'no new rep) or ≈164° (re-arms)',
+    segments: [
+      hold(1000, lungePose(0, 'left')),
+      move(900, (d) => lungePose(d, 'left'), 0, 1),
+      ...[0.6, 0.45].flatMap((top) => {
+        const at = (d) => lungePose(d, 'left');
+        return [move(700, at, 1, top), hold(300, at(top)), move(700, at, top, 1), hold(300, at(1))];
+      }),
+      move(900, (d) => lungePose(d, 'left'), 1, 0),
+      hold(500, lungePose(0, 'left'))
+    ],
+    expect: { count: 2, sideCounts: { left: 2, right: 0 } }
+  },
+  {
+    name: 'synthetic-plank-hold',
+    exercise: 'plank',
+    description: 'Synthetic side view: 12 s straight forearm plank',
+    segments: [hold(12000, plankPose(0))],
+    expect: { timeSec: { min: 9, max: 12 } }
+  },
+  {
+    name: 'synthetic-plank-sagging',
+    exercise: 'plank',
+    description: 'Synthetic side view: 4 s straight plank, 4 s with the hips sagging (timer pauses), 4 s straight again',
+    segments: [
+      hold(4000, plankPose(0)),
+      move(300, plankPose, 0, 0.08),
+      hold(3700, plankPose(0.08)),
+      move(300, plankPose, 0.08, 0),
+      hold(3700, plankPose(0))
+    ],
+    expect: { timeSec: { min: 5, max: 8 } }
+  },
+  {
+    name: 'synthetic-reverseplank-hold',
+    exercise: 'reverseplank',
+    description: 'Synthetic side view: 12 s reverse plank with the hips a little under the line (inside the sag threshold)',
+    segments: [hold(12000, reversePlankPose(0.015))],
+    expect: { timeSec: { min: 9, max: 12 }, feedback: [{ type: 'warning', message: 'Hips sagging', count: 0 }] }
+  },
+  {
+    name: 'synthetic-reverseplank-hip-drop',
+    exercise: 'reverseplank',
+    description: 'Synthetic side view: 4 s reverse plank, 4 s with the hips dropped (timer pauses, sag warning), 4 s straight again',
+    segments: [
+      hold(4000, reversePlankPose(0)),
+      move(300, reversePlankPose, 0, 0.05),
+      hold(3700, reversePlankPose(0.05)),
+      move(300, reversePlankPose, 0.05, 0),
+      hold(3700, reversePlankPose(0))
+    ],
+    expect: {
+      timeSec: { min: 5, max: 8 },
+      feedback: [{ type: 'warning', message: 'Hips sagging', min: 1 }]
+    }
+  },
+  {
+    name: 'synthetic-mountainclimbers-clean',
+    exercise: 'mountainclimbers',
+    description: 'Synthetic side view: 1 s high plank, then 8 alternating knee drives (left first)',
+    segments: [
+      hold(1000, climberPose(0, 0)),
+      ...repeat(8, (i) => climberDrive(i)),
+      hold(500, climberPose(0, 0))
+    ],
+    expect: { count: 8, sideCounts: { left: 4, right: 4 } }
+  },
+  {
+    name: 'synthetic-mountainclimbers-hips-off',
+    exercise: 'mountainclimbers',
+    description: 'Synthetic side view: 2 clean knee drives, then drives with the hips piked and then sagging (no count, plank warning)',
+    segments: [
+      hold(1000, climberPose(0, 0)),
+      ...repeat(2, (i) => climberDrive(i)),
+      move(400, (offset) => climberPose(0, 0, offset), 0, -0.1),
+      hold(1500, climberPose(0, 0, -0.1)),
+      ...repeat(4, (i) => climberDrive(i, -0.1)),
+      move(500, (offset) => climberPose(0, 0, offset), -0.1, 0.09),
+      hold(500, climberPose(0, 0, 0.09)),
+      ...repeat(4, (i) => climberDrive(i, 0.09)),
+      hold(500, climberPose(0, 0, 0.09))
+    ],
+    expect: {
+      count: 2,
+      sideCounts: { left: 1, right: 1 },
+      feedback: [{ type: 'warning', message: 'Get into a high plank', min: 1 }]
+    }
+  }
+];
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+// Seed from the name so adding a fixture leaves the others byte-identical
+const seedOf = (name) => [...name].reduce((hash, ch) => Math.imul(hash ^ ch.charCodeAt(0), 16777619), 2166136261);
+
+FIXTURES.forEach(({ name, exercise, description, segments, expect }) => {
+  const fixture = {
+    version: FIXTURE_VERSION,
+    exercise,
+    description,
+    frames: render(segments, seedOf(name)),
+    expect
+  };
+  const file = path.join(OUT_DIR, `${name}.json.gz`);
+  fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(fixture), { level: 9 }));
+  console.log(`📝 ${path.relative(process.cwd(), file)}: ${fixture.frames.length} frames`);
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Offline landmark replay harness
+// Feeds recorded landmark fixtures (see src/utils/landmarkFixtures.js) into
+// PoseDetectionUtils.onResults without a browser and checks counts, hold seconds and feedback.
+// Exported workout sessions (.json.gz, see src/utils/sessionRecorder.js) replay as-is.
+//
+// Usage:
+//   npm run replay                                  # every fixture under fixtures/landmarks
+//   npm run replay -- path/to/fixture.json dir/     # specific files or directories
+//   npm run replay -- --verbose                     # keep detector console output
+//   npm run replay -- --json                        # print results as JSON
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FIXTURE_DIR = path.join(ROOT, 'fixtures', 'landmarks');
+const REPLAY_START_MS = 1700000000000; // fixed wall clock so cooldowns behave like a live session
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const asJson = args.includes('--json');
+const targets = args.filter((arg) => !arg.startsWith('--'));
+
+// Minimal browser surface used by PoseDetectionUtils and the counters
+function installBrowserStubs() {
+  globalThis.window = globalThis;
+  vm.runInThisContext(fs.readFileSync(path.join(ROOT, 'public', 'mediapipe-config.js'), 'utf8'));
+
+  globalThis.Audio = class {
+    constructor() { this.volume = 1; }
+    play() { return Promise.resolve(); }
+  };
+  const audioNode = () => ({
+    connect() {},
+    start() {},
+    stop() {},
+    frequency: { setValueAtTime() {} },
+    gain: { setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} }
+  });
+  globalThis.AudioContext = class {
+    constructor() { this.currentTime = 0; this.destination = {}; }
+    createOscillator() { return audioNode(); }
+    createGain() { return audioNode(); }
+  };
+  globalThis.dispatchEvent = () => true;
+}
+
+// Exported workout sessions are gzip-compressed fixtures
+function readFixture(file) {
+  const raw = fs.readFileSync(file);
+  return JSON.parse((file.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+}
+
+function collectFixtureFiles(inputs) {
+  const files = [];
+  const visit = (target) => {
+    if (!fs.existsSync(target)) {
+      throw new Error(`Fixture path not found: ${target}`);
+    }
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).sort().forEach((name) => visit(path.join(target, name)));
+    } else if (target.endsWith('.json') || target.endsWith('.json.gz')) {
+      files.push(target);
+    }
+  };
+  inputs.forEach((input) => visit(path.resolve(input)));
+  return files;
+}
+
+/**
+ * Replay one normalized fixture through a fresh detector
+ * @param {Function} PoseDetectionUtils - Detector class
+ * @param {Object} fixture - Normalized fixture
+ * @returns {Object} - { count, timeSec, posture, sideCounts, feedback, postureChanges }
+ */
+function replayFixture(PoseDetectionUtils, fixture) {
+  const realNow = Date.now;
+  let now = REPLAY_START_MS;
+  Date.now = () => now;
+
+  const events = { feedback: [], postureChanges: [], counts: [], times: [] };
+  try {
+    const detector = new PoseDetectionUtils();
+    detector.setCallbacks({
+      onPushupCount: (count) => events.counts.push(count),
+      onPostureChange: (status) => events.postureChanges.push(status),
+      onFormFeedback: (feedback) => events.feedback.push({ type: feedback.type, message: String(feedback.message) }),
+      onTimeUpdate: (sec) => events.times.push(sec)
+    });
+    detector.setExerciseMode(fixture.exercise);
+
+    fixture.frames.forEach((frame) => {
+      now = REPLAY_START_MS + frame.t;
+      detector._frameNumber++;
+      detector.onResults({ poseLandmarks: frame.landmarks, poseWorldLandmarks: frame.world || null });
+    });
+
+    const stats = detector.getStats();
+    return {
+      count: stats.count,
+      timeSec: stats.timeSec,
+      posture: stats.posture,
+      sideCounts: stats.sideCounts || null,
+      feedback: events.feedback,
+      postureChanges: events.postureChanges
+    };
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+const describeRange = (expected) => (typeof expected === 'object'
+  ? `${expected.min ?? '-∞'}..${expected.max ?? '∞'}`
+  : String(expected));
+
+const inRange = (value, expected) => (typeof expected === 'object'
+  ? (expected.min == null || value >= expected.min) && (expected.max == null || value <= expected.max)
+  : value === expected);
+
+/**
+ * Compare replay output with fixture.expect
+ * @param {Object} result - replayFixture() output
+ * @param {Object} expect - Fixture expectations
+ * @returns {Array<string>} - Failure messages (empty when everything matches)
+ */
+function checkExpectations(result, expect) {
+  const failures = [];
+  if (expect.count != null && !inRange(result.count, expect.count)) {
+    failures.push(`count ${result.count}, expected ${describeRange(expect.count)}`);
+  }
+  if (expect.timeSec != null && !inRange(result.timeSec, expect.timeSec)) {
+    failures.push(`timeSec ${result.timeSec}, expected ${describeRange(expect.timeSec)}`);
+  }
+  if (expect.posture != null && result.posture !== expect.posture) {
+    failures.push(`posture "${result.posture}", expected "${expect.posture}"`);
+  }
+  ['left', 'right'].forEach((side) => {
+    const expected = expect.sideCounts?.[side];
+    const actual = result.sideCounts?.[side] ?? 0;
+    if (expected != null && !inRange(actual, expected)) {
+      failures.push(`${side} reps ${actual}, expected ${describeRange(expected)}`);
+    }
+  });
+  (expect.feedback || []).forEach((rule) => {
+    const matches = result.feedback.filter((fb) =>
+      (!rule.type || fb.type === rule.type) && (!rule.message || fb.message.includes(rule.message))
+    ).length;
+    const range = rule.count != null ? rule.count : { min: rule.min ?? 1, max: rule.max };
+    if (!inRange(matches, range)) {
+      failures.push(`${matches} feedback events matching ${JSON.stringify({ type: rule.type, message: rule.message })}, expected ${describeRange(range)}`);
+    }
+  });
+  return failures;
+}
+
+async function main() {
+  const inputs = targets.length ? targets : [DEFAULT_FIXTURE_DIR].filter((dir) => fs.existsSync(dir));
+  const files = collectFixtureFiles(inputs);
+  if (files.length === 0) {
+    console.error('No landmark fixtures found. Record one from the workout screen or pass a path.');
+    process.exit(1);
+  }
+
+  installBrowserStubs();
+  const server = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  const realConsole = { log: console.log, warn: console.warn, debug: console.debug, error: console.error };
+  const quiet = () => {
+    if (verbose) return;
+    console.log = () => {};
+    console.warn = () => {};
+    console.debug = () => {};
+    console.error = () => {};
+  };
+  const loud = () => Object.assign(console, realConsole);
+
+  let failed = 0;
+  const report = [];
+  try {
+    const { normalizeFixture } = await server.ssrLoadModule('/src/utils/landmarkFixtures.js');
+    const { default: PoseDetectionUtils } = await server.ssrLoadModule('/src/utils/poseDetection.js');
+
+    for (const file of files) {
+      const name = path.relative(process.cwd(), file);
+      let failures;
+      let result = null;
+      try {
+        const fixture = normalizeFixture(readFixture(file));
+        quiet();
+        try {
+          result = replayFixture(PoseDetectionUtils, fixture);
+        } finally {
+          loud();
+        }
+        failures = checkExpectations(result, fixture.expect);
+      } catch (error) {
+        failures = [error.message];
+      }
+
+      if (failures.length) failed++;
+      report.push({ file: name, passed: failures.length === 0, failures, count: result?.count, timeSec: result?.timeSec });
+      if (!asJson) {
+        if (failures.length) {
+          console.log(`❌ ${name}`);
+          failures.forEach((failure) => console.log(`   - ${failure}`));
+        } else {
+          console.log(`✅ ${name} (count ${result.count}, ${result.timeSec}s)`);
+        }
+      }
+    }
+  } finally {
+    loud();
+    await server.close();
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${files.length - failed}/${files.length} fixtures passed`);
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import { WORKOUT_FORMATS } from '../../../utils/workoutRunner';
 
 const PresetPlans = ({ onStartPlan }) => {
   const presetPlans = [
@@ -11,8 +12,8 @@ const PresetPlans = ({ onStartPlan }) => {
       difficulty: 'Intermediate',
       duration: '45 minutes',
       exercises: [
-        { name: 'Squats', sets: 4, reps: 15, rest: '60s' },
-        { name: 'Lunges', sets: 3, reps: 12, rest: '45s' },
+        { name: 'Squats', sets: 4, reps: 15, rest: '60s', tempo: '3-1-1' },
+        { name: 'Lunges', sets: 3, reps: '12 per leg', rest: '45s', tempo: '2-1-1' },
         { name: 'Wall Sit', sets: 3, reps: '45s', rest: '60s' },
         { name: 'Jumping Jacks', sets: 3, reps: 30, rest: '30s' },
         { name: 'High Knees', sets: 3, reps: 25, rest: '30s' }
@@ -28,7 +29,7 @@ const PresetPlans = ({ onStartPlan }) => {
       difficulty: 'Intermediate',
       duration: '40 minutes',
       exercises: [
-        { name: 'Push-ups', sets: 4, reps: 15, rest: '60s' },
+        { name: 'Push-ups', sets: 4, reps: 15, rest: '60s', tempo: '3-1-1' },
         { name: 'Wide Push Ups', sets: 3, reps: 12, rest: '45s' },
         { name: 'Narrow Push Ups', sets: 3, reps: 10, rest: '45s' },
         { name: 'Diamond Push Ups', sets: 3, reps: 8, rest: '60s' },
@@ -65,7 +66,7 @@ const PresetPlans = ({ onStartPlan }) => {
         { name: 'Burpees', sets: 4, reps: 12, rest: '90s' },
         { name: 'Squats', sets: 3, reps: 20, rest: '60s' },
         { name: 'Push-ups', sets: 3, reps: 15, rest: '60s' },
-        { name: 'Lunges', sets: 3, reps: 12, rest: '45s' },
+        { name: 'Lunges', sets: 3, reps: '12 per leg', rest: '45s' },
         { name: 'Plank', sets: 3, reps: '45s', rest: '60s' },
         { name: 'Jumping Jacks', sets: 3, reps: 30, rest: '30s' }
       ],
@@ -105,6 +106,39 @@ const PresetPlans = ({ onStartPlan }) => {
       targetMuscles: 'Cardio, Full Body',
       calories: 400,
       color: 'bg-orange-500'
+    },
+    {
+      id: 'tabata-burn',
+      name: 'Tabata Burn',
+      description: 'Eight rounds of 20 seconds all-out work and 10 seconds rest',
+      difficulty: 'Advanced',
+      duration: '4 minutes',
+      format: { type: 'tabata', rounds: 8, work: 20, rest: 10 },
+      exercises: [
+        { name: 'Squats', sets: 1, reps: '20s' },
+        { name: 'Push-ups', sets: 1, reps: '20s' },
+        { name: 'Jumping Jacks', sets: 1, reps: '20s' },
+        { name: 'Mountain Climbers', sets: 1, reps: '20s' }
+      ],
+      targetMuscles: 'Full Body',
+      calories: 60,
+      color: 'bg-red-500'
+    },
+    {
+      id: 'emom-strength',
+      name: 'EMOM Strength',
+      description: 'A new set every minute on the minute - the faster you finish, the longer you rest',
+      difficulty: 'Intermediate',
+      duration: '12 minutes',
+      format: { type: 'emom', minutes: 12 },
+      exercises: [
+        { name: 'Squats', sets: 1, reps: 12 },
+        { name: 'Push-ups', sets: 1, reps: 10 },
+        { name: 'Lunges', sets: 1, reps: '6 per leg' }
+      ],
+      targetMuscles: 'Legs, Chest, Glutes',
+      calories: 150,
+      color: 'bg-indigo-500'
     }
   ];
 
@@ -142,12 +176,22 @@ const PresetPlans = ({ onStartPlan }) => {
       </div>
 
       <div className="mb-4">
-        <h4 className="text-sm font-medium text-card-foreground mb-2">Exercises ({plan.exercises.length})</h4>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-card-foreground">Exercises ({plan.exercises.length})</h4>
+          {plan.format && (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-muted text-muted-foreground">
+              {WORKOUT_FORMATS[plan.format.type]?.label}
+            </span>
+          )}
+        </div>
         <div className="space-y-1">
           {plan.exercises.slice(0, 3).map((exercise, index) => (
             <div key={index} className="flex items-center justify-between text-sm text-muted-foreground">
               <span>{exercise.name}</span>
-              <span>{exercise.sets} sets × {exercise.reps}</span>
+              <span>
+                {plan.format ? exercise.reps : `${exercise.sets} sets × ${exercise.reps}`}
+                {exercise.tempo && ` @ ${exercise.tempo}`}
+              </span>
             </div>
           ))}
           {plan.exercises.length > 3 && (
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import { WORKOUT_FORMATS } from '../../../utils/workoutRunner';
 
 const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
   const [planName, setPlanName] = useState('');
@@ -9,6 +10,8 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
   const [selectedExercises, setSelectedExercises] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [filter, setFilter] = useState('all');
+  const [formatType, setFormatType] = useState('sets');
+  const [formatMinutes, setFormatMinutes] = useState(10);
 
   const filteredExercises = exercises.filter(exercise => {
     const matchesFilter = filter === 'all' || exercise.difficulty.toLowerCase() === filter.toLowerCase();
@@ -19,7 +22,7 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
 
   const addExercise = (exercise) => {
     if (!selectedExercises.find(ex => ex.id === exercise.id)) {
-      setSelectedExercises([...selectedExercises, { ...exercise, sets: 3, reps: exercise.reps }]);
+      setSelectedExercises([...selectedExercises, { ...exercise, sets: 3, reps: exercise.reps, rest: '60s' }]);
     }
   };
 
@@ -44,6 +47,7 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
       name: planName,
       description: planDescription,
       exercises: selectedExercises,
+      format: formatType === 'sets' ? null : { type: formatType, ...(formatType === 'emom' || formatType === 'amrap' ? { minutes: formatMinutes } : {}) },
       createdAt: new Date().toISOString(),
       type: 'custom'
     };
@@ -88,6 +92,32 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
                   rows={3}
                 />
               </div>
+              <div>
+                <label className="text-sm font-medium text-card-foreground mb-2 block">Format</label>
+                <div className="flex space-x-2">
+                  <select
+                    value={formatType}
+                    onChange={(e) => setFormatType(e.target.value)}
+                    className="flex-1 p-2 border border-border rounded-lg bg-background text-card-foreground text-sm"
+                  >
+                    {Object.entries(WORKOUT_FORMATS).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  {(formatType === 'emom' || formatType === 'amrap') && (
+                    <input
+                      type="number"
+                      min="1"
+                      max="60"
+                      value={formatMinutes}
+                      onChange={(e) => setFormatMinutes(parseInt(e.target.value))}
+                      className="w-20 p-2 border border-border rounded-lg text-sm text-foreground bg-background"
+                      title="Minutes"
+                    />
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground mt-1">{WORKOUT_FORMATS[formatType]?.description}</p>
+              </div>
 
               {/* Selected Exercises */}
               <div>
@@ -108,7 +138,7 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
                             <Icon name="X" size={16} />
                           </Button>
                         </div>
-                        <div className="grid grid-cols-2 gap-2">
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
                           <div>
                             <label className="text-xs text-muted-foreground">Sets</label>
                             <input
@@ -127,7 +157,37 @@ const WorkoutPlanBuilder = ({ exercises, onSavePlan, onClose }) => {
                               value={exercise.reps}
                               onChange={(e) => updateExercise(exercise.id, 'reps', e.target.value)}
                               className="w-full p-2 border border-border rounded text-sm text-foreground bg-background"
-                              placeholder="15 or 30s"
+                              placeholder="15, 12 per leg or 30s"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-muted-foreground">Tempo</label>
+                            <input
+                              type="text"
+                              value={exercise.tempo || ''}
+                              onChange={(e) => updateExercise(exercise.id, 'tempo', e.target.value)}
+                              className="w-full p-2 border border-border rounded text-sm text-foreground bg-background"
+                              placeholder="3-1-1"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-muted-foreground" title="End a set automatically when form drops this much from its first reps">Stop at form loss</label>
+                            <input
+                              type="text"
+                              value={exercise.stopAtFormLoss || ''}
+                              onChange={(e) => updateExercise(exercise.id, 'stopAtFormLoss', e.target.value)}
+                              className="w-full p-2 border border-border rounded text-sm text-foreground bg-background"
+                              placeholder="30%"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-muted-foreground">Rest</label>
+                            <input
+                              type="text"
+                              value={exercise.rest || ''}
+                              onChange={(e) => updateExercise(exercise.id, 'rest', e.target.value)}
+                              className="w-full p-2 border border-border rounded text-sm text-foreground bg-background"
+                              placeholder="60s"
                             />
                           </div>
                         </div>
@@ -280,11 +280,15 @@ const ExerciseLibrary = () => {
         selectedPlan: plan,
         todayPlan: {
           name: plan.name,
+          format: plan.format || null,
           exercises: plan.exercises.map(ex => ({
             name: ex.name,
             sets: ex.sets,
             reps: ex.reps,
+            rest: ex.rest,
             duration: ex.duration,
+            tempo: ex.tempo,
+            stopAtFormLoss: ex.stopAtFormLoss,
             completed: false
           }))
         }
@@ -1,6 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import SessionRecorder from '../../../utils/sessionRecorder';
+import ClipRecorder, { isClipRecordingSupported } from '../../../utils/clipRecorder';
+import ClipExportDialog from './ClipExportDialog';
+import { cameraSetupKey, loadCalibration, storeCalibration } from '../../../utils/calibrationProfiles';
 
 const CameraFeed = ({
   isActive = false,
@@ -11,7 +15,23 @@ const CameraFeed = ({
   onPushupCount,
   onPostureChange,
   selectedExercise,
-  onPlankTimeUpdate
+  onPlankTimeUpdate,
+  onRepQuality,
+  onRepTempo,
+  onAsymmetry,
+  onExerciseRecognized,
+  tempo = null,
+  freeWorkout = false,
+  calibrationRequest = 0,
+  counterResetRequest = 0,
+  onCalibrationChange,
+  romProfile = null,
+  framingCheck = false,
+  onFramingChange,
+  fatigueLimit = null,
+  onFatigue,
+  onRepConfidence,
+  repCountOffset = 0
 }) => {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -22,10 +42,29 @@ const CameraFeed = ({
   const [poseResults, setPoseResults] = useState(null);
   const [formFeedback, setFormFeedback] = useState(null);
   const [pushupCount, setPushupCount] = useState(0);
+  // Left/right leads for alternating exercises (lunges)
+  const [sideCounts, setSideCounts] = useState(null);
   const [postureStatus, setPostureStatus] = useState('unknown');
   const [isPoseDetectionReady, setIsPoseDetectionReady] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const containerRef = useRef(null);
+  // Opt-in landmark session recording (exported for coaches / replay fixtures)
+  const sessionRecorderRef = useRef(null);
+  // With worker inference a loop iteration may not produce new results; record each result once
+  const lastRecordedResultsRef = useRef(null);
+  const [isRecordingSession, setIsRecordingSession] = useState(false);
+  // Annotated clip recording (video + skeleton + counter) and the finished clip awaiting export
+  const clipRecorderRef = useRef(null);
+  const [isRecordingClip, setIsRecordingClip] = useState(false);
+  const [recordedClip, setRecordedClip] = useState(null);
+  // Reference-form ghost skeleton beside the user
+  const [showGhost, setShowGhost] = useState(false);
+  // Multi-person detection (locks onto the athlete) and partner mode counting a second person
+  const [multiPerson, setMultiPerson] = useState(window.MediaPipeConfig?.MULTI_POSE_CONFIG?.ENABLED === true);
+  const [partnerMode, setPartnerMode] = useState(false);
+  const [partnerCount, setPartnerCount] = useState(0);
+  // Last rep's tempo phases (lowering / pause / lifting) and the set's time under tension
+  const [lastTempoRep, setLastTempoRep] = useState(null);
 
   // Fullscreen helpers
   const enterFullscreen = async () => {
@@ -68,6 +107,68 @@ const CameraFeed = ({
     }
   };
 
+  // Session recording helpers
+  const stopSessionRecording = () => {
+    const recorder = sessionRecorderRef.current;
+    if (!recorder?.isRecording) return;
+    recorder.stop();
+    if (recorder.frames.length > 0) {
+      recorder.export(poseDetectionRef.current?.getStats() || null).catch((e) => {
+        console.error('Failed to export session:', e);
+      });
+    }
+    sessionRecorderRef.current = null;
+    setIsRecordingSession(false);
+  };
+
+  const toggleSessionRecording = () => {
+    if (isRecordingSession) {
+      stopSessionRecording();
+      return;
+    }
+    if (!poseDetectionRef.current) return;
+    const recorder = new SessionRecorder(poseDetectionRef.current.exerciseMode, 'camera');
+    recorder.start(poseDetectionRef.current.getStats());
+    sessionRecorderRef.current = recorder;
+    setIsRecordingSession(true);
+  };
+
+  // Clip recording helpers
+  const stopClipRecording = () => {
+    const recorder = clipRecorderRef.current;
+    if (!recorder?.isRecording) return;
+    clipRecorderRef.current = null;
+    setIsRecordingClip(false);
+    recorder.stop()
+      .then((clip) => {
+        if (clip) setRecordedClip(clip);
+      })
+      .catch((error) => {
+        console.error('Error stopping clip recording:', error);
+      });
+  };
+
+  const toggleClipRecording = () => {
+    if (isRecordingClip) {
+      stopClipRecording();
+      return;
+    }
+    if (!videoRef.current) return;
+    try {
+      // The camera is shown mirrored, so the clip is too
+      const recorder = new ClipRecorder({ mirror: true, label: selectedExercise?.name || 'Workout' });
+      recorder.start({
+        video: videoRef.current,
+        getOverlay: () => canvasRef.current,
+        detector: poseDetectionRef.current
+      });
+      clipRecorderRef.current = recorder;
+      setIsRecordingClip(true);
+    } catch (error) {
+      console.error('Error starting clip recording:', error);
+    }
+  };
+
   // Normalize exercise name
   const isPushUpsSelected = (() => {
     const name = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
@@ -77,6 +178,11 @@ const CameraFeed = ({
     const name = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
     return name.includes('plank');
   })();
+  // Facing-up planks use the reverse plank hold check
+  const isReversePlankSelected = (() => {
+    const name = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
+    return name.includes('reverseplank');
+  })();
   const isSquatSelected = (() => {
     const name = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
     return name.includes('squat');
@@ -119,7 +225,7 @@ const CameraFeed = ({
   const initializePoseDetection = async () => {
     try {
       // Only initialize for supported exercises
-      if (!isPushUpsSelected && !isPlankSelected && !isSquatSelected && !isLungesSelected && !isBurpeesSelected && !isJumpingJacksSelected && !isHighKneesSelected && !isWallSitSelected && !isSitUpsSelected) {
+      if (!isPushUpsSelected && !isPlankSelected && !isSquatSelected && !isLungesSelected && !isBurpeesSelected && !isJumpingJacksSelected && !isHighKneesSelected && !isMountainClimbersSelected && !isWallSitSelected && !isSitUpsSelected) {
         return;
       }
 
@@ -128,22 +234,24 @@ const CameraFeed = ({
         const { default: PoseDetectionUtils } = await import('../../../utils/poseDetection');
         poseDetectionRef.current = new PoseDetectionUtils();
         poseDetectionRef.current.setExerciseMode(
-          isPlankSelected ? 'plank' :
+          isPlankSelected ? (isReversePlankSelected ? 'reverseplank' : 'plank') :
           isSquatSelected ? 'squats' :
           isLungesSelected ? 'lunges' :
           isBurpeesSelected ? 'burpees' :
           isJumpingJacksSelected ? 'jumpingjacks' :
           isHighKneesSelected ? 'highknees' :
+          isMountainClimbersSelected ? 'mountainclimbers' :
           isWallSitSelected ? 'wallsit' :
           isSitUpsSelected ? 'situps' :
           'pushups'
         );
         // Set up callbacks
         poseDetectionRef.current.setCallbacks({
-          onPushupCount: (count) => {
+          onPushupCount: (count, sides) => {
             setPushupCount(count);
+            if (sides) setSideCounts(sides);
             if (onPushupCount) {
-              onPushupCount(count);
+              onPushupCount(count, sides);
             }
           },
           onPostureChange: (status, landmarks) => {
@@ -154,6 +262,7 @@ const CameraFeed = ({
           },
           onFormFeedback: (feedback) => {
             setFormFeedback(feedback);
+            clipRecorderRef.current?.addFeedback(feedback);
             if (onFormFeedback) {
               onFormFeedback(feedback);
             }
@@ -163,12 +272,48 @@ const CameraFeed = ({
           onTimeUpdate: (sec) => {
             if (onPlankTimeUpdate) onPlankTimeUpdate(sec);
             setPoseResults(poseDetectionRef.current?.getLastResults() || null);
+          },
+          onRepQuality: (record, summary) => {
+            if (onRepQuality) onRepQuality(record, summary);
+          },
+          onRepTempo: (tempoRep, summary) => {
+            const currentSet = summary?.sets?.[summary.sets.length - 1];
+            setLastTempoRep({ ...tempoRep, setTutMs: currentSet?.tutMs || 0 });
+            if (onRepTempo) onRepTempo(tempoRep, summary);
+          },
+          onAsymmetry: (rep, summary) => {
+            if (onAsymmetry) onAsymmetry(rep, summary);
+          },
+          onExerciseRecognized: (recognized) => {
+            if (onExerciseRecognized) onExerciseRecognized(recognized);
+          },
+          onFramingChange: (framing) => {
+            if (onFramingChange) onFramingChange(framing);
+          },
+          onFatigue: (fatigue, summary) => {
+            if (onFatigue) onFatigue(fatigue, summary);
+          },
+          onRepConfidence: (record, summary) => {
+            if (onRepConfidence) onRepConfidence(record, summary);
+          },
+          onPartnerCount: (count) => {
+            setPartnerCount(count);
           }
         });
+        poseDetectionRef.current.setTempo(tempo);
+        poseDetectionRef.current.setRecognitionMode(freeWorkout ? 'auto' : 'warn');
+        poseDetectionRef.current.setRomProfile(romProfile);
+        poseDetectionRef.current.setFramingCheck(framingCheck);
+        poseDetectionRef.current.setFatigueLimit(fatigueLimit);
+        poseDetectionRef.current.setGhostPose(showGhost);
+        poseDetectionRef.current.setMultiPerson(multiPerson);
         const initialized = await poseDetectionRef.current.initialize();
         if (!initialized) {
           console.warn('Pose detection not available, falling back to basic mode');
+          // Nothing can check the framing, so it must not hold back the workout
+          poseDetectionRef.current?.setFramingCheck(false);
         } else {
+          poseDetectionRef.current?.setPartnerMode(partnerMode);
           setIsPoseDetectionReady(true);
         }
       }
@@ -196,12 +341,21 @@ const CameraFeed = ({
         isActive &&
         poseDetectionRef.current &&
         videoRef.current &&
-        (isPushUpsSelected || isPlankSelected || isSquatSelected || isLungesSelected || isBurpeesSelected || isJumpingJacksSelected || isHighKneesSelected || isWallSitSelected || isSitUpsSelected)
+        (isPushUpsSelected || isPlankSelected || isSquatSelected || isLungesSelected || isBurpeesSelected || isJumpingJacksSelected || isHighKneesSelected || isMountainClimbersSelected || isWallSitSelected || isSitUpsSelected)
       ) {
         if (videoRef.current.readyState >= 2) {
           await poseDetectionRef.current.processFrame(videoRef.current);
           const results = poseDetectionRef.current.getLastResults();
           if (results) setPoseResults(results);
+          if (sessionRecorderRef.current?.isRecording && results !== lastRecordedResultsRef.current) {
+            lastRecordedResultsRef.current = results;
+            const stats = poseDetectionRef.current.getStats();
+            sessionRecorderRef.current.addFrame(results, {
+              mode: poseDetectionRef.current.exerciseMode,
+              posture: stats.posture,
+              count: stats.count
+            });
+          }
           // Draw overlay immediately after processing
           if (canvasRef.current && results && showPoseOverlay) {
             const canvas = canvasRef.current;
@@ -254,6 +408,8 @@ const CameraFeed = ({
   };
 
   const stopCamera = () => {
+    stopSessionRecording();
+    stopClipRecording();
     if (stream) {
       stream?.getTracks()?.forEach((track) => track?.stop());
       setStream(null);
@@ -269,6 +425,7 @@ const CameraFeed = ({
     
     // Reset pose detection state
     setIsPoseDetectionReady(false);
+    if (onFramingChange) onFramingChange(null);
   };
 
   const drawPoseOverlay = () => {
@@ -328,23 +485,131 @@ const CameraFeed = ({
 
   // Reset counter when exercise changes
   useEffect(() => {
-    if (poseDetectionRef.current && (isPushUpsSelected || isPlankSelected || isSquatSelected || isLungesSelected || isBurpeesSelected || isJumpingJacksSelected || isHighKneesSelected || isWallSitSelected)) {
+    if (poseDetectionRef.current && (isPushUpsSelected || isPlankSelected || isSquatSelected || isLungesSelected || isBurpeesSelected || isJumpingJacksSelected || isHighKneesSelected || isMountainClimbersSelected || isWallSitSelected)) {
       poseDetectionRef.current.setExerciseMode(
-        isPlankSelected ? 'plank' :
+        isPlankSelected ? (isReversePlankSelected ? 'reverseplank' : 'plank') :
         isSquatSelected ? 'squats' :
         isLungesSelected ? 'lunges' :
         isBurpeesSelected ? 'burpees' :
         isJumpingJacksSelected ? 'jumpingjacks' :
         isHighKneesSelected ? 'highknees' :
+        isMountainClimbersSelected ? 'mountainclimbers' :
         isWallSitSelected ? 'wallsit' :
         'pushups'
       );
       poseDetectionRef.current.resetCounter();
       setPushupCount(0);
+      setSideCounts(null);
       setPostureStatus('unknown');
+      setLastTempoRep(null);
+      setPartnerCount(0);
     }
   }, [selectedExercise]);
 
+  // Fresh counter for the next set of the same exercise (workout runner)
+  useEffect(() => {
+    if (!counterResetRequest || !poseDetectionRef.current) return;
+    poseDetectionRef.current.resetCounter();
+    setPushupCount(0);
+    setSideCounts(null);
+    setLastTempoRep(null);
+    setPartnerCount(0);
+  }, [counterResetRequest]);
+
+  // Apply the plan's tempo prescription (e.g. 3-1-1)
+  useEffect(() => {
+    poseDetectionRef.current?.setTempo(tempo);
+  }, [tempo]);
+
+  // Saved calibration for this user and camera setup
+  useEffect(() => {
+    if (!isPoseDetectionReady || !stream || !poseDetectionRef.current) return;
+    let cancelled = false;
+    loadCalibration(cameraSetupKey(stream)).then((calibration) => {
+      if (cancelled || !poseDetectionRef.current) return;
+      poseDetectionRef.current.setCalibration(calibration);
+      if (onCalibrationChange) onCalibrationChange(calibration, false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isPoseDetectionReady, stream]);
+
+  // Recalibrate on request (ExerciseControls) and save the profile
+  useEffect(() => {
+    if (!calibrationRequest || !isPoseDetectionReady || !stream || !poseDetectionRef.current) return;
+    const runCalibration = async () => {
+      const previous = poseDetectionRef.current.calibrationData;
+      try {
+        if (onCalibrationChange) onCalibrationChange(previous, true);
+        setFormFeedback({ message: 'Calibrating - stand tall facing the camera, whole body in view', type: 'info', timestamp: Date.now() });
+        const durationMs = window.MediaPipeConfig?.CALIBRATION_DEFAULTS?.calibrationDurationMs || 3000;
+        const calibration = await poseDetectionRef.current?.calibrate(durationMs);
+        if (calibration && !calibration.isDefault) {
+          const saved = await storeCalibration(cameraSetupKey(stream), calibration);
+          setFormFeedback({ message: 'Calibration saved', type: 'success', timestamp: Date.now() });
+          if (onCalibrationChange) onCalibrationChange({ ...calibration, updatedAt: saved?.updatedAt || new Date().toISOString() }, false);
+        } else {
+          // Keep the previous profile rather than the defaults calibrate() falls back to
+          poseDetectionRef.current?.setCalibration(previous);
+          setFormFeedback({ message: 'Calibration failed - make sure your whole body is visible', type: 'warning', timestamp: Date.now() });
+          if (onCalibrationChange) onCalibrationChange(previous, false);
+        }
+      } catch (error) {
+        console.error('Error calibrating:', error);
+        if (onCalibrationChange) onCalibrationChange(previous, false);
+      }
+      setTimeout(() => setFormFeedback(null), 3000);
+    };
+    runCalibration();
+  }, [calibrationRequest]);
+
+  // Plan form-loss limit for stopping a set automatically
+  useEffect(() => {
+    poseDetectionRef.current?.setFatigueLimit(fatigueLimit);
+  }, [fatigueLimit]);
+
+  // Ghost skeleton of the selected exercise's reference form
+  useEffect(() => {
+    poseDetectionRef.current?.setGhostPose(showGhost);
+  }, [showGhost]);
+
+  // Switching between single- and multi-person detection swaps the model: start detection over
+  useEffect(() => {
+    if (!isActive || !poseDetectionRef.current || poseDetectionRef.current.multiPerson === multiPerson) return;
+    poseDetectionRef.current.cleanup();
+    poseDetectionRef.current = null;
+    setIsPoseDetectionReady(false);
+    setPoseResults(null);
+    setPartnerCount(0);
+    initializePoseDetection();
+  }, [multiPerson]);
+
+  // Partner mode counts the second most prominent person with a detector of their own
+  useEffect(() => {
+    const enabled = poseDetectionRef.current?.setPartnerMode(partnerMode);
+    setPartnerCount(0);
+    if (partnerMode && enabled === false && isPoseDetectionReady) {
+      setFormFeedback({ message: 'Partner mode needs multi-person detection', type: 'warning', timestamp: Date.now() });
+      setTimeout(() => setFormFeedback(null), 3000);
+    }
+  }, [partnerMode]);
+
+  // Framing check runs while waiting for a set to start
+  useEffect(() => {
+    poseDetectionRef.current?.setFramingCheck(framingCheck);
+  }, [framingCheck]);
+
+  // Personal range-of-motion targets (mode changes and newly learned baselines)
+  useEffect(() => {
+    poseDetectionRef.current?.setRomProfile(romProfile);
+  }, [romProfile]);
+
+  // Free workout: follow the recognized exercise instead of only warning about a mismatch
+  useEffect(() => {
+    poseDetectionRef.current?.setRecognitionMode(freeWorkout ? 'auto' : 'warn');
+  }, [freeWorkout]);
+
   // Handle fullscreen functionality
   useEffect(() => {
     const handleEscapeKey = (event) => {
@@ -442,7 +707,68 @@ const CameraFeed = ({
 
           <Icon name={showPoseOverlay ? "Eye" : "EyeOff"} size={16} className="sm:w-[18px] sm:h-[18px]" />
         </Button>
+
+        {showPoseOverlay && (
+          <Button
+            variant="secondary"
+            size="icon"
+            onClick={() => setShowGhost(!showGhost)}
+            title={showGhost ? 'Hide reference form' : 'Show reference form'}
+            className={`bg-black/50 hover:bg-black/70 border-white/20 w-8 h-8 sm:w-10 sm:h-10 ${showGhost ? 'text-primary' : 'text-white'}`}>
+
+            <Icon name="Ghost" size={16} className="sm:w-[18px] sm:h-[18px]" />
+          </Button>
+        )}
+
+        <Button
+          variant="secondary"
+          size="icon"
+          onClick={() => {
+            if (multiPerson) setPartnerMode(false);
+            setMultiPerson(!multiPerson);
+          }}
+          title={multiPerson ? 'Track one person' : 'Track several people and lock onto you'}
+          className={`bg-black/50 hover:bg-black/70 border-white/20 w-8 h-8 sm:w-10 sm:h-10 ${multiPerson ? 'text-primary' : 'text-white'}`}>
+
+          <Icon name="Users" size={16} className="sm:w-[18px] sm:h-[18px]" />
+        </Button>
+
+        {multiPerson && (
+          <Button
+            variant="secondary"
+            size="icon"
+            onClick={() => setPartnerMode(!partnerMode)}
+            title={partnerMode ? 'Stop counting a partner' : 'Count a partner beside you'}
+            className={`bg-black/50 hover:bg-black/70 border-white/20 w-8 h-8 sm:w-10 sm:h-10 ${partnerMode ? 'text-primary' : 'text-white'}`}>
+
+            <Icon name="UserPlus" size={16} className="sm:w-[18px] sm:h-[18px]" />
+          </Button>
+        )}
         
+        {isActive && (
+          <Button
+            variant="secondary"
+            size="icon"
+            onClick={toggleSessionRecording}
+            title={isRecordingSession ? 'Stop recording and export session' : 'Record landmark session'}
+            className={`bg-black/50 hover:bg-black/70 border-white/20 w-8 h-8 sm:w-10 sm:h-10 ${isRecordingSession ? 'text-red-500 animate-pulse' : 'text-white'}`}>
+
+            <Icon name={isRecordingSession ? "Square" : "Circle"} size={16} className="sm:w-[18px] sm:h-[18px]" />
+          </Button>
+        )}
+
+        {isActive && isClipRecordingSupported() && (
+          <Button
+            variant="secondary"
+            size="icon"
+            onClick={toggleClipRecording}
+            title={isRecordingClip ? 'Stop recording the annotated clip' : 'Record an annotated clip'}
+            className={`bg-black/50 hover:bg-black/70 border-white/20 w-8 h-8 sm:w-10 sm:h-10 ${isRecordingClip ? 'text-red-500 animate-pulse' : 'text-white'}`}>
+
+            <Icon name={isRecordingClip ? "Square" : "Clapperboard"} size={16} className="sm:w-[18px] sm:h-[18px]" />
+          </Button>
+        )}
+
         <Button
           variant="secondary"
           size="icon"
@@ -465,7 +791,7 @@ const CameraFeed = ({
       {(isPushUpsSelected || isPlankSelected || isSquatSelected || isLungesSelected || isMountainClimbersSelected || isJumpingJacksSelected || isHighKneesSelected || isWallSitSelected || isSitUpsSelected) && isActive && (
         <div className="absolute top-2 sm:top-4 left-2 sm:left-4 bg-black/70 rounded-lg p-2 sm:p-3 text-white">
           <div className="text-center mb-1 sm:mb-2">
-            <div className="text-xl sm:text-2xl font-bold text-green-400">{(isPlankSelected || isWallSitSelected) ? (poseDetectionRef.current?.getStats()?.timeSec || 0) : pushupCount}</div>
+            <div className="text-xl sm:text-2xl font-bold text-green-400">{(isPlankSelected || isWallSitSelected) ? (poseDetectionRef.current?.getStats()?.timeSec || 0) : Math.max(0, pushupCount + repCountOffset)}</div>
             <div className="text-xs text-gray-300">
               {isPlankSelected ? 'Plank (sec)' : 
                isWallSitSelected ? 'Wall Sit (sec)' :
@@ -476,6 +802,21 @@ const CameraFeed = ({
                isHighKneesSelected ? 'High Knees' :
                isSitUpsSelected ? 'Sit-ups' : 'Push-ups'}
             </div>
+            {sideCounts && (
+              <div className="text-xs text-gray-300 mt-0.5">
+                L {sideCounts?.left} · R {sideCounts?.right}
+              </div>
+            )}
+            {partnerMode && (
+              <div className="text-xs text-blue-300 mt-0.5">
+                Partner {(isPlankSelected || isWallSitSelected) ? `${poseDetectionRef.current?.getPartnerStats()?.timeSec || 0}s` : partnerCount}
+              </div>
+            )}
+            {poseResults?.people?.ignored > 0 && (
+              <div className="text-xs text-gray-400 mt-0.5">
+                Locked on you · {poseResults.people.ignored} ignored
+              </div>
+            )}
           </div>
           <div className={`text-xs px-2 py-1 rounded text-center ${
             postureStatus === 'correct' ? 'bg-green-500/20 text-green-300' :
@@ -486,14 +827,27 @@ const CameraFeed = ({
              postureStatus === 'incorrect' ? '⚠ Fix Posture' :
              'Detecting...'}
           </div>
+          {(tempo || lastTempoRep) && !isPlankSelected && !isWallSitSelected && (
+            <div className="mt-1 sm:mt-2 text-xs text-gray-300 text-center space-y-0.5">
+              {tempo && <div>Tempo {typeof tempo === 'string' ? tempo : tempo?.label}</div>}
+              {lastTempoRep && (
+                <div className={lastTempoRep?.violations?.length ? 'text-yellow-300' : 'text-gray-300'}>
+                  {[lastTempoRep.phases.eccentricMs, lastTempoRep.phases.pauseMs, lastTempoRep.phases.concentricMs]
+                    .map((ms) => (ms / 1000).toFixed(1)).join('-')}s
+                  {' · '}TUT {Math.round(lastTempoRep.setTutMs / 1000)}s
+                </div>
+              )}
+            </div>
+          )}
         </div>
       )}
       {/* Stats Overlay - Burpees */}
       {(isBurpeesSelected && isActive) && (
         <div className="absolute top-2 sm:top-4 left-2 sm:left-4 bg-black/70 rounded-lg p-2 sm:p-3 text-white">
           <div className="text-center mb-1 sm:mb-2">
-            <div className="text-xl sm:text-2xl font-bold text-green-400">{pushupCount}</div>
+            <div className="text-xl sm:text-2xl font-bold text-green-400">{Math.max(0, pushupCount + repCountOffset)}</div>
             <div className="text-xs text-gray-300">Burpees</div>
+            {partnerMode && <div className="text-xs text-blue-300 mt-0.5">Partner {partnerCount}</div>}
           </div>
           <div className={`text-xs px-2 py-1 rounded text-center ${
             postureStatus === 'correct' ? 'bg-green-500/20 text-green-300' :
@@ -537,6 +891,10 @@ const CameraFeed = ({
           </span>
         </div>
       </div>
+      {/* Annotated clip export */}
+      {recordedClip && (
+        <ClipExportDialog clip={recordedClip} onClose={() => setRecordedClip(null)} />
+      )}
       {/* Placeholder when camera is off */}
       {!isActive && !isLoading &&
       <div className="absolute inset-0 bg-muted rounded-lg flex items-center justify-center">
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { downloadBlob } from '../../../utils/landmarkFixtures';
+import { trimClip, repRangeWindow, clipFilename } from '../../../utils/clipRecorder';
+import { formatVideoTime } from '../../../utils/videoAnalysis';
+
+// Preview of a recorded annotated clip with full and rep-range downloads
+const ClipExportDialog = ({ clip, onClose }) => {
+  const [firstRep, setFirstRep] = useState(1);
+  const [lastRep, setLastRep] = useState(clip?.reps?.length || 1);
+  const [isTrimming, setIsTrimming] = useState(false);
+  const [error, setError] = useState(null);
+
+  const previewUrl = useMemo(() => (clip?.blob ? URL.createObjectURL(clip.blob) : null), [clip]);
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  if (!clip) return null;
+
+  const reps = clip.reps || [];
+  const selection = repRangeWindow(clip, firstRep, lastRep);
+
+  const downloadFull = () => {
+    downloadBlob(clip.blob, clipFilename(clip));
+  };
+
+  const downloadReps = async () => {
+    if (!selection || isTrimming) return;
+    setIsTrimming(true);
+    setError(null);
+    try {
+      const blob = await trimClip(clip, selection.startMs, selection.endMs);
+      const suffix = firstRep === lastRep ? `rep-${firstRep}` : `reps-${firstRep}-${lastRep}`;
+      downloadBlob(blob, clipFilename(clip, suffix));
+    } catch (error) {
+      console.error('Error trimming clip:', error);
+      setError('Could not trim the clip. Download the full clip instead.');
+    } finally {
+      setIsTrimming(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card border border-border rounded-xl shadow-elevation-3 w-full max-w-lg">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-card-foreground">Annotated Clip</h3>
+              <p className="text-sm text-muted-foreground">
+                {clip.label || 'Workout'} · {formatVideoTime(clip.durationMs)} · {reps.length} {reps.length === 1 ? 'rep' : 'reps'}
+              </p>
+            </div>
+            <Button variant="ghost" size="icon" onClick={onClose} disabled={isTrimming}>
+              <Icon name="X" size={18} />
+            </Button>
+          </div>
+
+          <video src={previewUrl} controls playsInline className="w-full rounded-lg bg-black max-h-72" />
+
+          {reps.length > 0 && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-card-foreground">Trim to reps</label>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={firstRep}
+                  onChange={(e) => {
+                    const value = parseInt(e?.target?.value, 10);
+                    setFirstRep(value);
+                    if (lastRep < value) setLastRep(value);
+                  }}
+                  className="flex-1 h-9 rounded-md border border-input bg-background px-2 text-sm text-foreground"
+                >
+                  {reps.map((rep) => (
+                    <option key={rep.rep} value={rep.rep}>Rep {rep.rep}</option>
+                  ))}
+                </select>
+                <span className="text-sm text-muted-foreground">to</span>
+                <select
+                  value={lastRep}
+                  onChange={(e) => setLastRep(parseInt(e?.target?.value, 10))}
+                  className="flex-1 h-9 rounded-md border border-input bg-background px-2 text-sm text-foreground"
+                >
+                  {reps.filter((rep) => rep.rep >= firstRep).map((rep) => (
+                    <option key={rep.rep} value={rep.rep}>Rep {rep.rep}</option>
+                  ))}
+                </select>
+              </div>
+              {selection && (
+                <p className="text-xs text-muted-foreground">
+                  {formatVideoTime(selection.startMs)} - {formatVideoTime(selection.endMs)} of the clip
+                </p>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center space-x-2 text-sm text-error">
+              <Icon name="AlertCircle" size={16} />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <Button variant="outline" className="flex-1" onClick={downloadFull} disabled={isTrimming}>
+              <Icon name="Download" size={16} className="mr-2" />
+              Full Clip
+            </Button>
+            {reps.length > 0 && (
+              <Button variant="default" className="flex-1" onClick={downloadReps} disabled={!selection || isTrimming}>
+                <Icon name={isTrimming ? 'Loader2' : 'Scissors'} size={16} className={`mr-2 ${isTrimming ? 'animate-spin' : ''}`} />
+                {isTrimming ? 'Trimming...' : firstRep === lastRep ? `Rep ${firstRep}` : `Reps ${firstRep}-${lastRep}`}
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClipExportDialog;
@@ -2,6 +2,10 @@ import React, { useState, useEffect, useMemo } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import { parseRepTarget, repsTowardTarget } from '../../../utils/repTargets';
+import { ROM_MODES, ROM_MIN_REPS } from '../../../utils/romProfile';
+import { VOICE_VERBOSITY, DEFAULT_VOICE_SETTINGS, isSpeechSupported, listVoices } from '../../../utils/voiceCoach';
+import WorkoutRunnerPanel from './WorkoutRunnerPanel';
 
 const ExerciseControls = ({ 
   selectedExercise = null,
@@ -16,13 +20,33 @@ const ExerciseControls = ({
   isPaused = false,
   currentSet = 1,
   currentRep = 0,
-  workoutTime = 0
+  sideCounts = null,
+  workoutTime = 0,
+  planExercise = null,
+  freeWorkout = false,
+  onFreeWorkoutChange,
+  calibration = null,
+  isCalibrating = false,
+  canCalibrate = false,
+  onRecalibrate,
+  romProfile = null,
+  onRomModeChange,
+  voiceSettings = DEFAULT_VOICE_SETTINGS,
+  onVoiceSettingsChange,
+  framing = null,
+  framingPending = false,
+  isCameraActive = false,
+  runner = null,
+  canRepeatSet = false,
+  onSkipSet,
+  onRepeatSet
 }) => {
   const [targetReps, setTargetReps] = useState(15);
   const [targetSets, setTargetSets] = useState(3);
   const [restDuration, setRestDuration] = useState(60);
   const [exerciseNotes, setExerciseNotes] = useState("");
-  const [voiceGuidance, setVoiceGuidance] = useState(true);
+  const voiceGuidance = !!voiceSettings?.enabled;
+  const [voices, setVoices] = useState(() => listVoices());
   const [showSwitchModal, setShowSwitchModal] = useState(false);
   const [setDurationSeconds, setSetDurationSeconds] = useState(30);
 
@@ -41,12 +65,33 @@ const ExerciseControls = ({
 
   const currentExercise = selectedExercise || exercises?.[0];
 
+  // Browsers load speech voices asynchronously
+  useEffect(() => {
+    if (!isSpeechSupported()) return;
+    const updateVoices = () => setVoices(listVoices());
+    updateVoices();
+    window.speechSynthesis.addEventListener?.('voiceschanged', updateVoices);
+    return () => window.speechSynthesis.removeEventListener?.('voiceschanged', updateVoices);
+  }, []);
+
+  // Plan prescription, e.g. reps: '12 per leg' → 12 per side (24 counted reps per set)
+  const planTarget = useMemo(() => parseRepTarget(planExercise?.reps), [planExercise?.reps]);
+  const perSide = !!planTarget?.perSide;
+  const repsPerSet = perSide ? targetReps * 2 : targetReps;
+
+  useEffect(() => {
+    if (planTarget && !planTarget.timeBased && planTarget.count > 0) {
+      setTargetReps(Math.min(50, Math.max(5, planTarget.count)));
+    }
+    const sets = parseInt(planExercise?.sets, 10);
+    if (Number.isFinite(sets) && sets > 0) setTargetSets(Math.min(10, sets));
+  }, [planTarget, planExercise?.sets]);
+
   const isTimeBased = useMemo(() => {
     const timeBased = new Set([
       'Plank',
       'Side Plank',
       'Wall Sit',
-      'Mountain Climbers',
       'Jumping Jacks',
       'High Knees'
     ]);
@@ -55,6 +100,13 @@ const ExerciseControls = ({
     return Array.from(timeBased).some(n => name?.includes(n.toLowerCase()));
   }, [currentExercise]);
 
+  // Learned range of motion for the current exercise (keyed like the detector's exercise mode)
+  const romExercise = useMemo(() => {
+    const key = (currentExercise?.name || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    return romProfile?.exercises?.[key] || null;
+  }, [romProfile, currentExercise]);
+  const romMode = romProfile?.mode || 'standard';
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -88,20 +140,23 @@ const ExerciseControls = ({
       const pct = (workoutTime / totalSeconds) * 100;
       return Math.min(100, pct);
     }
-    const totalReps = Math.max(1, targetSets * targetReps);
-    const completedReps = (currentSet - 1) * targetReps + currentRep;
+    const totalReps = Math.max(1, targetSets * repsPerSet);
+    // Per leg: each side has to reach its own share of the sets still to go, the combined count is not enough
+    const setsToGo = Math.max(1, targetSets - (currentSet - 1));
+    const currentReps = perSide ? repsTowardTarget(currentRep, sideCounts, setsToGo * targetReps) : currentRep;
+    const completedReps = (currentSet - 1) * repsPerSet + currentReps;
     return Math.min(100, (completedReps / totalReps) * 100);
   };
 
-  // Auto-complete when reaching 100%
+  // Auto-complete when reaching 100% (a guided plan advances through its runner instead)
   useEffect(() => {
-    if (!isWorkoutActive) return;
+    if (!isWorkoutActive || runner) return;
     const pct = getProgressPercentage();
     if (pct >= 100) {
       onExerciseComplete?.();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isWorkoutActive, currentSet, currentRep, workoutTime, targetReps, targetSets, setDurationSeconds, isTimeBased]);
+  }, [isWorkoutActive, currentSet, currentRep, sideCounts, workoutTime, repsPerSet, targetSets, setDurationSeconds, isTimeBased, runner]);
 
   return (
     <div className="bg-card border border-border rounded-lg p-3 sm:p-6 space-y-3 sm:space-y-6">
@@ -171,7 +226,7 @@ const ExerciseControls = ({
           <div className="flex items-center justify-between p-2 sm:p-3 bg-muted rounded-lg">
             <div>
               <label className="text-xs sm:text-sm font-medium text-card-foreground">Target Reps</label>
-              <p className="text-xs text-muted-foreground">Repetitions per set</p>
+              <p className="text-xs text-muted-foreground">{perSide ? 'Repetitions per leg, per set' : 'Repetitions per set'}</p>
             </div>
             <div className="flex items-center space-x-2 sm:space-x-3">
               <Button
@@ -277,18 +332,142 @@ const ExerciseControls = ({
       <div className="flex items-center justify-between p-2 sm:p-3 bg-muted rounded-lg">
         <div>
           <label className="text-xs sm:text-sm font-medium text-card-foreground">Voice Guidance</label>
-          <p className="text-xs text-muted-foreground">Audio coaching during workout</p>
+          <p className="text-xs text-muted-foreground">
+            {isSpeechSupported() ? "Audio coaching during workout" : "Speech is not supported in this browser"}
+          </p>
         </div>
         <Button
           variant={voiceGuidance ? "default" : "outline"}
           size="sm"
-          onClick={() => setVoiceGuidance(!voiceGuidance)}
+          onClick={() => onVoiceSettingsChange?.({ enabled: !voiceGuidance })}
+          disabled={!isSpeechSupported()}
           className="text-xs sm:text-sm"
         >
           <Icon name={voiceGuidance ? "Volume2" : "VolumeX"} size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
           {voiceGuidance ? "On" : "Off"}
         </Button>
       </div>
+      {voiceGuidance && isSpeechSupported() && (
+        <div className="p-2 sm:p-3 bg-muted rounded-lg space-y-3">
+          <div className="flex items-center justify-between space-x-3">
+            <label className="text-xs sm:text-sm font-medium text-card-foreground">Volume</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.1"
+              value={voiceSettings?.volume ?? DEFAULT_VOICE_SETTINGS.volume}
+              onChange={(e) => onVoiceSettingsChange?.({ volume: parseFloat(e?.target?.value) })}
+              className="flex-1 max-w-[160px] accent-primary"
+            />
+          </div>
+          {voices.length > 0 && (
+            <div className="flex items-center justify-between space-x-3">
+              <label className="text-xs sm:text-sm font-medium text-card-foreground">Voice</label>
+              <select
+                value={voiceSettings?.voiceURI || ''}
+                onChange={(e) => onVoiceSettingsChange?.({ voiceURI: e?.target?.value || null })}
+                className="flex-1 max-w-[200px] h-8 rounded-md border border-input bg-background px-2 text-xs sm:text-sm text-foreground"
+              >
+                <option value="">Browser default</option>
+                {voices.map((voice) => (
+                  <option key={voice.voiceURI} value={voice.voiceURI}>
+                    {voice.name} ({voice.lang})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="space-y-2">
+            <div>
+              <label className="text-xs sm:text-sm font-medium text-card-foreground">Verbosity</label>
+              <p className="text-xs text-muted-foreground">
+                {VOICE_VERBOSITY[voiceSettings?.verbosity]?.description}
+              </p>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(VOICE_VERBOSITY).map(([level, { label }]) => (
+                <Button
+                  key={level}
+                  variant={voiceSettings?.verbosity === level ? "default" : "outline"}
+                  size="sm"
+                  onClick={() => onVoiceSettingsChange?.({ verbosity: level })}
+                  className="text-xs sm:text-sm"
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+      {/* Free Workout Toggle */}
+      <div className="flex items-center justify-between p-2 sm:p-3 bg-muted rounded-lg">
+        <div>
+          <label className="text-xs sm:text-sm font-medium text-card-foreground">Free Workout</label>
+          <p className="text-xs text-muted-foreground">Detect the exercise automatically - no tap between moves</p>
+        </div>
+        <Button
+          variant={freeWorkout ? "default" : "outline"}
+          size="sm"
+          onClick={() => onFreeWorkoutChange?.(!freeWorkout)}
+          className="text-xs sm:text-sm"
+        >
+          <Icon name="Sparkles" size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
+          {freeWorkout ? "On" : "Off"}
+        </Button>
+      </div>
+      {/* Body Calibration */}
+      <div className="flex items-center justify-between p-2 sm:p-3 bg-muted rounded-lg">
+        <div>
+          <label className="text-xs sm:text-sm font-medium text-card-foreground">Body Calibration</label>
+          <p className="text-xs text-muted-foreground">
+            {isCalibrating
+              ? "Stand tall facing the camera..."
+              : calibration?.updatedAt
+                ? `Calibrated for this camera on ${new Date(calibration.updatedAt).toLocaleDateString()}`
+                : "Not calibrated for this camera yet"}
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onRecalibrate}
+          disabled={!canCalibrate || isCalibrating}
+          className="text-xs sm:text-sm"
+        >
+          <Icon name="Ruler" size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
+          {calibration ? "Recalibrate" : "Calibrate"}
+        </Button>
+      </div>
+      {/* Range of Motion */}
+      {!isTimeBased && (
+        <div className="p-2 sm:p-3 bg-muted rounded-lg space-y-2">
+          <div>
+            <label className="text-xs sm:text-sm font-medium text-card-foreground">Range of Motion</label>
+            <p className="text-xs text-muted-foreground">
+              {romExercise?.baseline != null
+                ? `Your full range: ${Math.round(romExercise.baseline)}° from ${romExercise.depths.length} reps`
+                : romExercise?.depths?.length
+                  ? `Learning your range - ${romExercise.depths.length} of ${ROM_MIN_REPS} reps`
+                  : ROM_MODES[romMode]?.description}
+            </p>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(ROM_MODES).map(([mode, { label }]) => (
+              <Button
+                key={mode}
+                variant={romMode === mode ? "default" : "outline"}
+                size="sm"
+                onClick={() => onRomModeChange?.(mode)}
+                className="text-xs sm:text-sm"
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
       {/* Workout Progress (shown during active workout) */}
       {isWorkoutActive && (
         <div className="space-y-3 sm:space-y-4 p-3 sm:p-4 bg-primary/5 border border-primary/20 rounded-lg">
@@ -296,6 +475,8 @@ const ExerciseControls = ({
             <h3 className="text-base sm:text-lg font-semibold text-card-foreground">Workout Progress</h3>
             <span className="text-xs sm:text-sm text-muted-foreground">{formatTime(workoutTime)}</span>
           </div>
+
+          <WorkoutRunnerPanel runner={runner} canRepeat={canRepeatSet} onSkip={onSkipSet} onRepeat={onRepeatSet} />
           
           {/* Current Set/Rep Display */}
           <div className="grid grid-cols-3 gap-2 sm:gap-4 text-center">
@@ -306,9 +487,12 @@ const ExerciseControls = ({
             <div>
               <p className="text-xl sm:text-2xl font-bold text-success">{currentRep}</p>
               <p className="text-xs text-muted-foreground">Current Rep</p>
+              {sideCounts && (
+                <p className="text-xs text-muted-foreground">L {sideCounts?.left} · R {sideCounts?.right}</p>
+              )}
             </div>
             <div>
-              <p className="text-xl sm:text-2xl font-bold text-card-foreground">{targetSets}</p>
+              <p className="text-xl sm:text-2xl font-bold text-card-foreground">{runner ? (runner.totalSets ?? '-') : targetSets}</p>
               <p className="text-xs text-muted-foreground">Total Sets</p>
             </div>
           </div>
@@ -331,14 +515,22 @@ const ExerciseControls = ({
       {/* Control Buttons */}
       <div className="space-y-2 sm:space-y-3">
         {!isWorkoutActive ? (
-          <Button
-            onClick={onWorkoutStart}
-            className="w-full text-sm sm:text-base"
-            size="lg"
-          >
-            <Icon name="Play" size={18} className="mr-2 sm:w-5 sm:h-5" />
-            Start Workout
-          </Button>
+          <>
+            <Button
+              onClick={onWorkoutStart}
+              disabled={framingPending && isCameraActive}
+              className="w-full text-sm sm:text-base"
+              size="lg"
+            >
+              <Icon name={framingPending ? (isCameraActive ? "ScanLine" : "Camera") : "Play"} size={18} className="mr-2 sm:w-5 sm:h-5" />
+              {framingPending ? (isCameraActive ? "Checking Framing..." : "Start Camera") : "Start Workout"}
+            </Button>
+            {framingPending && isCameraActive && (
+              <p className="text-xs text-center text-muted-foreground">
+                {framing?.issue?.message || "Hold still while we check your framing"}
+              </p>
+            )}
+          </>
         ) : (
           <div className="grid grid-cols-2 gap-2 sm:gap-3">
             <Button
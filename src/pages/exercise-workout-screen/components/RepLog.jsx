@@ -0,0 +1,94 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { repLogCounts } from '../../../utils/repConfidence';
+
+const levelStyles = {
+  high: 'bg-success/15 text-success border-success/30',
+  medium: 'bg-warning/15 text-warning border-warning/30',
+  low: 'bg-error/15 text-error border-error/40'
+};
+
+const describeEntry = (entry) => {
+  if (entry.source === 'manual') return 'Added by you';
+  const parts = [`Confidence ${entry.confidence}%`];
+  if (entry.visibility) parts.push(`visibility ${Math.round(entry.visibility.mean * 100)}%`);
+  if (entry.margin) parts.push(`threshold margin ${Math.round(entry.margin.value * 100)}%`);
+  if (entry.timing) parts.push(`${(entry.timing.intervalMs / 1000).toFixed(1)}s since last rep`);
+  return parts.join(' · ');
+};
+
+// Counted reps per set, colored by counting confidence; tap a rep to remove or restore it
+const RepLog = ({ repLog, currentSet = 1, summary = null, onCorrect, onExport }) => {
+  const entries = repLog?.entries || [];
+  if (!entries.length && !repLog?.corrections?.length) return null;
+
+  const sets = Array.from(new Set([...entries.map((entry) => entry.set), currentSet])).sort((a, b) => a - b);
+  const counts = repLogCounts(repLog);
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-card-foreground">Rep Log</h2>
+          <p className="text-xs text-muted-foreground">
+            {counts.total} reps
+            {(counts.removed > 0 || counts.added > 0) && ` (${counts.detected} detected, -${counts.removed} +${counts.added})`}
+            {summary?.confidence !== null && summary?.confidence !== undefined && ` · ${summary.confidence}% confidence`}
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={onExport} className="text-xs sm:text-sm">
+          <Icon name="Download" size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
+          Export
+        </Button>
+      </div>
+
+      {sets.map((set) => {
+        const setEntries = entries.filter((entry) => entry.set === set);
+        let position = 0;
+        return (
+          <div key={set} className="space-y-2">
+            {sets.length > 1 && <p className="text-xs font-medium text-muted-foreground">Set {set}</p>}
+            <div className="flex flex-wrap gap-2">
+              {setEntries.map((entry) => {
+                if (!entry.removed) position += 1;
+                const style = entry.source === 'manual'
+                  ? 'bg-primary/10 text-primary border-primary/40 border-dashed'
+                  : levelStyles[entry.level] || levelStyles.medium;
+                return (
+                  <button
+                    key={entry.id}
+                    type="button"
+                    onClick={() => onCorrect({ type: entry.removed ? 'restore' : 'remove', id: entry.id })}
+                    title={`${describeEntry(entry)} - tap to ${entry.removed ? 'restore' : 'remove'}`}
+                    className={`min-w-[2.25rem] h-9 px-2 rounded-md border text-sm font-medium transition-colors ${style} ${entry.removed ? 'opacity-40 line-through' : ''}`}
+                  >
+                    {entry.removed ? '×' : position}
+                  </button>
+                );
+              })}
+              <button
+                type="button"
+                onClick={() => onCorrect({ type: 'add', set })}
+                title="Add a rep the counter missed"
+                className="h-9 px-2 rounded-md border border-dashed border-border text-xs text-muted-foreground hover:text-card-foreground hover:border-primary/40 flex items-center"
+              >
+                <Icon name="Plus" size={14} className="mr-1" />
+                Missed rep
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      {summary?.low > 0 && (
+        <p className="text-xs text-muted-foreground flex items-center">
+          <Icon name="AlertTriangle" size={14} className="mr-1 text-error" />
+          {summary.low} low-confidence {summary.low === 1 ? 'rep' : 'reps'} - check they really counted
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RepLog;
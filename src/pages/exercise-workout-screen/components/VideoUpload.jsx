@@ -1,6 +1,11 @@
 import React, { useState, useRef, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import SessionRecorder from '../../../utils/sessionRecorder';
+import VideoAnalyzer, { formatVideoTime } from '../../../utils/videoAnalysis';
+import { recordExercise } from '../../../utils/api/exerciseApi';
+import ClipRecorder, { isClipRecordingSupported } from '../../../utils/clipRecorder';
+import ClipExportDialog from './ClipExportDialog';
 
 const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, onPlankTimeUpdate }) => {
   const [dragActive, setDragActive] = useState(false);
@@ -8,10 +13,13 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
   const [analysisResults, setAnalysisResults] = useState(null);
   const [isVideoPlaying, setIsVideoPlaying] = useState(false);
   const [pushupCount, setPushupCount] = useState(0);
+  // Left/right leads for alternating exercises (lunges)
+  const [sideCounts, setSideCounts] = useState(null);
   const [plankSeconds, setPlankSeconds] = useState(0);
   const [postureStatus, setPostureStatus] = useState('unknown');
   const [poseResults, setPoseResults] = useState(null);
   const [showPoseOverlay, setShowPoseOverlay] = useState(true);
+  const [showGhost, setShowGhost] = useState(false);
   const [videoAspectRatio, setVideoAspectRatio] = useState(16/9); // Default aspect ratio
   const [containerDimensions, setContainerDimensions] = useState({ width: 0, height: 0 });
   const fileInputRef = useRef(null);
@@ -19,6 +27,18 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
   const canvasRef = useRef(null);
   const poseDetectionRef = useRef(null);
   const processingIntervalRef = useRef(null);
+  // Opt-in landmark session recording (exported for coaches / replay fixtures)
+  const sessionRecorderRef = useRef(null);
+  const [isRecordingSession, setIsRecordingSession] = useState(false);
+  // Annotated clip recording (video + skeleton + counter) and the finished clip awaiting export
+  const clipRecorderRef = useRef(null);
+  const [isRecordingClip, setIsRecordingClip] = useState(false);
+  const [recordedClip, setRecordedClip] = useState(null);
+  // Whole-file analysis (faster than playback) and saving its report as an exercise record
+  const analyzerRef = useRef(null);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle | saving | saved | error
 
   // Helper function to get exercise name based on mode and selected exercise
   const getExerciseName = () => {
@@ -38,6 +58,7 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
       case 'mountainclimbers': return 'Mountain Climbers';
       case 'jumpingjacks': return 'Jumping Jacks';
       case 'sideplank': return 'Side Plank';
+      case 'reverseplank': return 'Reverse Plank';
       case 'wallsit': return 'Wall Sit';
       default: return 'Push-ups';
     }
@@ -49,6 +70,29 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     return name.toLowerCase().replace(/[^a-z]/g, '');
   };
 
+  // Exercise mode for pose detection from the selected exercise's name
+  const getVideoExerciseMode = () => {
+    const normalized = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
+    console.log('🎬 VideoUpload: Exercise name:', selectedExercise?.name, 'normalized:', normalized);
+    let mode = 'pushups';
+    if (normalized.includes('reverseplank')) mode = 'reverseplank';
+    else if (normalized.includes('plank')) mode = 'plank';
+    else if (normalized.includes('squat')) mode = 'squats';
+    else if (normalized.includes('lunge')) mode = 'lunges';
+    else if (normalized.includes('burpee')) mode = 'burpees';
+    else if (normalized.includes('wall') && normalized.includes('sit')) mode = 'wallsit';
+    else if (normalized.includes('mountain') || normalized.includes('climber')) mode = 'mountainclimbers';
+    else if (normalized.includes('sit') || normalized.includes('crunch')) mode = 'situps';
+    else if (normalized.includes('high') && normalized.includes('knee')) mode = 'highknees';
+    else if (normalized.includes('jumping') && normalized.includes('jack')) mode = 'jumpingjacks';
+    else if (normalized.includes('side') && normalized.includes('plank')) mode = 'sideplank';
+    else if (normalized.includes('wide') && normalized.includes('push')) mode = 'widepushups';
+    else if (normalized.includes('narrow') && normalized.includes('push')) mode = 'narrowpushups';
+    else if (normalized.includes('diamond') && normalized.includes('push')) mode = 'diamondpushups';
+    else if (normalized.includes('knee') && normalized.includes('push')) mode = 'kneepushups';
+    return mode;
+  };
+
   // Initialize pose detection for video
   const initializePoseDetection = async () => {
     try {
@@ -77,34 +121,16 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
       
       poseDetectionRef.current = new PoseDetectionUtils();
       
-      // Set exercise mode
-      const normalized = (selectedExercise?.name || '').toLowerCase().replace(/[^a-z]/g, '');
-      console.log('🎬 VideoUpload: Exercise name:', selectedExercise?.name, 'normalized:', normalized);
-  let mode = 'pushups';
-  // Reverse plank removed -> map to standard plank
-  if (normalized.includes('plank')) mode = 'plank';
-      else if (normalized.includes('squat')) mode = 'squats';
-      else if (normalized.includes('lunge')) mode = 'lunges';
-      else if (normalized.includes('burpee')) mode = 'burpees';
-  else if (normalized.includes('wall') && normalized.includes('sit')) mode = 'wallsit';
-  else if (normalized.includes('mountain') || normalized.includes('climber')) mode = 'situps';
-  else if (normalized.includes('sit') || normalized.includes('crunch')) mode = 'situps';
-  else if (normalized.includes('high') && normalized.includes('knee')) mode = 'highknees';
-  else if (normalized.includes('jumping') && normalized.includes('jack')) mode = 'jumpingjacks';
-  else if (normalized.includes('side') && normalized.includes('plank')) mode = 'sideplank';
-  else if (normalized.includes('wide') && normalized.includes('push')) mode = 'widepushups';
-  else if (normalized.includes('narrow') && normalized.includes('push')) mode = 'narrowpushups';
-  else if (normalized.includes('diamond') && normalized.includes('push')) mode = 'diamondpushups';
-  else if (normalized.includes('knee') && normalized.includes('push')) mode = 'kneepushups';
-      
+      const mode = getVideoExerciseMode();
       console.log(`🎬 Video: Setting exercise mode to "${mode}" for "${selectedExercise?.name}"`);
       poseDetectionRef.current.setExerciseMode(mode);
 
       // Set up callbacks
       poseDetectionRef.current.setCallbacks({
-        onPushupCount: (count) => {
-          console.log('🔢 Video rep count:', count);
+        onPushupCount: (count, sides) => {
+          console.log('🔢 Video rep count:', count, sides || '');
           setPushupCount(count);
+          if (sides) setSideCounts(sides);
         },
         onPostureChange: (status) => {
           console.log('🧍 Video Posture status:', status);
@@ -112,6 +138,7 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
         },
         onFormFeedback: (feedback) => {
           console.log('📝 Video Form feedback:', feedback);
+          clipRecorderRef.current?.addFeedback(feedback);
         },
         onTimeUpdate: (seconds) => {
           console.log('🎬📢 VideoUpload: onTimeUpdate called with', seconds, 'seconds');
@@ -122,6 +149,7 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
         }
       });
       
+      poseDetectionRef.current.setGhostPose(showGhost);
       const initialized = await poseDetectionRef.current.initialize();
       if (initialized) {
         console.log('✅ Video pose detection initialized successfully!');
@@ -138,6 +166,8 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
 
   // Start processing video frames using requestAnimationFrame
   const rafIdRef = useRef(null);
+  // With worker inference a loop iteration may not produce new results; record each result once
+  const lastRecordedResultsRef = useRef(null);
   const startVideoProcessing = () => {
     if (!videoRef.current || !poseDetectionRef.current) return;
     console.log('▶️ Starting video pose processing (RAF)...');
@@ -150,6 +180,16 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
           console.log('🎬✅ VideoUpload: Got pose results');
           setPoseResults(results);
         }
+        if (sessionRecorderRef.current?.isRecording && poseDetectionRef.current && results !== lastRecordedResultsRef.current) {
+          lastRecordedResultsRef.current = results;
+          const stats = poseDetectionRef.current.getStats();
+          sessionRecorderRef.current.addFrame(results, {
+            mode: poseDetectionRef.current.exerciseMode,
+            posture: stats.posture,
+            count: stats.count,
+            videoMs: (videoRef.current?.currentTime || 0) * 1000
+          });
+        }
         // Draw overlay immediately after processing
         if (canvasRef.current && results && showPoseOverlay) {
           const canvas = canvasRef.current;
@@ -174,6 +214,67 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     }
   };
 
+  // Session recording helpers
+  const stopSessionRecording = () => {
+    const recorder = sessionRecorderRef.current;
+    if (!recorder?.isRecording) return;
+    recorder.stop();
+    if (recorder.frames.length > 0) {
+      recorder.export(poseDetectionRef.current?.getStats() || null).catch((error) => {
+        console.error('Failed to export video session:', error);
+      });
+    }
+    sessionRecorderRef.current = null;
+    setIsRecordingSession(false);
+  };
+
+  const toggleSessionRecording = () => {
+    if (isRecordingSession) {
+      stopSessionRecording();
+      return;
+    }
+    if (!poseDetectionRef.current) return;
+    const recorder = new SessionRecorder(poseDetectionRef.current.exerciseMode, 'video');
+    recorder.start(poseDetectionRef.current.getStats());
+    sessionRecorderRef.current = recorder;
+    setIsRecordingSession(true);
+  };
+
+  // Clip recording helpers
+  const stopClipRecording = () => {
+    const recorder = clipRecorderRef.current;
+    if (!recorder?.isRecording) return;
+    clipRecorderRef.current = null;
+    setIsRecordingClip(false);
+    recorder.stop()
+      .then((clip) => {
+        if (clip) setRecordedClip(clip);
+      })
+      .catch((error) => {
+        console.error('Error stopping video clip recording:', error);
+      });
+  };
+
+  const toggleClipRecording = () => {
+    if (isRecordingClip) {
+      stopClipRecording();
+      return;
+    }
+    if (!videoRef.current || !poseDetectionRef.current) return;
+    try {
+      const recorder = new ClipRecorder({ label: getExerciseName() });
+      recorder.start({
+        video: videoRef.current,
+        getOverlay: () => canvasRef.current,
+        detector: poseDetectionRef.current
+      });
+      clipRecorderRef.current = recorder;
+      setIsRecordingClip(true);
+    } catch (error) {
+      console.error('Error starting video clip recording:', error);
+    }
+  };
+
   // Handle video play/pause
   const handleVideoPlay = () => {
     console.log('▶️ Video play started');
@@ -206,6 +307,8 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     
     return () => {
       stopVideoProcessing();
+      analyzerRef.current?.cancel();
+      stopClipRecording();
       if (poseDetectionRef.current) {
         poseDetectionRef.current.cleanup();
         poseDetectionRef.current = null;
@@ -213,6 +316,11 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     };
   }, [uploadedVideo]);
 
+  // Ghost skeleton of the exercise's reference form
+  useEffect(() => {
+    poseDetectionRef.current?.setGhostPose(showGhost);
+  }, [showGhost]);
+
   // Container dimension observer for responsive design
   const containerRef = useRef(null);
   
@@ -308,9 +416,13 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
 
     // Reset counters for new video
     setPushupCount(0);
+    setSideCounts(null);
     setPlankSeconds(0);  // Reset plank/wall sit timer
     setPostureStatus('unknown');
     setPoseResults(null);
+    setAnalysisResults(null);
+    setAnalysisError(null);
+    setSaveStatus('idle');
     
     // Reset pose detection timer if it exists
     if (poseDetectionRef.current && poseDetectionRef.current.resetCounter) {
@@ -329,70 +441,126 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
       }
     });
     
-    // No need for separate analysis - will be live during playback
-    console.log('📹 Video uploaded, ready for live analysis during playback');
+    console.log('📹 Video uploaded, ready for live analysis during playback or full analysis');
   };
 
-  const analyzeVideo = async (file) => {
+  // Analyze the whole file faster than playback and build the report with its rep timeline
+  const analyzeVideo = async () => {
+    if (!uploadedVideo || analyzerRef.current) return;
+    videoRef.current?.pause();
+    const analyzer = new VideoAnalyzer(window.MediaPipeConfig?.VIDEO_ANALYSIS_CONFIG);
+    analyzerRef.current = analyzer;
+    setAnalysisError(null);
+    setSaveStatus('idle');
+    setAnalysisProgress({ progress: 0, reps: 0, speed: 0 });
+
     try {
-      // For now, use enhanced mock results with some real video info
-      const mockResults = {
-        exerciseDetected: "Push-ups",
-        totalReps: Math.floor(Math.random() * 10) + 8, // Random between 8-17
-        formScore: Math.floor(Math.random() * 30) + 70, // Random between 70-99
-        feedback: [
-          { timestamp: "0:05", message: "Good starting position", type: "success" },
-          { timestamp: "0:12", message: "Keep elbows closer to body", type: "warning" },
-          { timestamp: "0:18", message: "Excellent form!", type: "success" },
-          { timestamp: "0:25", message: "Maintain straight back", type: "warning" },
-          { timestamp: "0:32", message: "Perfect push-up technique", type: "success" },
-          { timestamp: "0:38", message: "AI Analysis: Push-up detected", type: "success" }
-        ],
-        improvements: [
-          "Keep elbows at 45-degree angle",
-          "Maintain plank position throughout", 
-          "Control the descent speed",
-          "Engage core muscles throughout movement"
-        ],
-        strengths: [
-          "Consistent rep timing",
-          "Good range of motion",
-          "Proper hand placement",
-          "Video quality suitable for AI analysis"
-        ],
+      const report = await analyzer.analyze(uploadedVideo.url, getVideoExerciseMode(), {
+        onProgress: setAnalysisProgress
+      });
+      if (!report) return;
+
+      // Hold exercises have no rep scores: score the share of the video without posture warnings
+      const warnedMs = report.warnings.reduce((sum, w) => sum + (w.endMs - w.startMs), 0);
+      const formScore = report.summary
+        ? report.summary.score
+        : Math.round(100 * Math.max(0, 1 - warnedMs / report.durationMs));
+
+      const feedback = [
+        ...report.reps.map((rep) => ({
+          timeMs: rep.timeMs,
+          message: rep.quality ? `Rep ${rep.rep} - form ${rep.quality.score}%` : `Rep ${rep.rep}`,
+          type: rep.quality?.fatigue?.fatigued || (rep.quality && rep.quality.score < 60) ? 'warning' : 'success'
+        })),
+        ...report.feedback.map((item) => ({ ...item, type: 'warning' }))
+      ]
+        .sort((x, y) => x.timeMs - y.timeMs)
+        .map((item) => ({ ...item, timestamp: formatVideoTime(item.timeMs) }));
+
+      // Most frequent warnings first
+      const warningCounts = {};
+      report.feedback.forEach((item) => {
+        warningCounts[item.message] = (warningCounts[item.message] || 0) + 1;
+      });
+      const improvements = Object.keys(warningCounts)
+        .sort((x, y) => warningCounts[y] - warningCounts[x])
+        .slice(0, 3);
+      const strengths = [];
+      if (report.summary) {
+        if (report.summary.depth >= 80) strengths.push('Consistent depth');
+        else if (report.summary.depth !== null) improvements.push('Reach full depth on every rep');
+        if (report.summary.back >= 80) strengths.push('Straight back alignment');
+        if (report.summary.tempo >= 80) strengths.push('Controlled tempo');
+        else if (report.summary.tempo !== null) improvements.push('Slow down and control each rep');
+      }
+      if (report.isHold && !report.warnings.length) strengths.push('Steady hold the whole video');
+      strengths.push(`Analyzed at ${(report.durationMs / report.elapsedMs).toFixed(1)}× real time`);
+
+      const results = {
+        exerciseDetected: getExerciseName(),
+        totalReps: report.reps.length,
+        ...(report.reps.length && report.reps[report.reps.length - 1].sides
+          ? { sideCounts: report.reps[report.reps.length - 1].sides }
+          : {}),
+        formScore,
+        feedback,
+        improvements: improvements.length ? improvements : ['Great form!'],
+        strengths,
         videoInfo: {
-          fileName: file.name,
-          fileSize: formatFileSize(file.size),
-          duration: "~45 seconds (estimated)"
-        }
+          fileName: uploadedVideo.name,
+          fileSize: formatFileSize(uploadedVideo.size),
+          duration: formatVideoTime(report.durationMs)
+        },
+        timeline: report
       };
-
-      setAnalysisResults(mockResults);
+      setAnalysisResults(results);
       if (onVideoAnalysis) {
-        onVideoAnalysis(mockResults);
+        onVideoAnalysis(results);
       }
-      
-      console.log('Video analysis completed for:', file.name);
-      
     } catch (error) {
       console.error('Video analysis error:', error);
-      
-      // Fallback results
-      const fallbackResults = {
-        exerciseDetected: "Push-ups", 
-        totalReps: 10,
-        formScore: 75,
-        feedback: [
-          { timestamp: "0:00", message: "Analysis completed with basic detection", type: "success" }
-        ],
-        improvements: ["Upload a clearer video for better analysis"],
-        strengths: ["Video uploaded successfully"]
-      };
+      setAnalysisError(error.message || 'Video analysis failed');
+    } finally {
+      if (analyzerRef.current === analyzer) analyzerRef.current = null;
+      setAnalysisProgress(null);
+    }
+  };
 
-      setAnalysisResults(fallbackResults);
-      if (onVideoAnalysis) {
-        onVideoAnalysis(fallbackResults);
+  const cancelAnalysis = () => {
+    analyzerRef.current?.cancel();
+  };
+
+  // Jump the preview to a timeline marker
+  const seekVideo = (ms) => {
+    if (!videoRef.current) return;
+    videoRef.current.currentTime = ms / 1000;
+  };
+
+  // Save the analyzed video as an exercise record
+  const saveAnalysisRecord = async () => {
+    const report = analysisResults?.timeline;
+    if (!report || saveStatus === 'saving' || saveStatus === 'saved') return;
+    try {
+      const sessionUser = JSON.parse(localStorage.getItem('user') || '{}');
+      if (!sessionUser?.id) {
+        setAnalysisError('Sign in to save the analysis');
+        return;
       }
+      setSaveStatus('saving');
+      await recordExercise(sessionUser.id, {
+        exerciseName: analysisResults.exerciseDetected,
+        repetitions: report.reps.length,
+        sets: 1,
+        durationSec: report.isHold ? report.holdSec : Math.round(report.durationMs / 1000),
+        angleAccuracy: analysisResults.formScore,
+        formScore: report.summary ? report.summary.score : null,
+        repQuality: report.reps.map((rep) => rep.quality).filter(Boolean),
+        datePerformed: new Date().toISOString()
+      });
+      setSaveStatus('saved');
+    } catch (error) {
+      console.error('Error saving video analysis:', error);
+      setSaveStatus('error');
     }
   };
 
@@ -410,9 +578,24 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     return 'text-error';
   };
 
+  const getScoreBgColor = (score) => {
+    if (score === null || score === undefined) return 'bg-primary';
+    if (score >= 80) return 'bg-success';
+    if (score >= 60) return 'bg-warning';
+    return 'bg-error';
+  };
+
+  // Position of a video time on the timeline (percent of the video)
+  const timelinePercent = (ms) => {
+    const durationMs = analysisResults?.timeline?.durationMs;
+    return durationMs ? Math.min(100, Math.max(0, (ms / durationMs) * 100)) : 0;
+  };
+
   const resetUpload = () => {
     // Stop video processing
     stopVideoProcessing();
+    stopSessionRecording();
+    stopClipRecording();
     
     // Clean up pose detection
     if (poseDetectionRef.current) {
@@ -427,8 +610,12 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
     // Reset states
     setUploadedVideo(null);
     setAnalysisResults(null);
+    setAnalysisProgress(null);
+    setAnalysisError(null);
+    setSaveStatus('idle');
     setIsVideoPlaying(false);
     setPushupCount(0);
+    setSideCounts(null);
     setPlankSeconds(0);  // Reset plank/wall sit timer
     setPostureStatus('unknown');
     setPoseResults(null);
@@ -449,6 +636,9 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
           </Button>
         )}
       </div>
+      {recordedClip && (
+        <ClipExportDialog clip={recordedClip} onClose={() => setRecordedClip(null)} />
+      )}
       {!uploadedVideo ? (
         /* Upload Area */
         <div
@@ -498,15 +688,58 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
           <div className="space-y-3">
               <div className="flex items-center justify-between">
                 <h3 className="text-lg font-medium text-card-foreground">Video Preview</h3>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => setShowPoseOverlay(!showPoseOverlay)}
-                  className="text-sm"
-                >
-                  <Icon name={showPoseOverlay ? "Eye" : "EyeOff"} size={16} className="mr-2" />
-                  {showPoseOverlay ? 'Hide' : 'Show'} Pose
-                </Button>
+                <div className="flex items-center space-x-2">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={analyzeVideo}
+                    disabled={!!analysisProgress}
+                    className="text-sm"
+                  >
+                    <Icon name="FastForward" size={16} className="mr-2" />
+                    Analyze Full Video
+                  </Button>
+                  {isClipRecordingSupported() && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={toggleClipRecording}
+                      className={`text-sm ${isRecordingClip ? 'text-error' : ''}`}
+                    >
+                      <Icon name={isRecordingClip ? "Square" : "Clapperboard"} size={16} className="mr-2" />
+                      {isRecordingClip ? 'Stop Clip' : 'Record Clip'}
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={toggleSessionRecording}
+                    className={`text-sm ${isRecordingSession ? 'text-error' : ''}`}
+                  >
+                    <Icon name={isRecordingSession ? "Square" : "Circle"} size={16} className="mr-2" />
+                    {isRecordingSession ? 'Export Session' : 'Record Session'}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowPoseOverlay(!showPoseOverlay)}
+                    className="text-sm"
+                  >
+                    <Icon name={showPoseOverlay ? "Eye" : "EyeOff"} size={16} className="mr-2" />
+                    {showPoseOverlay ? 'Hide' : 'Show'} Pose
+                  </Button>
+                  {showPoseOverlay && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setShowGhost(!showGhost)}
+                      className={`text-sm ${showGhost ? 'text-primary' : ''}`}
+                    >
+                      <Icon name="Ghost" size={16} className="mr-2" />
+                      {showGhost ? 'Hide' : 'Show'} Reference
+                    </Button>
+                  )}
+                </div>
               </div>
               <div ref={containerRef} className="w-full">
                 <div 
@@ -536,8 +769,11 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
                   {isVideoPlaying && (
                      <div className="absolute top-4 left-4 bg-black/70 rounded-lg p-3 text-white">
                       <div className="text-center mb-2">
-                                             <div className="text-2xl font-bold text-green-400">{(poseDetectionRef.current?.exerciseMode === 'plank' || poseDetectionRef.current?.exerciseMode === 'sideplank' || poseDetectionRef.current?.exerciseMode === 'wallsit') ? plankSeconds : pushupCount}</div>
+                                             <div className="text-2xl font-bold text-green-400">{(poseDetectionRef.current?.exerciseMode === 'plank' || poseDetectionRef.current?.exerciseMode === 'sideplank' || poseDetectionRef.current?.exerciseMode === 'reverseplank' || poseDetectionRef.current?.exerciseMode === 'wallsit') ? plankSeconds : pushupCount}</div>
                         <div className="text-xs text-gray-300">{selectedExercise?.name || 'Exercise'}</div>
+                        {sideCounts && (
+                          <div className="text-xs text-gray-300 mt-0.5">L {sideCounts?.left} · R {sideCounts?.right}</div>
+                        )}
                       </div>
                       <div className={`text-xs px-2 py-1 rounded text-center ${
                         postureStatus === 'correct' ? 'bg-green-500/20 text-green-300' :
@@ -551,13 +787,14 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
                     </div>
                   )}
 
-                  {/* Posture Warning - Only for Plank, Side Plank, and Wall Sit */}
-                  {postureStatus === 'incorrect' && isVideoPlaying && (poseDetectionRef.current?.exerciseMode === 'plank' || poseDetectionRef.current?.exerciseMode === 'sideplank' || poseDetectionRef.current?.exerciseMode === 'wallsit') && (
+                  {/* Posture Warning - Only for Plank, Side Plank, Reverse Plank and Wall Sit */}
+                  {postureStatus === 'incorrect' && isVideoPlaying && (poseDetectionRef.current?.exerciseMode === 'plank' || poseDetectionRef.current?.exerciseMode === 'sideplank' || poseDetectionRef.current?.exerciseMode === 'reverseplank' || poseDetectionRef.current?.exerciseMode === 'wallsit') && (
                     <div className="absolute bottom-20 left-1/2 transform -translate-x-1/2 bg-red-600/90 text-white px-6 py-3 rounded-lg text-center animate-pulse">
                       <div className="font-bold text-lg">⚠️ DANGEROUS POSTURE!</div>
                       <div className="text-sm">
                         {poseDetectionRef.current?.exerciseMode === 'plank' ? 'Straighten your back' : 
                          poseDetectionRef.current?.exerciseMode === 'sideplank' ? 'Fix your side plank form' : 
+                         poseDetectionRef.current?.exerciseMode === 'reverseplank' ? 'Push your hips up' :
                          poseDetectionRef.current?.exerciseMode === 'wallsit' ? 'Adjust your wall sit position' :
                          'Fix your posture'}
                       </div>
@@ -583,6 +820,38 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
               </span>
               <span>{formatFileSize(uploadedVideo?.size)}</span>
             </div>
+
+            {/* Full Video Analysis Progress */}
+            {analysisProgress && (
+              <div className="bg-muted rounded-lg p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="text-md font-semibold text-card-foreground">Analyzing Full Video</h4>
+                    <p className="text-sm text-muted-foreground">
+                      {Math.round(analysisProgress.progress * 100)}% · {analysisProgress.reps} reps so far
+                      {analysisProgress.speed > 0 ? ` · ${analysisProgress.speed.toFixed(1)}× real time` : ''}
+                    </p>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={cancelAnalysis}>
+                    <Icon name="X" size={16} className="mr-2" />
+                    Cancel
+                  </Button>
+                </div>
+                <div className="w-full h-2 bg-background rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary transition-all duration-300"
+                    style={{ width: `${Math.round(analysisProgress.progress * 100)}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {analysisError && (
+              <div className="flex items-center space-x-2 text-sm text-error">
+                <Icon name="AlertCircle" size={16} />
+                <span>{analysisError}</span>
+              </div>
+            )}
             
             {/* Live Analysis Summary */}
             {pushupCount > 0 && (
@@ -598,6 +867,7 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
                       const liveResults = {
                         exerciseDetected: exerciseName,
                         totalReps: pushupCount,
+                        ...(sideCounts ? { sideCounts } : {}),
                         formScore: postureStatus === 'correct' ? 85 : postureStatus === 'incorrect' ? 60 : 75,
                         feedback: [
                           { timestamp: "Live", message: `${pushupCount} ${exerciseNameLower} detected`, type: "success" },
@@ -620,7 +890,9 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
                 <div className="grid grid-cols-2 gap-4 text-center">
                   <div>
                     <p className="text-xl font-bold text-success">{pushupCount}</p>
-                    <p className="text-sm text-muted-foreground">Reps Detected</p>
+                    <p className="text-sm text-muted-foreground">
+                      {sideCounts ? `Reps Detected (L ${sideCounts?.left} · R ${sideCounts?.right})` : 'Reps Detected'}
+                    </p>
                   </div>
                   <div>
                     <p className={`text-xl font-bold ${
@@ -667,18 +939,92 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
                     <p className="text-sm text-muted-foreground">Exercise Detected</p>
                   </div>
                   <div>
-                    <p className="text-xl font-bold text-success">{analysisResults?.totalReps}</p>
-                    <p className="text-sm text-muted-foreground">Reps Counted</p>
+                    <p className="text-xl font-bold text-success">
+                      {analysisResults?.timeline?.isHold ? `${analysisResults.timeline.holdSec}s` : analysisResults?.totalReps}
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      {analysisResults?.timeline?.isHold ? 'Held With Good Form' : 'Reps Counted'}
+                    </p>
                   </div>
                 </div>
               </div>
 
+              {/* Rep Timeline - markers and warning segments seek the video */}
+              {analysisResults?.timeline && (
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h4 className="text-md font-semibold text-card-foreground">Rep Timeline</h4>
+                    <span className="text-xs text-muted-foreground">Click a marker to jump there</span>
+                  </div>
+                  <div className="relative h-10 bg-background border border-border rounded-lg overflow-hidden">
+                    {analysisResults.timeline.warnings.map((warning, index) => (
+                      <button
+                        key={`warning-${index}`}
+                        type="button"
+                        onClick={() => seekVideo(warning.startMs)}
+                        title={`${formatVideoTime(warning.startMs)}-${formatVideoTime(warning.endMs)}: ${warning.messages.join(', ') || 'Posture warning'}`}
+                        className="absolute inset-y-0 min-w-[4px] bg-error/20 hover:bg-error/40 transition-colors"
+                        style={{
+                          left: `${timelinePercent(warning.startMs)}%`,
+                          width: `${timelinePercent(warning.endMs - warning.startMs)}%`
+                        }}
+                      />
+                    ))}
+                    {analysisResults.timeline.reps.map((rep) => (
+                      <button
+                        key={`rep-${rep.rep}`}
+                        type="button"
+                        onClick={() => seekVideo(rep.timeMs)}
+                        title={`Rep ${rep.rep} at ${formatVideoTime(rep.timeMs)}${rep.quality ? ` · form ${rep.quality.score}%` : ''}${rep.confidence ? ` · confidence ${rep.confidence.confidence}%` : ''}`}
+                        className={`absolute top-1/2 w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-card hover:scale-125 transition-transform ${getScoreBgColor(rep.quality?.score)}`}
+                        style={{ left: `${timelinePercent(rep.timeMs)}%` }}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex items-center justify-between text-xs text-muted-foreground">
+                    <span>0:00</span>
+                    <span className="flex items-center space-x-3">
+                      <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-success mr-1"></span>Good rep</span>
+                      <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-error mr-1"></span>Poor rep</span>
+                      <span className="flex items-center"><span className="w-3 h-2 bg-error/20 mr-1"></span>Posture warning</span>
+                    </span>
+                    <span>{formatVideoTime(analysisResults.timeline.durationMs)}</span>
+                  </div>
+
+                  {analysisResults.timeline.reps.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {analysisResults.timeline.reps.map((rep) => (
+                        <button
+                          key={`rep-chip-${rep.rep}`}
+                          type="button"
+                          onClick={() => seekVideo(rep.timeMs)}
+                          className="px-2 py-1 rounded-md bg-muted hover:bg-muted/70 text-xs transition-colors"
+                        >
+                          <span className="font-medium text-card-foreground">Rep {rep.rep}</span>
+                          <span className="text-muted-foreground"> · {formatVideoTime(rep.timeMs)}</span>
+                          {rep.quality && (
+                            <span className={`font-semibold ${getScoreColor(rep.quality.score)}`}> · {rep.quality.score}%</span>
+                          )}
+                          {rep.confidence?.level === 'low' && (
+                            <span className="text-error" title={`Counting confidence ${rep.confidence.confidence}% - check this rep`}> · ?</span>
+                          )}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Feedback Timeline */}
               <div className="space-y-3">
                 <h4 className="text-md font-semibold text-card-foreground">Feedback Timeline</h4>
                 <div className="space-y-2 max-h-48 overflow-y-auto">
                   {analysisResults?.feedback?.map((item, index) => (
-                    <div key={index} className="flex items-start space-x-3 p-3 bg-muted rounded-lg">
+                    <div
+                      key={index}
+                      onClick={item?.timeMs !== undefined ? () => seekVideo(item.timeMs) : undefined}
+                      className={`flex items-start space-x-3 p-3 bg-muted rounded-lg ${item?.timeMs !== undefined ? 'cursor-pointer hover:bg-muted/70' : ''}`}
+                    >
                       <div className={`w-2 h-2 rounded-full mt-2 ${
                         item?.type === 'success' ? 'bg-success' :
                         item?.type === 'warning' ? 'bg-warning' : 'bg-primary'
@@ -729,10 +1075,25 @@ const VideoUpload = ({ onVideoAnalysis, isAnalyzing = false, selectedExercise, o
 
               {/* Action Buttons */}
               <div className="flex space-x-3">
-                <Button variant="default" className="flex-1">
-                  <Icon name="Download" size={16} className="mr-2" />
-                  Save Report
-                </Button>
+                {analysisResults?.timeline ? (
+                  <Button
+                    variant="default"
+                    className="flex-1"
+                    onClick={saveAnalysisRecord}
+                    disabled={saveStatus === 'saving' || saveStatus === 'saved'}
+                  >
+                    <Icon name={saveStatus === 'saved' ? 'Check' : saveStatus === 'error' ? 'RotateCcw' : 'Save'} size={16} className="mr-2" />
+                    {saveStatus === 'saving' ? 'Saving...' :
+                     saveStatus === 'saved' ? 'Saved to History' :
+                     saveStatus === 'error' ? 'Retry Save' :
+                     'Save as Exercise'}
+                  </Button>
+                ) : (
+                  <Button variant="default" className="flex-1">
+                    <Icon name="Download" size={16} className="mr-2" />
+                    Save Report
+                  </Button>
+                )}
                 <Button variant="outline" className="flex-1">
                   <Icon name="Share" size={16} className="mr-2" />
                   Share Results
@@ -0,0 +1,102 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { WORKOUT_FORMATS } from '../../../utils/workoutRunner';
+
+const formatClock = (seconds) => {
+  const total = Math.max(0, seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Guided plan progress (see workoutRunner.js): current target or rest countdown, and skip / repeat
+const WorkoutRunnerPanel = ({ runner, canRepeat = false, onSkip, onRepeat }) => {
+  if (!runner || (runner.phase !== 'work' && runner.phase !== 'rest')) return null;
+
+  const format = WORKOUT_FORMATS[runner.format] || WORKOUT_FORMATS.sets;
+  const isRest = runner.phase === 'rest';
+  const { target } = runner;
+  const position = runner.format === 'amrap'
+    ? `Round ${runner.round}`
+    : runner.format === 'sets'
+      ? `Set ${runner.set} of ${runner.totalSets}`
+      : `${runner.format === 'circuit' ? 'Round' : 'Interval'} ${runner.set} of ${runner.totalSets}`;
+
+  const progress = (() => {
+    if (!target) return null;
+    if (target.reps) return { done: runner.reps, goal: target.reps, label: `${runner.reps} / ${target.reps} reps` };
+    const done = runner.holdSec || runner.elapsedSec;
+    return { done, goal: target.seconds, label: `${done}s / ${target.seconds}s` };
+  })();
+
+  return (
+    <div className={`p-3 sm:p-4 rounded-lg border space-y-3 ${isRest ? 'bg-accent/5 border-accent/20' : 'bg-primary/5 border-primary/20'}`}>
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-muted text-muted-foreground" title={format.description}>
+          {format.label}
+        </span>
+        <div className="flex items-center space-x-3 text-xs sm:text-sm text-muted-foreground">
+          <span>{position}</span>
+          {runner.clockRemainingSec !== null && (
+            <span className="flex items-center font-medium text-card-foreground">
+              <Icon name="Timer" size={14} className="mr-1" />
+              {formatClock(runner.clockRemainingSec)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {isRest ? (
+        <div className="text-center">
+          <p className="text-xs text-muted-foreground">Rest</p>
+          <p className="text-3xl sm:text-4xl font-bold text-accent">{formatClock(runner.remainingSec)}</p>
+          {runner.next && (
+            <p className="text-xs sm:text-sm text-muted-foreground mt-1">
+              Next: <span className="text-card-foreground font-medium">{runner.next.item?.name}</span>
+              {runner.format === 'sets' && ` · Set ${runner.next.set}`}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-sm sm:text-base font-semibold text-card-foreground">{runner.item?.name}</p>
+            {runner.remainingSec !== null && (
+              <span className="text-sm font-medium text-primary">{formatClock(runner.remainingSec)}</span>
+            )}
+          </div>
+          {progress ? (
+            <>
+              <div className="flex justify-between text-xs sm:text-sm">
+                <span className="text-muted-foreground">{target.reps ? 'Target' : 'Hold'}</span>
+                <span className="text-card-foreground font-medium">{progress.label}</span>
+              </div>
+              <div className="w-full bg-muted rounded-full h-2">
+                <div
+                  className="bg-primary h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${Math.min(100, (progress.done / Math.max(1, progress.goal)) * 100)}%` }}
+                ></div>
+              </div>
+            </>
+          ) : (
+            <p className="text-xs text-muted-foreground">No target - skip when the set is done</p>
+          )}
+        </div>
+      )}
+
+      <div className={`grid gap-2 ${canRepeat ? 'grid-cols-2' : 'grid-cols-1'}`}>
+        <Button variant="outline" size="sm" onClick={onSkip} className="text-xs sm:text-sm">
+          <Icon name="SkipForward" size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
+          {isRest ? 'Skip Rest' : 'Skip Set'}
+        </Button>
+        {canRepeat && (
+          <Button variant="outline" size="sm" onClick={onRepeat} className="text-xs sm:text-sm">
+            <Icon name="Repeat" size={14} className="mr-1 sm:mr-2 sm:w-4 sm:h-4" />
+            Repeat Set
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkoutRunnerPanel;
@@ -6,6 +6,11 @@ const WorkoutStats = ({
   caloriesBurned = 0,
   heartRate = 0,
   formScore = 0,
+  formBreakdown = null,
+  tempoSummary = null,
+  asymmetrySummary = null,
+  fatigueSummary = null,
+  lastFatigue = null,
   repsCompleted = 0,
   isActive = false
 }) => {
@@ -31,6 +36,36 @@ const WorkoutStats = ({
 
   const heartRateZone = getHeartRateZone(heartRate);
 
+  const getFormLossColor = (loss) => {
+    if (loss < 15) return 'text-success';
+    if (loss < (fatigueSummary?.warnAt ?? 25)) return 'text-warning';
+    return 'text-error';
+  };
+
+  const getBalanceColor = (imbalance) => {
+    if (imbalance <= 5) return 'text-success';
+    if (imbalance <= 12) return 'text-warning';
+    return 'text-error';
+  };
+
+  const formatTilt = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (Math.abs(value) < 1) return 'level';
+    return `${Math.abs(value)?.toFixed(1)}° ${value > 0 ? 'L' : 'R'} low`;
+  };
+
+  const formatPhases = (set) => [set?.eccentricMs, set?.pauseMs, set?.concentricMs]
+    ?.map(ms => ((ms || 0) / 1000)?.toFixed(1))
+    ?.join('-');
+
+  // Per-rep quality components (symmetry is null for one-sided exercises)
+  const formComponents = formBreakdown ? [
+    { label: 'Depth', value: formBreakdown?.depth },
+    { label: 'Back', value: formBreakdown?.back },
+    { label: 'Tempo', value: formBreakdown?.tempo },
+    { label: 'Symmetry', value: formBreakdown?.symmetry }
+  ]?.filter(component => component?.value !== null && component?.value !== undefined) : [];
+
   const stats = [
     {
       icon: 'Clock',
@@ -94,6 +129,125 @@ const WorkoutStats = ({
           </div>
         </div>
       )}
+      {/* Form Score */}
+      {formBreakdown?.reps > 0 && (
+        <div className="bg-muted rounded-lg p-4 mb-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-card-foreground">Form Score</p>
+              <p className="text-xs text-muted-foreground">
+                Average of {formBreakdown?.reps} rep{formBreakdown?.reps === 1 ? '' : 's'}
+                {formBreakdown?.lastRep && ` · last rep ${formBreakdown?.lastRep?.score}`}
+              </p>
+            </div>
+            <p className={`text-3xl font-bold ${getFormScoreColor(formScore)}`}>{formScore}</p>
+          </div>
+          {formComponents?.map((component) => (
+            <div key={component?.label} className="space-y-1">
+              <div className="flex justify-between text-xs">
+                <span className="text-muted-foreground">{component?.label}</span>
+                <span className={getFormScoreColor(component?.value)}>{component?.value}</span>
+              </div>
+              <div className="h-1.5 bg-background rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${getFormScoreColor(component?.value)?.replace('text-', 'bg-')}`}
+                  style={{ width: `${component?.value}%` }}
+                ></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {/* Form Loss (fatigue within the set) */}
+      {fatigueSummary?.sets?.length > 0 && (
+        <div className="bg-muted rounded-lg p-4 mb-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-card-foreground">Form Loss</p>
+              <p className={`text-xs ${lastFatigue?.fatigued ? 'text-error' : 'text-muted-foreground'}`}>
+                {lastFatigue?.fatigued
+                  ? 'Form breaking down - consider stopping'
+                  : lastFatigue?.formLoss === null || lastFatigue?.formLoss === undefined
+                    ? 'Measuring your first reps'
+                    : `Compared with the start of set ${lastFatigue?.set}`}
+              </p>
+            </div>
+            <p className={`text-3xl font-bold ${getFormLossColor(lastFatigue?.formLoss ?? 0)}`}>
+              {lastFatigue?.formLoss ?? 0}
+              <span className="text-sm font-normal ml-1">%</span>
+            </p>
+          </div>
+          {fatigueSummary?.sets?.map((set) => (
+            <div key={set?.set} className="flex justify-between text-xs">
+              <span className="text-muted-foreground">
+                Set {set?.set} · {set?.reps} reps{set?.breakdownRep ? ` · breakdown at rep ${set?.breakdownRep}` : ''}
+              </span>
+              <span className={getFormLossColor(set?.maxFormLoss)}>peak {set?.maxFormLoss}%</span>
+            </div>
+          ))}
+          {fatigueSummary?.stopAt && (
+            <p className="text-xs text-muted-foreground">Sets stop automatically at {fatigueSummary?.stopAt}% form loss</p>
+          )}
+        </div>
+      )}
+      {/* Time Under Tension */}
+      {tempoSummary?.sets?.length > 0 && (
+        <div className="bg-muted rounded-lg p-4 mb-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-card-foreground">Time Under Tension</p>
+              <p className="text-xs text-muted-foreground">
+                {tempoSummary?.prescribed ? `Target tempo ${tempoSummary?.prescribed?.label}` : 'Lowering-pause-lifting (s)'}
+              </p>
+            </div>
+            <p className="text-3xl font-bold text-primary">
+              {Math.round(tempoSummary?.tutMs / 1000)}
+              <span className="text-sm font-normal ml-1">s</span>
+            </p>
+          </div>
+          {tempoSummary?.sets?.map((set) => (
+            <div key={set?.set} className="flex justify-between text-xs">
+              <span className="text-muted-foreground">Set {set?.set} · {set?.reps} reps · avg {formatPhases(set)}s</span>
+              <span className="text-card-foreground font-medium">{Math.round(set?.tutMs / 1000)}s</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {/* Left/Right Balance */}
+      {asymmetrySummary?.reps > 0 && (
+        <div className="bg-muted rounded-lg p-4 mb-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-card-foreground">Left/Right Balance</p>
+              <p className="text-xs text-muted-foreground">
+                {asymmetrySummary?.side
+                  ? `${asymmetrySummary?.side === 'left' ? 'Left' : 'Right'} side ${asymmetrySummary?.unilateral ? 'deeper' : 'lower'}`
+                  : 'Even'}
+              </p>
+            </div>
+            <p className={`text-3xl font-bold ${getBalanceColor(asymmetrySummary?.imbalance)}`}>
+              {asymmetrySummary?.imbalance}
+              <span className="text-sm font-normal ml-1">°</span>
+            </p>
+          </div>
+          {asymmetrySummary?.unilateral && (
+            <div className="flex justify-between text-xs">
+              <span className="text-muted-foreground">Left / right depth</span>
+              <span className="text-card-foreground">
+                {asymmetrySummary?.leftDepth ?? '—'}° / {asymmetrySummary?.rightDepth ?? '—'}°
+              </span>
+            </div>
+          )}
+          <div className="flex justify-between text-xs">
+            <span className="text-muted-foreground">Hips</span>
+            <span className="text-card-foreground">{formatTilt(asymmetrySummary?.hipTilt)}</span>
+          </div>
+          <div className="flex justify-between text-xs">
+            <span className="text-muted-foreground">Shoulders</span>
+            <span className="text-card-foreground">{formatTilt(asymmetrySummary?.shoulderTilt)}</span>
+          </div>
+        </div>
+      )}
       {/* Heart Rate Chart Placeholder */}
       {heartRate > 0 && (
         <div className="space-y-3">
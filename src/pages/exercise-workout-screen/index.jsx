@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import Icon from '../../components/AppIcon';
 import Button from '../../components/ui/Button';
@@ -6,14 +6,24 @@ import CameraFeed from './components/CameraFeed';
 import ExerciseControls from './components/ExerciseControls';
 import VideoUpload from './components/VideoUpload';
 import WorkoutStats from './components/WorkoutStats';
+import RepLog from './components/RepLog';
 
 // Import database modules normally - let React handle errors
 import { db, recordWorkoutSession, updateAggregateStats } from '../../utils/db';
 import { evaluateAchievements } from '../../utils/achievements';
-import { recordCompletedWorkout } from '../../utils/workoutStorage';
+import { recordCompletedWorkout, recordAsymmetrySession } from '../../utils/workoutStorage';
 import { recordExercise, recordExercises } from '../../utils/api/exerciseApi';
 import { updateSupabaseUserStats, getSupabaseUserStats } from '../../utils/icpSupabaseAuth';
 import { updateAchievements } from '../../utils/api/achievementsApi';
+import { defaultRomProfile, loadRomProfile, saveRomProfile, recordRomDepths } from '../../utils/romProfile';
+import VoiceCoach, { DEFAULT_VOICE_SETTINGS, loadVoiceSettings, saveVoiceSettings } from '../../utils/voiceCoach';
+import WorkoutRunner from '../../utils/workoutRunner';
+import { findExerciseDefinition, countsReps } from '../../utils/exercises';
+import { summarizeAsymmetry } from '../../utils/asymmetry';
+import { createRepLog, logDetectedRep, correctRepLog, repLogCounts, downloadRepCorrections } from '../../utils/repConfidence';
+
+// Exercises whose reps come from the detector's counter (everything else counts reps by hand)
+const isAiCounted = (name) => countsReps(findExerciseDefinition(name));
 
 const ExerciseWorkoutScreen = () => {
   const navigate = useNavigate();
@@ -55,6 +65,34 @@ const ExerciseWorkoutScreen = () => {
   const [caloriesBurned, setCaloriesBurned] = useState(0);
   const [heartRate, setHeartRate] = useState(0);
   const [formScore, setFormScore] = useState(0);
+  // Per-rep quality records from pose detection and their running summary
+  const [repQualityRecords, setRepQualityRecords] = useState([]);
+  const [formBreakdown, setFormBreakdown] = useState(null);
+  // Tempo phases and time under tension per set
+  const [tempoSummary, setTempoSummary] = useState(null);
+  // Left/right balance summary for the session, and the rep records behind it
+  const [asymmetrySummary, setAsymmetrySummary] = useState(null);
+  const [asymmetryRecords, setAsymmetryRecords] = useState([]);
+  // Rep quality and balance of the exercises a guided or free workout has moved on from (saved per exercise)
+  const exerciseAnalyticsRef = useRef([]);
+  // Form loss against the start of each set (see fatigue.js)
+  const [fatigueSummary, setFatigueSummary] = useState(null);
+  const [lastFatigue, setLastFatigue] = useState(null);
+  // Free workout: the camera recognizes the exercise and switches to it (circuits without taps)
+  const [freeWorkout, setFreeWorkout] = useState(false);
+  const exerciseRecognizedRef = useRef(null);
+  // Body calibration for the current user and camera (loaded and saved by CameraFeed)
+  const [calibration, setCalibration] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [calibrationRequest, setCalibrationRequest] = useState(0);
+  // Personal range of motion, learned from the bottom angle of recorded reps (see romProfile.js)
+  const [romProfile, setRomProfile] = useState(() => defaultRomProfile());
+  const romLearnedRepsRef = useRef(0);
+  // Spoken cues (rep counts, sets, holds, form warnings); settings are a user preference
+  const [voiceSettings, setVoiceSettings] = useState(() => ({ ...DEFAULT_VOICE_SETTINGS }));
+  const voiceCoachRef = useRef(null);
+  // Framing check status from CameraFeed (null while the camera is off)
+  const [framing, setFraming] = useState(null);
   const [repsCompleted, setRepsCompleted] = useState(0);
   const [selectedExercise, setSelectedExercise] = useState(null);
   const [showPoseOverlay, setShowPoseOverlay] = useState(true);
@@ -62,7 +100,31 @@ const ExerciseWorkoutScreen = () => {
   const [todayPlan, setTodayPlan] = useState(null);
   const [showCelebration, setShowCelebration] = useState(false);
   const [aiPushupCount, setAiPushupCount] = useState(0);
+  // Left/right leads for alternating exercises (lunges); aiPushupCount is their total
+  const [sideCounts, setSideCounts] = useState(null);
   const [postureStatus, setPostureStatus] = useState('unknown');
+  // Guided plan: sets, rest countdowns and interval formats stepped by workoutRunner.js
+  const runnerRef = useRef(null);
+  const runnerEventsRef = useRef(null);
+  const [runnerState, setRunnerState] = useState(null);
+  const [runnerSetStarts, setRunnerSetStarts] = useState(0);
+  const [counterResetRequest, setCounterResetRequest] = useState(0);
+  // Counted reps with their confidence and the user's corrections (see repConfidence.js). Corrections
+  // to the set the counter is on move the live count; a finished set's corrected count replaces its
+  // reps in the runner results and the session items
+  const [repLog, setRepLog] = useState(() => createRepLog());
+  const [repConfidenceSummary, setRepConfidenceSummary] = useState(null);
+  const [repCountOffset, setRepCountOffset] = useState(0);
+  const repLogRef = useRef(repLog);
+  const repSetRef = useRef(1);
+  const repCountOffsetRef = useRef(0);
+  const rawRepCountRef = useRef(0);
+  // Per rep-log set: detected count, and the runner result it was banked as ({ index, resultSet })
+  const repSetDetectedRef = useRef({});
+  const repSetResultsRef = useRef({});
+  // The finished workout is saved once its summary is closed (corrections can still come in)
+  const sessionPendingRef = useRef(false);
+  const persistSessionRef = useRef(null);
   const PLAN_KEY = 'fitcoach_today_plan';
 
   // Mock exercises data
@@ -101,13 +163,72 @@ const ExerciseWorkoutScreen = () => {
           const variation = Math.sin(Date.now() / 10000) * 20;
           return Math.round(baseRate + variation + Math.random() * 10);
         });
-        setFormScore(prev => Math.min(100, prev + Math.random() * 2));
       }, 1000);
     }
 
     return () => clearInterval(interval);
   }, [isWorkoutActive, isPaused, postureStatus, selectedExercise?.name]);
 
+  // Voice coach lifecycle: one coach per screen, silenced on unmount
+  useEffect(() => {
+    voiceCoachRef.current = new VoiceCoach(voiceSettings);
+    return () => {
+      voiceCoachRef.current?.stop();
+      voiceCoachRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    voiceCoachRef.current?.setSettings(voiceSettings);
+  }, [voiceSettings]);
+
+  // Saved ROM profile and voice settings of the signed-in user (IndexedDB, see userPreferences.js)
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadRomProfile(), loadVoiceSettings()]).then(([savedRomProfile, savedVoiceSettings]) => {
+      if (cancelled) return;
+      setRomProfile(savedRomProfile);
+      setVoiceSettings(savedVoiceSettings);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // The coach only speaks while the workout runs
+  useEffect(() => {
+    voiceCoachRef.current?.setActive(isWorkoutActive && !isPaused);
+  }, [isWorkoutActive, isPaused]);
+
+  // Announce each set as it starts (guided plans: every set the runner starts)
+  useEffect(() => {
+    if (isWorkoutActive) voiceCoachRef.current?.setStarted(currentSet, runnerRef.current?.isRunning ? runnerState?.totalSets : null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentSet, isWorkoutActive, runnerSetStarts]);
+
+  // Runner clock: rest countdowns, timed intervals and the EMOM / AMRAP time cap
+  useEffect(() => {
+    if (!isWorkoutActive || isPaused || !runnerRef.current?.isRunning) return;
+    const interval = setInterval(() => {
+      const runner = runnerRef.current;
+      if (!runner) return;
+      const events = runner.tick();
+      if (events.length) {
+        dispatchRunnerEvents(events);
+        return;
+      }
+      // Re-render only when a shown number changes
+      const next = runner.getState();
+      setRunnerState((prev) => (
+        prev && prev.remainingSec === next.remainingSec && prev.clockRemainingSec === next.clockRemainingSec &&
+        prev.elapsedSec === next.elapsedSec && prev.reps === next.reps && prev.holdSec === next.holdSec ? prev : next
+      ));
+    }, 250);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isWorkoutActive, isPaused, runnerState?.phase]);
+
   // If resuming with a stored plan, select first incomplete
   useEffect(() => {
     if (todayPlan && !selectedExercise) {
@@ -116,6 +237,10 @@ const ExerciseWorkoutScreen = () => {
     }
   }, [todayPlan, selectedExercise]);
 
+  // Start stays locked on the live camera until framing has been stable (see framingCheck.js)
+  const framingRequired = activeTab === 'live' && window.MediaPipeConfig?.FRAMING_CONFIG?.ENABLED !== false;
+  const framingPending = framingRequired && !isWorkoutActive && !(framing && (!framing.enabled || framing.ready));
+
   // Define currentExercise early to avoid initialization errors
   const currentExercise = selectedExercise || (todayPlan?.items?.find(e => !e.completed) || todayPlan?.items?.[0]) || exercises?.[0];
   
@@ -134,9 +259,8 @@ const ExerciseWorkoutScreen = () => {
 
   useEffect(() => {
     if (isWorkoutActive && !isPaused) {
-      const name = (currentExercise?.name || '').toLowerCase();
-      if (name.includes('push') || name.includes('squat') || name.includes('lunge') || name.includes('burpee') || name.includes('jumping')) {
-        // For Push-Ups, Squats, Lunges, Burpees: use AI detection count provided by CameraFeed
+      if (isAiCounted(currentExercise?.name)) {
+        // Every exercise with a rep counter in the registry: use AI detection count provided by CameraFeed
         setCurrentRep(aiPushupCount);
         setRepsCompleted(aiPushupCount);
       } else {
@@ -159,6 +283,8 @@ const ExerciseWorkoutScreen = () => {
     if (!isCameraActive && activeTab === 'live') {
       setIsCameraActive(true);
     }
+    // A new set waits until the camera sees the whole exercise
+    if (framingPending) return;
     setIsWorkoutActive(true);
     setIsPaused(false);
     if (workoutTime === 0) {
@@ -166,36 +292,42 @@ const ExerciseWorkoutScreen = () => {
       setCurrentSet(1);
       setCurrentRep(0);
       setCaloriesBurned(0);
-      setFormScore(0);
+      resetRepAnalytics();
+      exerciseAnalyticsRef.current = [];
       setRepsCompleted(0);
     }
+    // A plan runs guided: the runner picks each set, rests and moves on when a target is reached
+    if (runnerRef.current?.isPaused) {
+      dispatchRunnerEvents(runnerRef.current.resume());
+    } else if (todayPlan?.items?.length && !runnerRef.current?.isRunning) {
+      startRunner();
+    }
   };
 
   const handleWorkoutPause = () => {
     setIsPaused(true);
+    runnerRef.current?.pause();
+    if (runnerRef.current) setRunnerState(runnerRef.current.getState());
   };
 
   const handleWorkoutStop = () => {
     setIsWorkoutActive(false);
     setIsPaused(false);
     setIsCameraActive(false);
+    if (runnerRef.current?.isRunning) {
+      const runner = runnerRef.current;
+      const inSet = runner.phase === 'work';
+      runner.stop();
+      // stop() banks the set in progress without events
+      if (inSet) bankRepSet(runner.index, runner.results[runner.index].setReps.length - 1);
+      setRunnerState(null);
+    }
     // Keep stats for review
     // If today's plan exists and all items completed, award achievement flag in localStorage
     if (todayPlan?.items && selectedExercise) {
       // Mark current exercise as completed on manual stop
       const idx = todayPlan.items.findIndex(e => normalizeName(e.name) === normalizeName(selectedExercise.name));
-      if (idx >= 0) {
-        const updatedItems = todayPlan.items.map((e, i) => i === idx ? { ...e, completed: true } : e);
-        const updated = { ...todayPlan, items: updatedItems };
-        setTodayPlan(updated);
-        try {
-          const stored = JSON.parse(localStorage.getItem(PLAN_KEY) || '{}');
-          if (stored?.exercises) {
-            stored.exercises = stored.exercises.map((e) => normalizeName(e.name) === normalizeName(selectedExercise.name) ? { ...e, completed: true } : e);
-            localStorage.setItem(PLAN_KEY, JSON.stringify(stored));
-          }
-        } catch {}
-      }
+      if (idx >= 0) markPlanItemCompleted(selectedExercise.name);
     }
   };
 
@@ -255,35 +387,298 @@ const ExerciseWorkoutScreen = () => {
   const handleFormFeedback = (feedback) => {
     // Handle real-time form feedback
     console.log('Form feedback:', feedback);
-    
-    // Update form score based on feedback
-    if (feedback.type === 'success') {
-      setFormScore(prev => Math.min(100, prev + 2));
-    } else if (feedback.type === 'warning') {
-      setFormScore(prev => Math.max(0, prev - 1));
+    voiceCoachRef.current?.formFeedback(feedback);
+  };
+
+  const handleVoiceSettingsChange = (changes) => {
+    const next = { ...voiceSettings, ...changes };
+    setVoiceSettings(next);
+    saveVoiceSettings(next);
+  };
+
+  // Form score comes from per-rep quality records (depth, back, tempo, symmetry)
+  const handleRepQuality = (record, summary) => {
+    setRepQualityRecords(prev => [...prev, record]);
+    setFormBreakdown({ ...summary, lastRep: record });
+    setFormScore(summary.score);
+  };
+
+  const handleRepTempo = (tempoRep, summary) => {
+    setTempoSummary(summary);
+  };
+
+  const handleAsymmetry = (rep, summary) => {
+    setAsymmetryRecords(prev => [...prev, rep]);
+    setAsymmetrySummary(summary);
+  };
+
+  // A plan's form-loss limit ends the set: the runner moves on to the rest, otherwise pause and
+  // resuming starts the next set
+  const handleFatigue = (fatigue, summary) => {
+    setLastFatigue(fatigue);
+    setFatigueSummary(summary);
+    if (!fatigue.stop) return;
+    if (!runnerRef.current?.isRunning) setIsPaused(true);
+    else if (runnerRef.current.phase === 'work') dispatchRunnerEvents(runnerRef.current.skip());
+  };
+
+  // Add the reps recorded since the last call to the exercise's range-of-motion history
+  const learnRangeOfMotion = () => {
+    const depths = repQualityRecords.slice(romLearnedRepsRef.current).map((record) => record.depth?.angle);
+    romLearnedRepsRef.current = repQualityRecords.length;
+    if (!depths.length || !currentExercise?.name) return;
+    const next = recordRomDepths(romProfile, normalizeName(currentExercise.name), depths);
+    setRomProfile(next);
+    saveRomProfile(next);
+  };
+
+  const handleRomModeChange = (mode) => {
+    const next = { ...romProfile, mode };
+    setRomProfile(next);
+    saveRomProfile(next);
+  };
+
+  // Keep the rep records of the exercise that is ending, before resetRepAnalytics clears them
+  const bankExerciseAnalytics = () => {
+    if (!currentExercise?.name || (!repQualityRecords.length && !asymmetryRecords.length)) return;
+    exerciseAnalyticsRef.current.push({
+      name: currentExercise.name,
+      repQuality: repQualityRecords,
+      asymmetryRecords,
+      unilateral: !!asymmetrySummary?.unilateral
+    });
+  };
+
+  // Rep quality, form score and balance per exercise: banked exercises plus the current one
+  const collectExerciseAnalytics = () => {
+    const byName = {};
+    const current = currentExercise?.name
+      ? [{ name: currentExercise.name, repQuality: repQualityRecords, asymmetryRecords, unilateral: !!asymmetrySummary?.unilateral }]
+      : [];
+    [...exerciseAnalyticsRef.current, ...current].forEach((part) => {
+      const key = normalizeName(part.name);
+      const entry = byName[key] || (byName[key] = { name: part.name, repQuality: [], asymmetryRecords: [], unilateral: false });
+      entry.repQuality.push(...part.repQuality);
+      entry.asymmetryRecords.push(...part.asymmetryRecords);
+      entry.unilateral = entry.unilateral || part.unilateral;
+    });
+    Object.values(byName).forEach((entry) => {
+      const scores = entry.repQuality.map((record) => record.score).filter((score) => Number.isFinite(score));
+      entry.formScore = scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+      entry.asymmetry = entry.asymmetryRecords.length ? summarizeAsymmetry(entry.asymmetryRecords, entry.unilateral) : null;
+    });
+    return byName;
+  };
+
+  const resetRepAnalytics = () => {
+    bankExerciseAnalytics();
+    learnRangeOfMotion();
+    romLearnedRepsRef.current = 0;
+    setFormScore(0);
+    setRepQualityRecords([]);
+    setFormBreakdown(null);
+    setTempoSummary(null);
+    setAsymmetrySummary(null);
+    setAsymmetryRecords([]);
+    setFatigueSummary(null);
+    setLastFatigue(null);
+    setSideCounts(null);
+    setRepConfidenceSummary(null);
+    repSetRef.current = 0;
+    repSetDetectedRef.current = {};
+    repSetResultsRef.current = {};
+    startRepLogSet(createRepLog());
+  };
+
+  // The counter starts from zero: later reps and corrections belong to a new set in the rep log
+  const startRepLogSet = (log = repLogRef.current) => {
+    repSetRef.current += 1;
+    rawRepCountRef.current = 0;
+    applyRepLog(log);
+  };
+
+  const applyRepLog = (log) => {
+    const counts = repLogCounts(log, (entry) => entry.set === repSetRef.current);
+    repLogRef.current = log;
+    repCountOffsetRef.current = counts.added - counts.removed;
+    setRepLog(log);
+    setRepCountOffset(repCountOffsetRef.current);
+  };
+
+  const handleRepConfidence = (record, summary) => {
+    setRepConfidenceSummary(summary);
+    applyRepLog(logDetectedRep(repLogRef.current, record, {
+      set: repSetRef.current,
+      mode: summary.mode,
+      thresholds: summary.thresholds
+    }));
+  };
+
+  // Reps of a rep-log set after corrections: its detected count plus the reps added, minus the ones removed
+  const correctedSetReps = (log, set) => {
+    const counts = repLogCounts(log, (entry) => entry.set === set);
+    return Math.max(0, (repSetDetectedRef.current[set] || 0) + counts.added - counts.removed);
+  };
+
+  // The rep-log set the counter is on was banked by the runner as results[index].setReps[resultSet]
+  const bankRepSet = (index, resultSet) => {
+    repSetResultsRef.current[repSetRef.current] = { index, resultSet };
+  };
+
+  const handleRepCorrection = (correction) => {
+    const set = correction.type === 'add'
+      ? correction.set ?? repSetRef.current
+      : repLogRef.current.entries.find((entry) => entry.id === correction.id)?.set;
+    const log = correctRepLog(repLogRef.current, { set: repSetRef.current, ...correction });
+    applyRepLog(log);
+    if (set === undefined) return;
+    const reps = correctedSetReps(log, set);
+    const banked = repSetResultsRef.current[set];
+    if (banked) {
+      runnerRef.current?.correctSetReps(banked.index, banked.resultSet, reps);
+    }
+    if (set === repSetRef.current) {
+      setAiPushupCount(reps);
+      setCurrentRep(reps);
+      setRepsCompleted(reps);
+      if (!banked) dispatchRunnerEvents(runnerRef.current?.reportReps(reps, Date.now(), sideCounts) || []);
+    }
+    if (currentExercise?.name && isAiCounted(currentExercise.name)) {
+      updateSessionReps(currentExercise.name, set === repSetRef.current ? reps : aiPushupCount, sideCounts);
     }
   };
 
-  const handlePushupCount = (count) => {
-    setAiPushupCount(count);
-    console.log('AI Push-up count:', count);
+  // Repeating during the rest replaces the set just finished, so corrections to it no longer count
+  const handleRepeatSet = () => {
+    if (runnerRef.current?.phase === 'rest') delete repSetResultsRef.current[repSetRef.current];
+    dispatchRunnerEvents(runnerRef.current?.repeat() || []);
+  };
+
+  const handleRepLogExport = () => {
+    const lastDetected = [...repLog.entries].reverse().find((entry) => entry.source === 'detected');
+    downloadRepCorrections(repLog, {
+      mode: lastDetected?.mode || null,
+      exercise: currentExercise?.name || null,
+      thresholds: lastDetected?.thresholds || null
+    });
+  };
+
+  // Detected count plus the corrections to the current set
+  const handlePushupCount = (count, sides) => {
+    rawRepCountRef.current = count;
+    repSetDetectedRef.current[repSetRef.current] = count;
+    const corrected = Math.max(0, count + repCountOffsetRef.current);
+    setAiPushupCount(corrected);
+    if (sides) setSideCounts(sides);
+    voiceCoachRef.current?.repCount(corrected);
+    dispatchRunnerEvents(runnerRef.current?.reportReps(corrected, Date.now(), sides) || []);
+    console.log('AI Push-up count:', corrected, sides || '');
   };
 
   const handlePlankTimeUpdate = (seconds) => {
     // Replace workoutTime with the accumulated correct-seconds reported by pose detection
     setWorkoutTime(seconds);
+    voiceCoachRef.current?.holdTime(seconds);
+    dispatchRunnerEvents(runnerRef.current?.reportHold(seconds) || []);
+  };
+
+  const isHoldExercise = (item) => {
+    const name = String(item?.name || '').toLowerCase();
+    return name.includes('plank') || name.includes('wall sit');
+  };
+
+  // Mark a plan item completed here and in the stored plan
+  const markPlanItemCompleted = (name) => {
+    setTodayPlan((plan) => plan && {
+      ...plan,
+      items: plan.items.map((e) => normalizeName(e.name) === normalizeName(name) ? { ...e, completed: true } : e)
+    });
+    try {
+      const stored = JSON.parse(localStorage.getItem(PLAN_KEY) || '{}');
+      if (stored?.exercises) {
+        stored.exercises = stored.exercises.map((e) => normalizeName(e.name) === normalizeName(name) ? { ...e, completed: true } : e);
+        localStorage.setItem(PLAN_KEY, JSON.stringify(stored));
+      }
+    } catch {}
+  };
+
+  // Run today's plan from its first incomplete exercise
+  const startRunner = () => {
+    const pending = todayPlan.items.filter((e) => !e.completed);
+    const runner = new WorkoutRunner(
+      { items: pending.length ? pending : todayPlan.items, format: todayPlan.format },
+      { isHold: isHoldExercise }
+    );
+    runnerRef.current = runner;
+    console.log(`🏃 Guided workout: ${runner.items.length} exercises, ${runner.format.type} format`);
+    dispatchRunnerEvents(runner.start());
+  };
+
+  // The camera and the coach follow the runner: a new exercise switches CameraFeed's exercise mode
+  // (which resets its counter), a new set of the same exercise requests a counter reset
+  const handleRunnerEvents = (events) => {
+    const runner = runnerRef.current;
+    if (!runner) return;
+    events.forEach((event) => {
+      switch (event.type) {
+        case 'work':
+          if (event.exerciseChanged) {
+            resetRepAnalytics();
+            setWorkoutTime(0);
+            setSelectedExercise(event.item);
+          } else {
+            setCounterResetRequest((n) => n + 1);
+            startRepLogSet();
+          }
+          setAiPushupCount(0);
+          setSideCounts(null);
+          setCurrentSet(event.set);
+          setCurrentRep(0);
+          setRunnerSetStarts((n) => n + 1);
+          break;
+        case 'setComplete':
+          bankRepSet(event.index, event.resultSet);
+          break;
+        case 'restTick':
+          voiceCoachRef.current?.restCountdown(event.secondsLeft);
+          break;
+        case 'exerciseComplete':
+          markPlanItemCompleted(event.item.name);
+          break;
+        case 'done':
+          // Finished sets per exercise; saved by persistSessionAndStats when the workout stops
+          setSessionItems(event.results.filter((result) => result.sets > 0).map((result) => ({
+            name: result.name,
+            reps: result.reps,
+            sets: result.sets,
+            setReps: result.setReps,
+            durationSec: result.holdSec || null,
+            completed: true
+          })));
+          if (runner.format.type !== 'sets') {
+            runner.items.forEach((item) => markPlanItemCompleted(item.name));
+          }
+          setIsWorkoutActive(false);
+          setIsPaused(false);
+          console.log('🏁 Guided workout complete:', event.results);
+          break;
+        default:
+          break;
+      }
+    });
+    if (runner.isRunning && !runner.isPaused) setIsPaused(false);
+    setRunnerState(runner.isRunning ? runner.getState() : null);
+  };
+  runnerEventsRef.current = handleRunnerEvents;
+
+  // Pose callbacks and timers hold on to old renders; events always go to the latest handler
+  const dispatchRunnerEvents = (events) => {
+    if (events.length) runnerEventsRef.current?.(events);
   };
 
   const handlePostureChange = (status, landmarks) => {
     setPostureStatus(status);
     console.log('Posture status:', status);
-    
-    // Update form score based on posture
-    if (status === 'correct') {
-      setFormScore(prev => Math.min(100, prev + 1));
-    } else if (status === 'incorrect') {
-      setFormScore(prev => Math.max(0, prev - 2));
-    }
   };
 
   const handleVideoAnalysis = (results) => {
@@ -296,9 +691,31 @@ const ExerciseWorkoutScreen = () => {
     setWorkoutTime(0);
     setCurrentSet(1);
     setCurrentRep(0);
+    resetRepAnalytics();
     setSelectedExercise(exercise);
   };
 
+  const handleCalibrationChange = (profile, calibrating) => {
+    setCalibration(profile);
+    setIsCalibrating(calibrating);
+  };
+
+  // The camera recognized another exercise; in free workouts it has already switched its counter
+  const handleExerciseRecognized = (recognized) => {
+    if (!recognized?.switched) return;
+    const exercise = exercises.find((e) => normalizeName(e.name) === normalizeName(recognized.name)) ||
+      { id: recognized.mode, name: recognized.name, category: 'Free Workout', difficulty: 'Intermediate', duration: '-' };
+    setAiPushupCount(0);
+    handleExerciseChange(exercise);
+  };
+  exerciseRecognizedRef.current = handleExerciseRecognized;
+
+  // CameraFeed hands its callbacks to the detector once, so recognitions go through the ref to the
+  // latest render (the switch learns the range of motion from the current rep records)
+  const dispatchExerciseRecognized = (recognized) => {
+    exerciseRecognizedRef.current?.(recognized);
+  };
+
   const sortedExercises = [...exercises].sort((a, b) => {
     const order = { 'Beginner': 0, 'Intermediate': 1, 'Advanced': 2 };
     return (order[a.difficulty] ?? 3) - (order[b.difficulty] ?? 3);
@@ -308,6 +725,11 @@ const ExerciseWorkoutScreen = () => {
 
   const handleNextExercise = () => {
     if (!todayPlan || !todayPlan.items?.length) return;
+    // Guided plans leave the exercise through the runner, which starts the next one
+    if (runnerRef.current?.isRunning) {
+      dispatchRunnerEvents(runnerRef.current.skipExercise());
+      return;
+    }
     
     // Find current exercise index
     const currentIdx = todayPlan.items.findIndex((e) => 
@@ -324,7 +746,7 @@ const ExerciseWorkoutScreen = () => {
       setCurrentRep(0);
       setRepsCompleted(0);
       setCaloriesBurned(0);
-      setFormScore(0);
+      resetRepAnalytics();
       setSelectedExercise(nextExercise);
       
       // Stop current workout if active
@@ -356,7 +778,7 @@ const ExerciseWorkoutScreen = () => {
     const plan = location?.state?.todayPlan;
     if (plan) {
       const items = plan.exercises || [];
-      setTodayPlan({ name: plan.name, items });
+      setTodayPlan({ name: plan.name, format: plan.format || null, items });
       const firstIncomplete = items.find(e => !e.completed);
       const initial = passed || firstIncomplete || items[0];
       if (initial) setSelectedExercise(initial);
@@ -370,7 +792,7 @@ const ExerciseWorkoutScreen = () => {
           const stored = JSON.parse(raw);
           if (stored?.exercises?.length) {
             const items = stored.exercises;
-            setTodayPlan({ name: stored.name, items });
+            setTodayPlan({ name: stored.name, format: stored.format || null, items });
             const firstIncomplete = items.find(e => !e.completed);
             setSelectedExercise(firstIncomplete || items[0]);
           }
@@ -398,26 +820,49 @@ const ExerciseWorkoutScreen = () => {
     return () => { mounted = false; };
   }, [sessionItems]);
 
+  // Guided plans: sets the runner has finished for an exercise (corrected counts included)
+  const bankedResults = (name) => (runnerRef.current?.results || [])
+    .filter((result) => normalizeName(result.name) === normalizeName(name))
+    .reduce((sum, result) => ({
+      reps: sum.reps + result.reps,
+      holdSec: sum.holdSec + result.holdSec,
+      sets: sum.sets + result.sets,
+      setReps: [...sum.setReps, ...result.setReps]
+    }), { reps: 0, holdSec: 0, sets: 0, setReps: [] });
+
+  // Session item of a rep-counted exercise: banked sets plus the set in progress (none while resting or
+  // after the runner stopped)
+  const updateSessionReps = (name, liveReps, sides, changes = {}) => {
+    const banked = bankedResults(name);
+    const inSet = !runnerRef.current || runnerRef.current.phase === 'work';
+    const reps = banked.reps + (inSet ? liveReps : 0);
+    const sets = Math.max(1, banked.sets);
+    const setReps = inSet ? [...banked.setReps, liveReps] : banked.setReps;
+    const sideFields = sides ? { sideCounts: sides } : {};
+    setSessionItems(prev => {
+      const copy = [...prev];
+      const idx = copy.findIndex(s => normalizeName(s.name) === normalizeName(name));
+      if (idx >= 0) {
+        copy[idx] = { ...copy[idx], reps, sets, setReps, ...sideFields, ...changes };
+      } else {
+        copy.push({ name, reps, ...sideFields, sets, setReps, completed: false, ...changes });
+      }
+      return copy;
+    });
+  };
+
   // Update sessionItems as reps/time update
   useEffect(() => {
     if (!currentExercise) return;
     const name = currentExercise?.name || '';
     const isTimeBasedExercise = String(name).toLowerCase().includes('plank') || String(name).toLowerCase().includes('wall sit');
+    const banked = bankedResults(name);
+    const inSet = !runnerRef.current || runnerRef.current.phase === 'work';
 
     // For rep-based exercises we map aiPushupCount -> reps
-    if (isWorkoutActive && !isPaused && (name.toLowerCase().includes('push') || name.toLowerCase().includes('squat') || name.toLowerCase().includes('lunge') || name.toLowerCase().includes('burpee') || name.toLowerCase().includes('mountain') || name.toLowerCase().includes('jumping')) ) {
+    if (isWorkoutActive && !isPaused && isAiCounted(name)) {
       // Update or create session item for this exercise
-      setSessionItems(prev => {
-        const copy = [...prev];
-        const idx = copy.findIndex(s => normalizeName(s.name) === normalizeName(name));
-        const reps = aiPushupCount;
-        if (idx >= 0) {
-          copy[idx] = { ...copy[idx], reps, completed: false };
-        } else {
-          copy.push({ name, reps, sets: 1, completed: false });
-        }
-        return copy;
-      });
+      updateSessionReps(name, aiPushupCount, sideCounts, { completed: false });
     }
 
     // For time-based exercises (plank, wall sit), use posture-correct seconds from poseDetection onTimeUpdate via props
@@ -426,16 +871,17 @@ const ExerciseWorkoutScreen = () => {
       setSessionItems(prev => {
         const copy = [...prev];
         const idx = copy.findIndex(s => normalizeName(s.name) === normalizeName(name));
-        const durationSec = workoutTime; // workoutTime now reflects accumulated correct seconds for plank
+        const durationSec = banked.holdSec + (inSet ? workoutTime : 0); // workoutTime now reflects accumulated correct seconds for plank
+        const sets = Math.max(1, banked.sets);
         if (idx >= 0) {
-          copy[idx] = { ...copy[idx], durationSec, completed: false };
+          copy[idx] = { ...copy[idx], durationSec, sets, completed: false };
         } else {
-          copy.push({ name, durationSec, sets: 1, completed: false });
+          copy.push({ name, durationSec, sets, completed: false });
         }
         return copy;
       });
     }
-  }, [aiPushupCount, workoutTime, isWorkoutActive, isPaused, currentExercise]);
+  }, [aiPushupCount, sideCounts, workoutTime, isWorkoutActive, isPaused, currentExercise, runnerState?.phase]);
 
   // When workout stops/completes, persist session and update aggregate stats including calories
   const persistSessionAndStats = async () => {
@@ -486,8 +932,12 @@ const ExerciseWorkoutScreen = () => {
         sessionItems: sessionItemsToSave
       };
 
+      // Collected before the first await, while the banked exercises are this session's
+      const exerciseAnalytics = collectExerciseAnalytics();
+
       // Record workout using centralized system (handles localStorage, IndexedDB, events, notifications)
       const result = await recordCompletedWorkout(sessionData);
+      Object.values(exerciseAnalytics).forEach((analytics) => recordAsymmetrySession(analytics.name, analytics.asymmetry));
       
       if (result.success) {
         console.log('✅ Workout recorded to localStorage:', result);
@@ -507,13 +957,17 @@ const ExerciseWorkoutScreen = () => {
         // Record each exercise to Supabase
         for (const item of sessionItemsToSave) {
           console.log('📤 Saving exercise to Supabase:', item);
+          const analytics = exerciseAnalytics[normalizeName(item.name)];
           await recordExercise(sessionUser.id, {
             exerciseName: item.name,
             repetitions: item.reps || 0,
             sets: item.sets || 1,
             durationSec: item.durationSec || workoutTime,
             caloriesBurned: Math.round(caloriesBurned / sessionItemsToSave.length),
-            angleAccuracy: formScore,
+            angleAccuracy: analytics?.formScore ?? 0,
+            formScore: analytics?.formScore ?? null,
+            repQuality: analytics?.repQuality || [],
+            asymmetry: analytics?.asymmetry || null,
             datePerformed: new Date().toISOString()
           });
         }
@@ -593,15 +1047,27 @@ const ExerciseWorkoutScreen = () => {
     }
   };
 
-  // Call persist when stopping or completing workout
+  persistSessionRef.current = persistSessionAndStats;
+
+  // Save the finished workout once, with the rep corrections made on its summary
+  const finishSession = () => {
+    if (!sessionPendingRef.current) return;
+    sessionPendingRef.current = false;
+    persistSessionRef.current?.();
+  };
+
+  // Stopping or completing a workout opens its summary; the session is saved when the summary closes
   useEffect(() => {
     if (!isWorkoutActive && workoutTime > 5) { // Only persist if workout was at least 5 seconds
-      // Persist session on stop
-      persistSessionAndStats();
+      sessionPendingRef.current = true;
+      learnRangeOfMotion();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isWorkoutActive]);
 
+  // Leaving the screen with the summary open still saves the session
+  useEffect(() => () => finishSession(), []);
+
   // Error boundary fallback
   if (hasError) {
     return (
@@ -712,6 +1178,22 @@ const ExerciseWorkoutScreen = () => {
                   onPushupCount={handlePushupCount}
                   onPostureChange={handlePostureChange}
                   onPlankTimeUpdate={handlePlankTimeUpdate}
+                  onRepQuality={handleRepQuality}
+                  onRepTempo={handleRepTempo}
+                  onAsymmetry={handleAsymmetry}
+                  onExerciseRecognized={dispatchExerciseRecognized}
+                  tempo={planExercise?.tempo || null}
+                  freeWorkout={freeWorkout}
+                  calibrationRequest={calibrationRequest}
+                  counterResetRequest={counterResetRequest}
+                  onCalibrationChange={handleCalibrationChange}
+                  romProfile={romProfile}
+                  framingCheck={!isWorkoutActive}
+                  onFramingChange={setFraming}
+                  fatigueLimit={planExercise?.stopAtFormLoss ?? null}
+                  onFatigue={handleFatigue}
+                  onRepConfidence={handleRepConfidence}
+                  repCountOffset={repCountOffset}
                   selectedExercise={currentExercise}
                 />
               </div>
@@ -723,9 +1205,23 @@ const ExerciseWorkoutScreen = () => {
                   caloriesBurned={Math.round(caloriesBurned)}
                   heartRate={heartRate}
                   formScore={Math.round(formScore)}
+                  formBreakdown={formBreakdown}
+                  tempoSummary={tempoSummary}
+                  asymmetrySummary={asymmetrySummary}
+                  fatigueSummary={fatigueSummary}
+                  lastFatigue={lastFatigue}
                   repsCompleted={repsCompleted}
                   isActive={isWorkoutActive && !isPaused}
                 />
+                <div className="mt-4">
+                  <RepLog
+                    repLog={repLog}
+                    currentSet={repSetRef.current}
+                    summary={repConfidenceSummary}
+                    onCorrect={handleRepCorrection}
+                    onExport={handleRepLogExport}
+                  />
+                </div>
               </div>
             </div>
             
@@ -749,8 +1245,26 @@ const ExerciseWorkoutScreen = () => {
                 isPaused={isPaused}
                 currentSet={currentSet}
                 currentRep={currentRep}
+                sideCounts={sideCounts}
                 workoutTime={workoutTime}
                 planExercise={planExercise}
+                freeWorkout={freeWorkout}
+                onFreeWorkoutChange={setFreeWorkout}
+                calibration={calibration}
+                isCalibrating={isCalibrating}
+                canCalibrate={isCameraActive}
+                onRecalibrate={() => setCalibrationRequest((n) => n + 1)}
+                romProfile={romProfile}
+                onRomModeChange={handleRomModeChange}
+                voiceSettings={voiceSettings}
+                onVoiceSettingsChange={handleVoiceSettingsChange}
+                framing={framing}
+                framingPending={framingPending}
+                isCameraActive={isCameraActive}
+                runner={runnerState}
+                canRepeatSet={!!runnerRef.current?.canRepeat}
+                onSkipSet={() => dispatchRunnerEvents(runnerRef.current?.skip() || [])}
+                onRepeatSet={handleRepeatSet}
               />
               
               {/* Desktop Stats */}
@@ -759,9 +1273,22 @@ const ExerciseWorkoutScreen = () => {
                 caloriesBurned={Math.round(caloriesBurned)}
                 heartRate={heartRate}
                 formScore={Math.round(formScore)}
+                formBreakdown={formBreakdown}
+                tempoSummary={tempoSummary}
+                asymmetrySummary={asymmetrySummary}
+                fatigueSummary={fatigueSummary}
+                lastFatigue={lastFatigue}
                 repsCompleted={repsCompleted}
                 isActive={isWorkoutActive && !isPaused}
               />
+
+              <RepLog
+                repLog={repLog}
+                currentSet={repSetRef.current}
+                summary={repConfidenceSummary}
+                onCorrect={handleRepCorrection}
+                onExport={handleRepLogExport}
+              />
             </div>
 
             {/* Mobile Controls - Bottom section for mobile */}
@@ -784,8 +1311,26 @@ const ExerciseWorkoutScreen = () => {
                 isPaused={isPaused}
                 currentSet={currentSet}
                 currentRep={currentRep}
+                sideCounts={sideCounts}
                 workoutTime={workoutTime}
                 planExercise={planExercise}
+                freeWorkout={freeWorkout}
+                onFreeWorkoutChange={setFreeWorkout}
+                calibration={calibration}
+                isCalibrating={isCalibrating}
+                canCalibrate={isCameraActive}
+                onRecalibrate={() => setCalibrationRequest((n) => n + 1)}
+                romProfile={romProfile}
+                onRomModeChange={handleRomModeChange}
+                voiceSettings={voiceSettings}
+                onVoiceSettingsChange={handleVoiceSettingsChange}
+                framing={framing}
+                framingPending={framingPending}
+                isCameraActive={isCameraActive}
+                runner={runnerState}
+                canRepeatSet={!!runnerRef.current?.canRepeat}
+                onSkipSet={() => dispatchRunnerEvents(runnerRef.current?.skip() || [])}
+                onRepeatSet={handleRepeatSet}
               />
             </div>
           </div>)
@@ -804,7 +1349,7 @@ const ExerciseWorkoutScreen = () => {
         {/* Workout Summary Modal - Shows after workout completion */}
         {!isWorkoutActive && workoutTime > 5 && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-            <div className="bg-card border border-border rounded-xl shadow-elevation-3 w-full max-w-md">
+            <div className="bg-card border border-border rounded-xl shadow-elevation-3 w-full max-w-md max-h-[90vh] overflow-y-auto">
               <div className="p-6">
                 <div className="text-center mb-6">
                   <div className="w-16 h-16 bg-success/10 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -836,23 +1381,36 @@ const ExerciseWorkoutScreen = () => {
                       <p className="text-sm text-muted-foreground">Form Score</p>
                     </div>
                   </div>
+
+                  {/* Last chance to fix a missed or double-counted rep before the session is saved */}
+                  <RepLog
+                    repLog={repLog}
+                    currentSet={repSetRef.current}
+                    summary={repConfidenceSummary}
+                    onCorrect={handleRepCorrection}
+                    onExport={handleRepLogExport}
+                  />
                 </div>
 
                 <div className="flex space-x-3">
                   <Button
                     variant="outline"
                     onClick={() => {
+                      finishSession();
                       setWorkoutTime(0);
                       setRepsCompleted(0);
                       setCaloriesBurned(0);
-                      setFormScore(0);
+                      resetRepAnalytics();
                     }}
                     className="flex-1"
                   >
                     Close
                   </Button>
                   <Button
-                    onClick={() => navigate('/dashboard')}
+                    onClick={() => {
+                      finishSession();
+                      navigate('/dashboard');
+                    }}
                     className="flex-1"
                   >
                     Back to Dashboard
@@ -5,6 +5,7 @@ import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 import { updateUser } from '../../../utils/api/userApi';
+import { getAsymmetryHistory } from '../../../utils/workoutStorage';
 
 const FitnessMetricsTab = ({ user, onUpdateMetrics }) => {
   const [editingMetric, setEditingMetric] = useState(null);
@@ -25,6 +26,14 @@ const FitnessMetricsTab = ({ user, onUpdateMetrics }) => {
     { date: '2024-08-10', weight: 72.8, label: 'Aug 10' }
   ];
 
+  // Left/right imbalance per session (degrees), most recent 20 sessions
+  const asymmetryHistory = getAsymmetryHistory().slice(-20).map((entry) => ({
+    label: new Date(entry.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    exercise: entry.exerciseName,
+    imbalance: entry.imbalance,
+    hipTilt: entry.hipTilt !== null && entry.hipTilt !== undefined ? Math.abs(entry.hipTilt) : null
+  }));
+
   const fitnessLevelOptions = [
     { value: 'beginner', label: 'Beginner' },
     { value: 'intermediate', label: 'Intermediate' },
@@ -271,6 +280,61 @@ const FitnessMetricsTab = ({ user, onUpdateMetrics }) => {
           </div>
         </div>
       </div>
+      {/* Left/Right Balance Trend */}
+      {asymmetryHistory.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-foreground mb-4">Left/Right Balance</h3>
+          <div className="bg-card border border-border rounded-lg p-6">
+            <p className="text-sm text-muted-foreground mb-4">
+              Imbalance per session in degrees - lower is more even
+            </p>
+            <div className="h-64 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={asymmetryHistory}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+                  <XAxis 
+                    dataKey="label" 
+                    stroke="var(--color-muted-foreground)"
+                    fontSize={12}
+                  />
+                  <YAxis 
+                    stroke="var(--color-muted-foreground)"
+                    fontSize={12}
+                    domain={[0, 'dataMax + 2']}
+                  />
+                  <Tooltip 
+                    contentStyle={{
+                      backgroundColor: 'var(--color-popover)',
+                      border: '1px solid var(--color-border)',
+                      borderRadius: '8px',
+                      color: 'var(--color-popover-foreground)'
+                    }}
+                    labelFormatter={(label, payload) => `${label} · ${payload?.[0]?.payload?.exercise || ''}`}
+                  />
+                  <Line 
+                    type="monotone" 
+                    dataKey="imbalance" 
+                    name="Left/right difference"
+                    stroke="var(--color-primary)" 
+                    strokeWidth={2}
+                    dot={{ fill: 'var(--color-primary)', strokeWidth: 2, r: 4 }}
+                    activeDot={{ r: 6, fill: 'var(--color-primary)' }}
+                  />
+                  <Line 
+                    type="monotone" 
+                    dataKey="hipTilt" 
+                    name="Hip tilt"
+                    stroke="var(--color-accent)" 
+                    strokeWidth={2}
+                    connectNulls
+                    dot={{ fill: 'var(--color-accent)', strokeWidth: 2, r: 3 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
       {/* Fitness Preferences */}
       <div>
         <h3 className="text-lg font-semibold text-foreground mb-4">Fitness Preferences</h3>
@@ -27,6 +27,9 @@
  * @property {number} sets
  * @property {number} [duration_sec]
  * @property {number} [angle_accuracy] - Decimal 0-100
+ * @property {number} [form_score] - Decimal 0-100, average of the per-rep quality scores
+ * @property {Array<Object>} [rep_quality] - Per-rep quality records (depth, back, tempo, symmetry, fatigue: { set, formLoss, fatigued })
+ * @property {Object} [asymmetry] - Session left/right balance summary (imbalance, side, hip/shoulder tilt)
  * @property {number} [calories_burned]
  * @property {string} date_performed - ISO timestamp
  * @property {string} [deleted_at]
@@ -93,6 +96,9 @@
  * @property {number} [sets]
  * @property {number} [durationSec]
  * @property {number} [angleAccuracy]
+ * @property {number} [formScore]
+ * @property {Array<Object>} [repQuality]
+ * @property {Object} [asymmetry]
  * @property {number} [caloriesBurned]
  * @property {string} [datePerformed]
  */
@@ -1,4 +1,5 @@
 import { supabase } from '../supabase';
+import { totalReps } from '../repTargets';
 
 /**
  * Achievements API - Handles all achievement-related database operations
@@ -357,7 +358,7 @@ export async function updateAchievements(userId, exercises) {
     try {
       const repsOrMinutes = isTimeBased(exercise.name || exercise.exerciseName)
         ? Math.round((exercise.durationSec || exercise.duration || 0) / 60) // Convert seconds to minutes
-        : (exercise.reps || exercise.repetitions || 0) * (exercise.sets || 1);
+        : totalReps(exercise.reps || exercise.repetitions || 0) * (exercise.sets || 1);
       
       if (repsOrMinutes > 0) {
         const result = await updateAchievement(
@@ -1,4 +1,5 @@
 import { supabase } from '../supabase';
+import { totalReps } from '../repTargets';
 
 /**
  * Exercise API - Handles all exercise-related database operations
@@ -16,10 +17,13 @@ export async function recordExercise(userId, exerciseData) {
   const insertData = {
     user_id: userId,
     exercise_name: exerciseData.exerciseName || exerciseData.name,
-    repetitions: exerciseData.repetitions || exerciseData.reps || 0,
+    repetitions: totalReps(exerciseData.repetitions || exerciseData.reps),
     sets: exerciseData.sets || 1,
     duration_sec: exerciseData.durationSec || exerciseData.duration || 0,
     angle_accuracy: exerciseData.angleAccuracy || 0,
+    form_score: exerciseData.formScore ?? null,
+    rep_quality: exerciseData.repQuality?.length ? exerciseData.repQuality : null,
+    asymmetry: exerciseData.asymmetry?.reps ? exerciseData.asymmetry : null,
     calories_burned: exerciseData.caloriesBurned || 0,
     date_performed: exerciseData.datePerformed || new Date().toISOString()
   };
@@ -46,10 +50,13 @@ export async function recordExercises(userId, exercises) {
   const exerciseRecords = exercises.map(ex => ({
     user_id: userId,
     exercise_name: ex.exerciseName || ex.name,
-    repetitions: ex.repetitions || ex.reps,
+    repetitions: totalReps(ex.repetitions || ex.reps),
     sets: ex.sets || 1,
     duration_sec: ex.durationSec || ex.duration,
     angle_accuracy: ex.angleAccuracy,
+    form_score: ex.formScore ?? null,
+    rep_quality: ex.repQuality?.length ? ex.repQuality : null,
+    asymmetry: ex.asymmetry?.reps ? ex.asymmetry : null,
     calories_burned: ex.caloriesBurned,
     date_performed: ex.datePerformed || new Date().toISOString()
   }));
@@ -0,0 +1,261 @@
+/**
+ * AsymmetryMonitor - Left/right imbalance per rep
+ * Tracks the signed left-right joint angle difference and hip/shoulder tilt while a rep is in
+ * progress and summarizes each counted rep once it is back at the top state:
+ * {
+ *   rep: 3, timestamp,
+ *   side: 'left' | 'right',   // unilateral: working side (bent knee); bilateral: lower side
+ *   angleDiff: 12,           // bilateral: mean (right - left) angle, > 0 = left side bent more
+ *   depth: 94,               // unilateral: working joint angle at the bottom
+ *   hipTilt: 3, shoulderTilt: -1 // mean degrees, > 0 = left side lower (null when side-on)
+ * }
+ * Exercise definitions opt in with an `asymmetry` block:
+ * {
+ *   joint: 'elbow' | 'knee',      // joint compared left vs right
+ *   unilateral: false,            // true: compare left-side reps with right-side reps (lunges)
+ *   angleTolerance: 15,           // degrees of imbalance before feedback
+ *   tiltTolerance: 6,             // degrees of hip/shoulder tilt before feedback
+ *   topState: 'up'                // state the rep finishes in
+ * }
+ */
+
+const JOINTS = {
+  elbow: [[11, 13, 15], [12, 14, 16]],
+  knee: [[23, 25, 27], [24, 26, 28]]
+};
+
+const LIMB_NAMES = { elbow: 'arms', knee: 'legs' };
+const FRONTAL_RATIO = 0.45; // shoulder width / torso length above this = facing the camera
+const FEEDBACK_COOLDOWN_MS = 4000;
+const MAX_WINDOW_SAMPLES = 600; // ~20s at 30fps; older samples are dropped while idle
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+const mean = (values) => {
+  const valid = values.filter((v) => v !== null && v !== undefined);
+  return valid.length ? valid.reduce((sum, v) => sum + v, 0) / valid.length : null;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// Tilt of the left→right line from horizontal, > 0 when the left point is lower in the image
+const tilt = (left, right) => toDegrees(Math.atan2(left.y - right.y, Math.abs(left.x - right.x)));
+
+/**
+ * Build an asymmetry sample for one frame
+ * @param {PoseDetectionUtils} pose - Detector instance (angle helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} config - Definition asymmetry block
+ * @returns {Object|null} - { left, right, hipTilt, shoulderTilt } or null when landmarks are missing
+ */
+export function sampleAsymmetry(pose, landmarks, config) {
+  const joints = JOINTS[config?.joint];
+  if (!joints) return null;
+
+  const [leftIdx, rightIdx] = joints;
+  if (![...leftIdx, ...rightIdx].every((i) => landmarks[i])) return null;
+
+  const left = pose.calculateAngle(landmarks[leftIdx[0]], landmarks[leftIdx[1]], landmarks[leftIdx[2]]);
+  const right = pose.calculateAngle(landmarks[rightIdx[0]], landmarks[rightIdx[1]], landmarks[rightIdx[2]]);
+
+  // Tilt is only meaningful when the user faces the camera; side-on both hips overlap
+  let hipTilt = null;
+  let shoulderTilt = null;
+  const [ls, rs, lh, rh] = [11, 12, 23, 24].map((i) => landmarks[i]);
+  if (ls && rs && lh && rh) {
+    const shoulderWidth = Math.abs(ls.x - rs.x);
+    const torsoLength = Math.hypot((lh.x + rh.x) / 2 - (ls.x + rs.x) / 2, (lh.y + rh.y) / 2 - (ls.y + rs.y) / 2);
+    if (torsoLength > 0 && shoulderWidth / torsoLength > FRONTAL_RATIO) {
+      hipTilt = tilt(lh, rh);
+      shoulderTilt = tilt(ls, rs);
+    }
+  }
+
+  return { left, right, hipTilt, shoulderTilt };
+}
+
+/**
+ * Summary of rep records (AsymmetryMonitor.getSummary, or reps collected over several monitor sessions)
+ * @param {Array<Object>} reps - Rep records
+ * @param {boolean} unilateral - Reps compare left-side with right-side reps (lunges)
+ * @returns {Object} - { reps, unilateral, imbalance, side, angleDiff, leftDepth, rightDepth, hipTilt, shoulderTilt }
+ */
+export function summarizeAsymmetry(reps, unilateral = false) {
+  const summary = {
+    reps: reps.length,
+    unilateral,
+    imbalance: 0,
+    side: null,
+    angleDiff: null,
+    leftDepth: null,
+    rightDepth: null,
+    hipTilt: round(mean(reps.map((r) => r.hipTilt))),
+    shoulderTilt: round(mean(reps.map((r) => r.shoulderTilt)))
+  };
+  if (!reps.length) return summary;
+
+  // Signed imbalance: > 0 means the left side is bent more / lower
+  let signed;
+  if (summary.unilateral) {
+    summary.leftDepth = round(mean(reps.filter((r) => r.side === 'left').map((r) => r.depth)));
+    summary.rightDepth = round(mean(reps.filter((r) => r.side === 'right').map((r) => r.depth)));
+    signed = summary.leftDepth !== null && summary.rightDepth !== null
+      ? summary.rightDepth - summary.leftDepth
+      : 0;
+  } else {
+    summary.angleDiff = round(mean(reps.map((r) => r.angleDiff)));
+    signed = summary.angleDiff;
+  }
+  summary.imbalance = round(Math.abs(signed));
+  summary.side = signed === 0 ? null : (signed > 0 ? 'left' : 'right');
+  return summary;
+}
+
+class AsymmetryMonitor {
+  /**
+   * @param {Object|null} config - Definition asymmetry block (null disables monitoring)
+   */
+  constructor(config = null) {
+    this.reset(config);
+  }
+
+  /**
+   * Clear samples and rep history
+   * @param {Object|null} config - New asymmetry block (keeps the current one when undefined)
+   */
+  reset(config) {
+    if (config !== undefined) this.config = config;
+    this.reps = [];
+    this._samples = [];
+    this._pendingRep = 0;
+    this._lastCount = 0;
+    this._lastFeedbackAt = -Infinity;
+  }
+
+  get enabled() {
+    return !!this.config;
+  }
+
+  /**
+   * Add a frame sample and close a counted rep once the movement is back at the top
+   * @param {Object|null} sample - sampleAsymmetry() output
+   * @param {Object} frame - { timestamp, state, count } after the counter ran
+   * @returns {Object|null} - { rep, feedback } when a rep was closed
+   */
+  update(sample, { timestamp, state, count }) {
+    if (!this.enabled) return null;
+
+    if (sample) {
+      this._samples.push(sample);
+      if (this._samples.length > MAX_WINDOW_SAMPLES && !this._pendingRep) {
+        this._samples.splice(0, this._samples.length - MAX_WINDOW_SAMPLES);
+      }
+    }
+
+    if (count > this._lastCount) {
+      // A new count while one is pending closes the previous rep first
+      const previous = this._pendingRep ? this._closeRep(timestamp) : null;
+      this._pendingRep = count;
+      this._lastCount = count;
+      if (previous) return previous;
+    }
+    this._lastCount = count;
+
+    if (this._pendingRep && state === (this.config.topState || 'up')) {
+      return this._closeRep(timestamp);
+    }
+    return null;
+  }
+
+  /**
+   * Session summary (stored in the exercise history)
+   * @returns {Object} - summarizeAsymmetry() of the reps so far
+   */
+  getSummary() {
+    return summarizeAsymmetry(this.reps, !!this.config?.unilateral);
+  }
+
+  /**
+   * Summarize the pending rep and pick its feedback
+   * @param {number} timestamp - Close time in ms
+   * @returns {Object|null} - { rep, feedback }
+   * @private
+   */
+  _closeRep(timestamp) {
+    const rep = this._summarizeRep(this._pendingRep, timestamp);
+    this._pendingRep = 0;
+    this._samples = [];
+    if (!rep) return null;
+    this.reps.push(rep);
+
+    let feedback = this._feedbackFor(rep);
+    if (feedback && timestamp - this._lastFeedbackAt < FEEDBACK_COOLDOWN_MS) feedback = null;
+    if (feedback) this._lastFeedbackAt = timestamp;
+    return { rep, feedback };
+  }
+
+  /**
+   * Reduce the samples since the previous rep to one rep record
+   * @param {number} count - Rep number
+   * @param {number} timestamp - Close time in ms
+   * @returns {Object|null} - Rep record
+   * @private
+   */
+  _summarizeRep(count, timestamp) {
+    const samples = this._samples;
+    if (!samples.length) return null;
+
+    const rep = {
+      rep: count,
+      timestamp,
+      hipTilt: round(mean(samples.map((s) => s.hipTilt))),
+      shoulderTilt: round(mean(samples.map((s) => s.shoulderTilt)))
+    };
+
+    if (this.config.unilateral) {
+      // Working side = the knee/elbow that bent most during the rep
+      const bottomLeft = Math.min(...samples.map((s) => s.left));
+      const bottomRight = Math.min(...samples.map((s) => s.right));
+      rep.side = bottomLeft <= bottomRight ? 'left' : 'right';
+      rep.depth = round(Math.min(bottomLeft, bottomRight));
+    } else {
+      rep.angleDiff = round(mean(samples.map((s) => s.right - s.left)));
+      rep.side = rep.angleDiff >= 0 ? 'left' : 'right';
+    }
+    return rep;
+  }
+
+  /**
+   * Feedback message for a rep that is out of balance
+   * @param {Object} rep - Rep record
+   * @returns {string|null}
+   * @private
+   */
+  _feedbackFor(rep) {
+    const angleTolerance = this.config.angleTolerance ?? 15;
+    const tiltTolerance = this.config.tiltTolerance ?? 6;
+    const sideName = (value) => (value > 0 ? 'Left' : 'Right');
+
+    if (this.config.unilateral) {
+      const summary = this.getSummary();
+      if (summary.leftDepth !== null && summary.rightDepth !== null && summary.imbalance > angleTolerance) {
+        const shallow = summary.leftDepth > summary.rightDepth ? 'Left' : 'Right';
+        const other = shallow === 'Left' ? 'right' : 'left';
+        return `${shallow} side reps are shallower - match your ${other} side`;
+      }
+    } else if (Math.abs(rep.angleDiff) > angleTolerance) {
+      const limbs = LIMB_NAMES[this.config.joint] || 'sides';
+      return `${sideName(rep.angleDiff)} side dropping - push evenly with both ${limbs}`;
+    }
+
+    if (rep.hipTilt !== null && Math.abs(rep.hipTilt) > tiltTolerance) {
+      return `${sideName(rep.hipTilt)} hip dropping - keep your hips level`;
+    }
+    if (rep.shoulderTilt !== null && Math.abs(rep.shoulderTilt) > tiltTolerance) {
+      return `${sideName(rep.shoulderTilt)} shoulder dropping - keep your shoulders level`;
+    }
+    return null;
+  }
+}
+
+export default AsymmetryMonitor;
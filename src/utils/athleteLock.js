@@ -0,0 +1,261 @@
+/**
+ * Athlete lock - Which of the people the multi-pose detector found is the one working out?
+ * Single-person models jump to whoever is most visible, so someone walking behind the user takes
+ * over the skeleton and corrupts the count. With several people per frame, AthleteLock follows one:
+ *
+ *   same tracking ID as last frame          → same person (unless the body proportions disagree: ID swap)
+ *   no ID match, box overlaps the last one  → same person (tracker lost and re-issued the ID)
+ *   gone, someone with matching proportions → the athlete came back into the frame
+ *   anyone else                             → ignored
+ *
+ * Before calibration it locks onto the most prominent person (largest box, nearest the center).
+ * Calibration re-locks onto the person calibrating and learns their body proportions - limb lengths
+ * relative to the torso, so distance to the camera cancels out (shoulder and hip widths are left out:
+ * they vanish when the user turns side-on) - and the lock survives the athlete briefly leaving the frame. Without proportions a lock
+ * lost for LOST_TIMEOUT_MS falls back to the most prominent person again.
+ * People: { id (tracking ID or null), score, landmarks } (see poseKeypoints.estimatePeople).
+ */
+
+const DEFAULTS = {
+  MIN_VISIBILITY: 0.3,
+  MATCH_IOU_MIN: 0.3,          // box overlap with the athlete's last box that continues the lock
+  PROPORTION_TOLERANCE: 0.15,  // mean relative difference of body proportions still the same person
+  LOST_TIMEOUT_MS: 1500        // after this long unseen, proportions (or prominence) pick the athlete
+};
+const MAX_PROPORTION_SAMPLES = 90;
+
+// Body segments measured against the torso (shoulder midpoint to hip midpoint)
+const SEGMENTS = {
+  upperArm: [[11, 13], [12, 14]],
+  forearm: [[13, 15], [14, 16]],
+  thigh: [[23, 25], [24, 26]],
+  shin: [[25, 27], [26, 28]]
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Bounding box of a person's visible landmarks
+ * @param {Array} landmarks - Landmarks (normalized 0-1)
+ * @param {number} minVisibility - Landmarks below this are left out
+ * @returns {Object|null} - { minX, minY, maxX, maxY }, or null when nothing is visible
+ */
+export function poseBox(landmarks, minVisibility = DEFAULTS.MIN_VISIBILITY) {
+  const visible = (landmarks || []).filter((p) => p && (p.visibility == null || p.visibility >= minVisibility));
+  if (!visible.length) return null;
+  return {
+    minX: Math.min(...visible.map((p) => p.x)),
+    minY: Math.min(...visible.map((p) => p.y)),
+    maxX: Math.max(...visible.map((p) => p.x)),
+    maxY: Math.max(...visible.map((p) => p.y))
+  };
+}
+
+/**
+ * Intersection over union of two boxes
+ * @param {Object} a - poseBox()
+ * @param {Object} b - poseBox()
+ * @returns {number} - 0-1
+ */
+export function boxIou(a, b) {
+  if (!a || !b) return 0;
+  const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  if (w <= 0 || h <= 0) return 0;
+  const area = (box) => (box.maxX - box.minX) * (box.maxY - box.minY);
+  const intersection = w * h;
+  return intersection / (area(a) + area(b) - intersection);
+}
+
+/**
+ * Body proportions: segment lengths relative to the torso
+ * @param {Array} landmarks - Landmarks (normalized 0-1)
+ * @param {number} minVisibility - Segments with a landmark below this are left out
+ * @returns {Object|null} - { upperArm, forearm, thigh, shin } (missing segments omitted)
+ */
+export function bodyProportions(landmarks, minVisibility = DEFAULTS.MIN_VISIBILITY) {
+  const seen = (i) => landmarks?.[i] && (landmarks[i].visibility == null || landmarks[i].visibility >= minVisibility);
+  if (![11, 12, 23, 24].every(seen)) return null;
+  const mid = (a, b) => ({ x: (landmarks[a].x + landmarks[b].x) / 2, y: (landmarks[a].y + landmarks[b].y) / 2 });
+  const torso = distance(mid(11, 12), mid(23, 24));
+  if (torso < 1e-3) return null;
+
+  const proportions = {};
+  Object.entries(SEGMENTS).forEach(([name, pairs]) => {
+    // Both sides when visible: the longer one is the less foreshortened
+    const lengths = pairs.filter(([a, b]) => seen(a) && seen(b)).map(([a, b]) => distance(landmarks[a], landmarks[b]));
+    if (lengths.length) proportions[name] = Math.max(...lengths) / torso;
+  });
+  return proportions;
+}
+
+/**
+ * Mean relative difference between two proportion sets over their shared segments
+ * @param {Object} a - bodyProportions()
+ * @param {Object} b - bodyProportions()
+ * @returns {number|null} - 0 = identical; null when they share no segment
+ */
+export function proportionDifference(a, b) {
+  if (!a || !b) return null;
+  const shared = Object.keys(a).filter((name) => b[name] != null);
+  if (!shared.length) return null;
+  return shared.reduce((sum, name) => sum + Math.abs(a[name] - b[name]) / Math.max(a[name], b[name]), 0) / shared.length;
+}
+
+/**
+ * Most prominent person: the largest box, nudged toward the center of the frame
+ * @param {Array} people - Detected people
+ * @returns {Object|null} - Person
+ */
+export function prominentPerson(people) {
+  let best = null;
+  let bestScore = -Infinity;
+  (people || []).forEach((person) => {
+    const box = poseBox(person.landmarks);
+    if (!box) return;
+    const area = (box.maxX - box.minX) * (box.maxY - box.minY);
+    const offCenter = Math.abs((box.minX + box.maxX) / 2 - 0.5);
+    const score = area * (1 - offCenter);
+    if (score > bestScore) {
+      best = person;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+class AthleteLock {
+  /**
+   * @param {Object} config - MULTI_POSE_CONFIG from MediaPipeConfig (see DEFAULTS)
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+    this.proportions = null;
+    this.reset();
+  }
+
+  // Forget the locked person (learned proportions are kept)
+  reset() {
+    this.id = null;
+    this.box = null;
+    this.lastSeen = 0;
+    this.locked = false;
+    this._samples = [];
+  }
+
+  /**
+   * Lock onto a person and start learning their proportions (calibration)
+   * @param {Object|null} person - Detected person
+   * @param {number} now - Current time in ms
+   */
+  lock(person, now = Date.now()) {
+    this.reset();
+    this.proportions = null;
+    if (person) this._follow(person, now);
+    this.addSample(person?.landmarks);
+  }
+
+  /**
+   * Add a frame of the locked person to the learned proportions
+   * @param {Array|null} landmarks - The locked person's landmarks
+   */
+  addSample(landmarks) {
+    const sample = bodyProportions(landmarks, this.config.MIN_VISIBILITY);
+    if (!sample) return;
+    this._samples.push(sample);
+    if (this._samples.length > MAX_PROPORTION_SAMPLES) this._samples.shift();
+    // Per-segment median: robust to frames where a limb points at the camera
+    const names = Object.keys(SEGMENTS);
+    const proportions = {};
+    names.forEach((name) => {
+      const values = this._samples.map((s) => s[name]).filter((v) => v != null).sort((a, b) => a - b);
+      if (values.length) proportions[name] = values[Math.floor(values.length / 2)];
+    });
+    this.proportions = proportions;
+  }
+
+  /**
+   * Use proportions learned earlier (saved calibration profile)
+   * @param {Object|null} proportions - bodyProportions() of the athlete
+   */
+  setProportions(proportions) {
+    this.proportions = proportions && Object.keys(proportions).length ? { ...proportions } : null;
+  }
+
+  /**
+   * Pick the locked person among this frame's people
+   * @param {Array} people - Detected people
+   * @param {number} now - Current time in ms
+   * @param {Object|null} exclude - Person already taken (e.g. by the other partner's lock)
+   * @returns {Object|null} - The athlete, or null when they are not in the frame
+   */
+  select(people, now = Date.now(), exclude = null) {
+    const candidates = (people || []).filter((person) => person !== exclude && person.landmarks);
+    if (!candidates.length) return null;
+    const c = this.config;
+    const lostFor = now - this.lastSeen;
+    const differs = (person, tolerance) => {
+      const diff = proportionDifference(this.proportions, bodyProportions(person.landmarks, c.MIN_VISIBILITY));
+      return diff !== null && diff > tolerance;
+    };
+
+    if (!this.locked) {
+      const person = prominentPerson(candidates);
+      if (person) this._follow(person, now);
+      return person;
+    }
+
+    // Same tracking ID; a very different build means the tracker swapped people
+    const sameId = this.id !== null && candidates.find((person) => person.id === this.id);
+    if (sameId && !differs(sameId, c.PROPORTION_TOLERANCE * 2)) {
+      return this._follow(sameId, now);
+    }
+
+    // Overlapping box: the tracker re-issued the ID
+    let best = null;
+    let bestIou = c.MATCH_IOU_MIN;
+    candidates.forEach((person) => {
+      const iou = boxIou(this.box, poseBox(person.landmarks, c.MIN_VISIBILITY));
+      if (iou >= bestIou && !differs(person, c.PROPORTION_TOLERANCE)) {
+        best = person;
+        bestIou = iou;
+      }
+    });
+    if (best) return this._follow(best, now);
+
+    if (lostFor < c.LOST_TIMEOUT_MS) return null;
+
+    // Back in the frame after a while: the closest build, or without proportions the most prominent person
+    if (this.proportions) {
+      let closest = null;
+      let closestDiff = c.PROPORTION_TOLERANCE;
+      candidates.forEach((person) => {
+        const diff = proportionDifference(this.proportions, bodyProportions(person.landmarks, c.MIN_VISIBILITY));
+        if (diff !== null && diff <= closestDiff) {
+          closest = person;
+          closestDiff = diff;
+        }
+      });
+      return closest ? this._follow(closest, now) : null;
+    }
+    const person = prominentPerson(candidates);
+    return person ? this._follow(person, now) : null;
+  }
+
+  /**
+   * Continue the lock with this frame's person
+   * @param {Object} person - Detected person
+   * @param {number} now - Current time in ms
+   * @returns {Object} - The same person
+   * @private
+   */
+  _follow(person, now) {
+    this.locked = true;
+    this.id = person.id ?? null;
+    this.box = poseBox(person.landmarks, this.config.MIN_VISIBILITY) || this.box;
+    this.lastSeen = now;
+    return person;
+  }
+}
+
+export default AthleteLock;
@@ -0,0 +1,75 @@
+// Calibration profiles: PoseDetectionUtils.calibrate() results saved per user and camera setup
+// A camera setup is the video device plus its resolution - moving to another webcam or
+// resolution changes how big the user looks in frame, so it gets its own profile.
+// Sizes in image units also change with the distance to the camera, so a profile keeps only the
+// user's ratios (shoulder width / torso, ankle spacing / shoulder width); the detector measures
+// the sizes live (PoseDetectionUtils._updateCalibrationSizes).
+
+import { getCalibrationProfile, saveCalibrationProfile } from './db';
+import { currentUserId } from './userPreferences';
+
+// bodyProportions: the athlete lock's build of the user (multi-person detection only)
+const CALIBRATION_FIELDS = ['ratios', 'bodyProportions', 'frameCount', 'timestamp'];
+
+// Profiles saved before ratios existed: their sizes were measured together, so their ratios still hold
+function legacyRatios(profile) {
+  if (!(profile.shoulderWidth > 0) || !(profile.torsoLength > 0)) return undefined;
+  return {
+    shoulderToTorso: profile.shoulderWidth / profile.torsoLength,
+    ankleToShoulder: profile.neutralAnkleSpacing > 0 ? profile.neutralAnkleSpacing / profile.shoulderWidth : null
+  };
+}
+
+/**
+ * Camera setup key for a media stream
+ * @param {MediaStream} stream - Camera stream from getUserMedia
+ * @returns {string} - '<deviceId>@<width>x<height>' ('default@...' when the browser hides the device id)
+ */
+export function cameraSetupKey(stream) {
+  const settings = stream?.getVideoTracks?.()[0]?.getSettings?.() || {};
+  return `${settings.deviceId || 'default'}@${settings.width || 0}x${settings.height || 0}`;
+}
+
+/**
+ * Load the saved calibration for the signed-in user and camera setup
+ * @param {string} cameraKey - cameraSetupKey() of the active stream
+ * @returns {Promise<Object|null>} - Calibration ratios for PoseDetectionUtils.setCalibration, or null
+ */
+export async function loadCalibration(cameraKey) {
+  try {
+    const userId = currentUserId();
+    if (!userId) return null;
+    const profile = await getCalibrationProfile(userId, cameraKey);
+    if (!profile) return null;
+    const calibration = { isDefault: false, updatedAt: profile.updatedAt };
+    CALIBRATION_FIELDS.forEach((field) => {
+      if (profile[field] !== undefined) calibration[field] = profile[field];
+    });
+    if (!calibration.ratios) calibration.ratios = legacyRatios(profile);
+    return calibration.ratios ? calibration : null;
+  } catch (error) {
+    console.error('Error loading calibration profile:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a calibration for the signed-in user and camera setup (default/failed calibrations are skipped)
+ * @param {string} cameraKey - cameraSetupKey() of the active stream
+ * @param {Object} calibration - PoseDetectionUtils.calibrate() result
+ * @returns {Promise<Object|null>} - Saved profile, or null when nothing was saved
+ */
+export async function storeCalibration(cameraKey, calibration) {
+  try {
+    const userId = currentUserId();
+    if (!userId || !calibration || calibration.isDefault) return null;
+    const data = {};
+    CALIBRATION_FIELDS.forEach((field) => {
+      if (calibration[field] !== undefined) data[field] = calibration[field];
+    });
+    return await saveCalibrationProfile(userId, cameraKey, data);
+  } catch (error) {
+    console.error('Error saving calibration profile:', error);
+    return null;
+  }
+}
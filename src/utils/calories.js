@@ -1,6 +1,8 @@
 // Simple calorie estimation utilities
 // Uses base constants defined for a 70kg person and scales linearly by weight.
 
+import { totalReps } from './repTargets';
+
 const BASE_WEIGHT_KG = 70;
 
 // Approximate calories burned per rep for bodyweight exercises at 70kg
@@ -41,8 +43,8 @@ export function caloriesForItem(item, userWeightKg = BASE_WEIGHT_KG) {
     return Number(kcal || 0);
   }
 
-  // Rep-based
-  const reps = Number(item.reps || 0);
+  // Rep-based ('12 per leg' counts both legs)
+  const reps = totalReps(item.reps);
   const perRep = PER_REP_BASE[nameKey] ?? 0.3; // default small per-rep value
   const kcal = perRep * reps * weightFactor * sets;
   return Number(kcal || 0);
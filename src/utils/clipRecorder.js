@@ -0,0 +1,328 @@
+/**
+ * ClipRecorder - Annotated workout clips (WebM) with the pose overlay burned in
+ * Every animation frame the video, the pose overlay canvas (drawPoseOverlay: skeleton, confidence
+ * indicator, framing guide) and a HUD (rep counter or hold time, posture, latest form warning) are
+ * composited onto an offscreen canvas whose captureStream() feeds a MediaRecorder.
+ *
+ * The detector's rep counter is watched while recording, so every rep gets a window in the clip:
+ *
+ *   rep N  from the previous rep's count (or the start of the clip) to REP_TAIL_MS after its own count
+ *
+ * trimClip() re-records a window (e.g. reps 3-5) from the finished clip for sharing.
+ */
+
+import { getExerciseDefinition } from './exercises';
+import { waitForVideoEvent } from './videoAnalysis';
+
+const DEFAULT_FPS = 30;
+const REP_TAIL_MS = 800;         // keep the return to the start position after the count
+const FEEDBACK_SHOW_MS = 2500;   // a form warning stays burned in this long
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const LOAD_TIMEOUT_MS = 10000;
+
+/**
+ * WebM type the browser can record, if any
+ * @returns {string|null}
+ */
+export function pickClipMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Whether annotated clips can be recorded in this browser
+ * @returns {boolean}
+ */
+export function isClipRecordingSupported() {
+  return typeof HTMLCanvasElement !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+    && pickClipMimeType() !== null;
+}
+
+/**
+ * Clip window covering a range of reps
+ * @param {Object} clip - ClipRecorder.stop() result
+ * @param {number} firstRep - First rep to keep (1-based)
+ * @param {number} lastRep - Last rep to keep
+ * @returns {Object|null} - { startMs, endMs }, or null when the clip has no such reps
+ */
+export function repRangeWindow(clip, firstRep, lastRep) {
+  const first = clip?.reps?.find((rep) => rep.rep === firstRep);
+  const last = clip?.reps?.find((rep) => rep.rep === lastRep);
+  if (!first || !last || last.rep < first.rep) return null;
+  return { startMs: first.startMs, endMs: last.endMs };
+}
+
+/**
+ * File name for a clip download
+ * @param {Object} clip - ClipRecorder.stop() result
+ * @param {string} suffix - Optional part, e.g. 'reps-3-5'
+ * @returns {string}
+ */
+export function clipFilename(clip, suffix = '') {
+  const stamp = new Date(clip?.recordedAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+  return `clip-${clip?.exerciseMode || 'workout'}-${stamp}${suffix ? `-${suffix}` : ''}.webm`;
+}
+
+// Record a canvas stream into a WebM blob; resolves when the returned stop() is called
+function recordCanvas(canvas, fps, mimeType) {
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) chunks.push(event.data);
+  };
+  const finished = new Promise((resolve, reject) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      resolve(new Blob(chunks, { type: mimeType }));
+    };
+    recorder.onerror = (event) => reject(event.error || new Error('Clip recording failed'));
+  });
+  recorder.start(1000);
+  return {
+    stop: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      return finished;
+    }
+  };
+}
+
+/**
+ * Rep counter / hold time, posture and the latest form warning
+ * @private
+ */
+function drawClipHud(ctx, width, height, hud) {
+  const s = height / 480;
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  // Counter box (top left)
+  const boxW = 120 * s;
+  const boxH = 84 * s;
+  const x = 12 * s;
+  const y = 12 * s;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(x, y, boxW, boxH);
+  ctx.fillStyle = '#4ade80';
+  ctx.font = `bold ${30 * s}px sans-serif`;
+  ctx.fillText(hud.isHold ? `${hud.timeSec}s` : String(hud.count), x + boxW / 2, y + 24 * s);
+  ctx.fillStyle = '#d1d5db';
+  ctx.font = `${12 * s}px sans-serif`;
+  ctx.fillText(hud.label, x + boxW / 2, y + 48 * s, boxW - 8 * s);
+  ctx.fillStyle = hud.posture === 'correct' ? '#86efac' : hud.posture === 'incorrect' ? '#fca5a5' : '#d1d5db';
+  ctx.fillText(
+    hud.posture === 'correct' ? '✓ Good Posture' : hud.posture === 'incorrect' ? '⚠ Fix Posture' : 'Detecting...',
+    x + boxW / 2,
+    y + 68 * s,
+    boxW - 8 * s
+  );
+
+  // Form warning banner (bottom center)
+  if (hud.feedback) {
+    ctx.font = `bold ${16 * s}px sans-serif`;
+    const textW = Math.min(width - 24 * s, ctx.measureText(hud.feedback.message).width + 32 * s);
+    const bannerH = 36 * s;
+    const bannerY = height - bannerH - 20 * s;
+    ctx.fillStyle = hud.feedback.type === 'error' ? 'rgba(220, 38, 38, 0.9)' : 'rgba(217, 119, 6, 0.9)';
+    ctx.fillRect((width - textW) / 2, bannerY, textW, bannerH);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(hud.feedback.message, width / 2, bannerY + bannerH / 2, textW - 16 * s);
+  }
+  ctx.restore();
+}
+
+class ClipRecorder {
+  /**
+   * @param {Object} options
+   * @param {number} options.fps - Capture rate
+   * @param {boolean} options.mirror - Flip the video and overlay (the live camera is shown mirrored)
+   * @param {string} options.label - Exercise name shown under the counter
+   */
+  constructor({ fps = DEFAULT_FPS, mirror = false, label = '' } = {}) {
+    this.fps = fps;
+    this.mirror = mirror;
+    this.label = label;
+    this.isRecording = false;
+    this._feedback = null;
+  }
+
+  /**
+   * Start recording
+   * @param {Object} sources
+   * @param {HTMLVideoElement} sources.video - Live or uploaded video
+   * @param {Function} sources.getOverlay - Returns the current pose overlay canvas (or null when hidden)
+   * @param {PoseDetectionUtils} sources.detector - Detector whose counter and posture are burned in
+   * @throws {Error} - When the browser cannot record clips
+   */
+  start({ video, getOverlay, detector }) {
+    const mimeType = pickClipMimeType();
+    if (!isClipRecordingSupported() || !video?.videoWidth) {
+      throw new Error('Clip recording is not supported in this browser');
+    }
+    this.video = video;
+    this.getOverlay = getOverlay;
+    this.detector = detector;
+    this.mimeType = mimeType;
+    this.exerciseMode = detector?.exerciseMode || null;
+    this.isHold = typeof getExerciseDefinition(this.exerciseMode)?.isHoldValid === 'function';
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = video.videoWidth;
+    this.canvas.height = video.videoHeight;
+    this._ctx = this.canvas.getContext('2d');
+    this._draw();
+
+    this._capture = recordCanvas(this.canvas, this.fps, mimeType);
+    this.startedAt = performance.now();
+    this.recordedAt = new Date().toISOString();
+    this._repTimes = [];
+    this._lastCount = detector?.getStats().count || 0;
+    this._feedback = null;
+    this.isRecording = true;
+
+    const loop = () => {
+      if (!this.isRecording) return;
+      this._draw();
+      this._rafId = requestAnimationFrame(loop);
+    };
+    this._rafId = requestAnimationFrame(loop);
+    console.log('🎥 Clip recording started:', this.exerciseMode, mimeType);
+  }
+
+  /**
+   * Burn a form warning into the clip (PoseDetectionUtils onFormFeedback)
+   * @param {Object} feedback - { message, type }
+   */
+  addFeedback(feedback) {
+    if (!this.isRecording || !feedback?.message) return;
+    if (feedback.type !== 'warning' && feedback.type !== 'error') return;
+    this._feedback = { message: feedback.message, type: feedback.type, at: performance.now() };
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Object|null>} - { blob, mimeType, durationMs, recordedAt, exerciseMode, label,
+   *   reps: [{ rep, startMs, endMs }] } (rep numbers count from 1 within the clip), or null when not recording
+   */
+  async stop() {
+    if (!this.isRecording) return null;
+    this.isRecording = false;
+    cancelAnimationFrame(this._rafId);
+    const durationMs = Math.round(performance.now() - this.startedAt);
+    const blob = await this._capture.stop();
+
+    const reps = this._repTimes.map((countMs, index) => ({
+      rep: index + 1,
+      startMs: index === 0 ? 0 : this._repTimes[index - 1],
+      endMs: Math.min(durationMs, countMs + REP_TAIL_MS)
+    }));
+    console.log(`🎥 Clip recorded: ${Math.round(durationMs / 1000)}s, ${reps.length} reps, ${blob.size} bytes`);
+    return {
+      blob,
+      mimeType: this.mimeType,
+      durationMs,
+      recordedAt: this.recordedAt,
+      exerciseMode: this.exerciseMode,
+      label: this.label,
+      reps
+    };
+  }
+
+  /**
+   * Composite one frame
+   * @private
+   */
+  _draw() {
+    const ctx = this._ctx;
+    const { width, height } = this.canvas;
+    const overlay = this.getOverlay?.();
+
+    ctx.save();
+    if (this.mirror) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(this.video, 0, 0, width, height);
+    if (overlay?.width && overlay?.height) ctx.drawImage(overlay, 0, 0, width, height);
+    ctx.restore();
+
+    const stats = this.detector?.getStats() || { count: 0, posture: 'unknown', timeSec: 0 };
+    if (this.isRecording && stats.count > this._lastCount) {
+      const elapsedMs = performance.now() - this.startedAt;
+      for (let c = this._lastCount; c < stats.count; c++) this._repTimes.push(Math.round(elapsedMs));
+    }
+    if (this.isRecording) this._lastCount = stats.count;
+
+    const feedback = this._feedback && performance.now() - this._feedback.at < FEEDBACK_SHOW_MS ? this._feedback : null;
+    drawClipHud(ctx, width, height, {
+      isHold: this.isHold,
+      count: stats.count,
+      timeSec: stats.timeSec || 0,
+      posture: stats.posture,
+      label: this.label,
+      feedback
+    });
+  }
+}
+
+/**
+ * Re-record part of a clip (the recorded WebM plays back into a new recording)
+ * Runs in real time: trimming reps 3-5 of a clip takes as long as those reps.
+ * @param {Object} clip - ClipRecorder.stop() result
+ * @param {number} startMs - Window start in the clip
+ * @param {number} endMs - Window end in the clip
+ * @param {Object} options
+ * @param {number} options.fps - Capture rate
+ * @returns {Promise<Blob>} - Trimmed WebM
+ */
+export async function trimClip(clip, startMs, endMs, { fps = DEFAULT_FPS } = {}) {
+  const url = URL.createObjectURL(clip.blob);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.src = url;
+  try {
+    await waitForVideoEvent(video, 'loadeddata', LOAD_TIMEOUT_MS);
+    // MediaRecorder output has no duration in its header; seeking past the end makes the browser find it
+    if (!Number.isFinite(video.duration)) {
+      const scanned = waitForVideoEvent(video, 'seeked', LOAD_TIMEOUT_MS);
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      await scanned;
+    }
+    const seeked = waitForVideoEvent(video, 'seeked', LOAD_TIMEOUT_MS);
+    video.currentTime = startMs / 1000;
+    await seeked;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const capture = recordCanvas(canvas, fps, clip.mimeType || pickClipMimeType());
+
+    await video.play();
+    await new Promise((resolve) => {
+      const loop = () => {
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        if (video.ended || video.currentTime * 1000 >= endMs) {
+          resolve();
+          return;
+        }
+        requestAnimationFrame(loop);
+      };
+      requestAnimationFrame(loop);
+    });
+    video.pause();
+    const blob = await capture.stop();
+    console.log(`✂️ Clip trimmed to ${Math.round(startMs)}-${Math.round(endMs)}ms: ${blob.size} bytes`);
+    return blob;
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+export default ClipRecorder;
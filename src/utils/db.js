@@ -1,10 +1,13 @@
 import Dexie from 'dexie';
+import { totalReps } from './repTargets';
 
 // Database schema
 // - users: { id, email, name, createdAt, statsId }
 // - stats: { id, userId, totalRepsByExercise: { [exerciseName]: number }, totalDurationSecByExercise: { [exerciseName]: number }, completedDays: number[], completedWeeks: number[], completedMonths: number[], lastUpdated }
 // - sessions: { id, userId, dateISO, items: [{ name, reps, sets, durationSec, completed }] }
 // - achievements: { id, userId, code, title, level, earnedAt, progress, target }
+// - calibrations: { id, userId, cameraKey, ratios: { shoulderToTorso, ankleToShoulder }, bodyProportions, frameCount, updatedAt }
+// - preferences: { id, userId, key, value, updatedAt }
 
 export const db = new Dexie('fitcoach_db');
 
@@ -15,6 +18,16 @@ db.version(1).stores({
   achievements: '++id, userId, code'
 });
 
+// v2: per-user, per-camera calibration profiles
+db.version(2).stores({
+  calibrations: '++id, [userId+cameraKey]'
+});
+
+// v3: per-user preferences (ROM profile, voice coach settings; see userPreferences.js)
+db.version(3).stores({
+  preferences: '++id, [userId+key]'
+});
+
 // Helpers
 export async function getOrCreateUserByEmail(email, name) {
   let user = await db.users.where({ email }).first();
@@ -81,7 +94,7 @@ export async function updateAggregateStats(userId, items) {
   for (const item of items) {
     const key = (item.name || '').toLowerCase();
     if (item.reps) {
-      totalRepsByExercise[key] = (totalRepsByExercise[key] || 0) + (Number(item.sets || 1) * Number(item.reps || 0));
+      totalRepsByExercise[key] = (totalRepsByExercise[key] || 0) + (Number(item.sets || 1) * totalReps(item.reps));
     } else if (item.duration) {
       const sec = parseInt(String(item.duration).replace(/\D/g, ''), 10) || 0;
       totalDurationSecByExercise[key] = (totalDurationSecByExercise[key] || 0) + (Number(item.sets || 1) * sec);
@@ -130,4 +143,33 @@ export async function listAchievements(userId) {
   return db.achievements.where({ userId }).toArray();
 }
 
+export async function getCalibrationProfile(userId, cameraKey) {
+  return db.calibrations.where({ userId, cameraKey }).first();
+}
+
+export async function saveCalibrationProfile(userId, cameraKey, calibration) {
+  const existing = await getCalibrationProfile(userId, cameraKey);
+  const profile = { userId, cameraKey, ...calibration, updatedAt: new Date().toISOString() };
+  if (existing) {
+    // Replace the whole record so fields a newer calibration no longer saves do not linger
+    await db.calibrations.put({ ...profile, id: existing.id });
+    return { ...profile, id: existing.id };
+  }
+  const id = await db.calibrations.add(profile);
+  return { ...profile, id };
+}
+
+export async function getUserPreference(userId, key) {
+  return db.preferences.where({ userId, key }).first();
+}
 
+export async function saveUserPreference(userId, key, value) {
+  const existing = await getUserPreference(userId, key);
+  const record = { userId, key, value, updatedAt: new Date().toISOString() };
+  if (existing) {
+    await db.preferences.put({ ...record, id: existing.id });
+    return { ...record, id: existing.id };
+  }
+  const id = await db.preferences.add(record);
+  return { ...record, id };
+}
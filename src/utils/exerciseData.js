@@ -1,3 +1,5 @@
+// Exercise catalogue
+// referencePose: keyframed ideal form drawn as the ghost skeleton during a workout (format in ghostPose.js)
 export const exerciseData = {
   'Push-ups': {
     title: 'Push-ups',
@@ -5,7 +7,16 @@ export const exerciseData = {
     targetMuscles: ['Chest', 'Arms', 'Core'],
     exerciseType: 'Strength',
     gifUrl: 'push-ups.gif',
-    photo: 'Push up.jpeg'
+    photo: 'Push up.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['elbow', 'hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -24, arms: [90, 90], legs: [156, 156] },
+        { at: 0.5, torso: -6, arms: [160, 80], legs: [174, 174] },
+        { at: 1, torso: -24, arms: [90, 90], legs: [156, 156] }
+      ]
+    }
   },
   'Squats': {
     title: 'Squats',
@@ -13,7 +24,16 @@ export const exerciseData = {
     targetMuscles: ['Legs', 'Glutes', 'Core'],
     exerciseType: 'Strength',
     gifUrl: 'bodyweight-squat.gif',
-    photo: 'Squat.jpeg'
+    photo: 'Squat.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -90, arms: [90, 90], legs: [90, 90] },
+        { at: 0.5, torso: -55, head: -35, arms: [0, 0], legs: [10, 110] },
+        { at: 1, torso: -90, arms: [90, 90], legs: [90, 90] }
+      ]
+    }
   },
   'Jump Squats': {
     title: 'Jump Squats',
@@ -21,7 +41,17 @@ export const exerciseData = {
     targetMuscles: ['Legs', 'Glutes', 'Core'],
     exerciseType: 'Cardio, Strength',
     gifUrl: 'jump-squat.gif',
-    photo: 'Lunges.jpeg' // No separate jump squat photo, using lunges as closest visual
+    photo: 'Lunges.jpeg', // No separate jump squat photo, using lunges as closest visual
+    referencePose: {
+      view: 'side',
+      compare: ['hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -90, arms: [90, 90], legs: [90, 90] },
+        { at: 0.4, torso: -55, head: -35, arms: [125, 115], legs: [10, 110] },
+        { at: 0.7, torso: -88, arms: [-80, -85], legs: [92, 95] },
+        { at: 1, torso: -90, arms: [90, 90], legs: [90, 90] }
+      ]
+    }
   },
   'Jumping Jacks': {
     title: 'Jumping Jacks',
@@ -29,7 +59,16 @@ export const exerciseData = {
     targetMuscles: ['Full Body'],
     exerciseType: 'Cardio',
     gifUrl: 'jumping-jacks.gif',
-    photo: 'Jumping Jacks.jpeg'
+    photo: 'Jumping Jacks.jpeg',
+    referencePose: {
+      view: 'front',
+      compare: ['shoulder', 'hip'],
+      keyframes: [
+        { at: 0, torso: -90, arms: { left: [82, 86], right: [98, 94] }, legs: { left: [88, 90], right: [92, 90] } },
+        { at: 0.5, torso: -90, arms: { left: [-35, -60], right: [-145, -120] }, legs: { left: [72, 76], right: [108, 104] } },
+        { at: 1, torso: -90, arms: { left: [82, 86], right: [98, 94] }, legs: { left: [88, 90], right: [92, 90] } }
+      ]
+    }
   },
   'Mountain Climbers': {
     title: 'Mountain Climbers',
@@ -37,7 +76,17 @@ export const exerciseData = {
     targetMuscles: ['Core', 'Shoulders', 'Cardio'],
     exerciseType: 'Cardio, Core',
     gifUrl: 'mountain-climbers.gif',
-    photo: 'Mountain Climbers.jpeg'
+    photo: 'Mountain Climbers.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['elbow', 'hip', 'knee'],
+      alternating: true,
+      keyframes: [
+        { at: 0, torso: -22, arms: [90, 90], legs: { left: [158, 158], right: [35, 125] } },
+        { at: 0.5, torso: -22, arms: [90, 90], legs: { left: [35, 125], right: [158, 158] } },
+        { at: 1, torso: -22, arms: [90, 90], legs: { left: [158, 158], right: [35, 125] } }
+      ]
+    }
   },
   'Plank': {
     title: 'Plank',
@@ -45,7 +94,14 @@ export const exerciseData = {
     targetMuscles: ['Core', 'Shoulders'],
     exerciseType: 'Core Stability',
     gifUrl: 'plank.gif',
-    photo: 'Plank.jpeg'
+    photo: 'Plank.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['shoulder', 'hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -13, arms: [90, 0], legs: [167, 167] }
+      ]
+    }
   },
   'Side Plank': {
     title: 'Side Plank',
@@ -53,7 +109,14 @@ export const exerciseData = {
     targetMuscles: ['Core', 'Obliques'],
     exerciseType: 'Core Stability',
     gifUrl: 'side-plank.gif',
-    photo: 'Side Plank.jpeg'
+    photo: 'Side Plank.jpeg',
+    referencePose: {
+      view: 'front',
+      compare: ['hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -18, head: -25, arms: { left: [90, 90], right: [165, 150] }, legs: [162, 162] }
+      ]
+    }
   },
   'Wall Sit': {
     title: 'Wall Sit',
@@ -61,7 +124,14 @@ export const exerciseData = {
     targetMuscles: ['Legs', 'Core'],
     exerciseType: 'Strength Endurance',
     gifUrl: 'wall-sit.gif',
-    photo: 'Wall Sit.jpeg'
+    photo: 'Wall Sit.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -90, arms: [70, 10], legs: [0, 90] }
+      ]
+    }
   },
   'Burpees': {
     title: 'Burpees',
@@ -69,7 +139,19 @@ export const exerciseData = {
     targetMuscles: ['Full Body', 'Cardio'],
     exerciseType: 'Cardio, Strength',
     gifUrl: 'burpees.gif',
-    photo: 'Burpees.jpeg'
+    photo: 'Burpees.jpeg',
+    referencePose: {
+      view: 'side',
+      compare: ['hip', 'knee'],
+      keyframes: [
+        { at: 0, torso: -90, arms: [90, 90], legs: [90, 90] },
+        { at: 0.2, torso: -40, head: -20, arms: [70, 90], legs: [15, 115] },
+        { at: 0.4, torso: -24, arms: [90, 90], legs: [156, 156] },
+        { at: 0.6, torso: -40, head: -20, arms: [70, 90], legs: [15, 115] },
+        { at: 0.8, torso: -90, arms: [-85, -88], legs: [90, 92] },
+        { at: 1, torso: -90, arms: [90, 90], legs: [90, 90] }
+      ]
+    }
   },
   'High Knees': {
     title: 'High Knees',
@@ -78,5 +160,6 @@ export const exerciseData = {
     exerciseType: 'Cardio',
     gifUrl: 'high-knees.gif',
     photo: 'High Knees.jpg'
+    // No referencePose: the knee drive points at the camera, which a flat ghost cannot show
   }
 };
@@ -0,0 +1,229 @@
+/**
+ * ExerciseRecognizer - Guess the movement from a rolling window of landmarks
+ * Each frame is reduced to a few joint angles and body-shape measures; every
+ * CLASSIFY_INTERVAL_MS the window (~3s) is matched against simple movement signatures:
+ *
+ *   horizontal body  + elbows bending          → pushups
+ *   horizontal body  + hips flexing in turn    → mountainclimbers
+ *   horizontal body  + held still, body line   → plank / sideplank
+ *   torso swinging between lying and sitting   → situps
+ *   torso swinging between standing and plank  → burpees
+ *   upright + arms overhead and feet apart     → jumpingjacks
+ *   upright + knees rising in turn, hips level → highknees
+ *   upright + knees bending in a split stance  → lunges
+ *   upright + knees bending together           → squats
+ *   upright + knees held near 90°              → wallsit
+ *
+ * A guess becomes the recognized exercise once STABLE_CLASSIFICATIONS windows in a row agree.
+ * Variants (wide/diamond push-ups, reverse/knee planks) are not told apart: compare modes with
+ * isSameExerciseFamily() rather than ===.
+ */
+
+const WINDOW_MS = 3000;
+const CLASSIFY_INTERVAL_MS = 500;
+const MIN_SAMPLES = 30;
+const STABLE_CLASSIFICATIONS = 3;
+const MIN_VISIBILITY = 0.35;
+
+// Display names for recognized modes (match the exercise lists in the workout screen)
+export const RECOGNIZED_EXERCISES = {
+  pushups: 'Push-Ups',
+  squats: 'Squats',
+  lunges: 'Lunges',
+  burpees: 'Burpees',
+  situps: 'Sit-Ups',
+  mountainclimbers: 'Mountain Climbers',
+  jumpingjacks: 'Jumping Jacks',
+  highknees: 'High Knees',
+  plank: 'Plank',
+  sideplank: 'Side Plank',
+  wallsit: 'Wall Sit'
+};
+
+const FAMILIES = {
+  pushups: ['pushups', 'widepushups', 'narrowpushups', 'diamondpushups', 'kneepushups'],
+  plank: ['plank', 'reverseplank', 'straightarmplank', 'reversestraightarmplank', 'kneeplank']
+};
+
+/**
+ * Family key for a mode (push-up variants → 'pushups', plank variants → 'plank')
+ * @param {string} mode - Normalized exercise mode
+ * @returns {string}
+ */
+export function exerciseFamily(mode) {
+  const family = Object.keys(FAMILIES).find((key) => FAMILIES[key].includes(mode));
+  return family || mode;
+}
+
+/**
+ * @param {string} a - Exercise mode
+ * @param {string} b - Exercise mode
+ * @returns {boolean} - True when both modes are the same movement (variants included)
+ */
+export function isSameExerciseFamily(a, b) {
+  return !!a && !!b && exerciseFamily(a) === exerciseFamily(b);
+}
+
+const mean = (values) => {
+  const valid = values.filter((v) => v !== null && v !== undefined);
+  return valid.length ? valid.reduce((sum, v) => sum + v, 0) / valid.length : null;
+};
+
+// Spread between the 10th and 90th percentile (robust to single-frame glitches)
+const spread = (values) => {
+  const valid = values.filter((v) => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (valid.length < 2) return 0;
+  const at = (p) => valid[Math.min(valid.length - 1, Math.floor(p * (valid.length - 1)))];
+  return at(0.9) - at(0.1);
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Reduce one frame of raw landmarks to recognition features
+ * @param {PoseDetectionUtils} pose - Detector instance (angle helpers)
+ * @param {Array} landmarks - Raw landmarks for the frame
+ * @returns {Object|null} - Feature sample, or null when the torso is not visible
+ */
+export function sampleExerciseFrame(pose, landmarks) {
+  if (!landmarks) return null;
+  const point = (i) => {
+    const p = landmarks[i];
+    return p && (p.visibility == null || p.visibility > MIN_VISIBILITY) ? p : null;
+  };
+  const [ls, rs, le, re, lw, rw, lh, rh, lk, rk, la, ra] = [11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28].map(point);
+  if (!ls || !rs || !lh || !rh) return null;
+
+  const shoulder = midpoint(ls, rs);
+  const hip = midpoint(lh, rh);
+  const torso = distance(shoulder, hip) || 0.0001;
+  const angle = (a, b, c) => (a && b && c ? pose.calculateAngle(a, b, c) : null);
+
+  return {
+    // 0° = upright torso, 90° = lying flat
+    tilt: Math.abs(Math.atan2(hip.x - shoulder.x, hip.y - shoulder.y) * 180 / Math.PI),
+    elbow: mean([angle(ls, le, lw), angle(rs, re, rw)]),
+    kneeL: angle(lh, lk, la),
+    kneeR: angle(rh, rk, ra),
+    hipL: angle(ls, lh, lk),
+    hipR: angle(rs, rh, rk),
+    bodyLine: mean([angle(ls, lh, la), angle(rs, rh, ra)]),
+    // Vertical positions in torso lengths (image y grows down)
+    hipY: hip.y / torso,
+    wristRise: lw && rw ? (shoulder.y - (lw.y + rw.y) / 2) / torso : null,
+    feetApart: la && ra ? Math.abs(la.x - ra.x) / (Math.abs(ls.x - rs.x) || 0.0001) : null,
+    // Split stance: ankles far apart relative to leg length
+    stance: la && ra && lk ? distance(la, ra) / ((distance(lh, lk) + distance(lk, la)) || 0.0001) : null,
+    // Side plank: shoulders stacked vertically rather than side by side
+    shouldersStacked: Math.abs(ls.y - rs.y) > Math.abs(ls.x - rs.x) * 1.5
+  };
+}
+
+class ExerciseRecognizer {
+  constructor() {
+    this.reset();
+  }
+
+  // Clear the window and the recognized exercise
+  reset() {
+    this._samples = [];
+    this._lastClassifiedAt = 0;
+    this._candidate = null;
+    this._candidateRuns = 0;
+    this.recognized = null;
+  }
+
+  /**
+   * Add a frame and reclassify the window every CLASSIFY_INTERVAL_MS
+   * @param {Object|null} sample - sampleExerciseFrame() output
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object|null} - { mode, name, confidence } when the recognized exercise changed
+   */
+  update(sample, timestamp = Date.now()) {
+    if (sample) this._samples.push({ t: timestamp, ...sample });
+    while (this._samples.length && timestamp - this._samples[0].t > WINDOW_MS) this._samples.shift();
+
+    if (timestamp - this._lastClassifiedAt < CLASSIFY_INTERVAL_MS) return null;
+    this._lastClassifiedAt = timestamp;
+
+    const guess = this._samples.length >= MIN_SAMPLES ? this.classify(this._samples) : null;
+    if (guess === this._candidate) {
+      this._candidateRuns++;
+    } else {
+      this._candidate = guess;
+      this._candidateRuns = 1;
+    }
+
+    if (!guess || this._candidateRuns < STABLE_CLASSIFICATIONS) return null;
+    if (this.recognized?.mode === guess) {
+      this.recognized.confidence = this._confidence();
+      return null;
+    }
+    this.recognized = { mode: guess, name: RECOGNIZED_EXERCISES[guess], confidence: this._confidence() };
+    return this.recognized;
+  }
+
+  /**
+   * Match a window of samples against the movement signatures
+   * @param {Array} samples - Feature samples (oldest first)
+   * @returns {string|null} - Recognized mode, or null when nothing matches (e.g. standing still)
+   */
+  classify(samples) {
+    const pick = (key) => samples.map((s) => s[key]);
+    const tilt = mean(pick('tilt'));
+    const tiltRange = spread(pick('tilt'));
+    const elbowRange = spread(pick('elbow'));
+    const kneeL = pick('kneeL');
+    const kneeR = pick('kneeR');
+    const kneeRange = Math.max(spread(kneeL), spread(kneeR));
+    const knee = mean([...kneeL, ...kneeR]);
+    const hipRangeL = spread(pick('hipL'));
+    const hipRangeR = spread(pick('hipR'));
+    // Alternating legs: the left-right hip angle difference swings both ways
+    const hipSwing = spread(samples.map((s) => (s.hipL !== null && s.hipR !== null ? s.hipL - s.hipR : null)));
+    const alternating = hipRangeL > 40 && hipRangeR > 40 && hipSwing > 60;
+
+    // Whole-body transitions first: they pass through both upright and horizontal frames
+    if (tiltRange > 50) {
+      return kneeRange > 50 && spread(pick('hipY')) > 0.5 ? 'burpees' : 'situps';
+    }
+
+    if (tilt > 55) {
+      if (alternating) return 'mountainclimbers';
+      if (elbowRange > 35) return 'pushups';
+      const bodyLine = mean(pick('bodyLine'));
+      const still = elbowRange < 20 && kneeRange < 25;
+      if (still && bodyLine !== null && bodyLine > 140) {
+        const stacked = samples.filter((s) => s.shouldersStacked).length > samples.length / 2;
+        return stacked ? 'sideplank' : 'plank';
+      }
+      return null;
+    }
+
+    if (tilt < 35) {
+      const wristRange = spread(pick('wristRise'));
+      const feetRange = spread(pick('feetApart'));
+      if (wristRange > 1 && feetRange > 0.5) return 'jumpingjacks';
+      if (alternating && spread(pick('hipY')) < 0.4) return 'highknees';
+      if (kneeRange > 35) {
+        const stance = mean(pick('stance'));
+        return stance !== null && stance > 0.55 ? 'lunges' : 'squats';
+      }
+      if (kneeRange < 15 && knee !== null && knee > 65 && knee < 120) return 'wallsit';
+    }
+    return null;
+  }
+
+  /**
+   * Share of the recent classifications that agree with the candidate
+   * @returns {number} - 0-1
+   * @private
+   */
+  _confidence() {
+    const windows = WINDOW_MS / CLASSIFY_INTERVAL_MS;
+    return Math.min(1, this._candidateRuns / windows);
+  }
+}
+
+export default ExerciseRecognizer;
@@ -0,0 +1,67 @@
+// Burpees: counted when both hands go above the head during the jump
+
+/**
+ * Update burpees counter: a rep is the jump with hands above the head
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} bstate - perModeState['burpees']
+ * @param {Object} definition - Burpee definition
+ */
+function updateBurpeesCounter(pose, landmarks, bstate, definition) {
+  try {
+    const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    // نقاط الرأس واليدين
+    const nose = landmarks[config.NOSE || 0];
+    const leftWrist = landmarks[config.LEFT_WRIST || 15];
+    const rightWrist = landmarks[config.RIGHT_WRIST || 16];
+    const leftIndex = landmarks[config.LEFT_INDEX || 19];
+    const rightIndex = landmarks[config.RIGHT_INDEX || 20];
+    if (!nose || !leftWrist || !rightWrist) return;
+    // أعلى نقطة للرأس
+    const headY = nose.y;
+    // أعلى نقطة لليد أو الأصابع
+    const leftHandY = leftIndex ? leftIndex.y : leftWrist.y;
+    const rightHandY = rightIndex ? rightIndex.y : rightWrist.y;
+    // إذا كانت اليدين أو الأصابع أعلى من الرأس (أقل في قيمة y)
+    const handsAboveHead = (leftHandY < headY && rightHandY < headY);
+    // منطق العد
+    if (!bstate._burpeeState) bstate._burpeeState = 'ready';
+    if (bstate._burpeeState === 'ready') {
+      if (handsAboveHead) {
+        bstate._burpeeState = 'jumping';
+        bstate.count += 1;
+        pose.playSuccessSound(); // Play success sound
+        if (pose.onPushupCount) pose.onPushupCount(bstate.count);
+        if (pose.onFormFeedback) {
+          pose.onFormFeedback({
+            message: definition.feedback.rep(bstate.count),
+            type: 'success',
+            timestamp: Date.now()
+          });
+        }
+      }
+    } else if (bstate._burpeeState === 'jumping') {
+      if (!handsAboveHead) {
+        bstate._burpeeState = 'ready';
+      }
+    }
+  } catch (error) {
+    console.error('Error updating burpees counter:', error);
+  }
+}
+
+export const burpees = {
+  mode: 'burpees',
+  label: 'Burpee',
+  criticalLandmarks: [11, 12, 13, 14, 23, 24, 25, 26],
+  stateTransitions: { ready: ['jumping'], jumping: ['ready'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: false },
+  feedback: { rep: (count) => `Burpee ${count} - Hands above head!` },
+  initialState: () => ({ state: 'up', count: 0 }),
+  reset: (state) => {
+    state._burpeeState = 'ready';
+  },
+  update: updateBurpeesCounter
+};
+
+export default [burpees];
@@ -0,0 +1,162 @@
+// High knees: each leg drive is counted independently
+
+/**
+ * Update high knees counter - robust detection with hip angle and vertical posture validation
+ * Distinguishes high knees from other exercises by checking vertical stance and hip flexion
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} hkState - perModeState['highknees']
+ * @param {Object} definition - Exercise definition
+ */
+function updateHighKneesCounter(pose, landmarks, hkState, definition) {
+  try {
+    const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const hkCfg = window.MediaPipeConfig?.HIGHKNEES_CONFIG || {};
+
+    // Get landmarks
+    const leftHip = landmarks[cfg.LEFT_HIP || 23];
+    const rightHip = landmarks[cfg.RIGHT_HIP || 24];
+    const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
+    const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
+    const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
+    const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
+
+    if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftShoulder || !rightShoulder) {
+      return;
+    }
+
+    // Initialize state for each leg independently
+    if (!hkState._leftState) hkState._leftState = 'down';
+    if (!hkState._rightState) hkState._rightState = 'down';
+    if (!hkState._leftLastRepAt) hkState._leftLastRepAt = 0;
+    if (!hkState._rightLastRepAt) hkState._rightLastRepAt = 0;
+    
+    const now = Date.now();
+    const MIN_REP_MS = pose.minRepMs(200); // Fast response
+
+    // Calculate torso length for normalization
+    const shoulderMidY = (leftShoulder.y + rightShoulder.y) / 2;
+    const hipMidY = (leftHip.y + rightHip.y) / 2;
+    const torsoLength = Math.abs(shoulderMidY - hipMidY) || 0.0001;
+
+    // === VERTICAL POSTURE CHECK ===
+    // Ensure user is standing upright (not in plank/pushup position)
+    // In vertical stance, shoulders should be above hips
+    const isVerticalPosture = shoulderMidY < hipMidY; // Y increases downward, so shoulders should have smaller Y
+    
+    if (!isVerticalPosture) {
+      // User is horizontal (plank/pushup) - don't count
+      return;
+    }
+
+    // Calculate knee heights (normalized by torso)
+    const leftKneeHeight = (leftHip.y - leftKnee.y) / torsoLength;
+    const rightKneeHeight = (rightHip.y - rightKnee.y) / torsoLength;
+
+    // === KNEE ANGLE (Hip-Knee-Ankle) ===
+    const leftKneeAngle = pose.calculateAngle(leftHip, leftKnee, leftAnkle || leftKnee);
+    const rightKneeAngle = pose.calculateAngle(rightHip, rightKnee, rightAnkle || rightKnee);
+
+    // === HIP ANGLE (Shoulder-Hip-Knee) ===
+    // This is the key differentiator for high knees!
+    // When lifting knee, hip flexes significantly
+    const leftHipAngle = pose.calculateAngle(leftShoulder, leftHip, leftKnee);
+    const rightHipAngle = pose.calculateAngle(rightShoulder, rightHip, rightKnee);
+
+    // HIGH KNEES SPECIFIC THRESHOLDS
+    const KNEE_ANGLE_FLEXED = 110; // Knee bent
+    const KNEE_ANGLE_EXTENDED = 150; // Knee straight
+    const HIP_ANGLE_FLEXED = 100; // Hip flexed (knee raised) - KEY for high knees!
+    const HIP_ANGLE_EXTENDED = 160; // Hip extended (standing)
+    const KNEE_HEIGHT_THRESHOLD = 0.08; // Backup height check
+    
+    // COMBINED DETECTION with hip angle validation
+    // Must have: (knee flexed OR height sufficient) AND hip flexed AND vertical posture
+    const leftKneeUp = (
+      (leftKneeAngle <= KNEE_ANGLE_FLEXED || leftKneeHeight >= KNEE_HEIGHT_THRESHOLD) &&
+      leftHipAngle <= HIP_ANGLE_FLEXED // Hip must be flexed!
+    );
+    
+    const rightKneeUp = (
+      (rightKneeAngle <= KNEE_ANGLE_FLEXED || rightKneeHeight >= KNEE_HEIGHT_THRESHOLD) &&
+      rightHipAngle <= HIP_ANGLE_FLEXED // Hip must be flexed!
+    );
+    
+    // For down detection, require both knee and hip to be extended
+    const leftKneeDown = leftKneeAngle >= KNEE_ANGLE_EXTENDED && leftHipAngle >= HIP_ANGLE_EXTENDED;
+    const rightKneeDown = rightKneeAngle >= KNEE_ANGLE_EXTENDED && rightHipAngle >= HIP_ANGLE_EXTENDED;
+
+    // Process LEFT leg independently
+    if (hkState._leftState === 'down') {
+      if (leftKneeUp && (now - hkState._leftLastRepAt) > MIN_REP_MS) {
+        hkState._leftState = 'up';
+        hkState.count++;
+        hkState._leftLastRepAt = now;
+        
+        console.log(`✅ HIGH KNEE ${hkState.count} (LEFT) - KneeAngle: ${Math.round(leftKneeAngle)}°, HipAngle: ${Math.round(leftHipAngle)}°, Height: ${leftKneeHeight.toFixed(2)}`);
+        
+        // Success feedback
+        if (pose.playSuccessSound) pose.playSuccessSound();
+        if (pose.onPushupCount) pose.onPushupCount(hkState.count);
+        if (pose.onFormFeedback) {
+          pose.onFormFeedback({
+            message: definition.feedback.rep(hkState.count),
+            type: 'success',
+            timestamp: now
+          });
+        }
+      }
+    } else if (hkState._leftState === 'up') {
+      // Wait for left knee to extend (go down)
+      if (leftKneeDown) {
+        hkState._leftState = 'down';
+      }
+    }
+
+    // Process RIGHT leg independently
+    if (hkState._rightState === 'down') {
+      if (rightKneeUp && (now - hkState._rightLastRepAt) > MIN_REP_MS) {
+        hkState._rightState = 'up';
+        hkState.count++;
+        hkState._rightLastRepAt = now;
+        
+        console.log(`✅ HIGH KNEE ${hkState.count} (RIGHT) - KneeAngle: ${Math.round(rightKneeAngle)}°, HipAngle: ${Math.round(rightHipAngle)}°, Height: ${rightKneeHeight.toFixed(2)}`);
+        
+        // Success feedback
+        if (pose.playSuccessSound) pose.playSuccessSound();
+        if (pose.onPushupCount) pose.onPushupCount(hkState.count);
+        if (pose.onFormFeedback) {
+          pose.onFormFeedback({
+            message: definition.feedback.rep(hkState.count),
+            type: 'success',
+            timestamp: now
+          });
+        }
+      }
+    } else if (hkState._rightState === 'up') {
+      // Wait for right knee to extend (go down)
+      if (rightKneeDown) {
+        hkState._rightState = 'down';
+      }
+    }
+
+  } catch (err) {
+    console.error("❌ Error in updateHighKneesCounter:", err);
+  }
+}
+
+export const highKnees = {
+  mode: 'highknees',
+  label: 'High Knee',
+  criticalLandmarks: [23, 24, 25, 26, 27, 28],
+  framing: { view: 'front' },
+  stateTransitions: { down: ['up'], up: ['down'] },
+  posture: { cardioBypass: true, countWhenIncorrect: true, pauseHoldWhenIncorrect: false },
+  feedback: { rep: (count) => `High Knees ${count}` },
+  initialState: () => ({ state: 'down', count: 0 }),
+  update: updateHighKneesCounter
+};
+
+export default [highKnees];
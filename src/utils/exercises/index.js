@@ -0,0 +1,58 @@
+// Built-in exercise definitions
+// New movements: add a module exporting its definitions and register it below.
+
+import {
+  registerExercise,
+  getExerciseDefinition,
+  findExerciseDefinition,
+  countsReps,
+  getRegisteredExercises,
+  createExerciseState,
+  createRepTracker,
+  normalizeExerciseMode
+} from './registry';
+import pushupDefinitions from './pushups';
+import squatDefinitions from './squats';
+import lungeDefinitions from './lunges';
+import situpDefinitions from './situps';
+import mountainClimberDefinitions from './mountainclimbers';
+import burpeeDefinitions from './burpees';
+import highKneesDefinitions from './highknees';
+import jumpingJackDefinitions from './jumpingjacks';
+import plankDefinitions from './planks';
+import wallSitDefinitions from './wallsit';
+
+[
+  ...pushupDefinitions,
+  ...squatDefinitions,
+  ...lungeDefinitions,
+  ...burpeeDefinitions,
+  ...situpDefinitions,
+  ...mountainClimberDefinitions,
+  ...highKneesDefinitions,
+  ...jumpingJackDefinitions,
+  ...plankDefinitions,
+  ...wallSitDefinitions
+].forEach(registerExercise);
+
+export {
+  registerExercise,
+  getExerciseDefinition,
+  findExerciseDefinition,
+  countsReps,
+  getRegisteredExercises,
+  createExerciseState,
+  createRepTracker,
+  normalizeExerciseMode
+};
+
+export default {
+  registerExercise,
+  getExerciseDefinition,
+  findExerciseDefinition,
+  countsReps,
+  getRegisteredExercises,
+  createExerciseState,
+  createRepTracker,
+  normalizeExerciseMode
+};
@@ -0,0 +1,177 @@
+// Jumping jacks: arms and legs open/close cycle, scaled by calibrated shoulder width when available
+
+/**
+ * Update jumping jacks counter (arms overhead + feet apart, counted on return)
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} jjState - perModeState['jumpingjacks']
+ * @param {Object} definition - Exercise definition
+ */
+function updateJumpingJacksCounter(pose, landmarks, jjState, definition) {
+  try {
+    const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const jjConfig = window.MediaPipeConfig?.JUMPINGJACKS_CONFIG || {};
+
+    const leftWrist = landmarks[config.LEFT_WRIST || 15];
+    const rightWrist = landmarks[config.RIGHT_WRIST || 16];
+    const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
+    const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
+    const leftHip = landmarks[config.LEFT_HIP || 23];
+    const rightHip = landmarks[config.RIGHT_HIP || 24];
+
+    if (!leftWrist || !rightWrist || !leftShoulder || !rightShoulder || !leftAnkle || !rightAnkle || !leftHip || !rightHip) {
+      console.log('❌ JJ: Missing landmarks');
+      return;
+    }
+    
+    // Debug log (sample 2% of frames)
+    if (Math.random() < 0.02) {
+      console.log('✅ JJ: Processing frame with all landmarks');
+    }
+
+    if (!jjState._lastRepAt) jjState._lastRepAt = 0;
+    if (!jjState._upStateStartTime) jjState._upStateStartTime = 0;
+    const now = Date.now();
+    const MIN_REP_MS = pose.minRepMs(jjConfig.MIN_REP_MS || 500);
+    const MIN_UP_TIME = 200; // 0.2 seconds hold time for UP state
+
+    // Compute shoulder width from landmarks (use calibration if available)
+    let shoulderWidth;
+    if (pose.calibrationData && !pose.calibrationData.isDefault) {
+      shoulderWidth = pose.calibrationData.shoulderWidth;
+    } else {
+      // Compute from current landmarks - use simple horizontal distance like original
+      shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+    }
+
+    // Per-limb visibility weighting - use counterpart if one limb has low visibility
+    const minVisibility = 0.5;
+    
+    // Wrist positions with visibility weighting
+    let wristAboveShoulderLeft = leftWrist.y < leftShoulder.y;
+    let wristAboveShoulderRight = rightWrist.y < rightShoulder.y;
+    
+    if (leftWrist.visibility < minVisibility && rightWrist.visibility >= minVisibility) {
+      wristAboveShoulderLeft = wristAboveShoulderRight;
+    } else if (rightWrist.visibility < minVisibility && leftWrist.visibility >= minVisibility) {
+      wristAboveShoulderRight = wristAboveShoulderLeft;
+    }
+    
+    const wristsUp = wristAboveShoulderLeft && wristAboveShoulderRight;
+
+    // Wrist below hip positions with visibility weighting
+    let wristBelowHipLeft = leftWrist.y > leftHip.y;
+    let wristBelowHipRight = rightWrist.y > rightHip.y;
+    
+    if (leftWrist.visibility < minVisibility && rightWrist.visibility >= minVisibility) {
+      wristBelowHipLeft = wristBelowHipRight;
+    } else if (rightWrist.visibility < minVisibility && leftWrist.visibility >= minVisibility) {
+      wristBelowHipRight = wristBelowHipLeft;
+    }
+    
+    const wristsDown = wristBelowHipLeft && wristBelowHipRight;
+
+    // Ankle distance computation - use simple horizontal distance like original
+    let ankleDistance = Math.abs(leftAnkle.x - rightAnkle.x);
+    
+    // If one ankle has low visibility, estimate from the other
+    if ((leftAnkle.visibility < minVisibility || rightAnkle.visibility < minVisibility) &&
+        !(leftAnkle.visibility < minVisibility && rightAnkle.visibility < minVisibility)) {
+      // Use shoulder width as fallback estimate
+      ankleDistance = shoulderWidth * 1.5;
+    }
+
+    // UP position: wrists above shoulders AND ankles wider than shoulders
+    // With 0.2s hold time requirement
+    const anklesApart = ankleDistance > (shoulderWidth * 1.5);
+    const isUpPosition = wristsUp && anklesApart;
+
+    // Track UP state timing
+    if (isUpPosition) {
+      if (jjState._upStateStartTime === 0) {
+        jjState._upStateStartTime = now;
+      }
+    } else {
+      jjState._upStateStartTime = 0;
+    }
+
+    // Check if UP state has been held long enough
+    const upStateHeldLongEnough = (jjState._upStateStartTime > 0) && 
+                                   ((now - jjState._upStateStartTime) >= MIN_UP_TIME);
+
+    // DOWN position: wrists near hips AND ankles together
+    // A calibrated neutral stance wider than 0.9 shoulder widths still counts as feet together
+    const togetherThreshold = pose.calibrationData && !pose.calibrationData.isDefault
+      ? Math.max(shoulderWidth * 0.9, pose.calibrationData.neutralAnkleSpacing * 1.1)
+      : shoulderWidth * 0.9;
+    const anklesTogether = ankleDistance < togetherThreshold;
+    const isDown = wristsDown && anklesTogether;
+
+    // Debug logging (sample 5% of frames)
+    if (Math.random() < 0.05) {
+      console.log('🔍 JJ State:', {
+        currentState: jjState.state,
+        isUpPosition,
+        isDown,
+        upStateHeldLongEnough,
+        wristsUp,
+        wristsDown,
+        anklesApart,
+        anklesTogether,
+        ankleDistance: ankleDistance.toFixed(3),
+        shoulderWidth: shoulderWidth.toFixed(3),
+        upThreshold: (shoulderWidth * 1.5).toFixed(3),
+        downThreshold: togetherThreshold.toFixed(3)
+      });
+    }
+
+    // State machine: same as original but with UP hold time requirement
+    if (jjState.state === 'down' || !jjState.state) {
+      if (upStateHeldLongEnough) {
+        jjState.state = 'up';
+        console.log('🟢 JJ: Transitioned to UP state');
+      }
+    } else { // state is 'up'
+      if (isDown) {
+        if ((now - jjState._lastRepAt) > MIN_REP_MS) {
+          jjState.state = 'down';
+          jjState.count += 1;
+          jjState._lastRepAt = now;
+          console.log('🔵 JJ: Counted rep #' + jjState.count);
+          pose.playSuccessSound();
+          if (pose.onPushupCount) pose.onPushupCount(jjState.count);
+          if (pose.onFormFeedback) {
+            pose.onFormFeedback({ message: definition.feedback.rep(jjState.count), type: 'success', timestamp: now });
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error updating jumping jacks counter:', error);
+  }
+}
+
+export const jumpingJacks = {
+  mode: 'jumpingjacks',
+  label: 'Jumping Jack',
+  criticalLandmarks: [11, 12, 15, 16, 23, 24, 27, 28],
+  // Arm and foot spread are read facing the camera
+  framing: { view: 'front' },
+  stateTransitions: { down: ['up'], up: ['down'] },
+  posture: { cardioBypass: true, countWhenIncorrect: true, pauseHoldWhenIncorrect: false },
+  feedback: { rep: (count) => `Jumping Jack ${count}` },
+  initialState: () => ({ state: 'down', count: 0 }),
+  reset: (state) => {
+    state._lastRepAt = 0;
+    state._upCount = 0;
+    state._downCount = 0;
+    state._baselineAnkleDist = null;
+    state._upSince = 0;
+    state._ignoreUntil = 0;
+  },
+  update: updateJumpingJacksCounter
+};
+
+export default [jumpingJacks];
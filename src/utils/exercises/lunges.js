@@ -0,0 +1,121 @@
+// Lunges: count immediately on the descent into a lunge (either leg forward)
+// Transition rules and thresholds live in machines/lunges.js.
+
+import lungeMachine from './machines/lunges';
+import { createRepTracker } from './registry';
+import { createSideCounts, detectLeadingLeg, countSide } from './sides';
+
+/**
+ * Update lunges counter: either leg forward in a bent-knee lunge counts on the descent
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} lstate - perModeState['lunges']
+ * @param {Object} definition - Lunge definition
+ */
+function updateLungesCounter(pose, landmarks, lstate, definition) {
+  try {
+    const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const leftHip = landmarks[cfg.LEFT_HIP || 23];
+    const rightHip = landmarks[cfg.RIGHT_HIP || 24];
+    const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
+    const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
+    const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
+    if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle) return;
+
+    if (!lstate._tracker) {
+      lstate._tracker = createRepTracker(definition);
+    }
+    const tracker = lstate._tracker;
+    // Personal ROM target replaces the front-knee depth
+    const { thresholds } = pose.applyRomTarget(definition, tracker.resolveThresholds());
+
+    // Check if hands are on the ground (like pushup) - don't count lunges if hands on ground
+    const leftWrist = landmarks[cfg.LEFT_WRIST || 15];
+    const rightWrist = landmarks[cfg.RIGHT_WRIST || 16];
+    const leftFoot = landmarks[cfg.LEFT_ANKLE || 27];
+    const rightFoot = landmarks[cfg.RIGHT_ANKLE || 28];
+    let handsOnGround = false;
+    if (leftWrist && rightWrist && leftFoot && rightFoot) {
+      const avgWristY = (leftWrist.y + rightWrist.y) / 2;
+      const avgFootY = (leftFoot.y + rightFoot.y) / 2;
+      if (avgWristY >= avgFootY - thresholds.handsOnGround) {
+        handsOnGround = true;
+      }
+    }
+
+    // Calculate knee angles
+    const leftKneeAngle = pose.calculateAngle(leftHip, leftKnee, leftAnkle);
+    const rightKneeAngle = pose.calculateAngle(rightHip, rightKnee, rightAnkle);
+    // Determine which leg is front (more bent knee) - allow both legs to be counted
+    const leftKneeBent = leftKneeAngle < rightKneeAngle;
+    const frontHip = leftKneeBent ? leftHip : rightHip;
+    const frontAnkle = leftKneeBent ? leftAnkle : rightAnkle;
+
+    // Also check the opposite leg position (for alternating lunges)
+    const rightKneeBent = rightKneeAngle < leftKneeAngle;
+    const altFrontHip = rightKneeBent ? rightHip : leftHip;
+    const altFrontAnkle = rightKneeBent ? rightAnkle : leftAnkle;
+
+    // Lunge position: one leg forward, body leaning forward, back knee close to ground
+    // Stance distances are scaled to the user's calibrated body size
+    const bodyScale = pose.calibrationScale();
+    const result = tracker.step({
+      handsOnGround,
+      kneeYDiff: Math.abs(leftKnee.y - rightKnee.y) / bodyScale,
+      frontKneeAngle: leftKneeBent ? leftKneeAngle : rightKneeAngle,
+      backKneeAngle: leftKneeBent ? rightKneeAngle : leftKneeAngle,
+      frontHipAnkleDx: Math.abs(frontHip.x - frontAnkle.x) / bodyScale,
+      altFrontKneeAngle: rightKneeBent ? rightKneeAngle : leftKneeAngle,
+      altBackKneeAngle: rightKneeBent ? leftKneeAngle : rightKneeAngle,
+      altFrontHipAnkleDx: Math.abs(altFrontHip.x - altFrontAnkle.x) / bodyScale
+    }, { thresholds, sampling: pose.sampling });
+    lstate.state = tracker.currentState;
+
+    // Simple counting: count immediately when going down (like squats)
+    if (result.counted) {
+      lstate.count += 1;
+      const sideCounts = countSide(lstate, detectLeadingLeg(pose, landmarks));
+      pose.playSuccessSound(); // Play success sound
+      if (pose.onPushupCount) pose.onPushupCount(lstate.count, sideCounts);
+      if (pose.onFormFeedback) {
+        pose.onFormFeedback({ message: definition.feedback.rep(lstate.count), type: 'success', timestamp: Date.now() });
+      }
+    }
+  } catch (error) {
+    console.error('Error updating lunges counter:', error);
+  }
+}
+
+export const lunges = {
+  mode: 'lunges',
+  label: 'Lunge',
+  criticalLandmarks: [11, 12, 23, 24, 25, 26, 27, 28],
+  // Stride length and front-knee depth are read side-on
+  framing: { view: 'side' },
+  machine: lungeMachine,
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: false },
+  // Depth is read from the front (more bent) knee; the legs never match in a lunge
+  quality: {
+    joint: 'knee',
+    depthSide: 'min',
+    symmetry: false,
+    depth: { target: 95, limit: 160 },
+    back: { metric: 'torso', good: 15, bad: 40 },
+    tempo: { eccentricMs: 700, concentricMs: 500 }
+  },
+  rom: { threshold: 'frontKneeBent' },
+  // One leg works per rep: balance compares left-leg reps with right-leg reps
+  asymmetry: { joint: 'knee', unilateral: true, angleTolerance: 12, tiltTolerance: 6 },
+  // Alternating legs: left and right leads are counted separately (count is the combined total)
+  sides: 'legs',
+  feedback: { rep: (count) => `Lunge ${count}` },
+  initialState: () => ({ state: 'up', count: 0, sideCounts: createSideCounts() }),
+  reset: (state) => {
+    state._tracker?.reset();
+    state.sideCounts = createSideCounts();
+  },
+  update: updateLungesCounter
+};
+
+export default [lunges];
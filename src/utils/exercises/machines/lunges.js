@@ -0,0 +1,69 @@
+// Lunge state machine, interpreted by RepTracker.step(); metrics are computed in ../lunges.js.
+// Either leg forward counts immediately on the descent; both knees straight returns to up.
+// Thresholds are tuned for front and side camera angles (LUNGES_CONFIG is not wired in yet).
+
+const lungeMachine = {
+  id: 'lunges',
+  initial: 'up',
+  thresholds: {
+    handsOnGround: 0.07,
+    kneeYDiff: 0.06, // فرق واضح بين الركبتين (رجل للأمام) - توسيع
+    backKneeBent: 120, // back knee bent (close to ground) - توسيع
+    frontKneeBent: 100, // front knee bent (stable support) - توسيع
+    hipForward: 0.08, // hip leaning forward over front leg - توسيع
+    standingFrontKnee: 160,
+    standingBackKnee: 150
+  },
+  conditions: {
+    oneLegForward: { metric: 'kneeYDiff', gt: 'kneeYDiff' },
+    // Front leg = the more bent knee
+    lungeFront: {
+      all: [
+        { ref: 'oneLegForward' },
+        { metric: 'backKneeAngle', lt: 'backKneeBent' },
+        { metric: 'frontKneeAngle', lt: 'frontKneeBent' },
+        { metric: 'frontHipAnkleDx', lt: 'hipForward' }
+      ]
+    },
+    // Mirror check for alternating lunges (differs only when both knees read the same angle)
+    lungeAlt: {
+      all: [
+        { ref: 'oneLegForward' },
+        { metric: 'altBackKneeAngle', lt: 'backKneeBent' },
+        { metric: 'altFrontKneeAngle', lt: 'frontKneeBent' },
+        { metric: 'altFrontHipAnkleDx', lt: 'hipForward' }
+      ]
+    }
+  },
+  states: {
+    up: {
+      on: [
+        {
+          to: 'down',
+          when: {
+            all: [
+              { metric: 'handsOnGround', eq: false },
+              { any: [{ ref: 'lungeFront' }, { ref: 'lungeAlt' }] }
+            ]
+          },
+          count: true
+        }
+      ]
+    },
+    down: {
+      on: [
+        {
+          to: 'up',
+          when: {
+            all: [
+              { metric: 'frontKneeAngle', gte: 'standingFrontKnee' },
+              { metric: 'backKneeAngle', gte: 'standingBackKnee' }
+            ]
+          }
+        }
+      ]
+    }
+  }
+};
+
+export default lungeMachine;
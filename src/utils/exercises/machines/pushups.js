@@ -0,0 +1,77 @@
+// Push-up state machine (shared by the standard, wide, narrow, diamond and knee variants)
+// Interpreted by RepTracker.step(); metrics are computed in ../pushups.js.
+// Reps count on the descent (up -> down).
+
+const pushupMachine = {
+  id: 'pushups',
+  initial: 'up',
+  thresholds: {
+    elbowDown: { config: 'PUSHUP_CONFIG.ELBOW_ANGLE_DOWN', default: 95 },
+    elbowUp: { config: 'PUSHUP_CONFIG.ELBOW_ANGLE_UP', default: 155 },
+    // Shoulders within this distance of the bottom of the frame count as "down"
+    shoulderHeightDown: { config: 'PUSHUP_CONFIG.SHOULDER_HEIGHT_DOWN', default: 0.02 },
+    // Shoulder drop from the adaptive baseline (normalized units)
+    shoulderDrop: { config: 'PUSHUP_CONFIG.SHOULDER_DROP_THRESHOLD', default: 0.06 },
+    // Standing detection: shoulder/hip gap to consider, and margin shoulders must be above hips
+    standingDyMin: { config: 'PUSHUP_CONFIG.STANDING_DY_MIN', default: 0.05 },
+    standingMargin: { config: 'PUSHUP_CONFIG.STANDING_DY_MIN', default: 0.02 },
+    startStableFrames: { config: 'PUSHUP_CONFIG.START_STABLE_FRAMES', default: 6 },
+    minRepMs: { config: 'PUSHUP_CONFIG.MIN_REP_MS', default: 400 }
+  },
+  conditions: {
+    pushupPosition: {
+      any: [
+        { metric: 'elbowAngle', lte: 'elbowDown' },
+        {
+          // Shoulder-position fallbacks only without a personal ROM target (they count partial reps)
+          all: [
+            { not: { metric: 'personalDepth' } },
+            {
+              any: [
+                { metric: 'shoulderDrop', gte: 'shoulderDrop' },
+                { metric: 'shoulderHeight', lte: 'shoulderHeightDown' }
+              ]
+            }
+          ]
+        }
+      ]
+    },
+    standing: {
+      all: [
+        { metric: 'elbowAngle', gte: 'elbowUp' },
+        { metric: 'isLikelyStanding' }
+      ]
+    }
+  },
+  // Only count with correct posture once a stable start pose has been held
+  guard: {
+    all: [
+      { metric: 'postureCorrect' },
+      { metric: 'inStartPose' }
+    ]
+  },
+  states: {
+    up: {
+      on: [
+        { to: 'down', when: { ref: 'pushupPosition' }, count: true, minIntervalMs: 'minRepMs' }
+      ]
+    },
+    down: {
+      on: [
+        {
+          to: 'up',
+          when: {
+            any: [
+              { ref: 'standing' },
+              { all: [{ not: { ref: 'pushupPosition' } }, { metric: 'elbowAngle', gte: 'elbowUp' }] }
+            ]
+          }
+        }
+      ]
+    }
+  },
+  // Per-variant threshold overrides keyed by mode, e.g. kneepushups: { elbowDown: 100 }
+  variants: {}
+};
+
+export default pushupMachine;
@@ -0,0 +1,53 @@
+// Squat state machine, interpreted by RepTracker.step(); metrics are computed in ../squats.js.
+// Down once the hip drops past the knee (or the knee bends past the personal ROM target), rep counted on the way back up with a vertical torso.
+
+const squatMachine = {
+  id: 'squats',
+  initial: 'up',
+  thresholds: {
+    // Hip Y must exceed knee Y by this much (normalized, Y grows downward)
+    hipBelowKnee: { config: 'SQUAT_CONFIG.HIP_BELOW_KNEE_MIN', default: 0.01 },
+    // Degrees from vertical the torso may lean when the rep completes
+    torsoVerticalMax: { config: 'SQUAT_CONFIG.TORSO_VERTICAL_THRESHOLD', default: 25 },
+    minRepMs: { config: 'SQUAT_CONFIG.MIN_REP_MS', default: 450 },
+    // Knee angle roughly matching hip-at-knee depth; a personal ROM target replaces it
+    kneeDown: 100
+  },
+  conditions: {
+    // With a personal ROM target depth is the knee angle, otherwise the hip dropping past the knee
+    depthReached: {
+      any: [
+        { all: [{ not: { metric: 'personalDepth' } }, { metric: 'hipKneeDy', gt: 'hipBelowKnee' }] },
+        { all: [{ metric: 'personalDepth' }, { metric: 'kneeAngle', lte: 'kneeDown' }] }
+      ]
+    }
+  },
+  states: {
+    up: {
+      on: [
+        {
+          to: 'down',
+          when: {
+            all: [
+              { ref: 'depthReached' },
+              { metric: 'horizontalLikePushup', eq: false },
+              { metric: 'handsOnGround', eq: false }
+            ]
+          }
+        }
+      ]
+    },
+    down: {
+      on: [
+        {
+          to: 'up',
+          when: { not: { ref: 'depthReached' } },
+          // Returning too soon or bent over still resets to up, it just doesn't count
+          count: { when: { metric: 'torsoAngle', lte: 'torsoVerticalMax' }, minIntervalMs: 'minRepMs' }
+        }
+      ]
+    }
+  }
+};
+
+export default squatMachine;
@@ -0,0 +1,157 @@
+// Mountain climbers: alternating knee drives towards the chest from a plank base
+
+import { createSideCounts, countSide } from './sides';
+
+const LEGS = {
+  left: { hip: 23, knee: 25, ankle: 27, shoulder: 11 },
+  right: { hip: 24, knee: 26, ankle: 28, shoulder: 12 }
+};
+
+/**
+ * Landmarks for the plank-base check: both ankles replaced by the planted (straighter) leg's ankle
+ * so the driving leg does not break the shoulder-hip-ankle line or the stability check
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {string} plantedSide - 'left' | 'right'
+ * @returns {Array} - Copy of the landmarks
+ */
+function plantedLegLandmarks(landmarks, plantedSide) {
+  const base = landmarks.slice();
+  const ankle = landmarks[LEGS[plantedSide].ankle];
+  base[LEGS.left.ankle] = ankle;
+  base[LEGS.right.ankle] = ankle;
+  return base;
+}
+
+/**
+ * Update mountain climber counter - each knee drive towards the chest counts one rep
+ * The plank base is validated with isPlankStrictAndStable on the planted leg; a drive counts
+ * while the base was confirmed within the last BASE_GRACE_MS.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} mcState - perModeState['mountainclimbers']
+ * @param {Object} definition - Exercise definition
+ */
+function updateMountainClimberCounter(pose, landmarks, mcState, definition) {
+  try {
+    const mcCfg = window.MediaPipeConfig?.MOUNTAINCLIMBERS_CONFIG || {};
+    const DRIVE_HIP_ANGLE = mcCfg.DRIVE_HIP_ANGLE ?? 120;     // hip flexed: knee driven towards the chest
+    const DRIVE_KNEE_ANGLE = mcCfg.DRIVE_KNEE_ANGLE ?? 130;   // knee bent during the drive
+    const RETURN_HIP_ANGLE = mcCfg.RETURN_HIP_ANGLE ?? 150;   // hip extended: leg back in plank
+    const MIN_REP_MS = pose.minRepMs(mcCfg.MIN_REP_MS ?? 250); // per leg
+    const BASE_GRACE_MS = mcCfg.BASE_GRACE_MS ?? 1000;
+
+    const legs = {};
+    for (const side of ['left', 'right']) {
+      const idx = LEGS[side];
+      const shoulder = landmarks[idx.shoulder];
+      const hip = landmarks[idx.hip];
+      const knee = landmarks[idx.knee];
+      const ankle = landmarks[idx.ankle];
+      if (!shoulder || !hip || !knee || !ankle) return;
+      legs[side] = {
+        hipAngle: pose.calculateAngle(shoulder, hip, knee),
+        kneeAngle: pose.calculateAngle(hip, knee, ankle)
+      };
+    }
+
+    const now = Date.now();
+    if (!mcState._leftState) mcState._leftState = 'back';
+    if (!mcState._rightState) mcState._rightState = 'back';
+    if (!mcState._leftLastRepAt) mcState._leftLastRepAt = 0;
+    if (!mcState._rightLastRepAt) mcState._rightLastRepAt = 0;
+
+    // === PLANK BASE ===
+    const plantedSide = legs.left.hipAngle >= legs.right.hipAngle ? 'left' : 'right';
+    if (pose.isPlankStrictAndStable(plantedLegLandmarks(landmarks, plantedSide), now)) {
+      mcState._baseOkAt = now;
+      mcState._baseMissingSince = 0;
+    }
+    const baseOk = !!mcState._baseOkAt && (now - mcState._baseOkAt) <= BASE_GRACE_MS;
+
+    if (!baseOk) {
+      mcState._leftState = 'back';
+      mcState._rightState = 'back';
+      mcState.state = 'up';
+      if (!mcState._baseMissingSince) mcState._baseMissingSince = now;
+      // The stability check needs a few frames, so only warn once the base has been missing a while
+      const cooldown = mcCfg.WARNING_COOLDOWN ?? 2000;
+      const missingLongEnough = now - mcState._baseMissingSince > BASE_GRACE_MS;
+      if (pose.onFormFeedback && missingLongEnough && now - (mcState._lastBaseWarningAt || 0) > cooldown) {
+        mcState._lastBaseWarningAt = now;
+        pose.onFormFeedback({
+          message: 'Get into a high plank - hands under shoulders, body straight',
+          type: 'warning',
+          timestamp: now
+        });
+      }
+      return;
+    }
+
+    // === KNEE DRIVES (each leg independently, like high knees) ===
+    for (const side of ['left', 'right']) {
+      const { hipAngle, kneeAngle } = legs[side];
+      const stateKey = side === 'left' ? '_leftState' : '_rightState';
+      const lastRepKey = side === 'left' ? '_leftLastRepAt' : '_rightLastRepAt';
+
+      if (mcState[stateKey] === 'back') {
+        const driven = hipAngle <= DRIVE_HIP_ANGLE && kneeAngle <= DRIVE_KNEE_ANGLE;
+        if (driven && (now - mcState[lastRepKey]) > MIN_REP_MS) {
+          mcState[stateKey] = 'driven';
+          mcState[lastRepKey] = now;
+          mcState.count++;
+          const sideCounts = countSide(mcState, side);
+
+          console.log(`✅ MOUNTAIN CLIMBER ${mcState.count} (${side.toUpperCase()}) - HipAngle: ${Math.round(hipAngle)}°, KneeAngle: ${Math.round(kneeAngle)}°`);
+
+          if (pose.playSuccessSound) pose.playSuccessSound();
+          if (pose.onPushupCount) pose.onPushupCount(mcState.count, sideCounts);
+          if (pose.onFormFeedback) {
+            pose.onFormFeedback({
+              message: definition.feedback.rep(mcState.count),
+              type: 'success',
+              timestamp: now
+            });
+          }
+        }
+      } else if (hipAngle >= RETURN_HIP_ANGLE) {
+        // Leg is back in the plank; it can drive again
+        mcState[stateKey] = 'back';
+      }
+    }
+
+    mcState.state = (mcState._leftState === 'driven' || mcState._rightState === 'driven') ? 'down' : 'up';
+  } catch (error) {
+    console.error('Error updating mountain climbers counter:', error);
+  }
+}
+
+export const mountainClimbers = {
+  mode: 'mountainclimbers',
+  label: 'Mountain Climber',
+  criticalLandmarks: [11, 12, 23, 24, 25, 26, 27, 28],
+  framing: { view: 'side' },
+  stateTransitions: { up: ['down'], down: ['up'] },
+  posture: { cardioBypass: true, countWhenIncorrect: true, pauseHoldWhenIncorrect: false },
+  sides: 'legs',
+  feedback: { rep: (count) => `Mountain Climber ${count}` },
+  initialState: () => ({ state: 'up', count: 0, sideCounts: createSideCounts() }),
+  reset: (state) => {
+    state.sideCounts = createSideCounts();
+    state._leftState = 'back';
+    state._rightState = 'back';
+    state._leftLastRepAt = 0;
+    state._rightLastRepAt = 0;
+    state._baseOkAt = 0;
+    state._baseMissingSince = 0;
+    state._lastBaseWarningAt = 0;
+    // isPlankStrictAndStable stability tracking
+    state._stableCount = 0;
+    state._lastHipY = null;
+    state._lastShoulderY = null;
+    state._lastAnkleY = null;
+    state._lastTimestamp = 0;
+  },
+  update: updateMountainClimberCounter
+};
+
+export default [mountainClimbers];
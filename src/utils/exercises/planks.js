@@ -0,0 +1,511 @@
+// Plank family: hold exercises timed through PoseDetectionUtils' accumulated timer.
+// Plank, side plank and reverse plank use the shared strict/stable hold check; the arm
+// and knee variants run their own posture smoothing.
+
+const PLANK_FEEDBACK = {
+  hipSag: 'Hip sagging - lift your hips up!',
+  hipHike: 'Hip too high - lower your hips!',
+  elbowAlignment: 'Keep elbow under shoulder!',
+  feetStacking: 'Stack your feet together!',
+  armPosition: 'Adjust your arm position!',
+  bodyStraight: 'Keep your body straight!'
+};
+
+// Facing-up holds: gravity pulls the hips towards the floor, so sagging is the main fault
+const REVERSE_PLANK_FEEDBACK = {
+  ...PLANK_FEEDBACK,
+  hipSag: 'Hips sagging - squeeze your glutes and push your hips up to the ceiling!'
+};
+
+const DEFAULT_LANDMARKS = [11, 12, 13, 14, 23, 24, 25, 26];
+
+const stableHoldState = () => ({ state: 'neutral', count: 0, _stableCount: 0, _lastHipY: null, _lastShoulderY: null, _lastAnkleY: null, _lastTimestamp: 0 });
+
+const isStrictPlankHold = (pose, landmarks, nowMs) => pose.isPlankStrictAndStable(landmarks, nowMs);
+
+/**
+ * How far the hip hangs below the shoulder-ankle line, as a fraction of body length
+ * @param {Object} shoulder - Shoulder landmark
+ * @param {Object} hip - Hip landmark
+ * @param {Object} ankle - Ankle landmark
+ * @returns {number} - > 0 when the hip is below the line (image y grows down)
+ */
+export function hipDropBelowLine(shoulder, hip, ankle) {
+  const length = Math.hypot(ankle.x - shoulder.x, ankle.y - shoulder.y) || 0.0001;
+  // Signed distance of the hip from the shoulder→ankle line; flip so "below" is positive
+  const cross = (ankle.x - shoulder.x) * (hip.y - shoulder.y) - (ankle.y - shoulder.y) * (hip.x - shoulder.x);
+  const distance = cross / length;
+  return (ankle.x >= shoulder.x ? distance : -distance) / length;
+}
+
+/**
+ * Reverse plank hold check: the shared strict/stable plank check plus a facing-up hip-sag check
+ * Sagging hips pause the hold timer and get a cooldown-limited warning.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, plank helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {number} nowMs - Frame time in ms
+ * @param {Object} definition - Reverse plank definition
+ * @returns {boolean} - True while the hold counts
+ */
+function isReversePlankHold(pose, landmarks, nowMs, definition) {
+  try {
+    const rpCfg = window.MediaPipeConfig?.REVERSEPLANK_CONFIG || {};
+    const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
+
+    // Side view: use the better visible side's shoulder-hip-ankle line
+    const side = [[11, 23, 27], [12, 24, 28]]
+      .map(([s, h, a]) => [landmarks[s], landmarks[h], landmarks[a]])
+      .find((points) => points.every(vis));
+    const hipDrop = side ? hipDropBelowLine(...side) : 0;
+    const hipSag = hipDrop > (rpCfg.HIP_SAG_THRESHOLD ?? 0.04);
+
+    if (hipSag) {
+      const cooldown = rpCfg.WARNING_COOLDOWN ?? 2000;
+      if (pose.onFormFeedback && nowMs - pose.lastWarningTime > cooldown) {
+        pose.onFormFeedback({ message: definition.feedback.hipSag, type: 'warning', timestamp: nowMs });
+        pose.lastWarningTime = nowMs;
+      }
+      console.log(`🔍 ${definition.label}: hips sagging (${hipDrop.toFixed(3)})`);
+      return false;
+    }
+
+    return pose.isPlankStrictAndStable(landmarks, nowMs);
+  } catch (error) {
+    console.error('Error checking reverse plank hold:', error);
+    return false;
+  }
+}
+
+/**
+ * Time-based arm-supported plank counter (straight arm / reverse straight arm).
+ * Runs its own posture smoothing and drives the shared hold timer.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, timer)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} state - Per-mode state slot
+ * @param {Object} definition - Plank definition (label + feedback messages)
+ */
+function updateArmPlankCounter(pose, landmarks, state, definition) {
+  try {
+    const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
+
+    // Get key landmarks for the plank
+    const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
+    const leftElbow = landmarks[config.LEFT_ELBOW || 13];
+    const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
+    const leftWrist = landmarks[config.LEFT_WRIST || 15];
+    const rightWrist = landmarks[config.RIGHT_WRIST || 16];
+    const leftHip = landmarks[config.LEFT_HIP || 23];
+    const rightHip = landmarks[config.RIGHT_HIP || 24];
+    const leftKnee = landmarks[config.LEFT_KNEE || 25];
+    const rightKnee = landmarks[config.RIGHT_KNEE || 26];
+    const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
+    const nose = landmarks[config.NOSE || 0];
+    const leftEar = landmarks[config.LEFT_EAR || 7];
+    const rightEar = landmarks[config.RIGHT_EAR || 8];
+
+    // Check visibility of key landmarks
+    const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
+
+    // Determine which side is the support side (left or right)
+    // We'll check both sides and use the one with better visibility
+    const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee) && vis(leftAnkle);
+    const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee) && vis(rightAnkle);
+
+    if (!leftSideVisible && !rightSideVisible) {
+      return; // Not enough landmarks visible
+    }
+
+    // Use the side with better visibility
+    const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
+    const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
+    const supportElbow = isLeftSide ? leftElbow : rightElbow;
+    const supportWrist = isLeftSide ? leftWrist : rightWrist;
+    const supportHip = isLeftSide ? leftHip : rightHip;
+    const supportKnee = isLeftSide ? leftKnee : rightKnee;
+    const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
+    const supportEar = isLeftSide ? leftEar : rightEar;
+
+    // Calculate key angles for plank validation
+
+    // 1. Shoulder Support Angle (shoulder-elbow-wrist) - should be ~90°
+    const shoulderSupportAngle = pose.calculateAngle(supportShoulder, supportElbow, supportWrist);
+    const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
+    const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
+    const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
+
+    // 2. Torso-Hip Line (shoulder-hip-ankle) - should be ~180° (straight line)
+    const torsoHipAngle = pose.calculateAngle(supportShoulder, supportHip, supportAnkle);
+    const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 160;
+    const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
+    const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
+
+    // 3. Check for hip sag (hip drops below shoulder-ankle line)
+    const shoulderAnkleMidY = (supportShoulder.y + supportAnkle.y) / 2;
+    const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.05; // normalized units
+    const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
+
+    // 4. Check for hip hike (hip rises above shoulder-ankle line)
+    const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.05; // normalized units
+    const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
+
+    // 5. Check elbow alignment (elbow should be under shoulder)
+    const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.08; // normalized units
+    const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
+
+    // 6. Check feet stacking (ankles should be close together)
+    const feetStackingThreshold = spConfig.FEET_STACKING_THRESHOLD || 0.1; // normalized units
+    const feetStacked = Math.abs(leftAnkle.x - rightAnkle.x) < feetStackingThreshold;
+
+    // 7. Head-neck alignment (ear-shoulder-hip should be ~180°)
+    let headNeckGood = true;
+    if (supportEar && vis(supportEar)) {
+      const headNeckAngle = pose.calculateAngle(supportEar, supportShoulder, supportHip);
+      const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 160;
+      const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
+      headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
+    }
+
+    // Overall posture assessment
+    const isGoodPosture = shoulderAngleGood &&
+      torsoAngleGood &&
+      !hipSag &&
+      !hipHike &&
+      elbowAligned &&
+      feetStacked &&
+      headNeckGood;
+
+    // Debug logging
+    console.log(`🔍 ${definition.label} Debug:`, {
+      side: isLeftSide ? 'Left' : 'Right',
+      shoulderAngle: Math.round(shoulderSupportAngle),
+      torsoAngle: Math.round(torsoHipAngle),
+      hipSag,
+      hipHike,
+      elbowAligned,
+      feetStacked,
+      headNeckGood,
+      isGoodPosture,
+      postureStatus: pose.postureStatus
+    });
+
+    // Update posture status with smoothing
+    if (isGoodPosture) {
+      pose._postureGoodCount = (pose._postureGoodCount || 0) + 1;
+      pose._postureBadCount = 0;
+    } else {
+      pose._postureBadCount = (pose._postureBadCount || 0) + 1;
+      pose._postureGoodCount = 0;
+    }
+
+    const POSTURE_GOOD_FRAMES = pose.scaleFrames(spConfig.POSTURE_GOOD_FRAMES || 3);
+    const POSTURE_BAD_FRAMES = pose.scaleFrames(spConfig.POSTURE_BAD_FRAMES || 4);
+
+    let smoothedStatus = pose.postureStatus;
+    if (pose._postureGoodCount >= POSTURE_GOOD_FRAMES) {
+      smoothedStatus = 'correct';
+    } else if (pose._postureBadCount >= POSTURE_BAD_FRAMES) {
+      smoothedStatus = 'incorrect';
+    }
+
+    if (smoothedStatus !== pose.postureStatus) {
+      pose.postureStatus = smoothedStatus;
+      if (pose.onPostureChange) pose.onPostureChange(pose.postureStatus, landmarks);
+    }
+
+    // Handle timing (similar to regular plank)
+    if (pose.postureStatus === 'correct') {
+      const now = Date.now();
+      if (!pose.timerRunning) {
+        pose.startCorrectTimestampMs = now;
+        pose.timerRunning = true;
+      }
+      const totalMs = pose.accumulatedCorrectMs + (now - (pose.startCorrectTimestampMs || now));
+      const seconds = Math.floor(totalMs / 1000);
+      if (pose.onTimeUpdate) pose.onTimeUpdate(seconds);
+    } else {
+      // Stop timer when posture is incorrect
+      if (pose.timerRunning) {
+        pose.accumulatedCorrectMs += Date.now() - pose.startCorrectTimestampMs;
+        pose.timerRunning = false;
+        pose.startCorrectTimestampMs = 0;
+        if (pose.onTimeUpdate) {
+          pose.onTimeUpdate(Math.floor(pose.accumulatedCorrectMs / 1000));
+        }
+      }
+    }
+
+    // Provide form feedback for common mistakes
+    if (!isGoodPosture && pose.onFormFeedback) {
+      const currentTime = Date.now();
+      const cooldown = spConfig.WARNING_COOLDOWN || 2000;
+
+      if (currentTime - pose.lastWarningTime > cooldown) {
+        let feedbackMessage = '';
+        if (hipSag) {
+          feedbackMessage = definition.feedback.hipSag;
+        } else if (hipHike) {
+          feedbackMessage = definition.feedback.hipHike;
+        } else if (!elbowAligned) {
+          feedbackMessage = definition.feedback.elbowAlignment;
+        } else if (!feetStacked) {
+          feedbackMessage = definition.feedback.feetStacking;
+        } else if (!shoulderAngleGood) {
+          feedbackMessage = definition.feedback.armPosition;
+        } else if (!torsoAngleGood) {
+          feedbackMessage = definition.feedback.bodyStraight;
+        }
+
+        if (feedbackMessage) {
+          pose.onFormFeedback({
+            message: feedbackMessage,
+            type: 'warning',
+            timestamp: currentTime
+          });
+          pose.lastWarningTime = currentTime;
+        }
+      }
+    }
+
+  } catch (error) {
+    console.error(`Error updating ${definition.label.toLowerCase()} counter:`, error);
+  }
+}
+
+/**
+ * Knee plank counter: arm plank logic with the knee allowed to stand in for the ankle
+ * and slightly relaxed thresholds.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, timer)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} state - perModeState['kneeplank']
+ * @param {Object} definition - Knee plank definition
+ */
+function updateKneePlankCounter(pose, landmarks, state, definition) {
+  try {
+    const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
+
+    // Get key landmarks for knee plank (same as side/straight arm plank)
+    const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
+    const leftElbow = landmarks[config.LEFT_ELBOW || 13];
+    const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
+    const leftWrist = landmarks[config.LEFT_WRIST || 15];
+    const rightWrist = landmarks[config.RIGHT_WRIST || 16];
+    const leftHip = landmarks[config.LEFT_HIP || 23];
+    const rightHip = landmarks[config.RIGHT_HIP || 24];
+    const leftKnee = landmarks[config.LEFT_KNEE || 25];
+    const rightKnee = landmarks[config.RIGHT_KNEE || 26];
+    const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
+    const nose = landmarks[config.NOSE || 0];
+    const leftEar = landmarks[config.LEFT_EAR || 7];
+    const rightEar = landmarks[config.RIGHT_EAR || 8];
+
+    // Check visibility of key landmarks
+    const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
+
+    // Determine which side is the support side (left or right)
+    const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee);
+    const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee);
+
+    if (!leftSideVisible && !rightSideVisible) {
+      return; // Not enough landmarks visible
+    }
+
+    // Use the side with better visibility
+    const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
+    const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
+    const supportElbow = isLeftSide ? leftElbow : rightElbow;
+    const supportWrist = isLeftSide ? leftWrist : rightWrist;
+    const supportHip = isLeftSide ? leftHip : rightHip;
+    const supportKnee = isLeftSide ? leftKnee : rightKnee;
+    const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
+    const supportEar = isLeftSide ? leftEar : rightEar;
+
+    // Calculate angles and checks (similar to straight arm plank)
+    const shoulderSupportAngle = pose.calculateAngle(supportShoulder, supportElbow, supportWrist);
+    const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
+    const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
+    const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
+
+    const torsoHipAngle = pose.calculateAngle(supportShoulder, supportHip, supportAnkle || supportKnee);
+    const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 140; // allow a bit more tolerance for knee-supported planks
+    const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
+    const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
+
+    const shoulderAnkleMidY = (supportShoulder.y + (supportAnkle ? supportAnkle.y : supportKnee.y)) / 2;
+    const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.06; // slightly relaxed
+    const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
+    const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.06;
+    const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
+
+    const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.1;
+    const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
+
+    const feetStacked = (leftAnkle && rightAnkle) ? (Math.abs(leftAnkle.x - rightAnkle.x) < (spConfig.FEET_STACKING_THRESHOLD || 0.12)) : true;
+
+    let headNeckGood = true;
+    if (supportEar && vis(supportEar)) {
+      const headNeckAngle = pose.calculateAngle(supportEar, supportShoulder, supportHip);
+      const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 150;
+      const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
+      headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
+    }
+
+    const isGoodPosture = shoulderAngleGood && torsoAngleGood && !hipSag && !hipHike && elbowAligned && feetStacked && headNeckGood;
+
+    console.log('🔍 Knee Plank Debug:', { side: isLeftSide ? 'Left' : 'Right', shoulderSupportAngle: Math.round(shoulderSupportAngle), torsoHipAngle: Math.round(torsoHipAngle), hipSag, hipHike, elbowAligned, feetStacked, isGoodPosture, postureStatus: pose.postureStatus });
+
+    if (isGoodPosture) {
+      pose._postureGoodCount = (pose._postureGoodCount || 0) + 1;
+      pose._postureBadCount = 0;
+    } else {
+      pose._postureBadCount = (pose._postureBadCount || 0) + 1;
+      pose._postureGoodCount = 0;
+    }
+
+    const POSTURE_GOOD_FRAMES = pose.scaleFrames(spConfig.POSTURE_GOOD_FRAMES || 3);
+    const POSTURE_BAD_FRAMES = pose.scaleFrames(spConfig.POSTURE_BAD_FRAMES || 4);
+
+    let smoothedStatus = pose.postureStatus;
+    if (pose._postureGoodCount >= POSTURE_GOOD_FRAMES) {
+      smoothedStatus = 'correct';
+    } else if (pose._postureBadCount >= POSTURE_BAD_FRAMES) {
+      smoothedStatus = 'incorrect';
+    }
+
+    if (smoothedStatus !== pose.postureStatus) {
+      pose.postureStatus = smoothedStatus;
+      if (pose.onPostureChange) pose.onPostureChange(pose.postureStatus, landmarks);
+    }
+
+    // Timing like plank
+    if (pose.postureStatus === 'correct') {
+      const now = Date.now();
+      if (!pose.timerRunning) {
+        pose.startCorrectTimestampMs = now;
+        pose.timerRunning = true;
+      }
+      const totalMs = pose.accumulatedCorrectMs + (now - (pose.startCorrectTimestampMs || now));
+      const seconds = Math.floor(totalMs / 1000);
+      if (pose.onTimeUpdate) pose.onTimeUpdate(seconds);
+    } else {
+      if (pose.timerRunning) {
+        pose.accumulatedCorrectMs += Date.now() - pose.startCorrectTimestampMs;
+        pose.timerRunning = false;
+        pose.startCorrectTimestampMs = 0;
+        if (pose.onTimeUpdate) {
+          pose.onTimeUpdate(Math.floor(pose.accumulatedCorrectMs / 1000));
+        }
+      }
+    }
+
+    if (!isGoodPosture && pose.onFormFeedback) {
+      const currentTime = Date.now();
+      const cooldown = spConfig.WARNING_COOLDOWN || 2000;
+      if (currentTime - pose.lastWarningTime > cooldown) {
+        let feedbackMessage = '';
+        if (hipSag) feedbackMessage = definition.feedback.hipSag;
+        else if (hipHike) feedbackMessage = definition.feedback.hipHike;
+        else if (!elbowAligned) feedbackMessage = definition.feedback.elbowAlignment;
+        else if (!feetStacked) feedbackMessage = definition.feedback.feetStacking;
+        else if (!shoulderAngleGood) feedbackMessage = definition.feedback.armPosition;
+        else if (!torsoAngleGood) feedbackMessage = definition.feedback.bodyStraight;
+
+        if (feedbackMessage) {
+          pose.onFormFeedback({ message: feedbackMessage, type: 'warning', timestamp: currentTime });
+          pose.lastWarningTime = currentTime;
+        }
+      }
+    }
+
+  } catch (error) {
+    console.error('Error updating knee plank counter:', error);
+  }
+}
+
+export const plank = {
+  mode: 'plank',
+  label: 'Plank',
+  criticalLandmarks: [11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28],
+  framing: { view: 'side' },
+  stateTransitions: { neutral: ['hold'], hold: ['neutral'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: true },
+  feedback: PLANK_FEEDBACK,
+  initialState: stableHoldState,
+  reset: (state) => {
+    // Reset plank stability/timing helpers
+    state._stableCount = 0;
+    state._lastHipY = null;
+    state._lastShoulderY = null;
+    state._lastAnkleY = null;
+    state._lastTimestamp = 0;
+  },
+  isHoldValid: isStrictPlankHold
+};
+
+export const sidePlank = {
+  mode: 'sideplank',
+  label: 'Side Plank',
+  criticalLandmarks: [11, 12, 13, 14, 23, 24, 27, 28],
+  // Chest toward the camera: the body line runs across the frame
+  framing: { view: 'front' },
+  stateTransitions: { neutral: ['hold'], hold: ['neutral'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: true },
+  feedback: PLANK_FEEDBACK,
+  initialState: stableHoldState,
+  reset: (state) => {
+    state.state = 'neutral';
+    state.count = 0;
+  },
+  isHoldValid: isStrictPlankHold
+};
+
+export const reversePlank = {
+  mode: 'reverseplank',
+  label: 'Reverse Plank',
+  criticalLandmarks: [11, 12, 23, 24, 25, 26, 27, 28],
+  framing: { view: 'side' },
+  stateTransitions: { neutral: ['hold'], hold: ['neutral'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: true },
+  feedback: REVERSE_PLANK_FEEDBACK,
+  initialState: stableHoldState,
+  reset: (state) => {
+    state._stableCount = 0;
+    state._lastHipY = null;
+    state._lastShoulderY = null;
+    state._lastAnkleY = null;
+    state._lastTimestamp = 0;
+  },
+  isHoldValid: isReversePlankHold
+};
+
+const armPlank = (mode, label) => ({
+  mode,
+  label,
+  criticalLandmarks: DEFAULT_LANDMARKS,
+  framing: { view: 'side' },
+  stateTransitions: { neutral: ['hold'], hold: ['neutral'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: false },
+  feedback: PLANK_FEEDBACK,
+  initialState: () => ({ state: 'neutral', count: 0 }),
+  reset: (state) => {
+    state.state = 'neutral';
+    state.count = 0;
+  },
+  update: updateArmPlankCounter
+});
+
+export const straightArmPlank = armPlank('straightarmplank', 'Straight Arm Plank');
+
+export const reverseStraightArmPlank = armPlank('reversestraightarmplank', 'Reverse Straight Arm Plank');
+
+export const kneePlank = {
+  ...armPlank('kneeplank', 'Knee Plank'),
+  update: updateKneePlankCounter
+};
+
+export default [plank, sidePlank, reversePlank, straightArmPlank, reverseStraightArmPlank, kneePlank];
@@ -0,0 +1,192 @@
+// Push-up family: standard, wide, narrow, diamond and knee push-ups share one counter.
+// Variants only differ in feedback text, cadence checking and which perModeState slot they use.
+// Transition rules and thresholds live in machines/pushups.js.
+
+import pushupMachine from './machines/pushups';
+import { createRepTracker } from './registry';
+
+const PUSHUP_LANDMARKS = [11, 12, 13, 14, 15, 16, 23, 24, 25, 26];
+const DEFAULT_LANDMARKS = [11, 12, 13, 14, 23, 24, 25, 26];
+
+/**
+ * Compute push-up metrics for the state machine.
+ * Also adapts the shoulder baseline and the start-pose counter stored on pstate.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} pstate - Per-mode state slot for this variant
+ * @param {Object} thresholds - Resolved machine thresholds
+ * @returns {Object|null} - Metrics, or null when landmarks are missing
+ */
+function computePushupMetrics(pose, landmarks, pstate, thresholds) {
+  const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+
+  const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
+  const leftElbow = landmarks[config.LEFT_ELBOW || 13];
+  const leftWrist = landmarks[config.LEFT_WRIST || 15];
+  const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
+  const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
+  const rightWrist = landmarks[config.RIGHT_WRIST || 16];
+  const leftHip = landmarks[config.LEFT_HIP || 23];
+  const rightHip = landmarks[config.RIGHT_HIP || 24];
+
+  if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
+    return null;
+  }
+
+  // Calculate elbow angles (3D when the frame has world landmarks: a front-facing camera sees the
+  // forearm foreshortened, not bent)
+  const leftElbowAngle = pose.geometry.angle(config.LEFT_SHOULDER || 11, config.LEFT_ELBOW || 13, config.LEFT_WRIST || 15);
+  const rightElbowAngle = pose.geometry.angle(config.RIGHT_SHOULDER || 12, config.RIGHT_ELBOW || 14, config.RIGHT_WRIST || 16);
+  const elbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
+
+  // Average shoulder/hip position (for height detection)
+  const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+  const avgHipY = (leftHip.y + rightHip.y) / 2;
+
+  // Determine if user is likely standing: shoulders well above hips
+  const bodyScale = pose.calibrationScale();
+  const shoulderHipDy = Math.abs(avgShoulderY - avgHipY) / bodyScale;
+  const isLikelyStanding = shoulderHipDy < thresholds.standingDyMin ? false : avgShoulderY < avgHipY - thresholds.standingMargin * bodyScale;
+
+  // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
+  if (!pstate._baselineShoulderY) {
+    pstate._baselineShoulderY = avgShoulderY;
+  }
+
+  // If posture is not horizontal, don't update baseline; else slowly adapt baseline
+  if (shoulderHipDy < 0.12) {
+    pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
+  }
+
+  // In-position gating: require user to assume a stable push-up start pose before starting counting
+  if (!pstate._inPositionCount) pstate._inPositionCount = 0;
+  if (pose.isPushupStartPose(landmarks, pose.geometry)) {
+    pstate._inPositionCount += 1;
+  } else {
+    pstate._inPositionCount = 0;
+  }
+  pstate._isInStartPose = pstate._inPositionCount >= pose.scaleFrames(thresholds.startStableFrames);
+
+  return {
+    elbowAngle,
+    shoulderDrop: avgShoulderY - (pstate._baselineShoulderY || avgShoulderY),
+    shoulderHeight: 1 - avgShoulderY,
+    isLikelyStanding,
+    postureCorrect: pose.postureStatus === 'correct',
+    inStartPose: pstate._isInStartPose
+  };
+}
+
+/**
+ * Shared push-up counter: feeds metrics into the push-up machine and counts on the descent.
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} pstate - Per-mode state slot for this variant
+ * @param {Object} definition - Variant definition
+ */
+function updatePushupVariantCounter(pose, landmarks, pstate, definition) {
+  try {
+    if (!pstate._tracker) {
+      pstate._tracker = createRepTracker(definition, { thresholds: definition.thresholdOverrides });
+    }
+    const tracker = pstate._tracker;
+    // Personal ROM target replaces elbowDown (and depth then only counts by elbow angle)
+    const { thresholds, personalDepth } = pose.applyRomTarget(definition, tracker.resolveThresholds());
+
+    const metrics = computePushupMetrics(pose, landmarks, pstate, thresholds);
+    if (!metrics) return;
+    metrics.personalDepth = personalDepth;
+
+    const now = Date.now();
+    const result = tracker.step(metrics, {
+      timestamp: now,
+      thresholds,
+      sampling: pose.sampling,
+      beforeCount: definition.checkCadence ? () => {
+        // Check for unrealistic cadence before counting
+        const cadenceAnomaly = pose._trackRepCadence(now);
+        if (!cadenceAnomaly) return true;
+
+        pose._emitTelemetry({
+          type: 'pose-anomaly-detected',
+          timestamp: now,
+          frameNumber: pose._frameNumber,
+          anomalyType: cadenceAnomaly.type,
+          anomalyReason: cadenceAnomaly.reason,
+          timeSinceLastRep: cadenceAnomaly.timeSinceLastRep,
+          threshold: cadenceAnomaly.threshold,
+          averageCadence: cadenceAnomaly.averageCadence,
+          repTimings: cadenceAnomaly.repTimings
+        });
+
+        // Throttle rep counting for unrealistic cadence
+        console.warn('⚠️ Unrealistic cadence detected, throttling rep count');
+        return false;
+      } : undefined
+    });
+    pstate.state = tracker.currentState;
+
+    if (result.counted) {
+      pstate.count += 1; // Count on descent
+      pstate._lastRepAt = now;
+      pose.playSuccessSound();
+      if (pose.onPushupCount) pose.onPushupCount(pstate.count);
+      if (pose.onFormFeedback) {
+        pose.onFormFeedback({ message: definition.feedback.rep(pstate.count), type: 'success', timestamp: now });
+      }
+    }
+  } catch (error) {
+    console.error(`Error updating ${definition.label.toLowerCase()} counter:`, error);
+  }
+}
+
+const pushupVariant = ({ mode, label, criticalLandmarks = DEFAULT_LANDMARKS, ...rest }) => ({
+  mode,
+  label,
+  criticalLandmarks,
+  // Elbow depth and the body line are read side-on; with world landmarks any view works
+  framing: { view: 'side' },
+  geometry: 'world',
+  machine: pushupMachine,
+  thresholdOverrides: pushupMachine.variants?.[mode],
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: false },
+  quality: {
+    joint: 'elbow',
+    depth: { target: 90, limit: 150 },
+    back: { metric: 'line', good: 10, bad: 35 },
+    tempo: { eccentricMs: 600, concentricMs: 400 }
+  },
+  // Personal range of motion replaces this machine threshold (see romProfile.js)
+  rom: { threshold: 'elbowDown' },
+  asymmetry: { joint: 'elbow', angleTolerance: 15, tiltTolerance: 6 },
+  feedback: { rep: (count) => `${label} ${count}` },
+  initialState: () => ({ state: 'up', count: 0 }),
+  reset: (state) => {
+    state._tracker?.reset();
+  },
+  update: updatePushupVariantCounter,
+  ...rest
+});
+
+export const pushups = pushupVariant({
+  mode: 'pushups',
+  label: 'Push-up',
+  criticalLandmarks: PUSHUP_LANDMARKS,
+  checkCadence: true
+});
+
+export const widePushups = pushupVariant({ mode: 'widepushups', label: 'Wide Push-up' });
+
+export const narrowPushups = pushupVariant({ mode: 'narrowpushups', label: 'Narrow Push-up' });
+
+export const diamondPushups = pushupVariant({ mode: 'diamondpushups', label: 'Diamond Push-up' });
+
+// Knee push-ups historically share the wide push-up state slot and feedback text
+export const kneePushups = pushupVariant({
+  mode: 'kneepushups',
+  label: 'Knee Push-up',
+  stateKey: 'widepushups',
+  feedback: { rep: (count) => `Wide Push-up ${count}` }
+});
+
+export default [pushups, widePushups, narrowPushups, diamondPushups, kneePushups];
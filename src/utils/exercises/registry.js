@@ -0,0 +1,132 @@
+import RepTracker from '../repTracker';
+
+// Exercise definition registry
+// Each definition describes one movement so PoseDetectionUtils can count it without
+// a hand-written branch in onResults. Shape:
+// {
+//   mode: 'pushups',                 // normalized exercise mode (see normalizeExerciseMode)
+//   label: 'Push-up',                // human readable name used in feedback/logs
+//   stateKey: 'pushups',             // optional: perModeState slot the counter reads (defaults to mode)
+//   criticalLandmarks: [11, 12, ...],// landmarks that must be visible (CRITICAL_LANDMARKS_MAP overrides)
+//   framing: { view: 'side' },       // optional: camera orientation the framing check asks for ('side' | 'front', see framingCheck.js)
+//   geometry: 'world',               // optional: pose.geometry measures in 3D world landmarks when available ('image' default, see jointGeometry.js)
+//   stateTransitions: { up: ['down'], down: ['up'] }, // RepTracker transition map
+//   machine: { initial, thresholds, conditions, states },  // optional declarative machine (see RepTracker)
+//   posture: { cardioBypass, countWhenIncorrect, pauseHoldWhenIncorrect },
+//   quality: { joint, depth, back, tempo },  // optional per-rep form scoring (see RepQualityTracker)
+//   asymmetry: { joint, unilateral, angleTolerance, tiltTolerance }, // optional left/right monitor (see AsymmetryMonitor)
+//   rom: { threshold: 'elbowDown' }, // optional: machine depth threshold replaced by the personal ROM target (see romProfile.js)
+//   sides: 'legs',                   // optional: count left/right leads separately in state.sideCounts (see sides.js)
+//   thresholds: () => ({ ... }),     // optional: tuning values for counters without a machine
+//   feedback: { rep: (count) => `Push-up ${count}` },
+//   initialState: () => ({ state: 'up', count: 0 }),
+//   reset: (state) => {},            // optional: clear mode-specific extras on resetCounter
+//   isHoldValid: (pose, landmarks, nowMs, definition) => boolean, // hold exercises: drives the shared hold timer
+//   update: (pose, landmarks, state, definition) => void // rep/time counter for the frame
+// }
+
+const registry = new Map();
+
+const DEFAULT_STATE = () => ({ state: 'up', count: 0 });
+
+/**
+ * Normalize an exercise name or mode the same way setExerciseMode does
+ * @param {string} mode - Raw exercise name/mode (e.g. 'Wide Push-ups')
+ * @returns {string} - Normalized mode key (e.g. 'widepushups')
+ */
+export function normalizeExerciseMode(mode) {
+  return String(mode || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Register (or replace) an exercise definition
+ * @param {Object} definition - Exercise definition (see shape above)
+ * @returns {Object} - The registered definition
+ */
+export function registerExercise(definition) {
+  if (!definition || !definition.mode) {
+    throw new Error('registerExercise: definition.mode is required');
+  }
+  if (typeof definition.update !== 'function' && typeof definition.isHoldValid !== 'function') {
+    throw new Error(`registerExercise: "${definition.mode}" needs an update() or isHoldValid() handler`);
+  }
+  const mode = normalizeExerciseMode(definition.mode);
+  const entry = { ...definition, mode };
+  registry.set(mode, entry);
+  return entry;
+}
+
+/**
+ * Look up the definition for an exercise mode
+ * @param {string} mode - Exercise mode (normalized or raw name)
+ * @returns {Object|null} - Definition or null when the mode is not registered
+ */
+export function getExerciseDefinition(mode) {
+  return registry.get(normalizeExerciseMode(mode)) || null;
+}
+
+/**
+ * Find the definition for an exercise name from a plan or picker ('Mountain Climbers', 'Bodyweight Squats')
+ * An exact mode wins; otherwise the longest registered mode or label contained in the name
+ * @param {string} name - Exercise name
+ * @returns {Object|null} - Definition or null when no registered exercise matches
+ */
+export function findExerciseDefinition(name) {
+  const key = normalizeExerciseMode(name);
+  if (!key) return null;
+  if (registry.has(key)) return registry.get(key);
+  let match = null;
+  let matchLength = 0;
+  registry.forEach((definition) => {
+    [definition.mode, normalizeExerciseMode(definition.label)].forEach((candidate) => {
+      if (candidate && candidate.length > matchLength && key.includes(candidate)) {
+        match = definition;
+        matchLength = candidate.length;
+      }
+    });
+  });
+  return match;
+}
+
+/**
+ * Whether the detector counts reps for a definition (hold exercises report seconds instead)
+ * @param {Object|null} definition - Exercise definition
+ * @returns {boolean}
+ */
+export function countsReps(definition) {
+  return typeof definition?.feedback?.rep === 'function';
+}
+
+/**
+ * @returns {Array<Object>} - All registered definitions in registration order
+ */
+export function getRegisteredExercises() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Build a fresh per-mode state object for a definition
+ * @param {Object|string|null} definitionOrMode - Definition or mode key
+ * @returns {Object} - Initial state ({ state, count, ...extras })
+ */
+export function createExerciseState(definitionOrMode) {
+  const definition = typeof definitionOrMode === 'string'
+    ? getExerciseDefinition(definitionOrMode)
+    : definitionOrMode;
+  const factory = definition?.initialState || DEFAULT_STATE;
+  return factory();
+}
+
+/**
+ * Create a RepTracker configured with the definition's transitions / declarative machine
+ * @param {Object} definition - Exercise definition
+ * @param {Object} overrides - Extra RepTracker config (minRepMs, emaAlpha, ...)
+ * @returns {RepTracker}
+ */
+export function createRepTracker(definition, overrides = {}) {
+  return new RepTracker({
+    stateTransitions: definition?.stateTransitions,
+    machine: definition?.machine,
+    ...overrides
+  });
+}
@@ -0,0 +1,60 @@
+// Per-side rep counting for unilateral movements (lunges, mountain climbers; step-ups / split squats later)
+// Definitions opt in with `sides: 'legs'`; their state carries sideCounts: { left, right }
+// and counters call countSide() with detectLeadingLeg() when a rep is counted.
+
+const LEFT = { hip: 23, knee: 25, ankle: 27 };
+const RIGHT = { hip: 24, knee: 26, ankle: 28 };
+// Below this |score| the cues disagree or barely lean either way: the rep is left unassigned
+const MIN_LEAD_SCORE = 0.5;
+
+/**
+ * Empty per-side counters
+ * @returns {Object} - { left: 0, right: 0 }
+ */
+export function createSideCounts() {
+  return { left: 0, right: 0 };
+}
+
+/**
+ * Work out which leg leads (is in front) in a split stance
+ * The lead leg has the more bent knee held higher than the trailing knee (which drops towards
+ * the floor) and a near-vertical shin; the trailing shin slopes back to the ankle.
+ * @param {PoseDetectionUtils} pose - Detector instance (angle helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @returns {'left'|'right'|null} - Leading leg, or null when the legs are not visible or the stance is ambiguous
+ */
+export function detectLeadingLeg(pose, landmarks) {
+  const leg = (idx) => ({
+    hip: landmarks[idx.hip],
+    knee: landmarks[idx.knee],
+    ankle: landmarks[idx.ankle]
+  });
+  const left = leg(LEFT);
+  const right = leg(RIGHT);
+  if (![left, right].every((l) => l.hip && l.knee && l.ankle)) return null;
+
+  const kneeAngle = (l) => pose.calculateAngle(l.hip, l.knee, l.ankle);
+  // Shin slope: horizontal run per unit of vertical drop (0 = vertical shin)
+  const shinSlope = (l) => Math.abs(l.knee.x - l.ankle.x) / Math.max(0.01, Math.abs(l.ankle.y - l.knee.y));
+
+  // Each cue votes for the left leg when positive
+  const angleCue = (kneeAngle(right) - kneeAngle(left)) / 30;      // left knee more bent
+  const heightCue = (right.knee.y - left.knee.y) / 0.05;           // left knee higher (image y grows down)
+  const shinCue = shinSlope(right) - shinSlope(left);              // left shin more vertical
+
+  const score = angleCue + heightCue + shinCue;
+  if (!Number.isFinite(score) || Math.abs(score) < MIN_LEAD_SCORE) return null;
+  return score > 0 ? 'left' : 'right';
+}
+
+/**
+ * Add a counted rep to the side counters
+ * @param {Object} state - perModeState slot with sideCounts
+ * @param {'left'|'right'|null} side - Side that did the rep
+ * @returns {Object} - Copy of the side counts
+ */
+export function countSide(state, side) {
+  if (!state.sideCounts) state.sideCounts = createSideCounts();
+  if (side === 'left' || side === 'right') state.sideCounts[side] += 1;
+  return { ...state.sideCounts };
+}
@@ -0,0 +1,254 @@
+// Sit-ups: multi-metric voting counter (baseline, distance ratios, head tracking, torso cosine)
+
+/**
+ * Update sit-up counter using multi-metric flexible approach
+ * Combines baseline calibration, distance ratios, head tracking, and torso cosine
+ * Uses voting system for maximum flexibility across all camera angles
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} state - perModeState['situps']
+ * @param {Object} definition - Exercise definition
+ */
+function updateSitupCounter(pose, landmarks, state, definition) {
+  try {
+    const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+    const situpCfg = window.MediaPipeConfig?.SITUP_CONFIG || {};
+    
+    // Get key landmarks
+    const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
+    const leftHip = landmarks[cfg.LEFT_HIP || 23];
+    const rightHip = landmarks[cfg.RIGHT_HIP || 24];
+    const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
+    const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
+    const nose = landmarks[cfg.NOSE || 0];
+
+    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip || !leftKnee || !rightKnee) {
+      return;
+    }
+
+    // Get state object
+    if (!state) {
+      console.error('❌ Sit-up state object not initialized');
+      return;
+    }
+
+    const now = Date.now();
+
+    // Calculate midpoints and vectors
+    const shoulder = { 
+      x: (leftShoulder.x + rightShoulder.x) / 2, 
+      y: (leftShoulder.y + rightShoulder.y) / 2, 
+      z: ((leftShoulder.z || 0) + (rightShoulder.z || 0)) / 2 
+    };
+    const hip = { 
+      x: (leftHip.x + rightHip.x) / 2, 
+      y: (leftHip.y + rightHip.y) / 2, 
+      z: ((leftHip.z || 0) + (rightHip.z || 0)) / 2 
+    };
+    const knee = { 
+      x: (leftKnee.x + rightKnee.x) / 2, 
+      y: (leftKnee.y + rightKnee.y) / 2, 
+      z: ((leftKnee.z || 0) + (rightKnee.z || 0)) / 2 
+    };
+
+    // Calculate torso vector and length
+    const torsoVec = { 
+      x: shoulder.x - hip.x, 
+      y: shoulder.y - hip.y, 
+      z: shoulder.z - hip.z 
+    };
+    const torsoLen = Math.hypot(torsoVec.x, torsoVec.y, torsoVec.z) || 1;
+
+    // Calculate distances
+    const shoulderKneeDist = Math.hypot(
+      shoulder.x - knee.x, 
+      shoulder.y - knee.y, 
+      shoulder.z - knee.z
+    );
+
+    const headKneeDist = nose ? Math.hypot(
+      nose.x - knee.x,
+      nose.y - knee.y,
+      (nose.z || 0) - knee.z
+    ) : null;
+
+    // === BASELINE CALIBRATION (first 30 frames) ===
+    if (!state._baselineSamples) state._baselineSamples = [];
+    if (!state._baseline && state._baselineSamples.length < (situpCfg.BASELINE_FRAMES || 30)) {
+      const sample = { shoulderKneeDist, torsoLen };
+      if (headKneeDist) sample.headKneeDist = headKneeDist;
+      state._baselineSamples.push(sample);
+      
+      if (state._baselineSamples.length === (situpCfg.BASELINE_FRAMES || 30)) {
+        const avgShoulderDist = state._baselineSamples.reduce((s, v) => s + v.shoulderKneeDist, 0) / state._baselineSamples.length;
+        const avgTorso = state._baselineSamples.reduce((s, v) => s + v.torsoLen, 0) / state._baselineSamples.length;
+        const avgHeadDist = state._baselineSamples.filter(v => v.headKneeDist).length > 0
+          ? state._baselineSamples.reduce((s, v) => s + (v.headKneeDist || 0), 0) / state._baselineSamples.filter(v => v.headKneeDist).length
+          : null;
+        
+        state._baseline = { 
+          shoulderKneeDist: avgShoulderDist, 
+          headKneeDist: avgHeadDist,
+          torsoLen: avgTorso 
+        };
+        state.state = 'down';
+        state.goodFrames = 0;
+        state.badFrames = 0;
+        state._lastRepAt = 0;
+        
+        console.log('✅ Sit-up baseline calibrated:', {
+          shoulderDistance: avgShoulderDist.toFixed(3),
+          headDistance: avgHeadDist?.toFixed(3) || 'N/A',
+          torsoLen: avgTorso.toFixed(3)
+        });
+      }
+      return; // Still calibrating
+    }
+
+    const baseline = state._baseline;
+    if (!baseline) return;
+
+    // === NORMALIZED METRICS ===
+    // 1. Shoulder-knee distance ratio
+    const shoulderRatio = shoulderKneeDist / baseline.shoulderKneeDist;
+
+    // 2. Head-knee distance ratio (if available)
+    const headRatio = (headKneeDist && baseline.headKneeDist) 
+      ? headKneeDist / baseline.headKneeDist 
+      : null;
+
+    // 3. Torso cosine (dot product with up vector)
+    const upVec = { x: 0, y: -1, z: 0 };
+    const torsoCos = (torsoVec.x * upVec.x + torsoVec.y * upVec.y + torsoVec.z * upVec.z) / torsoLen;
+
+    // 4. Hip angles for validation
+    const hipAngleLeft = pose.calculateAngle3D(leftShoulder, leftHip, leftKnee);
+    const hipAngleRight = pose.calculateAngle3D(rightShoulder, rightHip, rightKnee);
+    const hipAngleAvg = (hipAngleLeft + hipAngleRight) / 2;
+
+    // === MULTI-METRIC VOTING SYSTEM ===
+    let downVotes = 0;
+    let upVotes = 0;
+
+    // Vote 1: Shoulder distance
+    if (shoulderRatio > (situpCfg.SHOULDER_DOWN_RATIO || 0.88)) downVotes++;
+    if (shoulderRatio < (situpCfg.SHOULDER_UP_RATIO || 0.62)) upVotes++;
+
+    // Vote 2: Head distance (if available)
+    if (headRatio !== null) {
+      if (headRatio > (situpCfg.HEAD_DOWN_RATIO || 0.90)) downVotes++;
+      if (headRatio < (situpCfg.HEAD_UP_RATIO || 0.55)) upVotes++;
+    }
+
+    // Vote 3: Torso cosine
+    if (torsoCos < (situpCfg.DOWN_TORSO_COS || 0.35)) downVotes++;
+    if (torsoCos > (situpCfg.UP_TORSO_COS || 0.70)) upVotes++;
+
+    // Hip angle constraint (very relaxed, just prevents leg raises)
+    const hipSupport = hipAngleAvg <= (situpCfg.HIP_ANGLE_MAX || 160);
+
+    // Determine position based on votes
+    const minDownVotes = situpCfg.MIN_METRICS_FOR_DOWN || 1;
+    const minUpVotes = situpCfg.MIN_METRICS_FOR_UP || 2;
+
+    const isDown = downVotes >= minDownVotes && hipSupport;
+    const isUp = upVotes >= minUpVotes;
+
+    // === HYSTERESIS ===
+    const goodFramesNeeded = pose.scaleFrames(situpCfg.HYSTERESIS_GOOD || 2);
+    const badFramesNeeded = pose.scaleFrames(situpCfg.HYSTERESIS_BAD || 3);
+
+    if (isUp) {
+      state.goodFrames = Math.min((state.goodFrames || 0) + 1, goodFramesNeeded);
+      state.badFrames = 0;
+    } else if (isDown) {
+      state.badFrames = Math.min((state.badFrames || 0) + 1, badFramesNeeded);
+      state.goodFrames = 0;
+    } else {
+      state.goodFrames = 0;
+      state.badFrames = 0;
+    }
+
+    const minRepMs = pose.minRepMs(situpCfg.MIN_REP_MS || 600);
+
+    // === STATE MACHINE ===
+    if (state.state === 'down' && state.goodFrames >= goodFramesNeeded && now - (state._lastRepAt || 0) > minRepMs) {
+      state.state = 'up';
+      state.count = (state.count || 0) + 1;
+      state._lastRepAt = now;
+      state.goodFrames = 0;
+
+      console.log('🎯 Sit-up counted!', {
+        shoulderRatio: shoulderRatio.toFixed(3),
+        headRatio: headRatio?.toFixed(3) || 'N/A',
+        torsoCos: torsoCos.toFixed(3),
+        upVotes,
+        count: state.count
+      });
+
+      pose.playSuccessSound();
+      if (pose.onPushupCount) pose.onPushupCount(state.count);
+      if (pose.onFormFeedback) {
+        pose.onFormFeedback({ 
+          message: definition.feedback.rep(state.count), 
+          type: 'success', 
+          timestamp: now 
+        });
+      }
+    } else if (state.state === 'up' && state.badFrames >= badFramesNeeded) {
+      state.state = 'down';
+      state.badFrames = 0;
+      console.log('⬇️ Ready for next rep', {
+        shoulderRatio: shoulderRatio.toFixed(3),
+        headRatio: headRatio?.toFixed(3) || 'N/A',
+        torsoCos: torsoCos.toFixed(3),
+        downVotes
+      });
+    }
+
+    // === DEBUG LOGGING ===
+    if (Math.random() < 0.1) { // 10% of frames
+      console.log('🔍 Sit-up Debug (Multi-Metric):', {
+        // Ratios
+        shoulderRatio: shoulderRatio.toFixed(3),
+        headRatio: headRatio?.toFixed(3) || 'N/A',
+        torsoCos: torsoCos.toFixed(3),
+        hipAngleAvg: hipAngleAvg?.toFixed(1) + '°' || 'N/A',
+        // Votes
+        downVotes: `${downVotes}/3`,
+        upVotes: `${upVotes}/3`,
+        hipSupport,
+        // Result
+        isDown,
+        isUp,
+        // State
+        state: state.state,
+        count: state.count,
+        goodFrames: state.goodFrames,
+        badFrames: state.badFrames
+      });
+    }
+
+  } catch (error) {
+    console.error('Error updating sit-up counter:', error);
+  }
+}
+
+export const situps = {
+  mode: 'situps',
+  label: 'Sit-up',
+  criticalLandmarks: [11, 12, 15, 16, 23, 24, 25, 26],
+  stateTransitions: { neutral: ['up', 'down'], up: ['down', 'neutral'], down: ['up', 'neutral'] },
+  // Allow counting even if the back is not perfectly straight
+  posture: { cardioBypass: false, countWhenIncorrect: true, pauseHoldWhenIncorrect: false },
+  feedback: { rep: (count) => `Sit-up ${count}` },
+  initialState: () => ({ state: 'neutral', count: 0, _lastTorsoAngle: null, _situpState: 'neutral', _lastSitupTime: 0 }),
+  reset: (state) => {
+    state._lastRepAt = 0;
+    state._stableCount = 0;
+  },
+  update: updateSitupCounter
+};
+
+export default [situps];
@@ -0,0 +1,200 @@
+import squatMachine from './machines/squats';
+import { createRepTracker } from './registry';
+
+// Squats: count on the way back up once the hip has dropped past the knee and the torso is vertical again
+// Transition rules and thresholds live in machines/squats.js.
+
+/**
+ * Update squat counter with localization and tuning
+ * Enhanced with bilateral depth validation, EMA smoothing, and differentiated feedback
+ * Based on Python reference implementation from Fitness_Tracker_ui.py
+ * @param {PoseDetectionUtils} pose - Detector instance (callbacks, posture, helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} stateObj - perModeState['squats']
+ * @param {Object} definition - Squat definition
+ */
+function updateSquatCounter(pose, landmarks, stateObj, definition) {
+  try {
+    const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+
+    const leftHip = landmarks[cfg.LEFT_HIP || 23];
+    const rightHip = landmarks[cfg.RIGHT_HIP || 24];
+    const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
+    const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
+    const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
+    const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
+    const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
+    const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
+
+    if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle || !leftShoulder || !rightShoulder) return;
+
+    if (!stateObj._tracker) {
+      stateObj._tracker = createRepTracker(definition);
+    }
+    const tracker = stateObj._tracker;
+    const { thresholds, personalDepth } = pose.applyRomTarget(definition, tracker.resolveThresholds());
+
+    // Check if user is in horizontal position (like pushup) - show warning but DO NOT count if so
+    const shoulderCenterY = (leftShoulder.y + rightShoulder.y) / 2;
+    const hipCenterY = (leftHip.y + rightHip.y) / 2;
+    const head = landmarks[cfg.NOSE || 0];
+    const torsoDy = Math.abs(shoulderCenterY - hipCenterY);
+    const HORIZONTAL_THRESHOLD = 0.08; // Same threshold as pushup detection
+    // Check if head is at same y level as hips (head down, body horizontal)
+    const headHipDy = Math.abs((head?.y ?? 0) - hipCenterY);
+    const HEAD_HIP_HORIZONTAL_THRESHOLD = 0.10; // If head and hip are close in y, likely horizontal
+    let isHorizontalLikePushup = false;
+    if (torsoDy <= HORIZONTAL_THRESHOLD && headHipDy <= HEAD_HIP_HORIZONTAL_THRESHOLD) {
+      isHorizontalLikePushup = true;
+      // Use localized feedback key instead of hardcoded Arabic
+      if (pose.onFormFeedback) {
+        pose.onFormFeedback({
+          message: definition.feedback.horizontal,  // Localization key
+          type: 'warning',
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    // Check if hands are on the ground (like pushup)
+    const leftWrist = landmarks[cfg.LEFT_WRIST || 15];
+    const rightWrist = landmarks[cfg.RIGHT_WRIST || 16];
+    const leftFoot = landmarks[cfg.LEFT_ANKLE || 27];
+    const rightFoot = landmarks[cfg.RIGHT_ANKLE || 28];
+    // Consider hands on ground if both wrists are at or below the level of the ankles (with small margin)
+    const HANDS_ON_GROUND_THRESHOLD = 0.07; // allow small margin
+    let handsOnGround = false;
+    if (leftWrist && rightWrist && leftFoot && rightFoot) {
+      const avgWristY = (leftWrist.y + rightWrist.y) / 2;
+      const avgFootY = (leftFoot.y + rightFoot.y) / 2;
+      if (avgWristY >= avgFootY - HANDS_ON_GROUND_THRESHOLD) {
+        handsOnGround = true;
+        // Use localized feedback key instead of hardcoded Arabic
+        if (pose.onFormFeedback) {
+          pose.onFormFeedback({
+            message: definition.feedback.handsOnGround,  // Localization key
+            type: 'warning',
+            timestamp: Date.now()
+          });
+        }
+      }
+    }
+
+    // Average sides for stability; measured in 3D when the frame has world landmarks, where a forward
+    // lean and the hip dropping toward a front-facing camera are visible too
+    const hips = [cfg.LEFT_HIP || 23, cfg.RIGHT_HIP || 24];
+    const knees = [cfg.LEFT_KNEE || 25, cfg.RIGHT_KNEE || 26];
+    const shoulders = [cfg.LEFT_SHOULDER || 11, cfg.RIGHT_SHOULDER || 12];
+    const geometry = pose.geometry;
+
+    // Calculate torso verticality (shoulder to hip angle relative to vertical)
+    const torsoAngleDeg = geometry.tilt(hips, shoulders);
+
+    // Simple hip position check: hip Y exceeds knee Y = squatting down (Y increases downward)
+    // Scaled to the user's calibrated body size so the depth target fits their proportions
+    const hipKneeDy = geometry.verticalGap(hips, knees) / pose.calibrationScale();
+
+    // Debug logging
+    console.log('🔍 Simplified Squat Logic:', {
+      geometry: geometry.source,
+      hipKneeDy: hipKneeDy.toFixed(3),
+      hipExceedsKnee: hipKneeDy > thresholds.hipBelowKnee,
+      torsoAngleDeg: torsoAngleDeg.toFixed(1),
+      isTorsoVertical: torsoAngleDeg <= thresholds.torsoVerticalMax,
+      state: stateObj.state,
+      count: stateObj.count
+    });
+
+    const now = Date.now();
+    const result = tracker.step({
+      hipKneeDy,
+      kneeAngle: (geometry.angle(hips[0], knees[0], cfg.LEFT_ANKLE || 27) + geometry.angle(hips[1], knees[1], cfg.RIGHT_ANKLE || 28)) / 2,
+      personalDepth,
+      torsoAngle: torsoAngleDeg,
+      horizontalLikePushup: isHorizontalLikePushup,
+      handsOnGround
+    }, {
+      timestamp: now,
+      thresholds,
+      sampling: pose.sampling,
+      beforeCount: () => {
+        // Check for unrealistic cadence before counting
+        const cadenceAnomaly = pose._trackRepCadence(now);
+        if (!cadenceAnomaly) return true;
+
+        // Emit telemetry for anomaly detection
+        pose._emitTelemetry({
+          type: 'pose-anomaly-detected',
+          timestamp: now,
+          frameNumber: pose._frameNumber,
+          anomalyType: cadenceAnomaly.type,
+          anomalyReason: cadenceAnomaly.reason,
+          timeSinceLastRep: cadenceAnomaly.timeSinceLastRep,
+          threshold: cadenceAnomaly.threshold,
+          averageCadence: cadenceAnomaly.averageCadence,
+          repTimings: cadenceAnomaly.repTimings
+        });
+
+        console.warn('⚠️ Unrealistic cadence detected, throttling rep count');
+        return false;
+      }
+    });
+    stateObj.state = tracker.currentState;
+
+    if (result.counted) {
+      // Rep completed with vertical torso! Count it
+      stateObj.count += 1;
+      stateObj._lastRepAt = now;
+      console.log('🎯 Squat rep counted! Torso vertical, count:', stateObj.count);
+      pose.playSuccessSound();
+      if (pose.onPushupCount) pose.onPushupCount(stateObj.count);
+
+      if (pose.onFormFeedback) {
+        pose.onFormFeedback({
+          message: definition.feedback.rep(stateObj.count),
+          type: 'success',
+          timestamp: now,
+          count: stateObj.count
+        });
+      }
+    } else if (result.stateChanged && result.to === 'down') {
+      console.log('⬇️ Squat state: UP → DOWN (hip exceeded knee)');
+    } else if (result.stateChanged && !result.vetoed) {
+      console.log('⬆️ Squat state: DOWN → UP (no count: too soon or torso not vertical)');
+    }
+  } catch (error) {
+    console.error('Error updating squat counter:', error);
+  }
+}
+
+export const squats = {
+  mode: 'squats',
+  label: 'Squat',
+  criticalLandmarks: [11, 12, 23, 24, 25, 26, 27, 28],
+  // Knee angle, hip depth and torso lean in 3D when available, so a front-facing camera counts too
+  geometry: 'world',
+  machine: squatMachine,
+  // Deep squats can read as bad back posture; the counter applies its own gating
+  posture: { cardioBypass: false, countWhenIncorrect: true, pauseHoldWhenIncorrect: false },
+  // Some forward lean is normal at the bottom of a squat
+  quality: {
+    joint: 'knee',
+    depth: { target: 90, limit: 160 },
+    back: { metric: 'torso', good: 35, bad: 70 },
+    tempo: { eccentricMs: 800, concentricMs: 500 }
+  },
+  rom: { threshold: 'kneeDown' },
+  asymmetry: { joint: 'knee', angleTolerance: 15, tiltTolerance: 5 },
+  feedback: {
+    rep: () => 'feedback.squat.repCounted',
+    horizontal: 'feedback.squat.horizontalPosition',
+    handsOnGround: 'feedback.squat.handsOnGround'
+  },
+  initialState: () => ({ state: 'up', count: 0 }),
+  reset: (state) => {
+    state._tracker?.reset();
+  },
+  update: updateSquatCounter
+};
+
+export default [squats];
@@ -0,0 +1,81 @@
+// Wall sit: hold exercise timed while knee and hip angles stay in the seated range
+
+/**
+ * Validate wall sit knee (hip-knee-ankle) and hip (shoulder-hip-knee) angles
+ * @param {PoseDetectionUtils} pose - Detector instance (angle helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {number} nowMs - Frame timestamp (unused, part of the hold check signature)
+ * @param {Object} definition - Wall sit definition (thresholds)
+ * @returns {boolean} - True when the seated position is held
+ */
+function isWallSitHold(pose, landmarks, nowMs, definition) {
+  const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
+
+  const lh = landmarks[cfg.LEFT_HIP || 23];
+  const rh = landmarks[cfg.RIGHT_HIP || 24];
+  const lk = landmarks[cfg.LEFT_KNEE || 25];
+  const rk = landmarks[cfg.RIGHT_KNEE || 26];
+  const la = landmarks[cfg.LEFT_ANKLE || 27];
+  const ra = landmarks[cfg.RIGHT_ANKLE || 28];
+  const ls = landmarks[cfg.LEFT_SHOULDER || 11];
+  const rs = landmarks[cfg.RIGHT_SHOULDER || 12];
+
+  if (!(lh && rh && lk && rk && la && ra && ls && rs)) return false;
+
+  // Calculate knee angles (hip-knee-ankle)
+  const leftKneeAngle = pose.calculateAngle(lh, lk, la);
+  const rightKneeAngle = pose.calculateAngle(rh, rk, ra);
+
+  // Calculate hip angles (shoulder-hip-knee)
+  const leftHipAngle = pose.calculateAngle(ls, lh, lk);
+  const rightHipAngle = pose.calculateAngle(rs, rh, rk);
+
+  // Different camera angles give different angle ranges:
+  // Side view: bent knee ~110-130°, sitting hip ~110-130°
+  // Front view: bent knee ~80-120°, sitting hip ~80-120°
+  // Use wider ranges to work with both camera angles
+  const { kneeMin, kneeMax, hipMin, hipMax } = definition.thresholds();
+
+  const leftKneeOK = leftKneeAngle >= kneeMin && leftKneeAngle <= kneeMax;
+  const rightKneeOK = rightKneeAngle >= kneeMin && rightKneeAngle <= kneeMax;
+  const leftHipOK = leftHipAngle >= hipMin && leftHipAngle <= hipMax;
+  const rightHipOK = rightHipAngle >= hipMin && rightHipAngle <= hipMax;
+
+  // Accept if both sides are good OR at least one complete side is good (occlusion)
+  const kneesOK = leftKneeOK && rightKneeOK;
+  const hipsOK = leftHipOK && rightHipOK;
+  const oneSideOK = (leftKneeOK && leftHipOK) || (rightKneeOK && rightHipOK);
+  const exerciseOk = (kneesOK && hipsOK) || oneSideOK;
+
+  const angles = {
+    leftKnee: leftKneeAngle.toFixed(1),
+    rightKnee: rightKneeAngle.toFixed(1),
+    leftHip: leftHipAngle.toFixed(1),
+    rightHip: rightHipAngle.toFixed(1)
+  };
+  if (exerciseOk) {
+    console.log('🪑✅ Wall sit: Valid position detected!', angles);
+  } else {
+    console.log('🪑❌ Wall sit: Invalid position', { ...angles, kneesOK, hipsOK });
+  }
+
+  return exerciseOk;
+}
+
+export const wallSit = {
+  mode: 'wallsit',
+  label: 'Wall Sit',
+  criticalLandmarks: [11, 12, 23, 24, 25, 26, 27, 28],
+  stateTransitions: { neutral: ['hold'], hold: ['neutral'] },
+  posture: { cardioBypass: false, countWhenIncorrect: false, pauseHoldWhenIncorrect: false },
+  thresholds: () => ({
+    kneeMin: 80,   // Bent knee minimum (works for front and side)
+    kneeMax: 150,  // Bent knee maximum (works for front and side)
+    hipMin: 80,    // Sitting position minimum (works for front and side)
+    hipMax: 150    // Sitting position maximum (works for front and side)
+  }),
+  initialState: () => ({ state: 'neutral', count: 0 }),
+  isHoldValid: isWallSitHold
+};
+
+export default [wallSit];
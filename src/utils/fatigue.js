@@ -0,0 +1,183 @@
+/**
+ * FatigueMonitor - Form breakdown within a set
+ * The first BASELINE_REPS rep records of a set (RepQualityTracker) are the set's fresh form;
+ * every later rep is compared against them:
+ *
+ *   depth      bottom angle drifting toward the definition's depth limit (shallower reps)
+ *   speed      concentric (lifting) phase slowing down: 1 - baseline time / rep time (velocity loss)
+ *   alignment  back deviation drifting toward quality.back.bad
+ *
+ * Form loss is the weighted mean of the three (0-100%), averaged over the last two reps so a single
+ * bad rep does not trip it. Crossing warnAt marks the breakdown: that rep and every later rep in the
+ * set are flagged `fatigued`. A plan can prescribe stopAt (e.g. '30%') to end the set automatically.
+ * Sets split like repTempo.js: a rest longer than SET_BREAK_MS, or startSet().
+ */
+
+const SET_BREAK_MS = 20000;
+const DEFAULT_BASELINE_REPS = 3;
+const DEFAULT_WARN_FORM_LOSS = 25; // percent
+const SMOOTHING_REPS = 2;
+const WEIGHTS = { depth: 0.4, speed: 0.3, alignment: 0.3 };
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Parse a plan's form-loss limit
+ * @param {string|number|null} value - e.g. '30%', 30, '30'
+ * @returns {number|null} - Percent (1-100), or null when no automatic stop is wanted
+ */
+export function parseFormLossLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const percent = parseFloat(String(value).replace('%', ''));
+  if (!Number.isFinite(percent) || percent <= 0) return null;
+  return Math.min(100, percent);
+}
+
+class FatigueMonitor {
+  /**
+   * @param {Object} config - FATIGUE_CONFIG from MediaPipeConfig ({ BASELINE_REPS, WARN_FORM_LOSS })
+   */
+  constructor(config = {}) {
+    // At least one rep has to set the baseline before anything can be compared with it
+    const baselineReps = Math.round(Number(config.BASELINE_REPS ?? DEFAULT_BASELINE_REPS));
+    this.baselineReps = Number.isFinite(baselineReps) ? Math.max(1, baselineReps) : DEFAULT_BASELINE_REPS;
+    this.warnAt = config.WARN_FORM_LOSS ?? DEFAULT_WARN_FORM_LOSS;
+    this.stopAt = null;
+    this.reset(null);
+  }
+
+  /**
+   * Clear all sets
+   * @param {Object|null} quality - Definition quality block (depth limit / back range); undefined keeps the current one
+   */
+  reset(quality) {
+    if (quality !== undefined) this.quality = quality;
+    this.sets = [];
+    this._lastRepAt = 0;
+    this._forceNewSet = true;
+  }
+
+  // Start a new set with the next rep
+  startSet() {
+    this._forceNewSet = true;
+  }
+
+  /**
+   * Stop sets automatically at this much form loss
+   * @param {string|number|null} limit - Plan value ('30%'), or null to only warn
+   * @returns {number|null} - Parsed limit
+   */
+  setStopAt(limit) {
+    this.stopAt = parseFormLossLimit(limit);
+    return this.stopAt;
+  }
+
+  /**
+   * Compare a finished rep against the set's baseline
+   * @param {Object} record - RepQualityTracker rep record
+   * @param {number} timestamp - Rep time in ms
+   * @returns {Object|null} - { set, rep, formLoss, depthLoss, speedLoss, alignmentLoss, fatigued, breakdown, stop }
+   *   (losses in percent, null while the baseline is collected; breakdown is true on the rep that crossed warnAt)
+   */
+  addRep(record, timestamp = Date.now()) {
+    if (!record) return null;
+
+    if (this._forceNewSet || (this._lastRepAt && timestamp - this._lastRepAt > SET_BREAK_MS)) {
+      this.sets.push({ set: this.sets.length + 1, reps: [], baseline: null, breakdownRep: null, maxFormLoss: 0 });
+      this._forceNewSet = false;
+    }
+    this._lastRepAt = timestamp;
+
+    const current = this.sets[this.sets.length - 1];
+    const rep = {
+      depth: record.depth?.angle ?? null,
+      concentricMs: record.tempo?.concentricMs || null,
+      back: record.back?.deviation ?? null,
+      formLoss: null
+    };
+    current.reps.push(rep);
+    const result = { set: current.set, rep: current.reps.length, formLoss: null, depthLoss: null, speedLoss: null, alignmentLoss: null };
+
+    if (current.reps.length <= this.baselineReps) {
+      if (current.reps.length === this.baselineReps) current.baseline = this._baseline(current.reps);
+      return { ...result, fatigued: false, breakdown: false, stop: false };
+    }
+
+    const losses = this._losses(rep, current.baseline);
+    rep.formLoss = losses.formLoss;
+    const recent = current.reps.slice(-SMOOTHING_REPS).map((r) => r.formLoss).filter((v) => v !== null);
+    const formLoss = Math.round(mean(recent) ?? 0);
+    current.maxFormLoss = Math.max(current.maxFormLoss, formLoss);
+
+    const breakdown = current.breakdownRep === null && formLoss >= this.warnAt;
+    if (breakdown) current.breakdownRep = current.reps.length;
+    return {
+      ...result,
+      ...losses,
+      formLoss,
+      fatigued: current.breakdownRep !== null,
+      breakdown,
+      stop: this.stopAt !== null && formLoss >= this.stopAt
+    };
+  }
+
+  /**
+   * Fatigue summary for the UI and saved sessions
+   * @returns {Object} - { warnAt, stopAt, sets: [{ set, reps, breakdownRep, maxFormLoss }] }
+   */
+  getSummary() {
+    return {
+      warnAt: this.warnAt,
+      stopAt: this.stopAt,
+      sets: this.sets.map((s) => ({
+        set: s.set,
+        reps: s.reps.length,
+        breakdownRep: s.breakdownRep,
+        maxFormLoss: s.maxFormLoss
+      }))
+    };
+  }
+
+  /**
+   * Fresh form: mean of the baseline reps
+   * @private
+   */
+  _baseline(reps) {
+    const pick = (key) => mean(reps.map((r) => r[key]).filter((v) => v !== null));
+    return { depth: pick('depth'), concentricMs: pick('concentricMs'), back: pick('back') };
+  }
+
+  /**
+   * Per-component loss against the baseline (percent; null when a component cannot be measured)
+   * @private
+   */
+  _losses(rep, baseline) {
+    if (!baseline) return { depthLoss: null, speedLoss: null, alignmentLoss: null, formLoss: null };
+    const depthLimit = this.quality?.depth?.limit ?? 160;
+    const backBad = this.quality?.back?.bad ?? 35;
+
+    const depth = rep.depth !== null && baseline.depth !== null && depthLimit > baseline.depth
+      ? clamp01((rep.depth - baseline.depth) / (depthLimit - baseline.depth))
+      : null;
+    const speed = rep.concentricMs && baseline.concentricMs
+      ? clamp01(1 - baseline.concentricMs / rep.concentricMs)
+      : null;
+    const alignment = rep.back !== null && baseline.back !== null && backBad > baseline.back
+      ? clamp01((rep.back - baseline.back) / (backBad - baseline.back))
+      : null;
+
+    const parts = [['depth', depth], ['speed', speed], ['alignment', alignment]].filter(([, v]) => v !== null);
+    const weight = parts.reduce((sum, [key]) => sum + WEIGHTS[key], 0);
+    const formLoss = weight ? parts.reduce((sum, [key, v]) => sum + v * WEIGHTS[key], 0) / weight : null;
+    const percent = (v) => (v === null ? null : Math.round(v * 100));
+    return {
+      depthLoss: percent(depth),
+      speedLoss: percent(speed),
+      alignmentLoss: percent(alignment),
+      formLoss: formLoss === null ? null : formLoss * 100
+    };
+  }
+}
+
+export default FatigueMonitor;
@@ -0,0 +1,105 @@
+/**
+ * FrameGovernor - Keep pose detection at a target rate on slow and fast devices
+ * Measures inference latency (EMA) and walks a ladder of quality levels: each level sets the
+ * input scale, the MediaPipe model complexity and how many animation frames to skip between
+ * inferences. Too slow for the frame budget → step down; plenty of headroom → step back up.
+ *
+ * Counters tune their frame counts (hysteresis, stable frames) at REFERENCE_FPS, so the governor
+ * also reports the effective sampling rate: frames actually sent to inference per second.
+ */
+
+export const REFERENCE_FPS = 30; // frame-count thresholds in MediaPipeConfig assume ~30fps
+
+const DEFAULT_LEVELS = [
+  { scale: 1, modelComplexity: 1, skip: 0 },
+  { scale: 1, modelComplexity: 0, skip: 0 },
+  { scale: 0.75, modelComplexity: 0, skip: 0 },
+  { scale: 0.5, modelComplexity: 0, skip: 0 },
+  { scale: 0.5, modelComplexity: 0, skip: 1 },
+  { scale: 0.5, modelComplexity: 0, skip: 2 }
+];
+
+const LATENCY_ALPHA = 0.2;     // EMA weight of the newest latency sample
+const RATE_WINDOW_MS = 2000;   // sampling rate is measured over this window
+const MIN_SAMPLES_PER_LEVEL = 15; // samples at a level before it can change again
+
+class FrameGovernor {
+  /**
+   * @param {Object} config - GOVERNOR_CONFIG from MediaPipeConfig
+   * @param {number} config.TARGET_FPS - Inference rate to hold
+   * @param {number} config.UPGRADE_HEADROOM - Step up when latency < budget * headroom
+   * @param {Array} config.LEVELS - Quality ladder, best first ({ scale, modelComplexity, skip })
+   * @param {number} initialComplexity - POSE_CONFIG.modelComplexity (start at the first level using it)
+   */
+  constructor(config = {}, initialComplexity = 0) {
+    this.targetFps = config.TARGET_FPS || 24;
+    this.upgradeHeadroom = config.UPGRADE_HEADROOM || 0.6;
+    this.levels = config.LEVELS?.length ? config.LEVELS : DEFAULT_LEVELS;
+    const start = this.levels.findIndex((level) => level.modelComplexity === initialComplexity);
+    this.levelIndex = start >= 0 ? start : 0;
+    this.latencyMs = null;
+    this._samplesAtLevel = 0;
+    this._frameIndex = 0;
+    this._processedAt = [];
+  }
+
+  // Current quality level ({ scale, modelComplexity, skip })
+  get level() {
+    return this.levels[this.levelIndex];
+  }
+
+  /**
+   * Frame-skip gate, called once per animation frame
+   * @returns {boolean} - True when this frame should be sent to inference
+   */
+  shouldProcess() {
+    const skip = this.level.skip || 0;
+    this._frameIndex = (this._frameIndex + 1) % (skip + 1);
+    return this._frameIndex === 0;
+  }
+
+  /**
+   * Record one inference and adapt the level
+   * @param {number} latencyMs - Time the inference took
+   * @param {number} timestamp - When the frame was sent (ms)
+   * @returns {Object|null} - The new level when it changed
+   */
+  record(latencyMs, timestamp = Date.now()) {
+    this.latencyMs = this.latencyMs === null
+      ? latencyMs
+      : this.latencyMs + LATENCY_ALPHA * (latencyMs - this.latencyMs);
+    this._processedAt.push(timestamp);
+    while (this._processedAt.length && timestamp - this._processedAt[0] > RATE_WINDOW_MS) this._processedAt.shift();
+
+    this._samplesAtLevel++;
+    if (this._samplesAtLevel < MIN_SAMPLES_PER_LEVEL) return null;
+
+    // Skipping frames spreads the budget over skip + 1 animation frames
+    const budgetMs = (1000 / this.targetFps) * ((this.level.skip || 0) + 1);
+    let next = this.levelIndex;
+    if (this.latencyMs > budgetMs && this.levelIndex < this.levels.length - 1) {
+      next++;
+    } else if (this.levelIndex > 0) {
+      const upBudgetMs = (1000 / this.targetFps) * ((this.levels[this.levelIndex - 1].skip || 0) + 1);
+      if (this.latencyMs < upBudgetMs * this.upgradeHeadroom) next--;
+    }
+    if (next === this.levelIndex) return null;
+
+    this.levelIndex = next;
+    this._samplesAtLevel = 0;
+    return this.level;
+  }
+
+  /**
+   * Effective sampling rate over the last RATE_WINDOW_MS
+   * @returns {number|null} - Inferences per second, or null until the window has enough samples
+   */
+  get samplingFps() {
+    const n = this._processedAt.length;
+    if (n < 5) return null;
+    const spanMs = this._processedAt[n - 1] - this._processedAt[0];
+    return spanMs > 0 ? ((n - 1) * 1000) / spanMs : null;
+  }
+}
+
+export default FrameGovernor;
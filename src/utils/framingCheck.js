@@ -0,0 +1,170 @@
+/**
+ * Framing check - Is the camera placed so the counters can see the exercise?
+ * Runs before a set starts, on the same critical landmarks validateAndBackfillLandmarks requires:
+ *
+ *   nobody detected                          → step into the frame
+ *   critical landmarks missing / on an edge  → step back, camera too low / too high, move to the center
+ *   body tiny in the frame                   → step closer
+ *   wrong orientation for the exercise       → turn sideways (push-ups, planks, ...) / face the camera
+ *
+ * The orientation comes from the definition's `framing.view` ('side' | 'front'; omitted = any).
+ * FramingMonitor turns per-frame assessments into a ready flag once framing held for STABLE_MS.
+ */
+
+const DEFAULT_MIN_VISIBILITY = 0.35;
+const DEFAULT_STABLE_MS = 1500;
+const DEFAULT_EDGE_MARGIN = 0.02;
+const BAD_GRACE_MS = 300;     // a short glitch does not restart the stability timer
+const LOST_MS = 1000;         // ready framing is lost after this long out of frame
+const MIN_BODY_SPAN = 0.3;    // visible body must cover this share of the frame's width or height
+const SIDE_MAX_RATIO = 0.55;  // shoulder span / torso length above this is not side-on
+const FRONT_MIN_RATIO = 0.3;  // ... below this is not facing the camera
+
+const UPPER_BODY_MAX_INDEX = 22; // landmarks 0-22: head, shoulders, arms, hands
+
+export const FRAMING_MESSAGES = {
+  no_person: 'Step into the frame',
+  step_back: 'Step back so your whole body is visible',
+  step_closer: 'Step closer to the camera',
+  camera_low: 'Camera is too low - raise it or tilt it up',
+  camera_high: 'Camera is too high - lower it or tilt it down',
+  move_center: 'Move to the center of the frame',
+  turn_sideways: 'Turn sideways to the camera',
+  face_camera: 'Face the camera'
+};
+
+/**
+ * Assess one frame
+ * @param {Array|null} landmarks - Raw landmarks (normalized 0-1)
+ * @param {Object} options
+ * @param {Array<number>} options.criticalIndices - Landmarks the exercise needs
+ * @param {string} options.view - Required orientation: 'side' | 'front' | undefined (any)
+ * @param {string} options.label - Exercise name for orientation hints (e.g. 'Push-up')
+ * @param {number} options.aspect - Frame width / height (normalized x and y use different scales)
+ * @param {number} options.minVisibility - Visibility below which a landmark counts as missing
+ * @param {number} options.edgeMargin - Landmarks closer than this to a frame edge count as cut off
+ * @returns {Object} - { ok, issue: { code, message } | null, missing: [indices] }
+ */
+export function assessFraming(landmarks, {
+  criticalIndices = [],
+  view,
+  label,
+  aspect = 4 / 3,
+  minVisibility = DEFAULT_MIN_VISIBILITY,
+  edgeMargin = DEFAULT_EDGE_MARGIN
+} = {}) {
+  const result = (code, missing = []) => ({
+    ok: !code,
+    issue: code ? { code, message: orientationMessage(code, label) } : null,
+    missing
+  });
+  if (!landmarks) return result('no_person');
+
+  const seen = (p) => p && (p.visibility == null || p.visibility >= minVisibility);
+  const inside = (p) => p.x > edgeMargin && p.x < 1 - edgeMargin && p.y > edgeMargin && p.y < 1 - edgeMargin;
+  const visible = landmarks.filter((p) => seen(p) && inside(p));
+  if (visible.length === 0) return result('no_person');
+
+  const minX = Math.min(...visible.map((p) => p.x));
+  const maxX = Math.max(...visible.map((p) => p.x));
+  const minY = Math.min(...visible.map((p) => p.y));
+  const maxY = Math.max(...visible.map((p) => p.y));
+
+  // Critical landmarks that are missing or cut off by an edge
+  const missing = criticalIndices.filter((idx) => !seen(landmarks[idx]) || !inside(landmarks[idx]));
+  if (missing.length) {
+    const upperMissing = missing.some((idx) => idx <= UPPER_BODY_MAX_INDEX);
+    const lowerMissing = missing.some((idx) => idx > UPPER_BODY_MAX_INDEX);
+    const cutSideways = missing.some((idx) => {
+      const p = landmarks[idx];
+      return p && (p.x <= edgeMargin || p.x >= 1 - edgeMargin) && p.y > edgeMargin && p.y < 1 - edgeMargin;
+    });
+    if (cutSideways && maxX - minX < 0.7) return result('move_center', missing);
+    // Feet cut off but plenty of room above the head: the camera looks down on the user
+    if (lowerMissing && !upperMissing && minY > 0.25) return result('camera_high', missing);
+    // Head cut off but plenty of room below the feet: the camera looks up at the user
+    if (upperMissing && !lowerMissing && maxY < 0.75) return result('camera_low', missing);
+    return result('step_back', missing);
+  }
+
+  if (Math.max(maxX - minX, maxY - minY) < MIN_BODY_SPAN) {
+    return result('step_closer');
+  }
+
+  const ratio = shoulderTorsoRatio(landmarks, aspect, seen);
+  if (ratio !== null) {
+    if (view === 'side' && ratio > SIDE_MAX_RATIO) return result('turn_sideways');
+    if (view === 'front' && ratio < FRONT_MIN_RATIO) return result('face_camera');
+  }
+  return result(null);
+}
+
+// Shoulder span relative to torso length: small side-on, large facing the camera
+function shoulderTorsoRatio(landmarks, aspect, seen) {
+  const [ls, rs, lh, rh] = [11, 12, 23, 24].map((i) => landmarks[i]);
+  if (![ls, rs, lh, rh].every(seen)) return null;
+  const dist = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+  const shoulder = { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 };
+  const hip = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
+  const torso = dist(shoulder, hip);
+  return torso > 0 ? dist(ls, rs) / torso : null;
+}
+
+function orientationMessage(code, label) {
+  if (code === 'turn_sideways' && label) return `Turn sideways to the camera for ${label.toLowerCase()}s`;
+  if (code === 'face_camera' && label) return `Face the camera for ${label.toLowerCase()}s`;
+  return FRAMING_MESSAGES[code];
+}
+
+class FramingMonitor {
+  /**
+   * @param {Object} config - FRAMING_CONFIG from MediaPipeConfig ({ STABLE_MS, EDGE_MARGIN })
+   */
+  constructor(config = {}) {
+    this.stableMs = config.STABLE_MS ?? DEFAULT_STABLE_MS;
+    this.edgeMargin = config.EDGE_MARGIN ?? DEFAULT_EDGE_MARGIN;
+    this.reset();
+  }
+
+  // Forget the stability timer (new exercise, camera restarted)
+  reset() {
+    this._okSince = null;
+    this._badSince = null;
+    this.status = { ready: false, progress: 0, issue: null, missing: [], view: null };
+  }
+
+  /**
+   * Assess a frame and update the ready flag
+   * @param {Array|null} landmarks - Raw landmarks
+   * @param {Object} options - assessFraming() options
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object} - { ready, progress (0-1), issue, missing, view }
+   */
+  update(landmarks, options, timestamp = Date.now()) {
+    const assessment = assessFraming(landmarks, { edgeMargin: this.edgeMargin, ...options });
+    let { ready } = this.status;
+
+    if (assessment.ok) {
+      this._badSince = null;
+      if (this._okSince === null) this._okSince = timestamp;
+      if (timestamp - this._okSince >= this.stableMs) ready = true;
+    } else {
+      if (this._badSince === null) this._badSince = timestamp;
+      const badFor = timestamp - this._badSince;
+      if (badFor >= BAD_GRACE_MS) this._okSince = null;
+      if (badFor >= LOST_MS) ready = false;
+    }
+
+    const progress = ready ? 1 : this._okSince === null ? 0 : Math.min(1, (timestamp - this._okSince) / this.stableMs);
+    this.status = {
+      ready,
+      progress,
+      issue: assessment.issue,
+      missing: assessment.missing,
+      view: options?.view || null
+    };
+    return this.status;
+  }
+}
+
+export default FramingMonitor;
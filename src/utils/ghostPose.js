@@ -0,0 +1,313 @@
+/**
+ * Ghost pose - A reference skeleton showing ideal form next to the user's own
+ * Each exercise in exerciseData.js may carry a `referencePose`:
+ *
+ *   {
+ *     view: 'side' | 'front',          // camera orientation the keyframes are drawn for
+ *     compare: ['elbow', 'hip', ...],  // joints checked against the user ('shoulder' | 'elbow' | 'hip' | 'knee')
+ *     alternating: true,               // optional: left/right lead alternates (either side may match)
+ *     keyframes: [
+ *       { at: 0, torso: -90, head: -80, arms: [90, 90], legs: { left: [90, 90], right: [60, 110] } }
+ *     ]
+ *   }
+ *
+ * Keyframe angles are segment directions in degrees on screen (0 = forward / image right, 90 = down,
+ * -90 = up): torso is hip → shoulder, head shoulder → nose (defaults to the torso), arms are
+ * [upper arm, forearm] and legs [thigh, shin], for both sides or per side. Side views face forward;
+ * in front views the user's left side is on the image right. `at` is the phase of the rep (0-1);
+ * hold exercises have a single keyframe.
+ *
+ * Segment lengths are in torso lengths, so the skeleton is scaled to the user's calibrated
+ * torso. Every frame the reference phase closest to the user's pose is shown, and joints whose
+ * angle differs from it by more than ANGLE_TOLERANCE_DEG are reported as mismatched.
+ */
+
+import { exerciseData } from './exerciseData';
+import { normalizeExerciseMode } from './exercises';
+
+const DEFAULT_TOLERANCE_DEG = 20;
+const DEFAULT_SAMPLES = 24;
+const MIN_VISIBILITY = 0.5;
+const PLACEMENT_GAP_PX = 24;
+
+// Body proportions in torso lengths (shoulder midpoint to hip midpoint)
+const SEGMENTS = {
+  head: 0.4,
+  upperArm: 0.6,
+  forearm: 0.55,
+  thigh: 0.9,
+  shin: 0.85,
+  shoulderHalfWidth: 0.36,
+  hipHalfWidth: 0.18
+};
+
+// Joint angle = angle at the middle landmark; [left, right] landmark triplets
+const JOINTS = {
+  shoulder: [[13, 11, 23], [14, 12, 24]],
+  elbow: [[11, 13, 15], [12, 14, 16]],
+  hip: [[11, 23, 25], [12, 24, 26]],
+  knee: [[23, 25, 27], [24, 26, 28]]
+};
+
+export const GHOST_CONNECTIONS = [
+  [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+  [11, 23], [12, 24], [23, 24],
+  [23, 25], [25, 27], [24, 26], [26, 28]
+];
+
+const SWAPPED = { 11: 12, 12: 11, 13: 14, 14: 13, 15: 16, 16: 15, 23: 24, 24: 23, 25: 26, 26: 25, 27: 28, 28: 27 };
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const direction = (deg) => ({ x: Math.cos(toRad(deg)), y: Math.sin(toRad(deg)) });
+const step = (from, deg, length) => {
+  const d = direction(deg);
+  return { x: from.x + d.x * length, y: from.y + d.y * length };
+};
+// Signed difference b - a wrapped to -180..180
+const angleDelta = (a, b) => ((((b - a) % 360) + 540) % 360) - 180;
+
+function jointAngle(a, b, c) {
+  const first = Math.atan2(a.y - b.y, a.x - b.x);
+  const second = Math.atan2(c.y - b.y, c.x - b.x);
+  const deg = Math.abs(((second - first) * 180) / Math.PI) % 360;
+  return deg > 180 ? 360 - deg : deg;
+}
+
+/**
+ * Reference pose of an exercise
+ * @param {string} mode - Exercise mode or catalogue name (e.g. 'pushups', 'Push-ups')
+ * @returns {Object|null} - exerciseData `referencePose`, or null when the exercise has none
+ */
+export function getReferencePose(mode) {
+  const key = normalizeExerciseMode(mode);
+  const entry = Object.keys(exerciseData).find((name) => normalizeExerciseMode(name) === key);
+  return entry ? exerciseData[entry].referencePose || null : null;
+}
+
+// Per-side [first, second] segment angles of a keyframe limb entry
+const limb = (value, side) => (Array.isArray(value) ? value : value?.[side]);
+
+/**
+ * Interpolate the keyframes of a reference pose
+ * @param {Object} reference - referencePose
+ * @param {number} phase - Rep phase 0-1
+ * @returns {Object} - Keyframe-shaped pose ({ torso, head, arms: { left, right }, legs: { left, right } })
+ */
+export function interpolateKeyframes(reference, phase) {
+  const frames = reference.keyframes;
+  let next = frames.findIndex((frame) => frame.at >= phase);
+  if (next === -1) next = frames.length - 1;
+  const prev = Math.max(0, next - 1);
+  const a = frames[prev];
+  const b = frames[next];
+  const t = b.at > a.at ? Math.min(1, Math.max(0, (phase - a.at) / (b.at - a.at))) : 0;
+  const mix = (x, y) => x + angleDelta(x, y) * t;
+  const mixLimb = (key, side) => {
+    const from = limb(a[key], side);
+    const to = limb(b[key], side);
+    return [mix(from[0], to[0]), mix(from[1], to[1])];
+  };
+  return {
+    torso: mix(a.torso, b.torso),
+    head: mix(a.head ?? a.torso, b.head ?? b.torso),
+    arms: { left: mixLimb('arms', 'left'), right: mixLimb('arms', 'right') },
+    legs: { left: mixLimb('legs', 'left'), right: mixLimb('legs', 'right') }
+  };
+}
+
+/**
+ * Skeleton of a pose in torso lengths, hip midpoint at the origin
+ * @param {Object} pose - interpolateKeyframes() result
+ * @param {string} view - 'side' | 'front' (front: shoulders and hips have a width)
+ * @returns {Object} - Landmark index → { x, y }
+ */
+export function referenceSkeleton(pose, view) {
+  const hip = { x: 0, y: 0 };
+  const shoulder = step(hip, pose.torso, 1);
+  const across = view === 'front' ? 1 : 0;
+  const points = { 0: step(shoulder, pose.head, SEGMENTS.head) };
+  [['left', 1, 11, 23], ['right', -1, 12, 24]].forEach(([side, sign, shoulderIdx, hipIdx]) => {
+    const s = step(shoulder, pose.torso + 90, sign * across * SEGMENTS.shoulderHalfWidth);
+    const h = step(hip, pose.torso + 90, sign * across * SEGMENTS.hipHalfWidth);
+    const elbow = step(s, pose.arms[side][0], SEGMENTS.upperArm);
+    const knee = step(h, pose.legs[side][0], SEGMENTS.thigh);
+    points[shoulderIdx] = s;
+    points[shoulderIdx + 2] = elbow;
+    points[shoulderIdx + 4] = step(elbow, pose.arms[side][1], SEGMENTS.forearm);
+    points[hipIdx] = h;
+    points[hipIdx + 2] = knee;
+    points[hipIdx + 4] = step(knee, pose.legs[side][1], SEGMENTS.shin);
+  });
+  return points;
+}
+
+const swapSides = (points) => {
+  const swapped = {};
+  Object.keys(points).forEach((idx) => {
+    swapped[SWAPPED[idx] ?? idx] = points[idx];
+  });
+  return swapped;
+};
+
+// Compared joint angles of a skeleton: 'elbow:0' (left) / 'elbow:1' (right) → degrees
+function skeletonAngles(points, compare, visible = () => true) {
+  const angles = {};
+  compare.forEach((joint) => {
+    (JOINTS[joint] || []).forEach(([a, b, c], side) => {
+      if (!visible(a) || !visible(b) || !visible(c)) return;
+      angles[`${joint}:${side}`] = jointAngle(points[a], points[b], points[c]);
+    });
+  });
+  return angles;
+}
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+class GhostPose {
+  /**
+   * @param {Object} config - GHOST_CONFIG from MediaPipeConfig ({ ANGLE_TOLERANCE_DEG, SAMPLES })
+   */
+  constructor(config = {}) {
+    this.tolerance = config.ANGLE_TOLERANCE_DEG ?? DEFAULT_TOLERANCE_DEG;
+    this.sampleCount = config.SAMPLES ?? DEFAULT_SAMPLES;
+    this.mode = null;
+    this.reference = null;
+    this._samples = [];
+    this._facing = 1;
+  }
+
+  /**
+   * Load the reference pose for an exercise (no-op when the mode did not change)
+   * @param {string} mode - Exercise mode
+   * @returns {Object|null} - Reference pose, or null when the exercise has none
+   */
+  setExercise(mode) {
+    const key = normalizeExerciseMode(mode);
+    if (key === this.mode) return this.reference;
+    this.mode = key;
+    this.reference = getReferencePose(key);
+    this._samples = this.reference ? this._sampleReference(this.reference) : [];
+    this._facing = 1;
+    return this.reference;
+  }
+
+  // Reference skeletons along the rep (both side assignments for alternating movements)
+  _sampleReference(reference) {
+    const count = reference.keyframes.length > 1 ? this.sampleCount : 1;
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const phase = count > 1 ? i / (count - 1) : 0;
+      const pose = interpolateKeyframes(reference, phase);
+      const variants = [referenceSkeleton(pose, reference.view)];
+      if (reference.alternating) variants.push(swapSides(variants[0]));
+      variants.forEach((points) => {
+        samples.push({ phase, torso: pose.torso, points, angles: skeletonAngles(points, reference.compare) });
+      });
+    }
+    return samples;
+  }
+
+  /**
+   * Match the user's pose against the reference
+   * @param {Array} landmarks - Raw landmarks (normalized 0-1)
+   * @param {Object} options
+   * @param {Function} options.toCanvas - Normalized landmark → canvas { x, y }
+   * @param {number} options.torsoPx - Torso length to draw the ghost with (px); live torso when omitted
+   * @param {number} options.width - Canvas width (px)
+   * @param {number} options.height - Canvas height (px)
+   * @returns {Object|null} - { phase, points (landmark index → canvas { x, y }), mismatched: [landmark indices],
+   *   deviations: [{ joint, side, deviation }] }, or null without a reference or a visible torso
+   */
+  match(landmarks, { toCanvas, torsoPx, width, height }) {
+    if (!this.reference || !landmarks) return null;
+    const seen = (idx) => landmarks[idx] && (landmarks[idx].visibility ?? 1) >= MIN_VISIBILITY;
+    if (![11, 12, 23, 24].every(seen)) return null;
+
+    const user = {};
+    landmarks.forEach((landmark, idx) => {
+      if (landmark) user[idx] = toCanvas(landmark);
+    });
+    const shoulder = midpoint(user[11], user[12]);
+    const hip = midpoint(user[23], user[24]);
+    const liveTorso = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y);
+    if (liveTorso <= 0) return null;
+
+    // Side views: keep the ghost facing the way the user faces (nose ahead of the shoulders)
+    const side = this.reference.view !== 'front';
+    if (side && seen(0)) {
+      const lead = user[0].x - shoulder.x;
+      if (Math.abs(lead) > liveTorso * 0.1) this._facing = lead > 0 ? 1 : -1;
+    }
+    const facing = side ? this._facing : 1;
+    const userTorso = (Math.atan2(shoulder.y - hip.y, (shoulder.x - hip.x) * facing) * 180) / Math.PI;
+    const userAngles = skeletonAngles(user, this.reference.compare, seen);
+
+    // Closest reference phase: compared joint angles plus torso lean
+    let best = null;
+    this._samples.forEach((sample) => {
+      let total = Math.abs(angleDelta(sample.torso, userTorso));
+      let n = 1;
+      Object.keys(userAngles).forEach((key) => {
+        if (sample.angles[key] === undefined) return;
+        total += Math.abs(sample.angles[key] - userAngles[key]);
+        n++;
+      });
+      const error = total / n;
+      if (!best || error < best.error) best = { sample, error };
+    });
+    if (!best) return null;
+
+    const deviations = [];
+    const mismatched = [];
+    Object.keys(userAngles).forEach((key) => {
+      const reference = best.sample.angles[key];
+      if (reference === undefined) return;
+      const [joint, sideIdx] = key.split(':');
+      const deviation = userAngles[key] - reference;
+      deviations.push({ joint, side: sideIdx === '0' ? 'left' : 'right', deviation });
+      if (Math.abs(deviation) > this.tolerance) mismatched.push(JOINTS[joint][Number(sideIdx)][1]);
+    });
+
+    const scale = torsoPx || liveTorso;
+    const points = {};
+    Object.keys(best.sample.points).forEach((idx) => {
+      const p = best.sample.points[idx];
+      points[idx] = { x: p.x * scale * facing, y: p.y * scale };
+    });
+    this._place(points, user, seen, width, height);
+
+    return { phase: best.sample.phase, points, mismatched, deviations };
+  }
+
+  // Stand the ghost on the user's floor line beside them: right, left, above, else over the user
+  _place(points, user, seen, width, height) {
+    const bounds = (list) => ({
+      minX: Math.min(...list.map((p) => p.x)),
+      maxX: Math.max(...list.map((p) => p.x)),
+      minY: Math.min(...list.map((p) => p.y)),
+      maxY: Math.max(...list.map((p) => p.y))
+    });
+    const ghost = bounds(Object.values(points));
+    const live = bounds(Object.keys(user).filter((idx) => seen(idx)).map((idx) => user[idx]));
+    const ghostWidth = ghost.maxX - ghost.minX;
+    const ghostHeight = ghost.maxY - ghost.minY;
+
+    let dx = (live.minX + live.maxX) / 2 - (ghost.minX + ghost.maxX) / 2;
+    let dy = live.maxY - ghost.maxY;
+    if (live.maxX + PLACEMENT_GAP_PX + ghostWidth <= width) {
+      dx = live.maxX + PLACEMENT_GAP_PX - ghost.minX;
+    } else if (live.minX - PLACEMENT_GAP_PX - ghostWidth >= 0) {
+      dx = live.minX - PLACEMENT_GAP_PX - ghost.maxX;
+    } else if (live.minY - PLACEMENT_GAP_PX - ghostHeight >= 0) {
+      dy = live.minY - PLACEMENT_GAP_PX - ghost.maxY;
+    }
+    dy = Math.min(dy, height - ghost.maxY);
+
+    Object.values(points).forEach((p) => {
+      p.x += dx;
+      p.y += dy;
+    });
+  }
+}
+
+export default GhostPose;
@@ -0,0 +1,164 @@
+/**
+ * Joint geometry - Angles and distances for counters, from 3D world landmarks when the frame has them
+ * Image landmarks are normalized 2D coordinates, so their angles are the joint's outline on the screen:
+ * an elbow bending toward a front-facing camera barely changes it. MediaPipe Pose (poseWorldLandmarks)
+ * and TFJS BlazePose (keypoints3D) also estimate world landmarks in meters, with the origin between the
+ * hips and y pointing down like the image.
+ *
+ * Definitions declare which they need (definition.geometry, see exercises/registry.js):
+ *   'image' (default) → image landmarks only, for thresholds tuned on what the camera sees
+ *   'world'           → world landmarks when the frame has them, image landmarks otherwise
+ * Each measurement falls back on its own: a hidden wrist puts that elbow on the image landmarks while
+ * the other elbow stays 3D. Points are landmark indices, or arrays of indices for their midpoint
+ * (e.g. [11, 12] for the shoulder center).
+ *
+ * Vertical gaps and distances are in image units either way: world meters are scaled by the user's
+ * torso length in the image over their torso length in meters, so one threshold serves both sources.
+ */
+
+const DEFAULTS = {
+  MIN_VISIBILITY: 0.5,   // world points below this fall back to the image landmarks
+  TORSO_LENGTH: 0.3      // image torso length (normalized) when there is no calibration
+};
+const SHOULDERS = [11, 12];
+const HIPS = [23, 24];
+
+const toDegrees = (radians) => radians * 180.0 / Math.PI;
+
+/**
+ * Angle at b between three image points (x, y only)
+ * @param {Object} a - First point {x, y}
+ * @param {Object} b - Vertex {x, y}
+ * @param {Object} c - Third point {x, y}
+ * @returns {number} - Degrees, 0-180
+ */
+export function angle2D(a, b, c) {
+  const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+  let angle = Math.abs(toDegrees(radians));
+  if (angle > 180.0) {
+    angle = 360 - angle;
+  }
+  return angle;
+}
+
+/**
+ * Angle at b between three 3D points
+ * @param {Object} a - First point {x, y, z}
+ * @param {Object} b - Vertex {x, y, z}
+ * @param {Object} c - Third point {x, y, z}
+ * @returns {number} - Degrees, 0-180 (180 when a segment has no length)
+ */
+export function angle3D(a, b, c) {
+  const ba = { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) };
+  const bc = { x: c.x - b.x, y: c.y - b.y, z: (c.z ?? 0) - (b.z ?? 0) };
+  const magnitude = Math.hypot(ba.x, ba.y, ba.z) * Math.hypot(bc.x, bc.y, bc.z);
+  if (magnitude === 0) return 180;
+  const cos = (ba.x * bc.x + ba.y * bc.y + ba.z * bc.z) / magnitude;
+  return toDegrees(Math.acos(Math.min(1, Math.max(-1, cos))));
+}
+
+/**
+ * Tilt of the segment from → to away from upright, in the image
+ * @param {Object} from - Lower point {x, y} (e.g. hip center)
+ * @param {Object} to - Upper point {x, y} (e.g. shoulder center)
+ * @returns {number} - Degrees: 0 upright, 90 horizontal, 180 upside down
+ */
+export function tilt2D(from, to) {
+  return Math.abs(toDegrees(Math.atan2(to.x - from.x, -(to.y - from.y))));
+}
+
+/**
+ * Tilt of the segment from → to away from upright, in 3D (leaning toward the camera counts too)
+ * @param {Object} from - Lower point {x, y, z}
+ * @param {Object} to - Upper point {x, y, z}
+ * @returns {number} - Degrees: 0 upright, 90 horizontal, 180 upside down
+ */
+export function tilt3D(from, to) {
+  const horizontal = Math.hypot(to.x - from.x, (to.z ?? 0) - (from.z ?? 0));
+  return toDegrees(Math.atan2(horizontal, -(to.y - from.y)));
+}
+
+/**
+ * Measurements for one frame
+ * @param {Array} landmarks - Validated image landmarks for the frame
+ * @param {Array|null} worldLandmarks - World landmarks for the frame (null without)
+ * @param {Object} options - { source: 'image' | 'world', minVisibility, torsoLength (image units) }
+ * @returns {Object} - { source, angle(a, b, c), tilt(from, to), verticalGap(a, b), distance(a, b) }
+ */
+export function createJointGeometry(landmarks, worldLandmarks = null, options = {}) {
+  const minVisibility = options.minVisibility ?? DEFAULTS.MIN_VISIBILITY;
+  const torsoLength = options.torsoLength || DEFAULTS.TORSO_LENGTH;
+  const world = options.source === 'world' && Array.isArray(worldLandmarks) && worldLandmarks.length
+    ? worldLandmarks
+    : null;
+
+  // A single index is the landmark itself; an array of indices is their midpoint
+  const point = (set, ref) => {
+    if (!Array.isArray(ref)) return set[ref];
+    const points = ref.map((i) => set[i]);
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+      z: points.reduce((sum, p) => sum + (p.z ?? 0), 0) / points.length
+    };
+  };
+  const usable = (ref) => (Array.isArray(ref) ? ref : [ref]).every((i) => {
+    const p = world[i];
+    return p && Number.isFinite(p.x) && Number.isFinite(p.y) && (p.visibility == null || p.visibility >= minVisibility);
+  });
+  const worldPoints = (refs) => (world && refs.every(usable) ? refs.map((ref) => point(world, ref)) : null);
+  const imagePoints = (refs) => refs.map((ref) => point(landmarks, ref));
+
+  // Meters → image units, from the torso (measured once per frame, on first use)
+  let scale;
+  const worldScale = () => {
+    if (scale === undefined) {
+      const torso = worldPoints([SHOULDERS, HIPS]);
+      const meters = torso ? Math.hypot(torso[0].x - torso[1].x, torso[0].y - torso[1].y, torso[0].z - torso[1].z) : 0;
+      scale = meters > 0.05 ? torsoLength / meters : null;
+    }
+    return scale;
+  };
+
+  return {
+    source: world ? 'world' : 'image',
+
+    /**
+     * @returns {number} - Joint angle at b in degrees
+     */
+    angle(a, b, c) {
+      const p = worldPoints([a, b, c]);
+      return p ? angle3D(...p) : angle2D(...imagePoints([a, b, c]));
+    },
+
+    /**
+     * @returns {number} - Tilt of from → to away from upright in degrees (see tilt2D)
+     */
+    tilt(from, to) {
+      const p = worldPoints([from, to]);
+      return p ? tilt3D(...p) : tilt2D(...imagePoints([from, to]));
+    },
+
+    /**
+     * @returns {number} - a.y - b.y in image units (positive when a is lower)
+     */
+    verticalGap(a, b) {
+      const p = worldPoints([a, b]);
+      if (p && worldScale()) return (p[0].y - p[1].y) * worldScale();
+      const [pa, pb] = imagePoints([a, b]);
+      return pa.y - pb.y;
+    },
+
+    /**
+     * @returns {number} - Distance between a and b in image units (3D with world landmarks)
+     */
+    distance(a, b) {
+      const p = worldPoints([a, b]);
+      if (p && worldScale()) return Math.hypot(p[0].x - p[1].x, p[0].y - p[1].y, p[0].z - p[1].z) * worldScale();
+      const [pa, pb] = imagePoints([a, b]);
+      return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+    }
+  };
+}
+
+export default createJointGeometry;
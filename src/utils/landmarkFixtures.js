@@ -0,0 +1,196 @@
+// Landmark fixtures: recorded MediaPipe pose frames replayed by scripts/replay-landmarks.mjs
+//
+// Fixture format (JSON, version 1):
+// {
+//   version: 1,
+//   exercise: 'pushups',            // exercise mode passed to setExerciseMode
+//   description: '10 clean reps',   // optional, shown by the replay script
+//   recordedAt: '2025-01-01T...',   // optional ISO timestamp
+//   frames: [
+//     { t: 0, landmarks: [[x, y, z, visibility], ...33] },  // t = ms since the first frame
+//     { t: 33, landmarks: null },                          // no person detected
+//     { t: 66, landmarks: [...], world: [[x, y, z, visibility], ...33] } // optional world landmarks (meters)
+//   ],
+//   expect: {
+//     count: 10,                    // exact value or { min, max }
+//     timeSec: { min: 28, max: 31 },// hold exercises
+//     posture: 'correct',           // final posture status
+//     sideCounts: { left: 5, right: 5 }, // alternating movements; exact values or { min, max }
+//     feedback: [{ type: 'success', message: 'Push-up', min: 10 }] // message = substring match
+//   }
+// }
+// Landmarks may also be stored as { x, y, z, visibility } objects.
+
+export const FIXTURE_VERSION = 1;
+
+const LANDMARK_COUNT = 33;
+const PRECISION = 10000; // 4 decimals keeps fixtures small without changing angles meaningfully
+
+const round = (value) => Math.round((Number(value) || 0) * PRECISION) / PRECISION;
+
+/**
+ * Compact a landmark array to [x, y, z, visibility] tuples
+ * @param {Array|null} landmarks - MediaPipe landmarks
+ * @returns {Array|null} - Compact landmarks or null
+ */
+export function encodeLandmarks(landmarks) {
+  if (!Array.isArray(landmarks)) return null;
+  return landmarks.map((lm) => [round(lm?.x), round(lm?.y), round(lm?.z), round(lm?.visibility ?? 1)]);
+}
+
+/**
+ * Expand compact landmarks back into MediaPipe-shaped objects
+ * @param {Array|null} landmarks - Compact tuples or landmark objects
+ * @returns {Array|null} - [{ x, y, z, visibility }] or null
+ */
+export function decodeLandmarks(landmarks) {
+  if (!Array.isArray(landmarks)) return null;
+  return landmarks.map((lm) => (Array.isArray(lm)
+    ? { x: lm[0], y: lm[1], z: lm[2] ?? 0, visibility: lm[3] ?? 1 }
+    : { x: lm.x, y: lm.y, z: lm.z ?? 0, visibility: lm.visibility ?? 1 }));
+}
+
+/**
+ * Validate a parsed fixture and return it with decoded landmarks
+ * @param {Object} fixture - Parsed fixture JSON
+ * @returns {Object} - { version, exercise, description, frames: [{ t, landmarks, world? }], expect }
+ * @throws {Error} - When the fixture is malformed
+ */
+export function normalizeFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object') {
+    throw new Error('Invalid landmark fixture: expected an object');
+  }
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Invalid landmark fixture: unsupported version ${fixture.version}`);
+  }
+  if (!fixture.exercise) {
+    throw new Error('Invalid landmark fixture: exercise is required');
+  }
+  if (!Array.isArray(fixture.frames) || fixture.frames.length === 0) {
+    throw new Error('Invalid landmark fixture: frames must be a non-empty array');
+  }
+
+  let lastT = -Infinity;
+  const frames = fixture.frames.map((frame, i) => {
+    if (typeof frame?.t !== 'number' || frame.t < lastT) {
+      throw new Error(`Invalid landmark fixture: frame ${i} needs a non-decreasing numeric t`);
+    }
+    if (frame.landmarks != null && (!Array.isArray(frame.landmarks) || frame.landmarks.length !== LANDMARK_COUNT)) {
+      throw new Error(`Invalid landmark fixture: frame ${i} must have ${LANDMARK_COUNT} landmarks or null`);
+    }
+    if (frame.world != null && (!Array.isArray(frame.world) || frame.world.length !== LANDMARK_COUNT)) {
+      throw new Error(`Invalid landmark fixture: frame ${i} world must have ${LANDMARK_COUNT} landmarks or be omitted`);
+    }
+    lastT = frame.t;
+    const decoded = { t: frame.t, landmarks: decodeLandmarks(frame.landmarks) };
+    if (frame.world != null) decoded.world = decodeLandmarks(frame.world);
+    return decoded;
+  });
+
+  return {
+    version: fixture.version,
+    exercise: fixture.exercise,
+    description: fixture.description || '',
+    frames,
+    expect: fixture.expect || {}
+  };
+}
+
+/**
+ * Save a blob through a temporary download link (browser only)
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Records live pose results into the fixture format
+class LandmarkFixtureRecorder {
+  constructor(exerciseMode = 'pushups') {
+    this.exerciseMode = exerciseMode;
+    this.frames = [];
+    this.startedAt = 0;
+    this.isRecording = false;
+    this._baseline = null;
+    this._lastResults = null;
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} baselineStats - getStats() at the start, so expect only covers recorded reps
+   */
+  start(baselineStats = null) {
+    this.frames = [];
+    this.startedAt = Date.now();
+    this.isRecording = true;
+    this._baseline = baselineStats;
+    this._lastResults = null;
+    console.log('⏺️ Landmark recording started:', this.exerciseMode);
+  }
+
+  stop() {
+    this.isRecording = false;
+    console.log(`⏹️ Landmark recording stopped: ${this.frames.length} frames`);
+  }
+
+  /**
+   * Record a pose result; repeated calls with the same results object are ignored
+   * @param {Object} results - Pose results ({ poseLandmarks, poseWorldLandmarks })
+   * @param {number} timestamp - Frame time in ms (defaults to Date.now())
+   * @returns {Object|null} - The recorded frame, or null when skipped
+   */
+  addFrame(results, timestamp = Date.now()) {
+    if (!this.isRecording || !results || results === this._lastResults) return null;
+    this._lastResults = results;
+    const frame = {
+      t: Math.max(0, timestamp - this.startedAt),
+      landmarks: encodeLandmarks(results.poseLandmarks)
+    };
+    if (results.poseWorldLandmarks) frame.world = encodeLandmarks(results.poseWorldLandmarks);
+    this.frames.push(frame);
+    return frame;
+  }
+
+  /**
+   * Build the fixture; expect is pre-filled from the live stats so it can be checked by hand
+   * @param {Object} stats - PoseDetectionUtils.getStats() at the end of the recording
+   * @param {string} description - Optional description
+   * @returns {Object} - Fixture JSON
+   */
+  toFixture(stats = null, description = '') {
+    const expect = {};
+    if (stats) {
+      expect.count = Math.max(0, (stats.count || 0) - (this._baseline?.count || 0));
+      const timeSec = Math.max(0, (stats.timeSec || 0) - (this._baseline?.timeSec || 0));
+      if (timeSec) expect.timeSec = timeSec;
+    }
+    return {
+      version: FIXTURE_VERSION,
+      exercise: this.exerciseMode,
+      description,
+      recordedAt: new Date(this.startedAt || Date.now()).toISOString(),
+      frames: this.frames,
+      expect
+    };
+  }
+
+  /**
+   * Download the fixture as a .json file (browser only)
+   * @param {Object} stats - PoseDetectionUtils.getStats() used to pre-fill expect
+   */
+  download(stats = null) {
+    const fixture = this.toFixture(stats);
+    const blob = new Blob([JSON.stringify(fixture)], { type: 'application/json' });
+    downloadBlob(blob, `${this.exerciseMode}-${fixture.recordedAt.replace(/[:.]/g, '-')}.json`);
+  }
+}
+
+export default LandmarkFixtureRecorder;
@@ -1,178 +1,26 @@
-/**
- * RepTracker - Reusable state management component for exercise repetition tracking
- * Encapsulates EMA smoothing, cooldown timers, baseline recalibration, and state transitions
- */
-class RepTracker {
-  /**
-   * Create a new RepTracker instance
-   * @param {Object} config - Configuration object
-   * @param {number} config.minRepMs - Minimum time between reps (milliseconds)
-   * @param {number} config.emaAlpha - EMA smoothing factor (0-1)
-   * @param {number} config.cooldownMs - Cooldown after rep counted (milliseconds)
-   * @param {Object} config.stateTransitions - Valid state transition map
-   * @param {boolean} config.debugMode - Enable detailed logging
-   */
-  constructor(config = {}) {
-    this.minRepMs = config.minRepMs || 400;
-    this.emaAlpha = config.emaAlpha || 0.3;
-    this.cooldownMs = config.cooldownMs || 200;
-    this.stateTransitions = config.stateTransitions || {
-      'up': ['down'],
-      'down': ['up']
-    };
-    this.debugMode = config.debugMode || false;
-
-    // Internal state
-    this.currentState = 'up';
-    this.lastTransitionTime = 0;
-    this.lastRepTime = 0;
-    this.smoothedValues = {};
-    this.inCooldown = false;
-
-    if (this.debugMode) {
-      console.log('RepTracker initialized with config:', config);
-    }
-  }
-
-  /**
-   * Update tracker with new frame metrics
-   * @param {Object} metrics - Frame-specific measurements
-   * @param {string} metrics.currentState - Detected state ('up', 'down', etc.)
-   * @param {number} metrics.timestamp - Frame timestamp in ms
-   * @param {Object} metrics.angles - Computed joint angles
-   * @returns {Object} - { stateChanged, shouldCount, feedback }
-   */
-  updateState(metrics) {
-    const { currentState, timestamp, angles = {} } = metrics;
-    const now = timestamp || Date.now();
-
-    // Validate state transition
-    const validTransitions = this.stateTransitions[this.currentState] || [];
-    const isValidTransition = validTransitions.includes(currentState);
-
-    if (!isValidTransition && currentState !== this.currentState) {
-      if (this.debugMode) {
-        console.log(`Invalid transition from ${this.currentState} to ${currentState}`);
-      }
-      return {
-        stateChanged: false,
-        shouldCount: false,
-        feedback: null
-      };
-    }
-
-    // Check if state actually changed
-    const stateChanged = currentState !== this.currentState;
-
-    if (stateChanged) {
-      this.lastTransitionTime = now;
-      this.currentState = currentState;
-
-      if (this.debugMode) {
-        console.log(`State transition: ${this.currentState} at ${now}`);
-      }
-    }
-
-    // Apply EMA smoothing to angles
-    for (const [key, value] of Object.entries(angles)) {
-      if (this.smoothedValues[key] !== undefined) {
-        this.smoothedValues[key] = this._smooth(value, this.smoothedValues[key]);
-      } else {
-        this.smoothedValues[key] = value;
-      }
-    }
-
-    return {
-      stateChanged,
-      shouldCount: this.shouldCountRep(now),
-      feedback: null
-    };
-  }
-
-  /**
-   * Check if conditions are met to count a rep
-   * @param {number} timestamp - Current timestamp (optional)
-   * @returns {boolean}
-   */
-  shouldCountRep(timestamp = null) {
-    const now = timestamp || Date.now();
-
-    // Check minimum rep timing
-    const timeSinceLastRep = now - this.lastRepTime;
-    if (timeSinceLastRep < this.minRepMs) {
-      if (this.debugMode) {
-        console.log(`Rep too fast: ${timeSinceLastRep}ms < ${this.minRepMs}ms`);
-      }
-      return false;
-    }
-
-    // Check cooldown
-    const timeSinceTransition = now - this.lastTransitionTime;
-    if (timeSinceTransition < this.cooldownMs) {
-      if (this.debugMode) {
-        console.log(`In cooldown: ${timeSinceTransition}ms < ${this.cooldownMs}ms`);
-      }
-      return false;
-    }
-
-    // Update last rep time if counting
-    this.lastRepTime = now;
-    this.inCooldown = true;
-
-    if (this.debugMode) {
-      console.log(`Rep counted at ${now}`);
-    }
-
-    return true;
-  }
-
-  /**
-   * Reset tracker state (e.g., on exercise mode change)
-   */
-  reset() {
-    this.currentState = 'up';
-    this.lastTransitionTime = 0;
-    this.lastRepTime = 0;
-    this.smoothedValues = {};
-    this.inCooldown = false;
-
-    if (this.debugMode) {
-      console.log('RepTracker reset');
-    }
-  }
-
-  /**
-   * Get current state for debugging
-   * @returns {Object} - Internal state snapshot
-   */
-  getDebugInfo() {
-    return {
-      currentState: this.currentState,
-      lastTransitionTime: this.lastTransitionTime,
-      lastRepTime: this.lastRepTime,
-      smoothedValues: { ...this.smoothedValues },
-      inCooldown: this.inCooldown,
-      config: {
-        minRepMs: this.minRepMs,
-        emaAlpha: this.emaAlpha,
-        cooldownMs: this.cooldownMs,
-        stateTransitions: this.stateTransitions
-      }
-    };
-  }
-
-  /**
-   * Apply EMA smoothing to a value
-   * @param {number} newValue - New measurement
-   * @param {number} oldValue - Previous smoothed value
-   * @returns {number} - Smoothed value
-   * @private
-   */
-  _smooth(newValue, oldValue) {
-    // EMA formula: alpha * new + (1 - alpha) * old
-    return this.emaAlpha * newValue + (1 - this.emaAlpha) * oldValue;
-  }
-}
+import {
+  getExerciseDefinition,
+  getRegisteredExercises,
+  createExerciseState
+} from './exercises';
+import RepQualityTracker, { sampleRepQuality } from './repQuality';
+import RepTempoTracker, { describeTempoViolations } from './repTempo';
+import AsymmetryMonitor, { sampleAsymmetry } from './asymmetry';
+import { hipDropBelowLine } from './exercises/planks';
+import ExerciseRecognizer, { sampleExerciseFrame, isSameExerciseFamily } from './exerciseRecognizer';
+import { keypointsToLandmarks, keypointsToWorldLandmarks, createMultiPoseDetector, estimatePeople } from './poseKeypoints';
+import FrameGovernor, { REFERENCE_FPS } from './frameGovernor';
+import { romTarget } from './romProfile';
+import FramingMonitor from './framingCheck';
+import FatigueMonitor from './fatigue';
+import GhostPose, { GHOST_CONNECTIONS } from './ghostPose';
+import RepConfidenceTracker, { sampleRepConfidence } from './repConfidence';
+import AthleteLock, { prominentPerson } from './athleteLock';
+import { createJointGeometry, angle2D } from './jointGeometry';
+
+// Largest frame sent to inference; bigger videos are downscaled
+const MAX_INPUT_WIDTH = 1920;
+const MAX_INPUT_HEIGHT = 1080;
 
 // Pose detection utilities using MediaPipe
 class PoseDetectionUtils {
@@ -182,29 +30,27 @@ class PoseDetectionUtils {
     this.isInitialized = false;
     // Backend selection: 'mediapipe' (default) or 'blazepose_tfjs'
     this.backend = (window.MediaPipeConfig?.POSE_BACKEND) || 'mediapipe';
+    // Inference worker (BlazePose off the main thread); null when running on the main thread
+    this.worker = null;
+    this._workerBusy = false;
+    this._workerFrameId = 0;
+    this.droppedFrames = 0;
+    this._workerDisabled = false;
+    // Adaptive input scale / model complexity / frame skipping (null when GOVERNOR_CONFIG.ENABLED is false)
+    const governorConfig = window.MediaPipeConfig?.GOVERNOR_CONFIG || {};
+    this.governor = governorConfig.ENABLED === false
+      ? null
+      : new FrameGovernor(governorConfig, window.MediaPipeConfig?.POSE_CONFIG?.modelComplexity ?? 0);
+    this._inputCanvas = null;
+    // Effective sampling rate read by the counters (see scaleFrames / minRepMs)
+    this.sampling = { fps: REFERENCE_FPS, frameScale: 1, intervalSlackMs: 0 };
     // Per-exercise state to avoid cross-contamination between different exercises
     // Structure: { <mode>: { state: 'up'|'down'|'neutral'|..., count: number, extra... } }
     this.perModeState = {};
-    const initMode = (mode) => ({ state: 'up', count: 0 });
-    this.perModeState['pushups'] = initMode('pushups');
-    this.perModeState['squats'] = initMode('squats');
-    this.perModeState['lunges'] = initMode('lunges');
-    this.perModeState['burpees'] = initMode('burpees');
-    // Keep existing exercises from HEAD and add new exercises from new-exercise branch
-    this.perModeState['situps'] = { state: 'neutral', count: 0, _lastTorsoAngle: null, _situpState: 'neutral', _lastSitupTime: 0 };
-    this.perModeState['highknees'] = { state: 'down', count: 0 };
-    this.perModeState['jumpingjacks'] = { state: 'down', count: 0 };
-    this.perModeState['sideplank'] = { state: 'neutral', count: 0, _stableCount: 0, _lastHipY: null, _lastShoulderY: null, _lastAnkleY: null, _lastTimestamp: 0 };
-    this.perModeState['plank'] = { state: 'neutral', count: 0, _stableCount: 0, _lastHipY: null, _lastShoulderY: null, _lastAnkleY: null, _lastTimestamp: 0 };
-    // New exercises from new-exercise branch
-    this.perModeState['widepushups'] = initMode('widepushups');
-    this.perModeState['narrowpushups'] = initMode('narrowpushups');
-    this.perModeState['diamondpushups'] = initMode('diamondpushups');
-    this.perModeState['kneepushups'] = initMode('kneepushups');
-    this.perModeState['straightarmplank'] = { state: 'neutral', count: 0 };
-    this.perModeState['reversestraightarmplank'] = { state: 'neutral', count: 0 };
-    this.perModeState['kneeplank'] = { state: 'neutral', count: 0 };
-    this.perModeState['wallsit'] = { state: 'neutral', count: 0 };
+    // Seeded from the exercise registry (src/utils/exercises)
+    getRegisteredExercises().forEach((definition) => {
+      this.perModeState[definition.mode] = createExerciseState(definition);
+    });
     this.postureStatus = 'unknown'; // correct, incorrect, unknown
     this.lastWarningTime = 0;
     this.videoDimensionsLogged = false;
@@ -217,6 +63,49 @@ class PoseDetectionUtils {
     this.onPostureChange = null;
     this.onFormFeedback = null;
     this.onTimeUpdate = null; // for plank seconds updates
+    this.onRepQuality = null; // per-rep form quality records
+    this.onRepTempo = null; // per-rep tempo phases and time under tension
+    this.onAsymmetry = null; // per-rep left/right balance
+    this.onExerciseRecognized = null; // recognized movement differs from / replaces the selected mode
+    this.onFramingChange = null; // framing check status (ready / guidance) changed
+    this.onFatigue = null; // per-rep form loss against the start of the set
+    this.onRepConfidence = null; // per-rep counting confidence
+    this.onPartnerCount = null; // partner mode: the second person's rep count
+    // Per-rep form scoring for definitions with a `quality` block
+    this.repQuality = new RepQualityTracker();
+    // Tempo phases / time under tension per set (prescription comes from the workout plan)
+    this.repTempo = new RepTempoTracker();
+    // Left/right imbalance for definitions with an `asymmetry` block
+    this.asymmetry = new AsymmetryMonitor();
+    // Form breakdown within a set, from the rep quality records (plans may stop the set)
+    this.fatigue = new FatigueMonitor(window.MediaPipeConfig?.FATIGUE_CONFIG || {});
+    // How sure the counter was about each rep (landmark visibility, threshold margins, timing)
+    this.repConfidence = new RepConfidenceTracker(window.MediaPipeConfig?.CONFIDENCE_CONFIG || {});
+    // Movement recognition: 'off' | 'warn' (selected mode looks wrong) | 'auto' (free workout: switch modes)
+    this.recognizer = new ExerciseRecognizer();
+    this.recognitionMode = 'warn';
+    this._lastRecognitionWarningAt = 0;
+    // Pre-set framing check (off until setFramingCheck(true); live camera only)
+    this.framing = new FramingMonitor(window.MediaPipeConfig?.FRAMING_CONFIG || {});
+    this.framingCheck = false;
+    this.frameAspect = 4 / 3;
+    this._framingKey = null;
+    this._framingReady = false;
+    // Reference-form ghost skeleton drawn beside the user (off until setGhostPose(true))
+    this.ghost = new GhostPose(window.MediaPipeConfig?.GHOST_CONFIG || {});
+    this.ghostPose = false;
+    // Multi-person detection (MoveNet MultiPose, TFJS): the athlete lock picks the user among the people
+    // found, everyone else is ignored. Partner mode counts a second person with their own detector state.
+    const multiPoseConfig = window.MediaPipeConfig?.MULTI_POSE_CONFIG || {};
+    this.multiPerson = multiPoseConfig.ENABLED === true;
+    this.athleteLock = new AthleteLock(multiPoseConfig);
+    this.partnerLock = new AthleteLock(multiPoseConfig);
+    this.partner = null;
+    this._people = null;
+    // Angles and distances for the frame's counter: 3D world landmarks for definitions that declare
+    // geometry 'world', image landmarks otherwise (see jointGeometry.js)
+    this.geometryConfig = window.MediaPipeConfig?.GEOMETRY_CONFIG || {};
+    this.geometry = null;
     
     // Landmark history for EMA backfilling - circular buffer storing recent landmarks per index
     // Structure: { landmarkIndex: [landmark1, landmark2, ...] }
@@ -225,6 +114,9 @@ class PoseDetectionUtils {
     
     // Calibration data storing baseline measurements
     this.calibrationData = null;
+    // Personal range-of-motion profile and mode (see romProfile.js); null keeps configured depths
+    this.romProfile = null;
+    this.romMode = null;
     
     // Telemetry system for debugging and validation
     this.telemetryEnabled = false; // Default disabled for production
@@ -235,14 +127,20 @@ class PoseDetectionUtils {
   }
 
 
-
   // Initialize MediaPipe Pose
   async initialize() {
     try {
+      // Preferred: inference in a Web Worker; POSE_BACKEND below is the main-thread fallback
+      if (this.canUseInferenceWorker() && await this.initializeWorker()) {
+        this.isInitialized = true;
+        return true;
+      }
+
       console.log('🚀 Initializing Pose backend...', this.backend);
 
-      // Alternative backend: TFJS BlazePose (fast init, accurate keypoints)
-      if (this.backend === 'blazepose_tfjs') {
+      // Alternative backend: TFJS BlazePose (fast init, accurate keypoints), or MoveNet MultiPose
+      // for multi-person detection
+      if (this.backend === 'blazepose_tfjs' || this.multiPerson) {
         console.log('📦 Loading TensorFlow.js BlazePose backend...');
         
         // Dynamically import TFJS and pose-detection from CDN as configured
@@ -287,6 +185,15 @@ class PoseDetectionUtils {
           console.log('✅ Pose detection library loaded');
           console.log('🎯 Available models:', Object.keys(poseDetection.SupportedModels || {}));
 
+          if (this.multiPerson) {
+            console.log('👥 Creating MoveNet MultiPose detector with tracking');
+            this.detector = await createMultiPoseDetector(poseDetection, cfg.MULTI_POSE_CONFIG || {});
+            this.backend = 'movenet_multipose';
+            this.isInitialized = true;
+            console.log('✅ TFJS MoveNet MultiPose initialized successfully!');
+            return true;
+          }
+
           const modelType = cfg.BLAZEPOSE_MODEL_TYPE || 'lite'; // 'lite'|'full'|'heavy'
           console.log('🏗️ Creating BlazePose detector with model type:', modelType);
           
@@ -324,6 +231,11 @@ class PoseDetectionUtils {
           // Try fallback to MediaPipe if TensorFlow.js fails
           console.log('🔄 Attempting fallback to MediaPipe backend...');
           this.backend = 'mediapipe';
+          if (this.multiPerson) {
+            console.warn('⚠️ Multi-person detection needs the TFJS backend, tracking one person');
+            this.multiPerson = false;
+            this.partner = null;
+          }
           // Continue to MediaPipe initialization below
         }
       }
@@ -389,6 +301,222 @@ class PoseDetectionUtils {
     }
   }
 
+  /**
+   * Whether inference can run in a worker (module workers, OffscreenCanvas for WebGL, ImageBitmap frames).
+   * The MediaPipe Pose solution needs the DOM, so the worker runs TFJS BlazePose (MoveNet MultiPose in
+   * multi-person mode) whatever POSE_BACKEND is; POSE_BACKEND runs when the worker cannot
+   * @returns {boolean}
+   */
+  canUseInferenceWorker() {
+    const cfg = window.MediaPipeConfig || {};
+    if (cfg.INFERENCE_WORKER === false || this._workerDisabled) return false;
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * Start the inference worker and wait until its detector is loaded
+   * @returns {Promise<boolean>} - True when the worker is ready; false (worker terminated) to fall back
+   */
+  async initializeWorker() {
+    const cfg = window.MediaPipeConfig || {};
+    let worker;
+    try {
+      console.log('🧵 Starting pose inference worker...');
+      worker = new Worker(new URL('./poseInference.worker.js', import.meta.url), { type: 'module' });
+
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Worker init timed out')), cfg.WORKER_INIT_TIMEOUT_MS ?? 20000);
+        worker.onmessage = (event) => {
+          if (event.data?.type === 'ready') {
+            clearTimeout(timeout);
+            resolve();
+          } else if (event.data?.type === 'error') {
+            clearTimeout(timeout);
+            reject(new Error(event.data.message));
+          }
+        };
+        worker.onerror = (event) => {
+          clearTimeout(timeout);
+          reject(new Error(event.message || 'Worker failed to load'));
+        };
+        worker.postMessage({
+          type: 'init',
+          config: {
+            TFJS_CORE_URL: cfg.TFJS_CORE_URL || 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core@4.10.0/dist/tf-core.esm.js',
+            TFJS_CONVERTER_URL: cfg.TFJS_CONVERTER_URL || 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter@4.10.0/dist/tf-converter.esm.js',
+            TFJS_BACKEND_WEBGL_URL: cfg.TFJS_BACKEND_WEBGL_URL || 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@4.10.0/dist/tf-backend-webgl.esm.js',
+            POSE_DETECTION_URL: cfg.POSE_DETECTION_URL || 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.0/dist/pose-detection.esm.js',
+            BLAZEPOSE_MODEL_TYPE: cfg.BLAZEPOSE_MODEL_TYPE || 'lite',
+            MULTI_POSE: this.multiPerson ? (cfg.MULTI_POSE_CONFIG || {}) : null
+          }
+        });
+      });
+
+      worker.onmessage = (event) => this._onWorkerMessage(event.data);
+      worker.onerror = (event) => {
+        console.error('Pose inference worker error:', event.message);
+        this._fallBackToMainThread();
+      };
+      this.worker = worker;
+      this._workerBusy = false;
+      console.log(`✅ Pose inference worker ready (${this.multiPerson ? 'MoveNet MultiPose' : 'BlazePose'}, main-thread fallback: ${this.backend})`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Pose inference worker unavailable, using main thread:', error.message);
+      worker?.terminate();
+      return false;
+    }
+  }
+
+  /**
+   * Handle a message from the inference worker
+   * @param {Object} data - { type: 'result'|'error', id, landmarks, worldLandmarks } (people instead of landmarks in multi-person mode)
+   * @private
+   */
+  _onWorkerMessage(data) {
+    if (!data || !this.worker) return;
+    this._workerBusy = false;
+    if (data.type === 'result') {
+      this.lastInferenceMs = data.inferenceMs;
+      // Round trip (bitmap transfer included) is what limits the rate
+      this._recordInference(performance.now() - this._workerSentAt);
+      if (data.people) {
+        this._onPeople(data.people);
+      } else {
+        this.onResults({ poseLandmarks: data.landmarks, poseWorldLandmarks: data.worldLandmarks || null });
+      }
+    } else if (data.type === 'error') {
+      console.error('Error processing frame in worker:', data.message);
+    }
+  }
+
+  /**
+   * Worker crashed mid-session: stop it and initialize the main-thread backend instead
+   * @private
+   */
+  _fallBackToMainThread() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this._workerBusy = false;
+    this.isInitialized = false;
+    this._workerDisabled = true;
+    this.initialize();
+  }
+
+  /**
+   * Send a frame to the worker; frames arriving while the previous one is still in flight are dropped
+   * @param {HTMLVideoElement} videoElement - Source frame
+   * @private
+   */
+  async _sendFrameToWorker(videoElement) {
+    if (this._workerBusy) {
+      this.droppedFrames++;
+      return;
+    }
+    this._workerBusy = true;
+    this._workerSentAt = performance.now();
+    try {
+      const { width, height } = this._inputSize(videoElement);
+      const bitmap = width === videoElement.videoWidth
+        ? await createImageBitmap(videoElement)
+        : await createImageBitmap(videoElement, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+      if (!this.worker) {
+        bitmap.close();
+        return;
+      }
+      this.worker.postMessage({ type: 'frame', id: ++this._workerFrameId, bitmap }, [bitmap]);
+    } catch (error) {
+      this._workerBusy = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Size of the frame sent to inference: the governor's input scale, capped at MAX_INPUT_WIDTH x MAX_INPUT_HEIGHT
+   * @param {HTMLVideoElement} videoElement - Source frame
+   * @returns {Object} - { width, height } in px
+   * @private
+   */
+  _inputSize(videoElement) {
+    const w = videoElement.videoWidth;
+    const h = videoElement.videoHeight;
+    const scale = Math.min(1, MAX_INPUT_WIDTH / w, MAX_INPUT_HEIGHT / h, this.governor?.level.scale ?? 1);
+    return { width: Math.round(w * scale), height: Math.round(h * scale) };
+  }
+
+  /**
+   * Frame to hand to the main-thread backends: the video itself, or a downscaled copy
+   * @param {HTMLVideoElement} videoElement - Source frame
+   * @returns {HTMLVideoElement|HTMLCanvasElement}
+   * @private
+   */
+  _inferenceInput(videoElement) {
+    const { width, height } = this._inputSize(videoElement);
+    if (width === videoElement.videoWidth) return videoElement;
+    if (!this._inputCanvas) this._inputCanvas = document.createElement('canvas');
+    const canvas = this._inputCanvas;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    canvas.getContext('2d').drawImage(videoElement, 0, 0, width, height);
+    return canvas;
+  }
+
+  /**
+   * Feed an inference latency to the governor, apply a level change and publish the sampling rate
+   * @param {number} latencyMs - Time the inference took
+   * @private
+   */
+  _recordInference(latencyMs) {
+    if (!this.governor) return;
+    const level = this.governor.record(latencyMs, Date.now());
+    if (level) {
+      console.log(`🎚️ Governor: ${Math.round(this.governor.latencyMs)}ms/frame → scale ${level.scale}, complexity ${level.modelComplexity}, skip ${level.skip}`);
+      if (this.pose && !this.worker) {
+        const config = window.MediaPipeConfig?.POSE_CONFIG || {};
+        this.pose.setOptions({ ...config, modelComplexity: level.modelComplexity });
+      }
+    }
+    const fps = this.governor.samplingFps;
+    if (fps) this.setSamplingRate(fps);
+  }
+
+  /**
+   * Tell the counters how often frames are sampled
+   * Frame-count thresholds are tuned at REFERENCE_FPS; minimum rep intervals lose up to one
+   * frame interval of precision when sampling is coarser.
+   * @param {number} fps - Effective inference rate
+   */
+  setSamplingRate(fps) {
+    if (!Number.isFinite(fps) || fps <= 0) return;
+    this.sampling = {
+      fps,
+      frameScale: fps / REFERENCE_FPS,
+      intervalSlackMs: Math.max(0, 1000 / fps - 1000 / REFERENCE_FPS)
+    };
+    this.partner?.setSamplingRate(fps);
+  }
+
+  /**
+   * Frame-count threshold adjusted to the sampling rate
+   * @param {number} frames - Frame count tuned at REFERENCE_FPS
+   * @returns {number} - Frames at the current rate (at least 1)
+   */
+  scaleFrames(frames) {
+    return Math.max(1, Math.round(frames * this.sampling.frameScale));
+  }
+
+  /**
+   * Minimum rep interval adjusted to the sampling rate
+   * @param {number} ms - Interval tuned at REFERENCE_FPS
+   * @returns {number} - Interval less the extra frame-interval jitter
+   */
+  minRepMs(ms) {
+    return Math.max(0, ms - this.sampling.intervalSlackMs);
+  }
+
   /**
    * Validate and backfill landmark visibility using EMA smoothing
    * @param {Array} landmarks - Current frame landmarks
@@ -502,6 +630,13 @@ class PoseDetectionUtils {
     const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
     const calibrationDefaults = window.MediaPipeConfig?.CALIBRATION_DEFAULTS || {};
     
+    // Multi-person: calibration locks onto the person in front of the camera (and the partner beside them)
+    if (this.multiPerson && this._people) {
+      const athlete = prominentPerson(this._people);
+      this.athleteLock.lock(athlete);
+      if (this.partner) this.partnerLock.lock(prominentPerson(this._people.filter((person) => person !== athlete)));
+    }
+
     const startTime = Date.now();
     const measurements = {
       shoulderWidths: [],
@@ -521,6 +656,10 @@ class PoseDetectionUtils {
       }
       
       const landmarks = this.lastResults.poseLandmarks;
+      if (this.multiPerson) {
+        this.athleteLock.addSample(landmarks);
+        if (this.partner) this.partnerLock.addSample(this.partner.lastResults?.poseLandmarks);
+      }
       
       // Extract required landmarks
       const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
@@ -598,11 +737,15 @@ class PoseDetectionUtils {
         : calibrationDefaults.neutralAnkleSpacing || 0.12;
       const avgTorsoLength = measurements.torsoLengths.reduce((a, b) => a + b, 0) / measurements.torsoLengths.length;
       
-      // Store calibration data
+      // Store calibration data; sizes depend on the camera distance, ratios do not (profiles save only these)
       this.calibrationData = {
         shoulderWidth: avgShoulderWidth,
         neutralAnkleSpacing: avgAnkleSpacing,
         torsoLength: avgTorsoLength,
+        ratios: {
+          shoulderToTorso: avgShoulderWidth / avgTorsoLength,
+          ankleToShoulder: measurements.ankleSpacings.length > 0 ? avgAnkleSpacing / avgShoulderWidth : null
+        },
         timestamp: Date.now(),
         isDefault: false,
         frameCount: measurements.shoulderWidths.length
@@ -611,6 +754,10 @@ class PoseDetectionUtils {
       console.log('✅ Calibration complete:', this.calibrationData);
     }
     
+    if (this.multiPerson && this.athleteLock.proportions) {
+      this.calibrationData.bodyProportions = this.athleteLock.proportions;
+    }
+
     // Emit calibration-complete event
     const event = new CustomEvent('calibration-complete', {
       detail: this.calibrationData
@@ -620,6 +767,109 @@ class PoseDetectionUtils {
     return this.calibrationData;
   }
 
+  /**
+   * Use a saved calibration profile (see calibrationProfiles.js) instead of calibrating again
+   * Saved profiles carry ratios only; the sizes are measured live from the next frames.
+   * @param {Object|null} calibrationData - Output of calibrate() or a saved profile; null clears it
+   */
+  setCalibration(calibrationData) {
+    this.calibrationData = calibrationData ? { ...calibrationData } : null;
+    if (this.calibrationData?.bodyProportions) this.athleteLock.setProportions(this.calibrationData.bodyProportions);
+    if (this.calibrationData) {
+      console.log('📐 Calibration loaded:', this.calibrationData);
+    }
+  }
+
+  /**
+   * Use the user's range-of-motion profile for depth thresholds
+   * @param {Object|null} profile - ROM profile ({ mode, exercises })
+   * @param {string} mode - 'strict' | 'standard' | 'assisted' (defaults to the profile's mode)
+   */
+  setRomProfile(profile, mode = profile?.mode) {
+    this.romProfile = profile || null;
+    this.romMode = profile ? mode : null;
+  }
+
+  /**
+   * Depth target for the current exercise, for display
+   * @returns {Object|null} - romTarget() result, or null when the configured threshold applies
+   */
+  getRomTarget() {
+    const definition = getExerciseDefinition(this.exerciseMode);
+    const key = definition?.rom?.threshold;
+    if (!key || !this.romProfile) return null;
+    const tracker = this.perModeState[definition.stateKey || definition.mode]?._tracker;
+    const configured = tracker?.resolveThresholds()[key];
+    return romTarget(definition, this.romProfile, configured, this.romMode);
+  }
+
+  /**
+   * Replace a counter's depth threshold with the personal ROM target
+   * @param {Object} definition - Exercise definition with a `rom: { threshold }` block
+   * @param {Object} thresholds - Resolved machine thresholds
+   * @returns {Object} - { thresholds, personalDepth } (personalDepth: a ROM target replaced the threshold)
+   */
+  applyRomTarget(definition, thresholds) {
+    const key = definition?.rom?.threshold;
+    if (!key || !this.romProfile) return { thresholds, personalDepth: false };
+    const target = romTarget(definition, this.romProfile, thresholds[key], this.romMode);
+    if (!target) return { thresholds, personalDepth: false };
+    return { thresholds: { ...thresholds, [key]: target.angle }, personalDepth: true };
+  }
+
+  /**
+   * Re-measure the calibrated sizes in image units from the frame, so moving closer to or further from
+   * the camera after calibrating keeps calibrationScale() right. Turning side-on narrows the shoulders and
+   * bending over shortens the torso, so the body size is the larger of the torso and the shoulder width
+   * over the calibrated shoulder/torso ratio, smoothed across frames.
+   * @param {Array} landmarks - Raw landmarks for the frame
+   * @private
+   */
+  _updateCalibrationSizes(landmarks) {
+    const calibration = this.calibrationData;
+    const ratios = calibration?.ratios;
+    if (!calibration || calibration.isDefault || !(ratios?.shoulderToTorso > 0)) return;
+    const [leftShoulder, rightShoulder, leftHip, rightHip] = [11, 12, 23, 24].map((i) => landmarks[i]);
+    const visible = (p) => p && (p.visibility ?? 1) >= 0.5;
+    if (![leftShoulder, rightShoulder, leftHip, rightHip].every(visible)) return;
+
+    const shoulderWidth = Math.hypot(rightShoulder.x - leftShoulder.x, rightShoulder.y - leftShoulder.y);
+    const torsoLength = Math.hypot(
+      (leftHip.x + rightHip.x) / 2 - (leftShoulder.x + rightShoulder.x) / 2,
+      (leftHip.y + rightHip.y) / 2 - (leftShoulder.y + rightShoulder.y) / 2
+    );
+    const size = Math.max(torsoLength, shoulderWidth / ratios.shoulderToTorso);
+    const alpha = window.MediaPipeConfig?.CALIBRATION_DEFAULTS?.liveSizeSmoothing ?? 0.05;
+    calibration.torsoLength = calibration.torsoLength ? calibration.torsoLength + (size - calibration.torsoLength) * alpha : size;
+    calibration.shoulderWidth = calibration.torsoLength * ratios.shoulderToTorso;
+    if (ratios.ankleToShoulder > 0) calibration.neutralAnkleSpacing = calibration.shoulderWidth * ratios.ankleToShoulder;
+  }
+
+  /**
+   * Body size in frame relative to CALIBRATION_DEFAULTS (torso length ratio)
+   * Distance thresholds in normalized image units (depth, stance) are tuned for the default
+   * framing; counters divide their distance metrics by this factor.
+   * @returns {number} - 1 without a measured calibration
+   */
+  calibrationScale() {
+    const calibration = this.calibrationData;
+    if (!calibration || calibration.isDefault || !calibration.torsoLength) return 1;
+    const defaults = window.MediaPipeConfig?.CALIBRATION_DEFAULTS || {};
+    const ratio = calibration.torsoLength / (defaults.torsoLength || 0.3);
+    return Math.max(0.5, Math.min(2, ratio));
+  }
+
+  /**
+   * Visibility threshold for the user's framing: landmarks of a user standing far away
+   * (small in frame) report lower visibility, so the threshold is relaxed (down to 75%)
+   * @param {number} minVisibility - Threshold tuned for the default framing
+   * @returns {number}
+   */
+  calibratedVisibility(minVisibility) {
+    const scale = this.calibrationScale();
+    return scale >= 1 ? minVisibility : minVisibility * Math.max(0.75, scale);
+  }
+
   /**
    * Emit telemetry event for debugging and validation
    * @param {Object} eventData - Telemetry event data
@@ -723,107 +973,6 @@ class PoseDetectionUtils {
     return null;
   }
 
-  // Knee push-up counter: exact copy of push-up logic scoped to perModeState['kneepushups']
-  updateKneePushupCounter(landmarks){
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const pushupConfig = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-
-      if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
-        return;
-      }
-
-      // Calculate elbow angles
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-
-      // Average shoulder position (for height detection)
-      const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-      const downThreshold = pushupConfig.ELBOW_ANGLE_DOWN || 95;
-      const upThreshold = pushupConfig.ELBOW_ANGLE_UP || 155;
-      const shoulderHeightThreshold = pushupConfig.SHOULDER_HEIGHT_DOWN || 0.02;
-
-      // Push-up position: elbows bent OR shoulders close to ground
-      // Determine if user is likely standing: if shoulders are well above hips and torso vertical
-      const shoulderHipDy = Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2));
-      const torsoVerticalThreshold = pushupConfig.TORSO_VERTICAL_DY ?? 0.15; // if shoulders far above hips (normalized units)
-      const isLikelyStanding = shoulderHipDy < (pushupConfig.STANDING_DY_MIN ?? 0.05) ? false : ((leftShoulder.y + rightShoulder.y) / 2) < ((leftHip.y + rightHip.y) / 2) - (pushupConfig.STANDING_DY_MIN ?? 0.02);
-
-      // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
-      const pstate = this.perModeState['widepushups'];
-      if (!pstate._baselineShoulderY) {
-        // initialize baseline to current shoulder Y when pose roughly horizontal
-        pstate._baselineShoulderY = avgShoulderY;
-      }
-
-      // If posture is not horizontal, don't update baseline; else slowly adapt baseline
-      if (Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2)) < 0.12) {
-        // adapt baseline slowly
-        pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
-      }
-
-      // Push-up position: significant drop from baseline OR elbow angle threshold
-      const shoulderDrop = avgShoulderY - (pstate._baselineShoulderY || avgShoulderY);
-      const shoulderDropThreshold = pushupConfig.SHOULDER_DROP_THRESHOLD ?? 0.06; // normalized units
-      const pushupPosition = (avgElbowAngle <= downThreshold) || (shoulderDrop >= shoulderDropThreshold) || (avgShoulderY >= (1 - shoulderHeightThreshold));
-
-      // Standing position: elbows straight and shoulders high (not horizontal)
-      const standingPosition = (avgElbowAngle >= upThreshold) && isLikelyStanding;
-
-      // In-position gating: require user to assume a stable push-up start pose before starting counting
-      if (!pstate._inPositionCount) pstate._inPositionCount = 0;
-      const inStart = this.isPushupStartPose(landmarks);
-      if (inStart) {
-        pstate._inPositionCount += 1;
-      } else {
-        pstate._inPositionCount = 0;
-      }
-
-      const REQUIRED_STABLE_FRAMES = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_STABLE_FRAMES ?? 6; // ~6 frames
-      pstate._isInStartPose = pstate._inPositionCount >= REQUIRED_STABLE_FRAMES;
-
-      // Debounce reps: minimum ms between consecutive counts
-      const MIN_REP_MS = window.MediaPipeConfig?.PUSHUP_CONFIG?.MIN_REP_MS ?? 400;
-      if (!pstate._lastRepAt) pstate._lastRepAt = 0;
-      const now = Date.now();
-
-      // Only count if posture is correct and user is in start pose
-      if (this.postureStatus !== 'correct' || !pstate._isInStartPose) {
-        return; // do not count
-      }
-
-      if (pstate.state === 'up') {
-        if (pushupPosition && (now - pstate._lastRepAt) > MIN_REP_MS) {
-          pstate.state = 'down';
-          pstate.count += 1; // Count on descent
-          pstate._lastRepAt = now;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(pstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Wide Push-up ${pstate.count}`, type: 'success', timestamp: now });
-          }
-        }
-      } else if (pstate.state === 'down') {
-        // return to up when standingPosition or full extension detected
-        if (standingPosition || (!pushupPosition && avgElbowAngle >= upThreshold)) {
-          pstate.state = 'up'; // Reset state for next rep
-        }
-      }
-    } catch (error) {
-      console.error('Error updating wide push-up counter:', error);
-    }
-  }
-
 
   // Process video frame
   async processFrame(videoElement) {
@@ -849,41 +998,48 @@ class PoseDetectionUtils {
         return;
       }
 
+      this.frameAspect = videoElement.videoWidth / videoElement.videoHeight;
+
       // Log video dimensions only once per session
       if (!this.videoDimensionsLogged) {
         console.log(`📏 Video dimensions: ${videoElement.videoWidth}x${videoElement.videoHeight}`);
         this.videoDimensionsLogged = true;
       }
 
-      // Allow larger videos but with a reasonable limit
-      const maxWidth = 1920;
-      const maxHeight = 1080;
-      if (videoElement.videoWidth > maxWidth || videoElement.videoHeight > maxHeight) {
-        console.log('⚠️ Video too large (>1920x1080), skipping frame');
+      // Frame skipping chosen by the governor
+      if (this.governor && !this.governor.shouldProcess()) {
         return;
       }
 
       // Branch per backend
-      if (this.backend === 'blazepose_tfjs' && this.detector) {
-        const poses = await this.detector.estimatePoses(videoElement, { flipHorizontal: true });
+      if (this.worker) {
+        // Results arrive asynchronously through onResults; getLastResults() holds the latest
+        await this._sendFrameToWorker(videoElement);
+      } else if (this.backend === 'movenet_multipose' && this.detector) {
+        const input = this._inferenceInput(videoElement);
+        const { width, height } = input === videoElement
+          ? { width: videoElement.videoWidth, height: videoElement.videoHeight }
+          : input;
+        const started = performance.now();
+        const people = await estimatePeople(this.detector, input, width, height, window.MediaPipeConfig?.MULTI_POSE_CONFIG || {});
+        this._recordInference(performance.now() - started);
+        this._onPeople(people);
+      } else if (this.backend === 'blazepose_tfjs' && this.detector) {
+        const input = this._inferenceInput(videoElement);
+        const started = performance.now();
+        const poses = await this.detector.estimatePoses(input, { flipHorizontal: true });
+        this._recordInference(performance.now() - started);
         const pose = poses && poses[0];
-        const keypoints = pose?.keypoints || pose?.keypoints3D || [];
-        if (!keypoints || keypoints.length === 0) {
-          this.onResults({ poseLandmarks: null });
-          return;
-        }
-        const w = videoElement.videoWidth || 1;
-        const h = videoElement.videoHeight || 1;
         // Normalize to [0,1] like MediaPipe Pose, include visibility from score
-        const landmarks = keypoints.map(kp => ({
-          x: Math.max(0, Math.min(1, (kp.x || 0) / w)),
-          y: Math.max(0, Math.min(1, (kp.y || 0) / h)),
-          z: kp.z ?? 0,
-          visibility: kp.score ?? kp.visibility ?? 0.8
-        }));
-        this.onResults({ poseLandmarks: landmarks });
+        const { width, height } = input === videoElement
+          ? { width: videoElement.videoWidth, height: videoElement.videoHeight }
+          : input;
+        const landmarks = keypointsToLandmarks(pose?.keypoints || pose?.keypoints3D, width, height);
+        this.onResults({ poseLandmarks: landmarks, poseWorldLandmarks: keypointsToWorldLandmarks(pose?.keypoints3D) });
       } else if (this.pose) {
-        await this.pose.send({ image: videoElement });
+        const started = performance.now();
+        await this.pose.send({ image: this._inferenceInput(videoElement) });
+        this._recordInference(performance.now() - started);
       }
     } catch (error) {
       if (error.message?.includes('memory access out of bounds')) {
@@ -894,12 +1050,39 @@ class PoseDetectionUtils {
     }
   }
 
+  /**
+   * Multi-person frame: follow the locked athlete (and partner), ignore everyone else
+   * @param {Array} people - [{ id, score, landmarks }] from estimatePeople
+   * @private
+   */
+  _onPeople(people) {
+    const now = Date.now();
+    this._people = people || [];
+    const athlete = this.athleteLock.select(this._people, now);
+    const partner = this.partner ? this.partnerLock.select(this._people, now, athlete) : null;
+    const ignored = this._people.length - (athlete ? 1 : 0) - (partner ? 1 : 0);
+    if (ignored > 0 && Math.random() < 0.05) {
+      console.log(`👥 ${this._people.length} people in frame, ${ignored} ignored`);
+    }
+
+    this.onResults({
+      poseLandmarks: athlete?.landmarks || null,
+      people: { count: this._people.length, ignored, athleteId: athlete?.id ?? null, partnerId: partner?.id ?? null }
+    });
+    if (this.partner) {
+      // The partner does the same exercise (free workouts may switch it)
+      if (this.partner.exerciseMode !== this.exerciseMode) this.partner.setExerciseMode(this.exerciseMode);
+      this.partner.onResults({ poseLandmarks: partner?.landmarks || null });
+    }
+  }
+
   // Handle pose detection results
   onResults(results) {
     console.log('🎯 onResults called!', results.poseLandmarks ? `Found ${results.poseLandmarks.length} landmarks` : 'No landmarks');
 
     // Store results for drawing
     this.lastResults = results;
+    this._updateFraming(results.poseLandmarks || null, results.poseWorldLandmarks || null);
 
     if (!results.poseLandmarks) {
       this.postureStatus = 'unknown';
@@ -932,14 +1115,19 @@ class PoseDetectionUtils {
     }
 
     const landmarks = results.poseLandmarks;
+
+    // May switch this.exerciseMode in free-workout mode, so it runs before the definition lookup
+    this._updateRecognition(landmarks);
+    // Calibrated sizes follow the user's distance from the camera
+    this._updateCalibrationSizes(landmarks);
     
     // Get critical landmarks for visibility validation
     const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-    const criticalLandmarksMap = window.MediaPipeConfig?.CRITICAL_LANDMARKS_MAP || {};
-    const criticalIndices = criticalLandmarksMap[this.exerciseMode] || [11, 12, 13, 14, 23, 24, 25, 26];
+    const definition = getExerciseDefinition(this.exerciseMode);
+    const criticalIndices = this.getCriticalLandmarks(this.exerciseMode);
     
     // Validate and backfill landmarks
-    const validatedLandmarks = this.validateAndBackfillLandmarks(landmarks, criticalIndices, 0.35);
+    const validatedLandmarks = this.validateAndBackfillLandmarks(landmarks, criticalIndices, this.calibratedVisibility(0.35));
     
     if (!validatedLandmarks) {
       // Emit telemetry for frame-skipped due to insufficient visibility
@@ -964,15 +1152,19 @@ class PoseDetectionUtils {
       return;
     }
 
+    // Joint angles for the posture check and the counter (world landmarks when the definition asks)
+    this.geometry = this._jointGeometry(validatedLandmarks, results.poseWorldLandmarks, definition);
+
     // Evaluate posture for the current exercise using the unified checker with enhanced gating
-    // Determine if cardio bypass should be allowed
-    const cardioExercises = ['mountainclimbers', 'highknees', 'jumpingjacks'];
-    const allowCardioBypass = cardioExercises.includes(this.exerciseMode);
+    // Cardio definitions opt into the posture bypass
+    const postureRules = definition?.posture || {};
+    const allowCardioBypass = !!postureRules.cardioBypass;
     
     const postureResult = this.checkBackAlignment(validatedLandmarks, {
       exerciseMode: this.exerciseMode,
       isLiveWebcam: true,
-      allowCardioBypass: allowCardioBypass
+      allowCardioBypass: allowCardioBypass,
+      geometry: this.geometry
     });
 
     // Update posture status based on result
@@ -1004,11 +1196,9 @@ class PoseDetectionUtils {
     };
 
     // If posture is incorrect for strength/technique exercises, warn and normally skip counting.
-    // However, allow deep squat descents (hip below knee) to proceed to the squat counter so
-    // counting can occur if legs are stable. The squat counter itself still enforces stability
-    // and collapse checks.
-    // Also skip posture warnings and counting block for Sit-Ups (allow counting even if back not perfectly straight)
-    if (!postureResult.isValid && !cardioExercises.includes(this.exerciseMode) && this.exerciseMode !== 'squats' && this.exerciseMode !== 'situps') {
+    // Definitions with posture.countWhenIncorrect (cardio, squats, sit-ups) apply their own
+    // gating inside the counter instead.
+    if (!postureResult.isValid && !postureRules.countWhenIncorrect) {
       const currentTime = Date.now();
       const cooldown = window.MediaPipeConfig?.PLANK_CONFIG?.WARNING_COOLDOWN || 2000;
 
@@ -1025,8 +1215,8 @@ class PoseDetectionUtils {
         }
       }
 
-      // Stop plank timer while incorrect (include reverse plank)
-      if ((this.exerciseMode === 'plank' || this.exerciseMode === 'sideplank') && this.timerRunning) {
+      // Stop hold timer while incorrect
+      if (postureRules.pauseHoldWhenIncorrect && this.timerRunning) {
         this.accumulatedCorrectMs += currentTime - this.startCorrectTimestampMs;
         this.timerRunning = false;
         this.startCorrectTimestampMs = 0;
@@ -1039,93 +1229,23 @@ class PoseDetectionUtils {
       return;
     }
 
-    // Posture is correct - Handle time-based exercises (plank, sideplank, wallsit)
-    if (this.exerciseMode === 'plank' || this.exerciseMode === 'sideplank' || this.exerciseMode === 'wallsit') {
+    // Posture is correct - Handle hold exercises (plank, sideplank, wallsit)
+    if (definition?.isHoldValid) {
       const now = Date.now();
-      let exerciseOk = false;
-      
-      if (this.exerciseMode === 'plank' || this.exerciseMode === 'sideplank') {
-        // For plank we require a stricter horizontal+stability check before counting time.
-        exerciseOk = this.isPlankStrictAndStable(validatedLandmarks, now);
-      } else if (this.exerciseMode === 'wallsit') {
-        // For wall sit, validate knee and hip angles
-        const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-        const wallsitCfg = window.MediaPipeConfig?.WALLSIT_CONFIG || {};
-        
-        const lh = validatedLandmarks[cfg.LEFT_HIP || 23];
-        const rh = validatedLandmarks[cfg.RIGHT_HIP || 24];
-        const lk = validatedLandmarks[cfg.LEFT_KNEE || 25];
-        const rk = validatedLandmarks[cfg.RIGHT_KNEE || 26];
-        const la = validatedLandmarks[cfg.LEFT_ANKLE || 27];
-        const ra = validatedLandmarks[cfg.RIGHT_ANKLE || 28];
-        const ls = validatedLandmarks[cfg.LEFT_SHOULDER || 11];
-        const rs = validatedLandmarks[cfg.RIGHT_SHOULDER || 12];
-        
-        if (lh && rh && lk && rk && la && ra && ls && rs) {
-          // Calculate knee angles (hip-knee-ankle)
-          const leftKneeAngle = this.calculateAngle(lh, lk, la);
-          const rightKneeAngle = this.calculateAngle(rh, rk, ra);
-          
-          // Calculate hip angles (shoulder-hip-knee)
-          const leftHipAngle = this.calculateAngle(ls, lh, lk);
-          const rightHipAngle = this.calculateAngle(rs, rh, rk);
-          
-          // Check if angles are in valid range for WALL SIT
-          // Different camera angles give different angle ranges:
-          // Side view: bent knee ~110-130°, sitting hip ~110-130°
-          // Front view: bent knee ~80-120°, sitting hip ~80-120°
-          // Use wider ranges to work with both camera angles
-          const kneeMin = 80;   // Bent knee minimum (works for front and side)
-          const kneeMax = 150;  // Bent knee maximum (works for front and side)
-          const hipMin = 80;    // Sitting position minimum (works for front and side)
-          const hipMax = 150;   // Sitting position maximum (works for front and side)
-          
-          const leftKneeOK = leftKneeAngle >= kneeMin && leftKneeAngle <= kneeMax;
-          const rightKneeOK = rightKneeAngle >= kneeMin && rightKneeAngle <= kneeMax;
-          const leftHipOK = leftHipAngle >= hipMin && leftHipAngle <= hipMax;
-          const rightHipOK = rightHipAngle >= hipMin && rightHipAngle <= hipMax;
-          
-          // For wall sit, we need at least ONE side to be valid (in case of occlusion)
-          // OR both knees valid (for front-facing camera)
-          const kneesOK = leftKneeOK && rightKneeOK;  // Both knees valid
-          const hipsOK = leftHipOK && rightHipOK;     // Both hips valid
-          const oneSideOK = (leftKneeOK && leftHipOK) || (rightKneeOK && rightHipOK); // One complete side
-          
-          // Accept if both sides are good OR at least one complete side is good
-          exerciseOk = (kneesOK && hipsOK) || oneSideOK;
-          
-          if (exerciseOk) {
-            console.log('🪑✅ Wall sit: Valid position detected!', {
-              leftKnee: leftKneeAngle.toFixed(1),
-              rightKnee: rightKneeAngle.toFixed(1),
-              leftHip: leftHipAngle.toFixed(1),
-              rightHip: rightHipAngle.toFixed(1)
-            });
-          } else {
-            console.log('🪑❌ Wall sit: Invalid position', {
-              leftKnee: leftKneeAngle.toFixed(1),
-              rightKnee: rightKneeAngle.toFixed(1),
-              leftHip: leftHipAngle.toFixed(1),
-              rightHip: rightHipAngle.toFixed(1),
-              kneesOK,
-              hipsOK
-            });
-          }
-        }
-      }
+      const exerciseOk = definition.isHoldValid(this, validatedLandmarks, now, definition);
 
       if (exerciseOk) {
         if (!this.timerRunning) {
           this.startCorrectTimestampMs = now;
           this.timerRunning = true;
-          console.log('🪑✅ Wall sit: Timer STARTED!');
+          console.log(`⏱️✅ ${definition.label}: Timer STARTED!`);
         }
         const totalMs = this.accumulatedCorrectMs + (now - (this.startCorrectTimestampMs || now));
         const seconds = Math.floor(totalMs / 1000);
-        console.log(`🪑⏱️ Wall sit: Counting... ${seconds} seconds`);
+        console.log(`⏱️ ${definition.label}: Counting... ${seconds} seconds`);
         if (this.onTimeUpdate) {
           this.onTimeUpdate(seconds);
-          console.log(`🪑📢 Wall sit: Called onTimeUpdate with ${seconds}`);
+          console.log(`⏱️📢 ${definition.label}: Called onTimeUpdate with ${seconds}`);
         }
       } else {
         // Stop timer if it was running
@@ -1133,7 +1253,7 @@ class PoseDetectionUtils {
           this.accumulatedCorrectMs += now - this.startCorrectTimestampMs;
           this.timerRunning = false;
           this.startCorrectTimestampMs = 0;
-          console.log(`🪑⏸️ Wall sit: Timer PAUSED at ${Math.floor(this.accumulatedCorrectMs / 1000)}s`);
+          console.log(`⏱️⏸️ ${definition.label}: Timer PAUSED at ${Math.floor(this.accumulatedCorrectMs / 1000)}s`);
           if (this.onTimeUpdate) {
             this.onTimeUpdate(Math.floor(this.accumulatedCorrectMs / 1000));
           }
@@ -1162,185 +1282,422 @@ class PoseDetectionUtils {
       } : null
     });
 
-    // Count reps depending on mode
-    if (this.exerciseMode === 'squats') {
-      this.updateSquatCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'lunges') {
-      this.updateLungesCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'burpees') {
-      this.updateBurpeesCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'mountainclimbers') {
-      // legacy mode - map to situps behavior
-      this.updateSitUpsCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'situps') {
-      console.log('🟢 onResults: situps mode active — calling updateSitupCounter');
-      this.updateSitupCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'wallsit') {
-      console.log('🟢 onResults: wallsit mode - calling updateWallSitCounter');
-      this.updateWallSitCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'highknees') {
-      console.log('🟢 onResults: highknees mode - calling updateHighKneesCounter');
-      this.updateHighKneesCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'jumpingjacks') {
-      console.log('🟢 onResults: jumpingjacks mode - calling updateJumpingJacksCounter');
-      this.updateJumpingJacksCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'sideplank') {
-      this.updateSidePlankCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'straightarmplank') {
-      // Straight Arm Plank behaves like Side Plank for posture/time logic but uses its own handler
-      this.updateStraightArmPlankCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'reversestraightarmplank') {
-      // Reverse Straight Arm Plank is identical in logic to straight arm plank but separate mode/name
-      this.updateReverseStraightArmPlankCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'kneeplank') {
-      // Knee Plank: time-based like straight arm plank but with its own mode
-      this.updateKneePlankCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'widepushups') {
-      this.updateWidePushupCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'narrowpushups') {
-      this.updateNarrowPushupCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'diamondpushups') {
-      this.updateDiamondPushupCounter(validatedLandmarks);
-    } else if (this.exerciseMode === 'kneepushups') {
-      this.updateKneePushupCounter(validatedLandmarks);
-    } else {
-      this.updatePushupCounter(validatedLandmarks);
-    }
+    // Count reps with the registered definition; unknown modes fall back to push-ups
+    const counter = definition?.update ? definition : getExerciseDefinition('pushups');
+    const counterState = this.perModeState[counter.stateKey || counter.mode];
+    counter.update(this, validatedLandmarks, counterState, counter);
+
+    this._updateRepQuality(validatedLandmarks, counterState);
+    this._updateRepConfidence(validatedLandmarks, counterState);
+    this._updateAsymmetry(validatedLandmarks, counterState);
   }
 
-  // Allow external code to change exercise mode safely
-  setExerciseMode(mode) {
+  /**
+   * Feed the frame into the rep confidence tracker and report finished reps
+   * @param {Array} landmarks - Validated landmarks for the frame
+   * @param {Object} counterState - perModeState slot the counter just updated
+   * @private
+   */
+  _updateRepConfidence(landmarks, counterState) {
+    if (!this.repConfidence.enabled || !counterState) return;
     try {
-      if (!mode) return;
-      const normalized = String(mode).toLowerCase().replace(/[^a-z0-9]+/g, '');
-      // Set normalized mode directly (reverse plank removed)
-      this.exerciseMode = normalized;
-      console.debug('PoseDetectionUtils: setExerciseMode ->', this.exerciseMode);
-      // Ensure per-mode state exists
-      if (!this.perModeState[normalized]) {
-        this.perModeState[normalized] = { state: 'up', count: 0 };
+      const tracker = counterState._tracker?.machine ? counterState._tracker : null;
+      const record = this.repConfidence.update(sampleRepConfidence(landmarks, this.getCriticalLandmarks(this.exerciseMode)), {
+        timestamp: Date.now(),
+        state: counterState.state,
+        count: counterState.count,
+        margins: tracker ? tracker.margins : null,
+        topState: tracker ? tracker.machine.initial : 'up'
+      });
+      if (record) {
+        console.log(`🎯 Rep ${record.rep} confidence: ${record.confidence}`, record);
+        if (this.onRepConfidence) {
+          this.onRepConfidence(record, {
+            ...this.repConfidence.getSummary(),
+            mode: this.exerciseMode,
+            thresholds: tracker ? tracker.resolveThresholds() : null
+          });
+        }
       }
-      // Reset counters for new mode
-      this.resetCounter();
-      return this.exerciseMode;
-    } catch (e) {
-      console.error('setExerciseMode error', e);
-      return null;
+    } catch (error) {
+      console.error('Error updating rep confidence:', error);
     }
   }
 
-  // Wide push-up counter: duplicate of pushup logic but with wider hand tolerance
-  updateWidePushupCounter(landmarks) {
+  /**
+   * Feed the frame into the asymmetry monitor and warn when a rep is out of balance
+   * @param {Array} landmarks - Validated landmarks for the frame
+   * @param {Object} counterState - perModeState slot the counter just updated
+   * @private
+   */
+  _updateAsymmetry(landmarks, counterState) {
+    if (!this.asymmetry.enabled || !counterState) return;
     try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const pushupConfig = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
+      const now = Date.now();
+      const result = this.asymmetry.update(sampleAsymmetry(this, landmarks, this.asymmetry.config), {
+        timestamp: now,
+        state: counterState.state,
+        count: counterState.count
+      });
+      if (!result) return;
 
-      if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
-        return;
+      console.log(`⚖️ Rep ${result.rep.rep} balance:`, result.rep);
+      if (result.feedback && this.onFormFeedback) {
+        this.onFormFeedback({ message: result.feedback, type: 'warning', timestamp: now });
       }
+      if (this.onAsymmetry) this.onAsymmetry(result.rep, this.asymmetry.getSummary());
+    } catch (error) {
+      console.error('Error updating asymmetry:', error);
+    }
+  }
 
-      // Calculate elbow angles
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-
-      // Average shoulder position (for height detection)
-      const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-      const downThreshold = pushupConfig.ELBOW_ANGLE_DOWN || 95;
-      const upThreshold = pushupConfig.ELBOW_ANGLE_UP || 155;
-      const shoulderHeightThreshold = pushupConfig.SHOULDER_HEIGHT_DOWN || 0.02;
-
-      // Push-up position: elbows bent OR shoulders close to ground
-      // Determine if user is likely standing: if shoulders are well above hips and torso vertical
-      const shoulderHipDy = Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2));
-      const torsoVerticalThreshold = pushupConfig.TORSO_VERTICAL_DY ?? 0.15; // if shoulders far above hips (normalized units)
-      const isLikelyStanding = shoulderHipDy < (pushupConfig.STANDING_DY_MIN ?? 0.05) ? false : ((leftShoulder.y + rightShoulder.y) / 2) < ((leftHip.y + rightHip.y) / 2) - (pushupConfig.STANDING_DY_MIN ?? 0.02);
-
-      // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
-      const pstate = this.perModeState['widepushups'];
-      if (!pstate._baselineShoulderY) {
-        // initialize baseline to current shoulder Y when pose roughly horizontal
-        pstate._baselineShoulderY = avgShoulderY;
+  /**
+   * Feed the frame into the rep quality tracker and report finished reps
+   * @param {Array} landmarks - Validated landmarks for the frame
+   * @param {Object} counterState - perModeState slot the counter just updated
+   * @private
+   */
+  _updateRepQuality(landmarks, counterState) {
+    if (!this.repQuality.enabled || !counterState) return;
+    try {
+      const now = Date.now();
+      const record = this.repQuality.update(sampleRepQuality(this, landmarks, this.repQuality.quality), {
+        timestamp: now,
+        state: counterState.state,
+        count: counterState.count
+      });
+      if (record) {
+        // Compare against the start of the set first so the record carries its fatigue flag
+        const fatigue = this.fatigue.addRep(record, now);
+        if (fatigue) record.fatigue = { set: fatigue.set, formLoss: fatigue.formLoss, fatigued: fatigue.fatigued };
+        console.log(`📐 Rep ${record.rep} quality: ${record.score}`, record);
+        if (this.onRepQuality) this.onRepQuality(record, this.repQuality.getSummary());
+        this._updateRepTempo(record, now);
+        this._reportFatigue(fatigue, now);
       }
+    } catch (error) {
+      console.error('Error updating rep quality:', error);
+    }
+  }
 
-      // If posture is not horizontal, don't update baseline; else slowly adapt baseline
-      if (Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2)) < 0.12) {
-        // adapt baseline slowly
-        pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
-      }
+  /**
+   * Add a finished rep's phases to the tempo tracker and warn when it was faster than prescribed
+   * @param {Object} record - Rep quality record (tempo block holds the phases)
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _updateRepTempo(record, now) {
+    const tempoRep = this.repTempo.addRep(record.tempo, now);
+    if (!tempoRep) return;
+
+    console.log(`⏱️ Set ${tempoRep.set} rep ${tempoRep.rep} tempo:`, tempoRep.phases);
+    if (tempoRep.violations.length && this.onFormFeedback) {
+      this.onFormFeedback({
+        message: describeTempoViolations(tempoRep.violations),
+        type: 'warning',
+        timestamp: now
+      });
+    }
+    if (this.onRepTempo) this.onRepTempo(tempoRep, this.repTempo.getSummary());
+  }
 
-      // Push-up position: significant drop from baseline OR elbow angle threshold
-      const shoulderDrop = avgShoulderY - (pstate._baselineShoulderY || avgShoulderY);
-      const shoulderDropThreshold = pushupConfig.SHOULDER_DROP_THRESHOLD ?? 0.06; // normalized units
-      const pushupPosition = (avgElbowAngle <= downThreshold) || (shoulderDrop >= shoulderDropThreshold) || (avgShoulderY >= (1 - shoulderHeightThreshold));
+  /**
+   * Warn when form breaks down and end the set when it crosses the plan's limit
+   * @param {Object|null} fatigue - FatigueMonitor.addRep() result
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _reportFatigue(fatigue, now) {
+    if (!fatigue) return;
+    if (fatigue.breakdown) {
+      console.log(`🥵 Set ${fatigue.set} form breaking down at rep ${fatigue.rep}: ${fatigue.formLoss}% loss`, fatigue);
+      if (this.onFormFeedback) {
+        this.onFormFeedback({ message: 'Form breaking down - consider stopping', type: 'warning', timestamp: now });
+      }
+    }
+    if (fatigue.stop) {
+      console.log(`🛑 Set ${fatigue.set} stopped at ${fatigue.formLoss}% form loss (limit ${this.fatigue.stopAt}%)`);
+      // The next rep starts a new set for both the fatigue baseline and tempo
+      this.fatigue.startSet();
+      this.repTempo.startSet();
+      if (this.onFormFeedback) {
+        this.onFormFeedback({ message: `Set stopped - form dropped ${fatigue.formLoss}%`, type: 'warning', timestamp: now });
+      }
+    }
+    if (this.onFatigue) this.onFatigue(fatigue, this.fatigue.getSummary());
+  }
 
-      // Standing position: elbows straight and shoulders high (not horizontal)
-      const standingPosition = (avgElbowAngle >= upThreshold) && isLikelyStanding;
+  /**
+   * Feed the frame into the exercise recognizer and react when it recognizes another movement
+   * 'warn' tells the user the selected exercise looks wrong; 'auto' switches to the recognized mode.
+   * @param {Array} landmarks - Raw landmarks for the frame
+   * @private
+   */
+  _updateRecognition(landmarks) {
+    if (this.recognitionMode === 'off') return;
+    try {
+      const now = Date.now();
+      this.recognizer.update(sampleExerciseFrame(this, landmarks), now);
+      const recognized = this.recognizer.recognized;
+      if (!recognized || isSameExerciseFamily(recognized.mode, this.exerciseMode)) return;
+
+      const previousMode = this.exerciseMode;
+      if (this.recognitionMode === 'auto') {
+        console.log(`🔎 Recognized ${recognized.name} - switching from ${previousMode}`);
+        this.setExerciseMode(recognized.mode);
+        if (this.onFormFeedback) {
+          this.onFormFeedback({ message: `Switched to ${recognized.name}`, type: 'info', timestamp: now });
+        }
+        if (this.onExerciseRecognized) this.onExerciseRecognized({ ...recognized, previousMode, switched: true });
+        return;
+      }
 
-      // In-position gating: require user to assume a stable push-up start pose before starting counting
-      if (!pstate._inPositionCount) pstate._inPositionCount = 0;
-      const inStart = this.isPushupStartPose(landmarks);
-      if (inStart) {
-        pstate._inPositionCount += 1;
-      } else {
-        pstate._inPositionCount = 0;
+      const cooldown = window.MediaPipeConfig?.RECOGNITION_CONFIG?.WARNING_COOLDOWN ?? 10000;
+      if (now - this._lastRecognitionWarningAt < cooldown) return;
+      this._lastRecognitionWarningAt = now;
+      const selected = getExerciseDefinition(previousMode)?.label || previousMode;
+      console.log(`🔎 Recognized ${recognized.name} while ${previousMode} is selected`);
+      if (this.onFormFeedback) {
+        this.onFormFeedback({
+          message: `Looks like ${recognized.name} - ${selected} is selected`,
+          type: 'warning',
+          timestamp: now
+        });
       }
+      if (this.onExerciseRecognized) this.onExerciseRecognized({ ...recognized, previousMode, switched: false });
+    } catch (error) {
+      console.error('Error recognizing exercise:', error);
+    }
+  }
 
-      const REQUIRED_STABLE_FRAMES = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_STABLE_FRAMES ?? 6; // ~6 frames
-      pstate._isInStartPose = pstate._inPositionCount >= REQUIRED_STABLE_FRAMES;
+  /**
+   * Landmarks an exercise needs to see (CRITICAL_LANDMARKS_MAP, then the definition, then a default)
+   * @param {string} mode - Normalized exercise mode
+   * @returns {Array<number>} - Landmark indices
+   */
+  getCriticalLandmarks(mode = this.exerciseMode) {
+    const criticalLandmarksMap = window.MediaPipeConfig?.CRITICAL_LANDMARKS_MAP || {};
+    return criticalLandmarksMap[mode] || getExerciseDefinition(mode)?.criticalLandmarks || [11, 12, 13, 14, 23, 24, 25, 26];
+  }
 
-      // Debounce reps: minimum ms between consecutive counts
-      const MIN_REP_MS = window.MediaPipeConfig?.PUSHUP_CONFIG?.MIN_REP_MS ?? 400;
-      if (!pstate._lastRepAt) pstate._lastRepAt = 0;
-      const now = Date.now();
+  /**
+   * Run the framing check on the frame and report when readiness or guidance changes
+   * @param {Array|null} landmarks - Raw landmarks (null when nobody was detected)
+   * @private
+   */
+  _updateFraming(landmarks, worldLandmarks = null) {
+    if (!this.framingCheck) return;
+    try {
+      const definition = getExerciseDefinition(this.exerciseMode);
+      const status = this.framing.update(landmarks, {
+        criticalIndices: this.getCriticalLandmarks(this.exerciseMode),
+        // Counters measuring in 3D work from any side, so the camera orientation is not asked for
+        view: this._usesWorldLandmarks(definition, worldLandmarks) ? undefined : definition?.framing?.view,
+        label: definition?.label,
+        aspect: this.frameAspect,
+        minVisibility: this.calibratedVisibility(0.35)
+      }, Date.now());
+      this._publishFraming(status);
+    } catch (error) {
+      console.error('Error checking framing:', error);
+    }
+  }
+
+  /**
+   * Emit onFramingChange when the ready flag or the guidance changed
+   * @param {Object} status - FramingMonitor status
+   * @private
+   */
+  _publishFraming(status) {
+    const key = `${status.ready}:${status.issue?.code || ''}:${status.view || ''}`;
+    if (key === this._framingKey) return;
+    this._framingKey = key;
+    if (status.ready !== (this._framingReady ?? false)) {
+      console.log(status.ready ? '🎯 Framing ready' : `🎯 Framing lost: ${status.issue?.message || 'unstable'}`);
+    }
+    this._framingReady = status.ready;
+    if (this.onFramingChange) this.onFramingChange({ ...status, enabled: this.framingCheck });
+  }
+
+  /**
+   * Turn the pre-set framing check on or off (on while waiting for a set to start)
+   * @param {boolean} enabled - Ignored (stays off) when FRAMING_CONFIG.ENABLED is false
+   * @returns {boolean} - Whether the check runs
+   */
+  setFramingCheck(enabled) {
+    const allowed = window.MediaPipeConfig?.FRAMING_CONFIG?.ENABLED !== false;
+    const next = !!enabled && allowed;
+    if (next !== this.framingCheck) {
+      this.framingCheck = next;
+      this.framing.reset();
+      this._framingKey = null;
+      this._publishFraming(this.framing.status);
+    }
+    return this.framingCheck;
+  }
+
+  /**
+   * Show or hide the reference-form ghost skeleton in drawPoseOverlay
+   * @param {boolean} enabled - Ignored (stays off) when GHOST_CONFIG.ENABLED is false
+   * @returns {boolean} - Whether the ghost is drawn
+   */
+  setGhostPose(enabled) {
+    const allowed = window.MediaPipeConfig?.GHOST_CONFIG?.ENABLED !== false;
+    this.ghostPose = !!enabled && allowed;
+    return this.ghostPose;
+  }
+
+  /**
+   * Track several people and lock onto the athlete (call before initialize(): it picks the model)
+   * @param {boolean} enabled - Use MoveNet MultiPose instead of the single-person backends
+   * @returns {boolean} - Whether multi-person detection is requested
+   */
+  setMultiPerson(enabled) {
+    if (this.isInitialized) {
+      console.warn('setMultiPerson must be called before initialize()');
+      return this.multiPerson;
+    }
+    this.multiPerson = !!enabled;
+    if (!this.multiPerson) this.partner = null;
+    return this.multiPerson;
+  }
 
-      // Only count if posture is correct and user is in start pose
-      if (this.postureStatus !== 'correct' || !pstate._isInStartPose) {
-        return; // do not count
+  /**
+   * Count a second person beside the athlete (needs multi-person detection)
+   * The partner gets a detector of their own, fed the partner lock's landmarks every frame.
+   * @param {boolean} enabled - Partner mode on/off
+   * @returns {boolean} - Whether partner mode is on
+   */
+  setPartnerMode(enabled) {
+    if (!enabled || !this.multiPerson) {
+      this.partner = null;
+      this.partnerLock.reset();
+      return false;
+    }
+    if (this.partner) return true;
+
+    const partner = new PoseDetectionUtils();
+    // Only the athlete's detector speaks up; the partner's count shows in the overlay
+    partner.playWarningSound = () => {};
+    partner.playSuccessSound = () => {};
+    partner.setRecognitionMode('off');
+    partner.setSamplingRate(this.sampling?.fps);
+    partner.setExerciseMode(this.exerciseMode);
+    partner.setCallbacks({
+      onPushupCount: (count, sides) => {
+        if (this.onPartnerCount) this.onPartnerCount(count, sides);
       }
+    });
+    this.partner = partner;
+    // The next most prominent person becomes the partner
+    this.partnerLock.reset();
+    console.log('👯 Partner mode on');
+    return true;
+  }
 
-      if (pstate.state === 'up') {
-        if (pushupPosition && (now - pstate._lastRepAt) > MIN_REP_MS) {
-          pstate.state = 'down';
-          pstate.count += 1; // Count on descent
-          pstate._lastRepAt = now;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(pstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Wide Push-up ${pstate.count}`, type: 'success', timestamp: now });
-          }
-        }
-      } else if (pstate.state === 'down') {
-        // return to up when standingPosition or full extension detected
-        if (standingPosition || (!pushupPosition && avgElbowAngle >= upThreshold)) {
-          pstate.state = 'up'; // Reset state for next rep
-        }
+  /**
+   * @returns {Object|null} - Partner's getStats(), or null outside partner mode
+   */
+  getPartnerStats() {
+    return this.partner ? this.partner.getStats() : null;
+  }
+
+  /**
+   * Choose how exercise recognition reacts to a different movement
+   * @param {'off'|'warn'|'auto'} mode - 'auto' switches modes (free workout), 'warn' only warns
+   * @returns {string} - Active recognition mode
+   */
+  setRecognitionMode(mode) {
+    this.recognitionMode = ['off', 'warn', 'auto'].includes(mode) ? mode : 'warn';
+    this._lastRecognitionWarningAt = 0;
+    console.debug('PoseDetectionUtils: setRecognitionMode ->', this.recognitionMode);
+    return this.recognitionMode;
+  }
+
+  /**
+   * Prescribe a rep tempo (e.g. '3-1-1' from a workout plan); null falls back to the defaults
+   * @param {string|Object|null} tempo - Tempo prescription, see repTempo.js
+   * @returns {Object|null} - Parsed prescription
+   */
+  setTempo(tempo) {
+    const prescribed = this.repTempo.setPrescription(tempo);
+    this.repQuality.setTempo(prescribed);
+    console.debug('PoseDetectionUtils: setTempo ->', prescribed?.label || 'none');
+    return prescribed;
+  }
+
+  /**
+   * Stop sets automatically at a form-loss percentage (from a workout plan); null only warns
+   * @param {string|number|null} limit - e.g. '30%'
+   * @returns {number|null} - Parsed limit
+   */
+  setFatigueLimit(limit) {
+    const stopAt = this.fatigue.setStopAt(limit);
+    console.debug('PoseDetectionUtils: setFatigueLimit ->', stopAt === null ? 'warn only' : `${stopAt}%`);
+    return stopAt;
+  }
+
+  // Allow external code to change exercise mode safely
+  setExerciseMode(mode) {
+    try {
+      if (!mode) return;
+      const normalized = String(mode).toLowerCase().replace(/[^a-z0-9]+/g, '');
+      // Set normalized mode directly
+      const changed = normalized !== this.exerciseMode;
+      this.exerciseMode = normalized;
+      // A new selection starts a fresh recognition window (no stale "looks like" warnings)
+      if (changed) this.recognizer.reset();
+      // ... and its own framing requirements
+      if (changed && this.framingCheck) {
+        this.framing.reset();
+        this._publishFraming(this.framing.status);
       }
-    } catch (error) {
-      console.error('Error updating wide push-up counter:', error);
+      console.debug('PoseDetectionUtils: setExerciseMode ->', this.exerciseMode);
+      // Ensure per-mode state exists
+      if (!this.perModeState[normalized]) {
+        this.perModeState[normalized] = createExerciseState(normalized);
+      }
+      // Reset counters for new mode
+      this.resetCounter();
+      return this.exerciseMode;
+    } catch (e) {
+      console.error('setExerciseMode error', e);
+      return null;
     }
   }
 
-  // Calculate angle between three points
+
+  // Calculate angle between three points (image coordinates; counters use this.geometry for 3D)
   calculateAngle(point1, point2, point3) {
-    const radians = Math.atan2(point3.y - point2.y, point3.x - point2.x) -
-      Math.atan2(point1.y - point2.y, point1.x - point2.x);
-    let angle = Math.abs(radians * 180.0 / Math.PI);
+    return angle2D(point1, point2, point3);
+  }
 
-    if (angle > 180.0) {
-      angle = 360 - angle;
-    }
+  /**
+   * Angles and distances for the frame (see jointGeometry.js)
+   * @param {Array} landmarks - Validated landmarks for the frame
+   * @param {Array|null} worldLandmarks - The frame's world landmarks (poseWorldLandmarks)
+   * @param {Object|null} definition - Exercise definition; geometry 'world' prefers world landmarks
+   * @returns {Object} - createJointGeometry() for the frame
+   * @private
+   */
+  _jointGeometry(landmarks, worldLandmarks, definition) {
+    return createJointGeometry(landmarks, worldLandmarks, {
+      source: this._usesWorldLandmarks(definition, worldLandmarks) ? 'world' : 'image',
+      minVisibility: this.geometryConfig.MIN_VISIBILITY,
+      torsoLength: this.calibrationData?.torsoLength
+    });
+  }
 
-    return angle;
+  /**
+   * @param {Object|null} definition - Exercise definition
+   * @param {Array|null} worldLandmarks - The frame's world landmarks
+   * @returns {boolean} - Whether the definition's measurements come from world landmarks this frame
+   * @private
+   */
+  _usesWorldLandmarks(definition, worldLandmarks) {
+    return this.geometryConfig.WORLD_LANDMARKS !== false
+      && definition?.geometry === 'world'
+      && Array.isArray(worldLandmarks) && worldLandmarks.length > 0;
   }
 
   // Strict plank check: require near-horizontal torso and low movement across consecutive frames
@@ -1426,7 +1783,7 @@ class PoseDetectionUtils {
       state._lastTimestamp = now;
 
       // Require fewer consecutive 'stable' frames so small adjustments don't block counting
-      const REQUIRED_STABLE_FRAMES = cfg.REQUIRED_STABLE_FRAMES ?? 4;
+      const REQUIRED_STABLE_FRAMES = this.scaleFrames(cfg.REQUIRED_STABLE_FRAMES ?? 4);
       const stableEnough = state._stableCount >= REQUIRED_STABLE_FRAMES;
 
       // Additionally enforce that user is not upright (filter out standing or knee-supported poses)
@@ -1446,7 +1803,8 @@ class PoseDetectionUtils {
   }
 
   // Detect stable push-up start pose: torso roughly horizontal and ankles visible (proxy for being on toes)
-  isPushupStartPose(landmarks) {
+  // With a world-landmark geometry the heights are measured in 3D, so a front-facing camera works too
+  isPushupStartPose(landmarks, geometry = null) {
     try {
       const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
       const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
@@ -1463,10 +1821,18 @@ class PoseDetectionUtils {
 
       const shoulderCenterY = (leftShoulder.y + rightShoulder.y) / 2;
       const hipCenterY = (leftHip.y + rightHip.y) / 2;
+      const THRESH = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_TORSO_DY ?? 0.08;
+
+      if (geometry?.source === 'world') {
+        const shoulders = [cfg.LEFT_SHOULDER || 11, cfg.RIGHT_SHOULDER || 12];
+        const hips = [cfg.LEFT_HIP || 23, cfg.RIGHT_HIP || 24];
+        const ankles = [cfg.LEFT_ANKLE || 27, cfg.RIGHT_ANKLE || 28];
+        if (Math.abs(geometry.verticalGap(shoulders, hips)) > THRESH) return false;
+        return geometry.verticalGap(ankles, hips) > 0;
+      }
 
       // torso vertical difference small -> near horizontal
       const torsoDy = Math.abs(shoulderCenterY - hipCenterY);
-      const THRESH = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_TORSO_DY ?? 0.08;
       if (torsoDy > THRESH) return false;
 
       // ankles visible and reasonably below hips (on toes) as an extra proxy
@@ -1529,6 +1895,7 @@ class PoseDetectionUtils {
    * @param {string} options.exerciseMode - Current exercise type (overrides this.exerciseMode)
    * @param {boolean} options.isLiveWebcam - Live vs video processing
    * @param {boolean} options.allowCardioBypass - Skip posture for cardio
+   * @param {Object} options.geometry - The frame's joint geometry; push-ups judge the body in 3D with world landmarks
    * @returns {Object} - { isValid, reason, orientation, feedback }
    */
   checkBackAlignment(landmarks, options = {}) {
@@ -1539,6 +1906,7 @@ class PoseDetectionUtils {
       const exerciseMode = options.exerciseMode || this.exerciseMode;
       const isLiveWebcam = options.isLiveWebcam !== undefined ? options.isLiveWebcam : true;
       const allowCardioBypass = options.allowCardioBypass !== undefined ? options.allowCardioBypass : false;
+      const geometry = options.geometry || null;
 
       const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
       const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
@@ -1658,6 +2026,11 @@ class PoseDetectionUtils {
           if (!isGoodPostureInstant) {
             feedbackMessage = 'Keep your body in a straight line';
             reason = 'body_not_straight';
+            // Facing up, a bent line almost always means the hips dropped towards the floor
+            if (exerciseMode === 'reverseplank' && hipDropBelowLine(shoulder, hip, ankle) > 0) {
+              feedbackMessage = 'Hips sagging - push your hips up to the ceiling';
+              reason = 'hip_sag';
+            }
           }
 
           // optional knee check when both ankles visible
@@ -1757,2382 +2130,167 @@ class PoseDetectionUtils {
           feedbackMessage = 'Stand upright';
           reason = 'not_upright';
         }
-      } else {
-        // Push-ups and other horizontal exercises: prefer a dedicated horizontal-body check.
-        // Two modes: side view (ankles visible) -> use straight-line similarity as before.
-        // Front/angled view (no ankle visibility) -> check shoulder-hip orientation close to horizontal
-        const cfg = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-        const SIDE_ABS_COS_MIN = cfg.SIDE_ABS_COS_MIN ?? 0.82; // slightly more lenient
-        const HORIZ_TORSO_MAX_DEG = cfg.HORIZ_TORSO_MAX_DEG ?? 35; // allow more tilt
-
-        // If ankle center available assume side/diagonal view and use cos similarity
-        if (ankleCenter && v2) {
-          let cosSim = -1;
-          const mag1 = Math.hypot(v1.x, v1.y) || 1;
-          const mag2 = Math.hypot(v2.x, v2.y) || 1;
-          cosSim = (v1.x * v2.x + v1.y * v2.y) / (mag1 * mag2);
-          const absCos = Math.abs(Math.max(-1, Math.min(1, cosSim)));
-          isGoodPostureInstant = absCos >= SIDE_ABS_COS_MIN;
-          if (!isGoodPostureInstant) {
-            feedbackMessage = 'Keep your body in a straight line';
-            reason = 'body_not_straight';
-          }
-        } else {
-          // Fallback: check that shoulder-hip axis is near horizontal (small dy)
-          const dx = shoulderCenter.x - hipCenter.x;
-          const dy = shoulderCenter.y - hipCenter.y;
-          const angDeg = Math.abs(Math.atan2(dy, dx) * 180 / Math.PI);
-          // angle near 0 or near 180 -> horizontal
-          const nearHorizontal = (angDeg <= HORIZ_TORSO_MAX_DEG) || (angDeg >= (180 - HORIZ_TORSO_MAX_DEG));
-          // Also ensure it's not standing (i.e., torso nearly vertical)
-          const nearVertical = (angDeg >= 90 - 20 && angDeg <= 90 + 20);
-          isGoodPostureInstant = nearHorizontal && !nearVertical;
-          if (!isGoodPostureInstant) {
-            if (nearVertical) {
-              feedbackMessage = 'Get into push-up position';
-              reason = 'standing_position';
-            } else {
-              feedbackMessage = 'Align your body horizontally';
-              reason = 'body_not_horizontal';
-            }
-          }
-        }
-      }
-
-      // Implement configurable hysteresis windows using frame counters
-      const hysteresisConfig = window.MediaPipeConfig?.HYSTERESIS_CONFIG || {};
-      const exerciseHysteresis = hysteresisConfig[exerciseMode] || { goodFrames: 3, badFrames: 5 };
-      
-      // Initialize hysteresis counters if not exists
-      if (!this._postureGoodFrameCount) this._postureGoodFrameCount = 0;
-      if (!this._postureBadFrameCount) this._postureBadFrameCount = 0;
-      if (!this._postureState) this._postureState = 'unknown';
-      
-      // Update frame counters based on instant posture
-      if (isGoodPostureInstant) {
-        this._postureGoodFrameCount++;
-        this._postureBadFrameCount = 0;
-      } else {
-        this._postureBadFrameCount++;
-        this._postureGoodFrameCount = 0;
-      }
-      
-      // Apply hysteresis: only change state after threshold frames
-      let isValid = this._postureState === 'correct';
-      if (this._postureGoodFrameCount >= exerciseHysteresis.goodFrames) {
-        this._postureState = 'correct';
-        isValid = true;
-      } else if (this._postureBadFrameCount >= exerciseHysteresis.badFrames) {
-        this._postureState = 'incorrect';
-        isValid = false;
-      }
-      
-      // Cardio bypass logic: allow rep counting for high-motion exercises even when posture temporarily fails
-      const cardioExercises = ['jumpingjacks', 'highknees'];
-      if (allowCardioBypass && cardioExercises.includes(exerciseMode)) {
-        // For cardio, we still validate but don't block counting
-        if (!isValid) {
-          reason = reason || 'posture_warning';
-          feedbackMessage = feedbackMessage || 'Try to maintain better form';
-        }
-        // Override isValid to allow counting
-        isValid = true;
-      }
-
-      console.log(`🏃 Posture(${exerciseMode}): instant=${isGoodPostureInstant}, state=${this._postureState}, isValid=${isValid}, orientation=${orientation}`);
-
-      // Return structured result object
-      return {
-        isValid,
-        reason: reason || (isValid ? 'posture_correct' : 'posture_incorrect'),
-        orientation,
-        feedback: feedbackMessage || (isValid ? null : 'Adjust your posture')
-      };
-    } catch (error) {
-      console.error('Error checking back alignment:', error);
-      return false;
-    }
-  }
-
-  // Update push-up counter
-  updatePushupCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const pushupConfig = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-
-      if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
-        return;
-      }
-
-      // Calculate elbow angles
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-
-      // Average shoulder position (for height detection)
-      const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-      const downThreshold = pushupConfig.ELBOW_ANGLE_DOWN || 95;
-      const upThreshold = pushupConfig.ELBOW_ANGLE_UP || 155;
-      const shoulderHeightThreshold = pushupConfig.SHOULDER_HEIGHT_DOWN || 0.02;
-
-      // Push-up position: elbows bent OR shoulders close to ground
-      // Determine if user is likely standing: if shoulders are well above hips and torso vertical
-      const shoulderHipDy = Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2));
-      const torsoVerticalThreshold = pushupConfig.TORSO_VERTICAL_DY ?? 0.15; // if shoulders far above hips (normalized units)
-      const isLikelyStanding = shoulderHipDy < (pushupConfig.STANDING_DY_MIN ?? 0.05) ? false : ((leftShoulder.y + rightShoulder.y) / 2) < ((leftHip.y + rightHip.y) / 2) - (pushupConfig.STANDING_DY_MIN ?? 0.02);
-
-      // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
-      const pstate = this.perModeState['pushups'];
-      if (!pstate._baselineShoulderY) {
-        // initialize baseline to current shoulder Y when pose roughly horizontal
-        pstate._baselineShoulderY = avgShoulderY;
-      }
-
-      // If posture is not horizontal, don't update baseline; else slowly adapt baseline
-      if (Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2)) < 0.12) {
-        // adapt baseline slowly
-        pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
-      }
-
-      // Push-up position: significant drop from baseline OR elbow angle threshold
-      const shoulderDrop = avgShoulderY - (pstate._baselineShoulderY || avgShoulderY);
-      const shoulderDropThreshold = pushupConfig.SHOULDER_DROP_THRESHOLD ?? 0.06; // normalized units
-      const pushupPosition = (avgElbowAngle <= downThreshold) || (shoulderDrop >= shoulderDropThreshold) || (avgShoulderY >= (1 - shoulderHeightThreshold));
-
-      // Standing position: elbows straight and shoulders high (not horizontal)
-      const standingPosition = (avgElbowAngle >= upThreshold) && isLikelyStanding;
-
-      // In-position gating: require user to assume a stable push-up start pose before starting counting
-      if (!pstate._inPositionCount) pstate._inPositionCount = 0;
-      const inStart = this.isPushupStartPose(landmarks);
-      if (inStart) {
-        pstate._inPositionCount += 1;
-      } else {
-        pstate._inPositionCount = 0;
-      }
-
-      const REQUIRED_STABLE_FRAMES = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_STABLE_FRAMES ?? 6; // ~6 frames
-      pstate._isInStartPose = pstate._inPositionCount >= REQUIRED_STABLE_FRAMES;
-
-      // Debounce reps: minimum ms between consecutive counts
-      const MIN_REP_MS = window.MediaPipeConfig?.PUSHUP_CONFIG?.MIN_REP_MS ?? 400;
-      if (!pstate._lastRepAt) pstate._lastRepAt = 0;
-      const now = Date.now();
-
-      // Only count if posture is correct and user is in start pose
-      if (this.postureStatus !== 'correct' || !pstate._isInStartPose) {
-        return; // do not count
-      }
-
-      if (pstate.state === 'up') {
-        if (pushupPosition && (now - pstate._lastRepAt) > MIN_REP_MS) {
-          // Check for unrealistic cadence before counting
-          const cadenceAnomaly = this._trackRepCadence(now);
-          if (cadenceAnomaly) {
-            // Emit telemetry for anomaly detection
-            this._emitTelemetry({
-              type: 'pose-anomaly-detected',
-              timestamp: now,
-              frameNumber: this._frameNumber,
-              anomalyType: cadenceAnomaly.type,
-              anomalyReason: cadenceAnomaly.reason,
-              timeSinceLastRep: cadenceAnomaly.timeSinceLastRep,
-              threshold: cadenceAnomaly.threshold,
-              averageCadence: cadenceAnomaly.averageCadence,
-              repTimings: cadenceAnomaly.repTimings
-            });
-            
-            // Throttle rep counting for unrealistic cadence
-            console.warn('⚠️ Unrealistic cadence detected, throttling rep count');
-            return;
-          }
-          
-          pstate.state = 'down';
-          pstate.count += 1; // Count on descent
-          pstate._lastRepAt = now;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(pstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Push-up ${pstate.count}`, type: 'success', timestamp: now });
-          }
-        }
-      } else if (pstate.state === 'down') {
-        // return to up when standingPosition or full extension detected
-        if (standingPosition || (!pushupPosition && avgElbowAngle >= upThreshold)) {
-          pstate.state = 'up'; // Reset state for next rep
-        }
-      }
-    } catch (error) {
-      console.error('Error updating push-up counter:', error);
-    }
-  }
-
-  // Narrow push-up counter: exact copy of push-up logic scoped to perModeState['narrowpushups']
-  updateNarrowPushupCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const pushupConfig = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-
-      if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
-        return;
-      }
-
-      // Calculate elbow angles
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-
-      // Average shoulder position (for height detection)
-      const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-      const downThreshold = pushupConfig.ELBOW_ANGLE_DOWN || 95;
-      const upThreshold = pushupConfig.ELBOW_ANGLE_UP || 155;
-      const shoulderHeightThreshold = pushupConfig.SHOULDER_HEIGHT_DOWN || 0.02;
-
-      // Push-up position: elbows bent OR shoulders close to ground
-      // Determine if user is likely standing: if shoulders are well above hips and torso vertical
-      const shoulderHipDy = Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2));
-      const torsoVerticalThreshold = pushupConfig.TORSO_VERTICAL_DY ?? 0.15; // if shoulders far above hips (normalized units)
-      const isLikelyStanding = shoulderHipDy < (pushupConfig.STANDING_DY_MIN ?? 0.05) ? false : ((leftShoulder.y + rightShoulder.y) / 2) < ((leftHip.y + rightHip.y) / 2) - (pushupConfig.STANDING_DY_MIN ?? 0.02);
-
-      // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
-      const pstate = this.perModeState['narrowpushups'];
-      if (!pstate._baselineShoulderY) {
-        // initialize baseline to current shoulder Y when pose roughly horizontal
-        pstate._baselineShoulderY = avgShoulderY;
-      }
-
-      // If posture is not horizontal, don't update baseline; else slowly adapt baseline
-      if (Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2)) < 0.12) {
-        // adapt baseline slowly
-        pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
-      }
-
-      // Push-up position: significant drop from baseline OR elbow angle threshold
-      const shoulderDrop = avgShoulderY - (pstate._baselineShoulderY || avgShoulderY);
-      const shoulderDropThreshold = pushupConfig.SHOULDER_DROP_THRESHOLD ?? 0.06; // normalized units
-      const pushupPosition = (avgElbowAngle <= downThreshold) || (shoulderDrop >= shoulderDropThreshold) || (avgShoulderY >= (1 - shoulderHeightThreshold));
-
-      // Standing position: elbows straight and shoulders high (not horizontal)
-      const standingPosition = (avgElbowAngle >= upThreshold) && isLikelyStanding;
-
-      // In-position gating: require user to assume a stable push-up start pose before starting counting
-      if (!pstate._inPositionCount) pstate._inPositionCount = 0;
-      const inStart = this.isPushupStartPose(landmarks);
-      if (inStart) {
-        pstate._inPositionCount += 1;
-      } else {
-        pstate._inPositionCount = 0;
-      }
-
-      const REQUIRED_STABLE_FRAMES = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_STABLE_FRAMES ?? 6; // ~6 frames
-      pstate._isInStartPose = pstate._inPositionCount >= REQUIRED_STABLE_FRAMES;
-
-      // Debounce reps: minimum ms between consecutive counts
-      const MIN_REP_MS = window.MediaPipeConfig?.PUSHUP_CONFIG?.MIN_REP_MS ?? 400;
-      if (!pstate._lastRepAt) pstate._lastRepAt = 0;
-      const now = Date.now();
-
-      // Only count if posture is correct and user is in start pose
-      if (this.postureStatus !== 'correct' || !pstate._isInStartPose) {
-        return; // do not count
-      }
-
-      if (pstate.state === 'up') {
-        if (pushupPosition && (now - pstate._lastRepAt) > MIN_REP_MS) {
-          pstate.state = 'down';
-          pstate.count += 1; // Count on descent
-          pstate._lastRepAt = now;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(pstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Narrow Push-up ${pstate.count}`, type: 'success', timestamp: now });
-          }
-        }
-      } else if (pstate.state === 'down') {
-        // return to up when standingPosition or full extension detected
-        if (standingPosition || (!pushupPosition && avgElbowAngle >= upThreshold)) {
-          pstate.state = 'up'; // Reset state for next rep
-        }
-      }
-    } catch (error) {
-      console.error('Error updating narrow push-up counter:', error);
-    }
-  }
-
-  // Diamond push-up counter: exact copy of push-up logic scoped to perModeState['diamondpushups']
-  updateDiamondPushupCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const pushupConfig = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-
-      if (!leftShoulder || !leftElbow || !leftWrist || !rightShoulder || !rightElbow || !rightWrist || !leftHip || !rightHip) {
-        return;
-      }
-
-      // Calculate elbow angles
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-
-      // Average shoulder position (for height detection)
-      const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-      const downThreshold = pushupConfig.ELBOW_ANGLE_DOWN || 95;
-      const upThreshold = pushupConfig.ELBOW_ANGLE_UP || 155;
-      const shoulderHeightThreshold = pushupConfig.SHOULDER_HEIGHT_DOWN || 0.02;
-
-      // Push-up position: elbows bent OR shoulders close to ground
-      // Determine if user is likely standing: if shoulders are well above hips and torso vertical
-      const shoulderHipDy = Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2));
-      const torsoVerticalThreshold = pushupConfig.TORSO_VERTICAL_DY ?? 0.15; // if shoulders far above hips (normalized units)
-      const isLikelyStanding = shoulderHipDy < (pushupConfig.STANDING_DY_MIN ?? 0.05) ? false : ((leftShoulder.y + rightShoulder.y) / 2) < ((leftHip.y + rightHip.y) / 2) - (pushupConfig.STANDING_DY_MIN ?? 0.02);
-
-      // Baseline shoulder level (approx when 'up' state) — store per-mode baseline
-      const pstate = this.perModeState['diamondpushups'];
-      if (!pstate._baselineShoulderY) {
-        // initialize baseline to current shoulder Y when pose roughly horizontal
-        pstate._baselineShoulderY = avgShoulderY;
-      }
-
-      // If posture is not horizontal, don't update baseline; else slowly adapt baseline
-      if (Math.abs(((leftShoulder.y + rightShoulder.y) / 2) - ((leftHip.y + rightHip.y) / 2)) < 0.12) {
-        // adapt baseline slowly
-        pstate._baselineShoulderY = (pstate._baselineShoulderY * 0.95) + (avgShoulderY * 0.05);
-      }
-
-      // Push-up position: significant drop from baseline OR elbow angle threshold
-      const shoulderDrop = avgShoulderY - (pstate._baselineShoulderY || avgShoulderY);
-      const shoulderDropThreshold = pushupConfig.SHOULDER_DROP_THRESHOLD ?? 0.06; // normalized units
-      const pushupPosition = (avgElbowAngle <= downThreshold) || (shoulderDrop >= shoulderDropThreshold) || (avgShoulderY >= (1 - shoulderHeightThreshold));
-
-      // Standing position: elbows straight and shoulders high (not horizontal)
-      const standingPosition = (avgElbowAngle >= upThreshold) && isLikelyStanding;
-
-      // In-position gating: require user to assume a stable push-up start pose before starting counting
-      if (!pstate._inPositionCount) pstate._inPositionCount = 0;
-      const inStart = this.isPushupStartPose(landmarks);
-      if (inStart) {
-        pstate._inPositionCount += 1;
-      } else {
-        pstate._inPositionCount = 0;
-      }
-
-      const REQUIRED_STABLE_FRAMES = window.MediaPipeConfig?.PUSHUP_CONFIG?.START_STABLE_FRAMES ?? 6; // ~6 frames
-      pstate._isInStartPose = pstate._inPositionCount >= REQUIRED_STABLE_FRAMES;
-
-      // Debounce reps: minimum ms between consecutive counts
-      const MIN_REP_MS = window.MediaPipeConfig?.PUSHUP_CONFIG?.MIN_REP_MS ?? 400;
-      if (!pstate._lastRepAt) pstate._lastRepAt = 0;
-      const now = Date.now();
-
-      // Only count if posture is correct and user is in start pose
-      if (this.postureStatus !== 'correct' || !pstate._isInStartPose) {
-        return; // do not count
-      }
-
-      if (pstate.state === 'up') {
-        if (pushupPosition && (now - pstate._lastRepAt) > MIN_REP_MS) {
-          pstate.state = 'down';
-          pstate.count += 1; // Count on descent
-          pstate._lastRepAt = now;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(pstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Diamond Push-up ${pstate.count}`, type: 'success', timestamp: now });
-          }
-        }
-      } else if (pstate.state === 'down') {
-        // return to up when standingPosition or full extension detected
-        if (standingPosition || (!pushupPosition && avgElbowAngle >= upThreshold)) {
-          pstate.state = 'up'; // Reset state for next rep
-        }
-      }
-    } catch (error) {
-      console.error('Error updating diamond push-up counter:', error);
-    }
-  }
-
-  // Update squat counter
-  /**
-   * Update squat counter with localization and tuning
-   * Enhanced with bilateral depth validation, EMA smoothing, and differentiated feedback
-   * Based on Python reference implementation from Fitness_Tracker_ui.py
-   */
-  updateSquatCounter(landmarks) {
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const scfg = window.MediaPipeConfig?.SQUAT_CONFIG || {};
-
-      const leftHip = landmarks[cfg.LEFT_HIP || 23];
-      const rightHip = landmarks[cfg.RIGHT_HIP || 24];
-      const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
-      const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
-      const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
-
-      if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle || !leftShoulder || !rightShoulder) return;
-
-      // Get state object and initialize RepTracker if needed
-      const stateObj = this.perModeState['squats'];
-      if (!stateObj._tracker) {
-        // Create RepTracker with updated config matching Python reference
-        stateObj._tracker = new RepTracker({
-          minRepMs: scfg.MIN_REP_MS || 550,  // Updated from Python: MIN_REP_MS of 550ms
-          emaAlpha: 0.25,  // Updated from Python: torso velocity smoothing alpha
-          cooldownMs: 200,
-          stateTransitions: {
-            'up': ['down'],
-            'down': ['up']
-          },
-          debugMode: false
-        });
-      }
-
-      // Initialize EMA storage for torso velocity if not exists
-      if (!stateObj._emaVelocity) stateObj._emaVelocity = 0;
-      if (!stateObj._lastHipY) stateObj._lastHipY = null;
-      if (!stateObj._lastRepAt) stateObj._lastRepAt = 0;
-
-      // Check if user is in horizontal position (like pushup) - show warning but DO NOT count if so
-      const shoulderCenterY = (leftShoulder.y + rightShoulder.y) / 2;
-      const hipCenterY = (leftHip.y + rightHip.y) / 2;
-      const head = landmarks[cfg.NOSE || 0];
-      const torsoDy = Math.abs(shoulderCenterY - hipCenterY);
-      const HORIZONTAL_THRESHOLD = 0.08; // Same threshold as pushup detection
-      // Check if head is at same y level as hips (head down, body horizontal)
-      const headHipDy = Math.abs((head?.y ?? 0) - hipCenterY);
-      const HEAD_HIP_HORIZONTAL_THRESHOLD = 0.10; // If head and hip are close in y, likely horizontal
-      let isHorizontalLikePushup = false;
-      if (torsoDy <= HORIZONTAL_THRESHOLD && headHipDy <= HEAD_HIP_HORIZONTAL_THRESHOLD) {
-        isHorizontalLikePushup = true;
-        // Use localized feedback key instead of hardcoded Arabic
-        if (this.onFormFeedback) {
-          this.onFormFeedback({
-            message: 'feedback.squat.horizontalPosition',  // Localization key
-            type: 'warning',
-            timestamp: Date.now()
-          });
-        }
-      }
-
-      // Check if hands are on the ground (like pushup)
-      const leftWrist = landmarks[cfg.LEFT_WRIST || 15];
-      const rightWrist = landmarks[cfg.RIGHT_WRIST || 16];
-      const leftFoot = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightFoot = landmarks[cfg.RIGHT_ANKLE || 28];
-      // Consider hands on ground if both wrists are at or below the level of the ankles (with small margin)
-      const HANDS_ON_GROUND_THRESHOLD = 0.07; // allow small margin
-      let handsOnGround = false;
-      if (leftWrist && rightWrist && leftFoot && rightFoot) {
-        const avgWristY = (leftWrist.y + rightWrist.y) / 2;
-        const avgFootY = (leftFoot.y + rightFoot.y) / 2;
-        if (avgWristY >= avgFootY - HANDS_ON_GROUND_THRESHOLD) {
-          handsOnGround = true;
-          // Use localized feedback key instead of hardcoded Arabic
-          if (this.onFormFeedback) {
-            this.onFormFeedback({
-              message: 'feedback.squat.handsOnGround',  // Localization key
-              type: 'warning',
-              timestamp: Date.now()
-            });
-          }
-        }
-      }
-
-      // Average sides for stability
-      const hip = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
-      const knee = { x: (leftKnee.x + rightKnee.x) / 2, y: (leftKnee.y + rightKnee.y) / 2 };
-      const shoulder = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
-
-      // Simplified thresholds
-      const MIN_REP_MS = scfg.MIN_REP_MS || 450;
-      const HIP_KNEE_THRESHOLD = scfg.HIP_BELOW_KNEE_MIN || 0.01; // Minimal threshold for hip exceeding knee
-
-      // Calculate torso verticality (shoulder to hip angle relative to vertical)
-      const dx = shoulder.x - hip.x;
-      const dy = shoulder.y - hip.y;
-      const torsoAngleDeg = Math.abs(Math.atan2(dx, -dy) * 180 / Math.PI);
-      
-      // Torso is vertical when angle is close to 0 (straight up)
-      const TORSO_VERTICAL_THRESHOLD = scfg.TORSO_VERTICAL_THRESHOLD || 25; // degrees from vertical
-      const isTorsoVertical = torsoAngleDeg <= TORSO_VERTICAL_THRESHOLD;
-
-      // Simple hip position check: hip Y exceeds knee Y = squatting down
-      const hipY = hip.y;
-      const kneeY = knee.y;
-      const hipExceedsKnee = (hipY - kneeY) > HIP_KNEE_THRESHOLD; // Hip below knee (Y increases downward)
-      const hipBackAtKnee = (hipY - kneeY) <= HIP_KNEE_THRESHOLD; // Hip back at or above knee level
-
-      // Debug logging
-      console.log('🔍 Simplified Squat Logic:', {
-        hipY: hipY.toFixed(3),
-        kneeY: kneeY.toFixed(3),
-        hipExceedsKnee,
-        hipBackAtKnee,
-        torsoAngleDeg: torsoAngleDeg.toFixed(1),
-        isTorsoVertical,
-        state: stateObj.state,
-        count: stateObj.count
-      });
-
-      const now = Date.now();
-
-      if (stateObj.state === 'up') {
-        // Transition to 'down' state when hip exceeds knee position
-        if (hipExceedsKnee && !isHorizontalLikePushup && !handsOnGround) {
-          stateObj.state = 'down';
-          console.log('⬇️ Squat state: UP → DOWN (hip exceeded knee)');
-        }
-      } else if (stateObj.state === 'down') {
-        // Transition back to 'up' when hip comes back to knee level
-        // Count rep ONLY when torso is vertical (standing position)
-        if (hipBackAtKnee && (now - stateObj._lastRepAt) > MIN_REP_MS) {
-          stateObj.state = 'up';
-          
-          // Count rep only if torso is vertical (user is standing)
-          if (isTorsoVertical) {
-            // Check for unrealistic cadence before counting
-            const cadenceAnomaly = this._trackRepCadence(now);
-            if (cadenceAnomaly) {
-              // Emit telemetry for anomaly detection
-              this._emitTelemetry({
-                type: 'pose-anomaly-detected',
-                timestamp: now,
-                frameNumber: this._frameNumber,
-                anomalyType: cadenceAnomaly.type,
-                anomalyReason: cadenceAnomaly.reason,
-                timeSinceLastRep: cadenceAnomaly.timeSinceLastRep,
-                threshold: cadenceAnomaly.threshold,
-                averageCadence: cadenceAnomaly.averageCadence,
-                repTimings: cadenceAnomaly.repTimings
-              });
-              
-              console.warn('⚠️ Unrealistic cadence detected, throttling rep count');
-              return;
-            }
-
-            // Rep completed with vertical torso! Count it
-            stateObj.count += 1;
-            stateObj._lastRepAt = now;
-            console.log('🎯 Squat rep counted! Torso vertical, count:', stateObj.count);
-            this.playSuccessSound();
-            if (this.onPushupCount) this.onPushupCount(stateObj.count);
-            
-            if (this.onFormFeedback) {
-              this.onFormFeedback({
-                message: `feedback.squat.repCounted`,
-                type: 'success',
-                timestamp: now,
-                count: stateObj.count
-              });
-            }
-          } else {
-            console.log('⬆️ Squat state: DOWN → UP (hip back at knee, but torso not vertical - no count)');
-          }
-        } else if (hipBackAtKnee) {
-          // Transition back to up but don't count (too soon since last rep)
-          stateObj.state = 'up';
-          console.log('⬆️ Squat state: DOWN → UP (too soon to count)');
-        }
-      }
-    } catch (error) {
-      console.error('Error updating squat counter:', error);
-    }
-  }
-
-  // Update lunges counter
-  updateLungesCounter(landmarks) {
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const lcfg = window.MediaPipeConfig?.LUNGES_CONFIG || {};
-      const leftHip = landmarks[cfg.LEFT_HIP || 23];
-      const rightHip = landmarks[cfg.RIGHT_HIP || 24];
-      const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
-      const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
-      if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle) return;
-
-      // Check if hands are on the ground (like pushup) - don't count lunges if hands on ground
-      const leftWrist = landmarks[cfg.LEFT_WRIST || 15];
-      const rightWrist = landmarks[cfg.RIGHT_WRIST || 16];
-      const leftFoot = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightFoot = landmarks[cfg.RIGHT_ANKLE || 28];
-      const HANDS_ON_GROUND_THRESHOLD = 0.07;
-      let handsOnGround = false;
-      if (leftWrist && rightWrist && leftFoot && rightFoot) {
-        const avgWristY = (leftWrist.y + rightWrist.y) / 2;
-        const avgFootY = (leftFoot.y + rightFoot.y) / 2;
-        if (avgWristY >= avgFootY - HANDS_ON_GROUND_THRESHOLD) {
-          handsOnGround = true;
-        }
-      }
-
-      // Average hip position
-      const hip = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
-      // Calculate knee angles
-      const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-      const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-      // Determine which leg is front (more bent knee) - allow both legs to be counted
-      const leftKneeBent = leftKneeAngle < rightKneeAngle;
-      const frontKnee = leftKneeBent ? leftKnee : rightKnee;
-      const backKnee = leftKneeBent ? rightKnee : leftKnee;
-      const frontKneeAngle = leftKneeBent ? leftKneeAngle : rightKneeAngle;
-      const backKneeAngle = leftKneeBent ? rightKneeAngle : leftKneeAngle;
-
-      // Also check the opposite leg position (for alternating lunges)
-      const rightKneeBent = rightKneeAngle < leftKneeAngle;
-      const altFrontKnee = rightKneeBent ? rightKnee : leftKnee;
-      const altBackKnee = rightKneeBent ? leftKnee : rightKnee;
-      const altFrontKneeAngle = rightKneeBent ? rightKneeAngle : leftKneeAngle;
-      const altBackKneeAngle = rightKneeBent ? leftKneeAngle : rightKneeAngle;
-      // Hip position relative to front knee
-      const hipBelowFrontKnee = hip.y > frontKnee.y;
-      // Lunge position based on the image: one leg forward, body leaning forward, back knee close to ground
-      const KNEE_Y_DIFF_THRESHOLD = 0.06; // فرق واضح بين الركبتين (رجل للأمام) - توسيع
-      const BACK_KNEE_ANGLE_THRESHOLD = 120; // back knee bent (close to ground) - توسيع
-      const FRONT_KNEE_ANGLE_THRESHOLD = 100; // front knee bent (stable support) - توسيع
-      const HIP_FORWARD_THRESHOLD = 0.08; // hip leaning forward over front leg - توسيع
-
-      const kneeYDiff = Math.abs(leftKnee.y - rightKnee.y);
-      const oneLegForward = kneeYDiff > KNEE_Y_DIFF_THRESHOLD;
-
-      // Check first leg position (left leg forward)
-      const backKneeBent = backKneeAngle < BACK_KNEE_ANGLE_THRESHOLD;
-      const frontKneeBent = frontKneeAngle < FRONT_KNEE_ANGLE_THRESHOLD;
-      const frontHip = leftKneeBent ? leftHip : rightHip;
-      const frontAnkle = leftKneeBent ? leftAnkle : rightAnkle;
-      const hipForwardLean = Math.abs(frontHip.x - frontAnkle.x) < HIP_FORWARD_THRESHOLD;
-      const lungePosition1 = oneLegForward && backKneeBent && frontKneeBent && hipForwardLean;
-
-      // Check second leg position (right leg forward)
-      const altBackKneeBent = altBackKneeAngle < BACK_KNEE_ANGLE_THRESHOLD;
-      const altFrontKneeBent = altFrontKneeAngle < FRONT_KNEE_ANGLE_THRESHOLD;
-      const altFrontHip = rightKneeBent ? rightHip : leftHip;
-      const altFrontAnkle = rightKneeBent ? rightAnkle : leftAnkle;
-      const altHipForwardLean = Math.abs(altFrontHip.x - altFrontAnkle.x) < HIP_FORWARD_THRESHOLD;
-      const lungePosition2 = oneLegForward && altBackKneeBent && altFrontKneeBent && altHipForwardLean;
-
-      // Either leg position counts as a lunge
-      const lungePosition = lungePosition1 || lungePosition2;
-      // Standing position: both knees straight
-      const standingPosition = (frontKneeAngle >= 160) && (backKneeAngle >= 150);
-      // Simple counting: count immediately when going down (like squats)
-      const lstate = this.perModeState['lunges'];
-      if (lstate.state === 'up') {
-        if (!handsOnGround && lungePosition) {
-          lstate.state = 'down';
-          lstate.count += 1; // Count immediately on descent
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(lstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({ message: `Lunge ${lstate.count}`, type: 'success', timestamp: Date.now() });
-          }
-        }
-      } else if (lstate.state === 'down') {
-        if (standingPosition) {
-          lstate.state = 'up'; // Reset state for next rep
-        }
-      }
-    } catch (error) {
-      console.error('Error updating lunges counter:', error);
-    }
-  }
-
-  // Add Burpees counter
-  // Update mountain climbers counter
-
-
-  // Update sit-ups counter (using squat-like logic as requested)
-  updateSitUpsCounter(landmarks) {
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const scfg = window.MediaPipeConfig?.SQUAT_CONFIG || {};
-
-      const leftHip = landmarks[cfg.LEFT_HIP || 23];
-      const rightHip = landmarks[cfg.RIGHT_HIP || 24];
-      const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
-      const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
-      const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
-
-      if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle || !leftShoulder || !rightShoulder) return;
-
-      // Check if user is in horizontal position (like pushup) - show warning but DO NOT count if so
-      const shoulderCenterY = (leftShoulder.y + rightShoulder.y) / 2;
-      const hipCenterY = (leftHip.y + rightHip.y) / 2;
-      const head = landmarks[cfg.NOSE || 0];
-      const torsoDy = Math.abs(shoulderCenterY - hipCenterY);
-      const HORIZONTAL_THRESHOLD = 0.08; // Same threshold as pushup detection
-      // Check if head is at same y level as hips (head down, body horizontal)
-      const headHipDy = Math.abs((head?.y ?? 0) - hipCenterY);
-      const HEAD_HIP_HORIZONTAL_THRESHOLD = 0.10; // If head and hip are close in y, likely horizontal
-      let isHorizontalLikePushup = false;
-      if (torsoDy <= HORIZONTAL_THRESHOLD && headHipDy <= HEAD_HIP_HORIZONTAL_THRESHOLD) {
-        isHorizontalLikePushup = true;
-        // Optional: show warning
-        if (this.onFormFeedback) {
-          this.onFormFeedback({
-            message: 'وضع الجسم أفقي، لن يتم العد إلا في وضع الاسكوات الصحيح',
-            type: 'warning',
-            timestamp: Date.now()
-          });
-        }
-      }
-
-      // Check if hands are on the ground (like pushup)
-      const leftWrist = landmarks[cfg.LEFT_WRIST || 15];
-      const rightWrist = landmarks[cfg.RIGHT_WRIST || 16];
-      const leftFoot = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightFoot = landmarks[cfg.RIGHT_ANKLE || 28];
-      // Consider hands on ground if both wrists are at or below the level of the ankles (with small margin)
-      const HANDS_ON_GROUND_THRESHOLD = 0.07; // allow small margin
-      let handsOnGround = false;
-      if (leftWrist && rightWrist && leftFoot && rightFoot) {
-        const avgWristY = (leftWrist.y + rightWrist.y) / 2;
-        const avgFootY = (leftFoot.y + rightFoot.y) / 2;
-        if (avgWristY >= avgFootY - HANDS_ON_GROUND_THRESHOLD) {
-          handsOnGround = true;
-          if (this.onFormFeedback) {
-            this.onFormFeedback({
-              message: 'اليدين على الأرض، لن يتم العد إلا في وضع الاسكوات الصحيح',
-              type: 'warning',
-              timestamp: Date.now()
-            });
-          }
-        }
-      }
-
-      // Average sides for stability
-      const hip = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
-      const knee = { x: (leftKnee.x + rightKnee.x) / 2, y: (leftKnee.y + rightKnee.y) / 2 };
-      const ankle = { x: (leftAnkle.x + rightAnkle.x) / 2, y: (leftAnkle.y + rightAnkle.y) / 2 };
-      const shoulder = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
-
-      // Knee angle using hip-knee-ankle
-      const kneeAngleLeft = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-      const kneeAngleRight = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-      const avgKneeAngle = (kneeAngleLeft + kneeAngleRight) / 2;
-
-      // Check leg stability - both legs should be moving together (not one leg down)
-      const leftKneeY = leftKnee.y;
-      const rightKneeY = rightKnee.y;
-      const kneeHeightDiff = Math.abs(leftKneeY - rightKneeY);
-      const LEG_STABILITY_THRESHOLD = 0.05; // Maximum difference between left and right knee heights
-
-      const legsStable = kneeHeightDiff <= LEG_STABILITY_THRESHOLD;
-
-      // Check if knees are bending (squatting down)
-      const kneesBending = avgKneeAngle < 120; // Knees bent when angle is less than 120 degrees
-
-      // Count based on hip position (lower back points)
-      const hipY = hip.y; // Y position of hips (lower = deeper)
-      const kneeY = knee.y; // Y position of knees
-
-      // Hip goes below knee level = deep squat
-      const hipBelowKnee = hipY > kneeY;
-      // Hip goes back up above knee level = standing
-      const hipAboveKnee = hipY < kneeY;
-
-      // State machine: count when hip goes down below knee level (use per-mode state)
-      const stateObj = this.perModeState['situps'];
-
-      // Debug logging
-      console.log('🔍 Situp Debug:', {
-        legsStable,
-        kneesBending,
-        avgKneeAngle,
-        kneeHeightDiff,
-        hipBelowKnee,
-        hipAboveKnee,
-        state: stateObj && stateObj.state,
-        count: stateObj && stateObj.count
-      });
-
-      // Simplified squat-style counting: count when hips go below knees with stable legs
-      const MIN_REP_MS = window.MediaPipeConfig?.SQUAT_CONFIG?.MIN_REP_MS ?? 500;
-      if (!stateObj._lastRepAt) stateObj._lastRepAt = 0;
-      const now = Date.now();
-
-      if (stateObj.state === 'up') {
-        // Count if hips go below knees and legs are stable, and NOT in horizontal position or hands on ground
-        if (hipBelowKnee && legsStable && !isHorizontalLikePushup && !handsOnGround && (now - stateObj._lastRepAt) > MIN_REP_MS) {
-          stateObj.state = 'down';
-          stateObj.count += 1;
-          stateObj._lastRepAt = now;
-          console.log('🎯 Sit-up counted! Count:', stateObj.count);
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(stateObj.count);
-        } else {
-          // Debug why counting didn't happen
-          if (!hipBelowKnee) {
-            console.log('❌ Not counting: Hips not below knees');
-          } else if (!legsStable) {
-            console.log('❌ Not counting: Legs not stable (one leg down)');
-          } else if (isHorizontalLikePushup) {
-            console.log('❌ Not counting: Body is horizontal like pushup');
-          } else if (handsOnGround) {
-            console.log('❌ Not counting: Hands are on the ground');
-          } else if ((now - stateObj._lastRepAt) <= MIN_REP_MS) {
-            console.log('❌ Not counting: Too soon since last rep');
-          }
-        }
-      } else if (stateObj.state === 'down') {
-        if (hipAboveKnee) {
-          stateObj.state = 'up';
-          console.log('⬆️ Sit-up state changed to UP');
-        }
-      }
-    } catch (error) {
-      console.error('Error updating situps counter (squat copy):', error);
-    }
-  }
-
-  // Update wall sit counter - measures hold time with proper form validation
-  updateWallSitCounter(landmarks) {
-    console.log('🪑 updateWallSitCounter called!');
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const wallsitCfg = window.MediaPipeConfig?.WALLSIT_CONFIG || {};
-      const now = Date.now();
-
-      // Extract required landmarks
-      const ls = landmarks[cfg.LEFT_SHOULDER || 11];
-      const rs = landmarks[cfg.RIGHT_SHOULDER || 12];
-      const lh = landmarks[cfg.LEFT_HIP || 23];
-      const rh = landmarks[cfg.RIGHT_HIP || 24];
-      const lk = landmarks[cfg.LEFT_KNEE || 25];
-      const rk = landmarks[cfg.RIGHT_KNEE || 26];
-      const la = landmarks[cfg.LEFT_ANKLE || 27];
-      const ra = landmarks[cfg.RIGHT_ANKLE || 28];
-
-      // Get state object
-      const state = this.perModeState['wallsit'];
-      if (!state) {
-        console.error('❌ Wall sit state object not initialized');
-        return;
-      }
-
-      // Initialize state properties
-      if (state.goodFrames === undefined) state.goodFrames = 0;
-      if (state.badFrames === undefined) state.badFrames = 0;
-      if (state.inHold === undefined) state.inHold = false;
-      if (state.holdStartMs === undefined) state.holdStartMs = 0;
-      if (state.totalHoldMs === undefined) state.totalHoldMs = 0;
-      if (state.lastWarningMs === undefined) state.lastWarningMs = 0;
-
-      // 1. Visibility gate
-      const minVis = wallsitCfg.MIN_VISIBILITY || 0.35;
-      const indices = [
-        cfg.LEFT_SHOULDER, cfg.RIGHT_SHOULDER,
-        cfg.LEFT_HIP, cfg.RIGHT_HIP,
-        cfg.LEFT_KNEE, cfg.RIGHT_KNEE,
-        cfg.LEFT_ANKLE, cfg.RIGHT_ANKLE
-      ];
-
-      if (indices.some(i => !landmarks[i] || landmarks[i].visibility < minVis)) {
-        console.log('❌ Wall sit: Landmarks occluded or missing');
-        this._pauseWallSitHold(state, now, 'Landmarks occluded');
-        return;
-      }
-
-      console.log('✅ Wall sit: All landmarks present');
-
-      // 2. Calculate joint angles using 3D-aware method
-      const leftKneeAngle = this.calculateAngle3D(lh, lk, la);
-      const rightKneeAngle = this.calculateAngle3D(rh, rk, ra);
-      const leftHipAngle = this.calculateAngle3D(ls, lh, lk);
-      const rightHipAngle = this.calculateAngle3D(rs, rh, rk);
-
-      // 3. Alignment checks
-      const shoulderMid = { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 };
-      const hipMid = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
-      
-      const wallAlignment = Math.abs(shoulderMid.x - hipMid.x);
-      const torsoVec = { x: hipMid.x - shoulderMid.x, y: hipMid.y - shoulderMid.y };
-      const torsoTiltDeg = Math.abs(Math.atan2(torsoVec.x, torsoVec.y) * 180 / Math.PI);
-
-      // 4. Form validation with lenient thresholds for multi-angle support
-      const issues = [];
-
-      // Check knee angles (80-100° target, but accept 60-130° for different angles)
-      const kneeMin = wallsitCfg.KNEE_ANGLE_MIN || 60;
-      const kneeMax = wallsitCfg.KNEE_ANGLE_MAX || 130;
-      if (!(leftKneeAngle >= kneeMin && leftKneeAngle <= kneeMax &&
-            rightKneeAngle >= kneeMin && rightKneeAngle <= kneeMax)) {
-        issues.push("Sink to 90° knees");
-      }
-
-      // Check knee symmetry
-      const kneeDiffMax = wallsitCfg.KNEE_ANGLE_DIFF_MAX || 30;
-      if (Math.abs(leftKneeAngle - rightKneeAngle) > kneeDiffMax) {
-        issues.push("Even out both legs");
-      }
-
-      // Check hip angles (80-110° target, but accept 60-130° for different angles)
-      const hipMin = wallsitCfg.HIP_ANGLE_MIN || 60;
-      const hipMax = wallsitCfg.HIP_ANGLE_MAX || 130;
-      if (!(leftHipAngle >= hipMin && leftHipAngle <= hipMax &&
-            rightHipAngle >= hipMin && rightHipAngle <= hipMax)) {
-        issues.push("Keep torso upright");
-      }
-
-      // Check wall alignment (more lenient for different camera angles)
-      const wallMax = wallsitCfg.WALL_ALIGNMENT_MAX || 0.15;
-      if (wallAlignment > wallMax) {
-        issues.push("Press back into wall");
-      }
-
-      // Check torso tilt (more lenient for different camera angles)
-      const tiltMax = wallsitCfg.TORSO_TILT_MAX || 30;
-      if (torsoTiltDeg > tiltMax) {
-        issues.push("Stay vertical");
-      }
-
-      const allGood = issues.length === 0;
-
-      // Debug logging
-      console.log('🪑 Wall Sit Debug:', {
-        leftKneeAngle: leftKneeAngle?.toFixed(1) || 'N/A',
-        rightKneeAngle: rightKneeAngle?.toFixed(1) || 'N/A',
-        leftHipAngle: leftHipAngle?.toFixed(1) || 'N/A',
-        rightHipAngle: rightHipAngle?.toFixed(1) || 'N/A',
-        wallAlignment: wallAlignment.toFixed(3),
-        torsoTiltDeg: torsoTiltDeg.toFixed(1),
-        allGood,
-        issues: issues.join(', '),
-        goodFrames: state.goodFrames,
-        badFrames: state.badFrames,
-        inHold: state.inHold,
-        totalSeconds: (state.totalHoldMs / 1000).toFixed(1)
-      });
-
-      // 4. Hysteresis-driven state machine
-      const hystGood = wallsitCfg.HYSTERESIS_GOOD || 1; // More responsive for multi-angle
-      const hystBad = wallsitCfg.HYSTERESIS_BAD || 3;   // More responsive for multi-angle
-
-      if (allGood) {
-        state.goodFrames++;
-        state.badFrames = 0;
-        if (state.goodFrames >= hystGood) {
-          this._startWallSitHold(state, now);
-        }
-      } else {
-        state.badFrames++;
-        state.goodFrames = 0;
-        if (state.badFrames >= hystBad) {
-          this._pauseWallSitHold(state, now, issues[0] || 'Fix posture');
-        }
-      }
-
-      // 5. Update count and UI
-      if (state.inHold) {
-        const currentHoldMs = now - state.holdStartMs;
-        const totalSeconds = Math.floor((state.totalHoldMs + currentHoldMs) / 1000);
-        state.count = totalSeconds;
-        
-        console.log(`🪑⏱️ Wall sit: Holding... ${totalSeconds} seconds (${cameraAngle} view)`);
-        
-        if (this.onTimeUpdate) {
-          this.onTimeUpdate(totalSeconds);
-          console.log(`🪑📢 Wall sit: Called onTimeUpdate with ${totalSeconds} seconds`);
-        } else {
-          console.warn('🪑⚠️ Wall sit: onTimeUpdate callback not set!');
-        }
-      } else {
-        // Not holding, just show accumulated time
-        const totalSeconds = Math.floor(state.totalHoldMs / 1000);
-        state.count = totalSeconds;
-      }
-
-    } catch (error) {
-      console.error('Error updating wall sit counter:', error);
-    }
-  }
-
-  _startWallSitHold(state, timestamp) {
-    const cfg = window.MediaPipeConfig?.WALLSIT_CONFIG || {};
-    if (!state.inHold && cfg.ENABLE_HOLD_TIMER) {
-      state.inHold = true;
-      state.holdStartMs = timestamp;
-      console.log('🪑✅ Wall sit: Started holding position! Timer starting...');
-    }
-  }
-
-  _pauseWallSitHold(state, timestamp, reason) {
-    if (state.inHold) {
-      state.inHold = false;
-      state.totalHoldMs += timestamp - state.holdStartMs;
-      state.holdStartMs = 0;
-      console.log(`🪑⏸️ Wall sit: Paused holding - ${reason}. Total: ${(state.totalHoldMs / 1000).toFixed(1)}s`);
-    }
-
-    const cfg = window.MediaPipeConfig?.WALLSIT_CONFIG || {};
-    if (timestamp - state.lastWarningMs > (cfg.WARNING_COOLDOWN || 2000)) {
-      state.lastWarningMs = timestamp;
-      if (this.onFormFeedback) {
-        this.onFormFeedback({
-          message: reason,
-          type: 'warning',
-          timestamp: timestamp
-        });
-      }
-    }
-  }
-
-  /**
-   * Calculate 3D angle between three points (handles z-coordinate)
-   * @param {Object} a - First point {x, y, z?, visibility}
-   * @param {Object} b - Middle point (vertex) {x, y, z?, visibility}
-   * @param {Object} c - Third point {x, y, z?, visibility}
-   * @returns {number|null} - Angle in degrees or null if calculation fails
-   */
-  calculateAngle3D(a, b, c) {
-    if (!a || !b || !c) return null;
-    
-    try {
-      const ba = {
-        x: a.x - b.x,
-        y: a.y - b.y,
-        z: (a.z ?? 0) - (b.z ?? 0)
-      };
-      const bc = {
-        x: c.x - b.x,
-        y: c.y - b.y,
-        z: (c.z ?? 0) - (b.z ?? 0)
-      };
-
-      const dot = ba.x * bc.x + ba.y * bc.y + ba.z * bc.z;
-      const magBA = Math.hypot(ba.x, ba.y, ba.z);
-      const magBC = Math.hypot(bc.x, bc.y, bc.z);
-
-      if (magBA === 0 || magBC === 0) return null;
-
-      const cosAngle = Math.min(1, Math.max(-1, dot / (magBA * magBC)));
-      return Math.acos(cosAngle) * (180 / Math.PI);
-    } catch (error) {
-      console.error('Error calculating 3D angle:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Update sit-up counter using multi-metric flexible approach
-   * Combines baseline calibration, distance ratios, head tracking, and torso cosine
-   * Uses voting system for maximum flexibility across all camera angles
-   */
-  updateSitupCounter(landmarks) {
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const situpCfg = window.MediaPipeConfig?.SITUP_CONFIG || {};
-      
-      // Get key landmarks
-      const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
-      const leftHip = landmarks[cfg.LEFT_HIP || 23];
-      const rightHip = landmarks[cfg.RIGHT_HIP || 24];
-      const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
-      const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
-      const nose = landmarks[cfg.NOSE || 0];
-
-      if (!leftShoulder || !rightShoulder || !leftHip || !rightHip || !leftKnee || !rightKnee) {
-        return;
-      }
-
-      // Get state object
-      const state = this.perModeState['situps'];
-      if (!state) {
-        console.error('❌ Sit-up state object not initialized');
-        return;
-      }
-
-      const now = Date.now();
-
-      // Calculate midpoints and vectors
-      const shoulder = { 
-        x: (leftShoulder.x + rightShoulder.x) / 2, 
-        y: (leftShoulder.y + rightShoulder.y) / 2, 
-        z: ((leftShoulder.z || 0) + (rightShoulder.z || 0)) / 2 
-      };
-      const hip = { 
-        x: (leftHip.x + rightHip.x) / 2, 
-        y: (leftHip.y + rightHip.y) / 2, 
-        z: ((leftHip.z || 0) + (rightHip.z || 0)) / 2 
-      };
-      const knee = { 
-        x: (leftKnee.x + rightKnee.x) / 2, 
-        y: (leftKnee.y + rightKnee.y) / 2, 
-        z: ((leftKnee.z || 0) + (rightKnee.z || 0)) / 2 
-      };
-
-      // Calculate torso vector and length
-      const torsoVec = { 
-        x: shoulder.x - hip.x, 
-        y: shoulder.y - hip.y, 
-        z: shoulder.z - hip.z 
-      };
-      const torsoLen = Math.hypot(torsoVec.x, torsoVec.y, torsoVec.z) || 1;
-
-      // Calculate distances
-      const shoulderKneeDist = Math.hypot(
-        shoulder.x - knee.x, 
-        shoulder.y - knee.y, 
-        shoulder.z - knee.z
-      );
-
-      const headKneeDist = nose ? Math.hypot(
-        nose.x - knee.x,
-        nose.y - knee.y,
-        (nose.z || 0) - knee.z
-      ) : null;
-
-      // === BASELINE CALIBRATION (first 30 frames) ===
-      if (!state._baselineSamples) state._baselineSamples = [];
-      if (!state._baseline && state._baselineSamples.length < (situpCfg.BASELINE_FRAMES || 30)) {
-        const sample = { shoulderKneeDist, torsoLen };
-        if (headKneeDist) sample.headKneeDist = headKneeDist;
-        state._baselineSamples.push(sample);
-        
-        if (state._baselineSamples.length === (situpCfg.BASELINE_FRAMES || 30)) {
-          const avgShoulderDist = state._baselineSamples.reduce((s, v) => s + v.shoulderKneeDist, 0) / state._baselineSamples.length;
-          const avgTorso = state._baselineSamples.reduce((s, v) => s + v.torsoLen, 0) / state._baselineSamples.length;
-          const avgHeadDist = state._baselineSamples.filter(v => v.headKneeDist).length > 0
-            ? state._baselineSamples.reduce((s, v) => s + (v.headKneeDist || 0), 0) / state._baselineSamples.filter(v => v.headKneeDist).length
-            : null;
-          
-          state._baseline = { 
-            shoulderKneeDist: avgShoulderDist, 
-            headKneeDist: avgHeadDist,
-            torsoLen: avgTorso 
-          };
-          state.state = 'down';
-          state.goodFrames = 0;
-          state.badFrames = 0;
-          state._lastRepAt = 0;
-          
-          console.log('✅ Sit-up baseline calibrated:', {
-            shoulderDistance: avgShoulderDist.toFixed(3),
-            headDistance: avgHeadDist?.toFixed(3) || 'N/A',
-            torsoLen: avgTorso.toFixed(3)
-          });
-        }
-        return; // Still calibrating
-      }
-
-      const baseline = state._baseline;
-      if (!baseline) return;
-
-      // === NORMALIZED METRICS ===
-      // 1. Shoulder-knee distance ratio
-      const shoulderRatio = shoulderKneeDist / baseline.shoulderKneeDist;
-
-      // 2. Head-knee distance ratio (if available)
-      const headRatio = (headKneeDist && baseline.headKneeDist) 
-        ? headKneeDist / baseline.headKneeDist 
-        : null;
-
-      // 3. Torso cosine (dot product with up vector)
-      const upVec = { x: 0, y: -1, z: 0 };
-      const torsoCos = (torsoVec.x * upVec.x + torsoVec.y * upVec.y + torsoVec.z * upVec.z) / torsoLen;
-
-      // 4. Hip angles for validation
-      const hipAngleLeft = this.calculateAngle3D(leftShoulder, leftHip, leftKnee);
-      const hipAngleRight = this.calculateAngle3D(rightShoulder, rightHip, rightKnee);
-      const hipAngleAvg = (hipAngleLeft + hipAngleRight) / 2;
-
-      // === MULTI-METRIC VOTING SYSTEM ===
-      let downVotes = 0;
-      let upVotes = 0;
-
-      // Vote 1: Shoulder distance
-      if (shoulderRatio > (situpCfg.SHOULDER_DOWN_RATIO || 0.88)) downVotes++;
-      if (shoulderRatio < (situpCfg.SHOULDER_UP_RATIO || 0.62)) upVotes++;
-
-      // Vote 2: Head distance (if available)
-      if (headRatio !== null) {
-        if (headRatio > (situpCfg.HEAD_DOWN_RATIO || 0.90)) downVotes++;
-        if (headRatio < (situpCfg.HEAD_UP_RATIO || 0.55)) upVotes++;
-      }
-
-      // Vote 3: Torso cosine
-      if (torsoCos < (situpCfg.DOWN_TORSO_COS || 0.35)) downVotes++;
-      if (torsoCos > (situpCfg.UP_TORSO_COS || 0.70)) upVotes++;
-
-      // Hip angle constraint (very relaxed, just prevents leg raises)
-      const hipSupport = hipAngleAvg <= (situpCfg.HIP_ANGLE_MAX || 160);
-
-      // Determine position based on votes
-      const minDownVotes = situpCfg.MIN_METRICS_FOR_DOWN || 1;
-      const minUpVotes = situpCfg.MIN_METRICS_FOR_UP || 2;
-
-      const isDown = downVotes >= minDownVotes && hipSupport;
-      const isUp = upVotes >= minUpVotes;
-
-      // === HYSTERESIS ===
-      const goodFramesNeeded = situpCfg.HYSTERESIS_GOOD || 2;
-      const badFramesNeeded = situpCfg.HYSTERESIS_BAD || 3;
-
-      if (isUp) {
-        state.goodFrames = Math.min((state.goodFrames || 0) + 1, goodFramesNeeded);
-        state.badFrames = 0;
-      } else if (isDown) {
-        state.badFrames = Math.min((state.badFrames || 0) + 1, badFramesNeeded);
-        state.goodFrames = 0;
-      } else {
-        state.goodFrames = 0;
-        state.badFrames = 0;
-      }
-
-      const minRepMs = situpCfg.MIN_REP_MS || 600;
-
-      // === STATE MACHINE ===
-      if (state.state === 'down' && state.goodFrames >= goodFramesNeeded && now - (state._lastRepAt || 0) > minRepMs) {
-        state.state = 'up';
-        state.count = (state.count || 0) + 1;
-        state._lastRepAt = now;
-        state.goodFrames = 0;
-
-        console.log('🎯 Sit-up counted!', {
-          shoulderRatio: shoulderRatio.toFixed(3),
-          headRatio: headRatio?.toFixed(3) || 'N/A',
-          torsoCos: torsoCos.toFixed(3),
-          upVotes,
-          count: state.count
-        });
-
-        this.playSuccessSound();
-        if (this.onPushupCount) this.onPushupCount(state.count);
-        if (this.onFormFeedback) {
-          this.onFormFeedback({ 
-            message: `Sit-up ${state.count}`, 
-            type: 'success', 
-            timestamp: now 
-          });
-        }
-      } else if (state.state === 'up' && state.badFrames >= badFramesNeeded) {
-        state.state = 'down';
-        state.badFrames = 0;
-        console.log('⬇️ Ready for next rep', {
-          shoulderRatio: shoulderRatio.toFixed(3),
-          headRatio: headRatio?.toFixed(3) || 'N/A',
-          torsoCos: torsoCos.toFixed(3),
-          downVotes
-        });
-      }
-
-      // === DEBUG LOGGING ===
-      if (Math.random() < 0.1) { // 10% of frames
-        console.log('🔍 Sit-up Debug (Multi-Metric):', {
-          // Ratios
-          shoulderRatio: shoulderRatio.toFixed(3),
-          headRatio: headRatio?.toFixed(3) || 'N/A',
-          torsoCos: torsoCos.toFixed(3),
-          hipAngleAvg: hipAngleAvg?.toFixed(1) + '°' || 'N/A',
-          // Votes
-          downVotes: `${downVotes}/3`,
-          upVotes: `${upVotes}/3`,
-          hipSupport,
-          // Result
-          isDown,
-          isUp,
-          // State
-          state: state.state,
-          count: state.count,
-          goodFrames: state.goodFrames,
-          badFrames: state.badFrames
-        });
-      }
-
-    } catch (error) {
-      console.error('Error updating sit-up counter:', error);
-    }
-  }
-
-  updateBurpeesCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      // نقاط الرأس واليدين
-      const nose = landmarks[config.NOSE || 0];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftIndex = landmarks[config.LEFT_INDEX || 19];
-      const rightIndex = landmarks[config.RIGHT_INDEX || 20];
-      if (!nose || !leftWrist || !rightWrist) return;
-      // أعلى نقطة للرأس
-      const headY = nose.y;
-      // أعلى نقطة لليد أو الأصابع
-      const leftHandY = leftIndex ? leftIndex.y : leftWrist.y;
-      const rightHandY = rightIndex ? rightIndex.y : rightWrist.y;
-      // إذا كانت اليدين أو الأصابع أعلى من الرأس (أقل في قيمة y)
-      const handsAboveHead = (leftHandY < headY && rightHandY < headY);
-      // منطق العد
-      if (!this._burpeeState) this._burpeeState = 'ready';
-      if (!this.perModeState['burpees']._burpeeState) this.perModeState['burpees']._burpeeState = 'ready';
-      const bstate = this.perModeState['burpees'];
-      if (bstate._burpeeState === 'ready') {
-        if (handsAboveHead) {
-          bstate._burpeeState = 'jumping';
-          bstate.count += 1;
-          this.playSuccessSound(); // Play success sound
-          if (this.onPushupCount) this.onPushupCount(bstate.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({
-              message: `Burpee ${bstate.count} - Hands above head!`,
-              type: 'success',
-              timestamp: Date.now()
-            });
-          }
-        }
-      } else if (bstate._burpeeState === 'jumping') {
-        if (!handsAboveHead) {
-          bstate._burpeeState = 'ready';
-        }
-      }
-    } catch (error) {
-      console.error('Error updating burpees counter:', error);
-    }
-  }
-
-  /**
-   * Update high knees counter - robust detection with hip angle and vertical posture validation
-   * Distinguishes high knees from other exercises by checking vertical stance and hip flexion
-   */
-  updateHighKneesCounter(landmarks) {
-    try {
-      const cfg = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const hkCfg = window.MediaPipeConfig?.HIGHKNEES_CONFIG || {};
-
-      // Get landmarks
-      const leftHip = landmarks[cfg.LEFT_HIP || 23];
-      const rightHip = landmarks[cfg.RIGHT_HIP || 24];
-      const leftKnee = landmarks[cfg.LEFT_KNEE || 25];
-      const rightKnee = landmarks[cfg.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[cfg.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[cfg.RIGHT_ANKLE || 28];
-      const leftShoulder = landmarks[cfg.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[cfg.RIGHT_SHOULDER || 12];
-
-      if (!leftHip || !rightHip || !leftKnee || !rightKnee || !leftShoulder || !rightShoulder) {
-        return;
-      }
-
-      // Initialize state for each leg independently
-      const hkState = this.perModeState['highknees'];
-      if (!hkState._leftState) hkState._leftState = 'down';
-      if (!hkState._rightState) hkState._rightState = 'down';
-      if (!hkState._leftLastRepAt) hkState._leftLastRepAt = 0;
-      if (!hkState._rightLastRepAt) hkState._rightLastRepAt = 0;
-      
-      const now = Date.now();
-      const MIN_REP_MS = 200; // Fast response
-
-      // Calculate torso length for normalization
-      const shoulderMidY = (leftShoulder.y + rightShoulder.y) / 2;
-      const hipMidY = (leftHip.y + rightHip.y) / 2;
-      const torsoLength = Math.abs(shoulderMidY - hipMidY) || 0.0001;
-
-      // === VERTICAL POSTURE CHECK ===
-      // Ensure user is standing upright (not in plank/pushup position)
-      // In vertical stance, shoulders should be above hips
-      const isVerticalPosture = shoulderMidY < hipMidY; // Y increases downward, so shoulders should have smaller Y
-      
-      if (!isVerticalPosture) {
-        // User is horizontal (plank/pushup) - don't count
-        return;
-      }
-
-      // Calculate knee heights (normalized by torso)
-      const leftKneeHeight = (leftHip.y - leftKnee.y) / torsoLength;
-      const rightKneeHeight = (rightHip.y - rightKnee.y) / torsoLength;
-
-      // === KNEE ANGLE (Hip-Knee-Ankle) ===
-      const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle || leftKnee);
-      const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle || rightKnee);
-
-      // === HIP ANGLE (Shoulder-Hip-Knee) ===
-      // This is the key differentiator for high knees!
-      // When lifting knee, hip flexes significantly
-      const leftHipAngle = this.calculateAngle(leftShoulder, leftHip, leftKnee);
-      const rightHipAngle = this.calculateAngle(rightShoulder, rightHip, rightKnee);
-
-      // HIGH KNEES SPECIFIC THRESHOLDS
-      const KNEE_ANGLE_FLEXED = 110; // Knee bent
-      const KNEE_ANGLE_EXTENDED = 150; // Knee straight
-      const HIP_ANGLE_FLEXED = 100; // Hip flexed (knee raised) - KEY for high knees!
-      const HIP_ANGLE_EXTENDED = 160; // Hip extended (standing)
-      const KNEE_HEIGHT_THRESHOLD = 0.08; // Backup height check
-      
-      // COMBINED DETECTION with hip angle validation
-      // Must have: (knee flexed OR height sufficient) AND hip flexed AND vertical posture
-      const leftKneeUp = (
-        (leftKneeAngle <= KNEE_ANGLE_FLEXED || leftKneeHeight >= KNEE_HEIGHT_THRESHOLD) &&
-        leftHipAngle <= HIP_ANGLE_FLEXED // Hip must be flexed!
-      );
-      
-      const rightKneeUp = (
-        (rightKneeAngle <= KNEE_ANGLE_FLEXED || rightKneeHeight >= KNEE_HEIGHT_THRESHOLD) &&
-        rightHipAngle <= HIP_ANGLE_FLEXED // Hip must be flexed!
-      );
-      
-      // For down detection, require both knee and hip to be extended
-      const leftKneeDown = leftKneeAngle >= KNEE_ANGLE_EXTENDED && leftHipAngle >= HIP_ANGLE_EXTENDED;
-      const rightKneeDown = rightKneeAngle >= KNEE_ANGLE_EXTENDED && rightHipAngle >= HIP_ANGLE_EXTENDED;
-
-      // Process LEFT leg independently
-      if (hkState._leftState === 'down') {
-        if (leftKneeUp && (now - hkState._leftLastRepAt) > MIN_REP_MS) {
-          hkState._leftState = 'up';
-          hkState.count++;
-          hkState._leftLastRepAt = now;
-          
-          console.log(`✅ HIGH KNEE ${hkState.count} (LEFT) - KneeAngle: ${Math.round(leftKneeAngle)}°, HipAngle: ${Math.round(leftHipAngle)}°, Height: ${leftKneeHeight.toFixed(2)}`);
-          
-          // Success feedback
-          if (this.playSuccessSound) this.playSuccessSound();
-          if (this.onPushupCount) this.onPushupCount(hkState.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({
-              message: `High Knees ${hkState.count}`,
-              type: 'success',
-              timestamp: now
-            });
-          }
-        }
-      } else if (hkState._leftState === 'up') {
-        // Wait for left knee to extend (go down)
-        if (leftKneeDown) {
-          hkState._leftState = 'down';
-        }
-      }
-
-      // Process RIGHT leg independently
-      if (hkState._rightState === 'down') {
-        if (rightKneeUp && (now - hkState._rightLastRepAt) > MIN_REP_MS) {
-          hkState._rightState = 'up';
-          hkState.count++;
-          hkState._rightLastRepAt = now;
-          
-          console.log(`✅ HIGH KNEE ${hkState.count} (RIGHT) - KneeAngle: ${Math.round(rightKneeAngle)}°, HipAngle: ${Math.round(rightHipAngle)}°, Height: ${rightKneeHeight.toFixed(2)}`);
-          
-          // Success feedback
-          if (this.playSuccessSound) this.playSuccessSound();
-          if (this.onPushupCount) this.onPushupCount(hkState.count);
-          if (this.onFormFeedback) {
-            this.onFormFeedback({
-              message: `High Knees ${hkState.count}`,
-              type: 'success',
-              timestamp: now
-            });
-          }
-        }
-      } else if (hkState._rightState === 'up') {
-        // Wait for right knee to extend (go down)
-        if (rightKneeDown) {
-          hkState._rightState = 'down';
-        }
-      }
-
-    } catch (err) {
-      console.error("❌ Error in updateHighKneesCounter:", err);
-    }
-  }
-
-
-  // Update jumping jacks counter
-  updateJumpingJacksCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const jjConfig = window.MediaPipeConfig?.JUMPINGJACKS_CONFIG || {};
-
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-
-      if (!leftWrist || !rightWrist || !leftShoulder || !rightShoulder || !leftAnkle || !rightAnkle || !leftHip || !rightHip) {
-        console.log('❌ JJ: Missing landmarks');
-        return;
-      }
-      
-      // Debug log (sample 2% of frames)
-      if (Math.random() < 0.02) {
-        console.log('✅ JJ: Processing frame with all landmarks');
-      }
-
-      const jjState = this.perModeState['jumpingjacks'];
-      if (!jjState._lastRepAt) jjState._lastRepAt = 0;
-      if (!jjState._upStateStartTime) jjState._upStateStartTime = 0;
-      const now = Date.now();
-      const MIN_REP_MS = jjConfig.MIN_REP_MS || 500;
-      const MIN_UP_TIME = 200; // 0.2 seconds hold time for UP state
-
-      // Compute shoulder width from landmarks (use calibration if available)
-      let shoulderWidth;
-      if (this.calibrationData && !this.calibrationData.isDefault) {
-        shoulderWidth = this.calibrationData.shoulderWidth;
-      } else {
-        // Compute from current landmarks - use simple horizontal distance like original
-        shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
-      }
-
-      // Per-limb visibility weighting - use counterpart if one limb has low visibility
-      const minVisibility = 0.5;
-      
-      // Wrist positions with visibility weighting
-      let wristAboveShoulderLeft = leftWrist.y < leftShoulder.y;
-      let wristAboveShoulderRight = rightWrist.y < rightShoulder.y;
-      
-      if (leftWrist.visibility < minVisibility && rightWrist.visibility >= minVisibility) {
-        wristAboveShoulderLeft = wristAboveShoulderRight;
-      } else if (rightWrist.visibility < minVisibility && leftWrist.visibility >= minVisibility) {
-        wristAboveShoulderRight = wristAboveShoulderLeft;
-      }
-      
-      const wristsUp = wristAboveShoulderLeft && wristAboveShoulderRight;
-
-      // Wrist below hip positions with visibility weighting
-      let wristBelowHipLeft = leftWrist.y > leftHip.y;
-      let wristBelowHipRight = rightWrist.y > rightHip.y;
-      
-      if (leftWrist.visibility < minVisibility && rightWrist.visibility >= minVisibility) {
-        wristBelowHipLeft = wristBelowHipRight;
-      } else if (rightWrist.visibility < minVisibility && leftWrist.visibility >= minVisibility) {
-        wristBelowHipRight = wristBelowHipLeft;
-      }
-      
-      const wristsDown = wristBelowHipLeft && wristBelowHipRight;
-
-      // Ankle distance computation - use simple horizontal distance like original
-      let ankleDistance = Math.abs(leftAnkle.x - rightAnkle.x);
-      
-      // If one ankle has low visibility, estimate from the other
-      if ((leftAnkle.visibility < minVisibility || rightAnkle.visibility < minVisibility) &&
-          !(leftAnkle.visibility < minVisibility && rightAnkle.visibility < minVisibility)) {
-        // Use shoulder width as fallback estimate
-        ankleDistance = shoulderWidth * 1.5;
-      }
-
-      // UP position: wrists above shoulders AND ankles wider than shoulders
-      // With 0.2s hold time requirement
-      const anklesApart = ankleDistance > (shoulderWidth * 1.5);
-      const isUpPosition = wristsUp && anklesApart;
-
-      // Track UP state timing
-      if (isUpPosition) {
-        if (jjState._upStateStartTime === 0) {
-          jjState._upStateStartTime = now;
-        }
-      } else {
-        jjState._upStateStartTime = 0;
-      }
-
-      // Check if UP state has been held long enough
-      const upStateHeldLongEnough = (jjState._upStateStartTime > 0) && 
-                                     ((now - jjState._upStateStartTime) >= MIN_UP_TIME);
-
-      // DOWN position: wrists near hips AND ankles together
-      const anklesTogether = ankleDistance < (shoulderWidth * 0.9);
-      const isDown = wristsDown && anklesTogether;
-
-      // Debug logging (sample 5% of frames)
-      if (Math.random() < 0.05) {
-        console.log('🔍 JJ State:', {
-          currentState: jjState.state,
-          isUpPosition,
-          isDown,
-          upStateHeldLongEnough,
-          wristsUp,
-          wristsDown,
-          anklesApart,
-          anklesTogether,
-          ankleDistance: ankleDistance.toFixed(3),
-          shoulderWidth: shoulderWidth.toFixed(3),
-          upThreshold: (shoulderWidth * 1.5).toFixed(3),
-          downThreshold: (shoulderWidth * 0.9).toFixed(3)
-        });
-      }
-
-      // State machine: same as original but with UP hold time requirement
-      if (jjState.state === 'down' || !jjState.state) {
-        if (upStateHeldLongEnough) {
-          jjState.state = 'up';
-          console.log('🟢 JJ: Transitioned to UP state');
-        }
-      } else { // state is 'up'
-        if (isDown) {
-          if ((now - jjState._lastRepAt) > MIN_REP_MS) {
-            jjState.state = 'down';
-            jjState.count += 1;
-            jjState._lastRepAt = now;
-            console.log('🔵 JJ: Counted rep #' + jjState.count);
-            this.playSuccessSound();
-            if (this.onPushupCount) this.onPushupCount(jjState.count);
-            if (this.onFormFeedback) {
-              this.onFormFeedback({ message: `Jumping Jack ${jjState.count}`, type: 'success', timestamp: now });
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error updating jumping jacks counter:', error);
-    }
-  }
-
-  // Update side plank counter (time-based like regular plank)
-  updateSidePlankCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
-
-      // Get key landmarks for side plank
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-      const leftKnee = landmarks[config.LEFT_KNEE || 25];
-      const rightKnee = landmarks[config.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
-      const nose = landmarks[config.NOSE || 0];
-      const leftEar = landmarks[config.LEFT_EAR || 7];
-      const rightEar = landmarks[config.RIGHT_EAR || 8];
-
-      // Check visibility of key landmarks
-      const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
-
-      // Determine which side is the support side (left or right)
-      // We'll check both sides and use the one with better visibility
-      const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee) && vis(leftAnkle);
-      const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee) && vis(rightAnkle);
-
-      if (!leftSideVisible && !rightSideVisible) {
-        return; // Not enough landmarks visible
-      }
-
-      // Use the side with better visibility
-      const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
-      const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
-      const supportElbow = isLeftSide ? leftElbow : rightElbow;
-      const supportWrist = isLeftSide ? leftWrist : rightWrist;
-      const supportHip = isLeftSide ? leftHip : rightHip;
-      const supportKnee = isLeftSide ? leftKnee : rightKnee;
-      const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
-      const supportEar = isLeftSide ? leftEar : rightEar;
-
-      // Calculate key angles for side plank validation
-
-      // 1. Shoulder Support Angle (shoulder-elbow-wrist) - should be ~90°
-      const shoulderSupportAngle = this.calculateAngle(supportShoulder, supportElbow, supportWrist);
-      const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
-      const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
-      const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
-
-      // 2. Torso-Hip Line (shoulder-hip-ankle) - should be ~180° (straight line)
-      const torsoHipAngle = this.calculateAngle(supportShoulder, supportHip, supportAnkle);
-      const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 160;
-      const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
-      const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
-
-      // 3. Check for hip sag (hip drops below shoulder-ankle line)
-      const shoulderAnkleMidY = (supportShoulder.y + supportAnkle.y) / 2;
-      const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.05; // normalized units
-      const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
-
-      // 4. Check for hip hike (hip rises above shoulder-ankle line)
-      const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.05; // normalized units
-      const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
-
-      // 5. Check elbow alignment (elbow should be under shoulder)
-      const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.08; // normalized units
-      const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
-
-      // 6. Check feet stacking (ankles should be close together)
-      const feetStackingThreshold = spConfig.FEET_STACKING_THRESHOLD || 0.1; // normalized units
-      const feetStacked = Math.abs(leftAnkle.x - rightAnkle.x) < feetStackingThreshold;
-
-      // 7. Head-neck alignment (ear-shoulder-hip should be ~180°)
-      let headNeckGood = true;
-      if (supportEar && vis(supportEar)) {
-        const headNeckAngle = this.calculateAngle(supportEar, supportShoulder, supportHip);
-        const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 160;
-        const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
-        headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
-      }
-
-      // Overall posture assessment
-      const isGoodPosture = shoulderAngleGood &&
-        torsoAngleGood &&
-        !hipSag &&
-        !hipHike &&
-        elbowAligned &&
-        feetStacked &&
-        headNeckGood;
-
-      // Debug logging
-      console.log('🔍 Side Plank Debug:', {
-        side: isLeftSide ? 'Left' : 'Right',
-        shoulderAngle: Math.round(shoulderSupportAngle),
-        torsoAngle: Math.round(torsoHipAngle),
-        hipSag,
-        hipHike,
-        elbowAligned,
-        feetStacked,
-        headNeckGood,
-        isGoodPosture,
-        postureStatus: this.postureStatus
-      });
-
-      // Update posture status with smoothing
-      if (isGoodPosture) {
-        this._postureGoodCount = (this._postureGoodCount || 0) + 1;
-        this._postureBadCount = 0;
-      } else {
-        this._postureBadCount = (this._postureBadCount || 0) + 1;
-        this._postureGoodCount = 0;
-      }
-
-      const POSTURE_GOOD_FRAMES = spConfig.POSTURE_GOOD_FRAMES || 3;
-      const POSTURE_BAD_FRAMES = spConfig.POSTURE_BAD_FRAMES || 4;
-
-      let smoothedStatus = this.postureStatus;
-      if (this._postureGoodCount >= POSTURE_GOOD_FRAMES) {
-        smoothedStatus = 'correct';
-      } else if (this._postureBadCount >= POSTURE_BAD_FRAMES) {
-        smoothedStatus = 'incorrect';
-      }
-
-      if (smoothedStatus !== this.postureStatus) {
-        this.postureStatus = smoothedStatus;
-        if (this.onPostureChange) this.onPostureChange(this.postureStatus, landmarks);
-      }
-
-      // Handle timing for side plank (similar to regular plank)
-      if (this.postureStatus === 'correct') {
-        const now = Date.now();
-        if (!this.timerRunning) {
-          this.startCorrectTimestampMs = now;
-          this.timerRunning = true;
-        }
-        const totalMs = this.accumulatedCorrectMs + (now - (this.startCorrectTimestampMs || now));
-        const seconds = Math.floor(totalMs / 1000);
-        if (this.onTimeUpdate) this.onTimeUpdate(seconds);
-      } else {
-        // Stop timer when posture is incorrect
-        if (this.timerRunning) {
-          this.accumulatedCorrectMs += Date.now() - this.startCorrectTimestampMs;
-          this.timerRunning = false;
-          this.startCorrectTimestampMs = 0;
-          if (this.onTimeUpdate) {
-            this.onTimeUpdate(Math.floor(this.accumulatedCorrectMs / 1000));
-          }
-        }
-      }
-
-      // Provide form feedback for common mistakes
-      if (!isGoodPosture && this.onFormFeedback) {
-        const currentTime = Date.now();
-        const cooldown = spConfig.WARNING_COOLDOWN || 2000;
-
-        if (currentTime - this.lastWarningTime > cooldown) {
-          let feedbackMessage = '';
-          if (hipSag) {
-            feedbackMessage = 'Hip sagging - lift your hips up!';
-          } else if (hipHike) {
-            feedbackMessage = 'Hip too high - lower your hips!';
-          } else if (!elbowAligned) {
-            feedbackMessage = 'Keep elbow under shoulder!';
-          } else if (!feetStacked) {
-            feedbackMessage = 'Stack your feet together!';
-          } else if (!shoulderAngleGood) {
-            feedbackMessage = 'Adjust your arm position!';
-          } else if (!torsoAngleGood) {
-            feedbackMessage = 'Keep your body straight!';
-          }
-
-          if (feedbackMessage) {
-            this.onFormFeedback({
-              message: feedbackMessage,
-              type: 'warning',
-              timestamp: currentTime
-            });
-            this.lastWarningTime = currentTime;
-          }
-        }
-      }
-
-    } catch (error) {
-      console.error('Error updating side plank counter:', error);
-    }
-  }
-
-  // Update straight arm plank counter (exact copy of side plank behavior)
-  updateStraightArmPlankCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
-
-      // Get key landmarks for side plank
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-      const leftKnee = landmarks[config.LEFT_KNEE || 25];
-      const rightKnee = landmarks[config.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
-      const nose = landmarks[config.NOSE || 0];
-      const leftEar = landmarks[config.LEFT_EAR || 7];
-      const rightEar = landmarks[config.RIGHT_EAR || 8];
-
-      // Check visibility of key landmarks
-      const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
-
-      // Determine which side is the support side (left or right)
-      // We'll check both sides and use the one with better visibility
-      const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee) && vis(leftAnkle);
-      const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee) && vis(rightAnkle);
-
-      if (!leftSideVisible && !rightSideVisible) {
-        return; // Not enough landmarks visible
-      }
-
-      // Use the side with better visibility
-      const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
-      const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
-      const supportElbow = isLeftSide ? leftElbow : rightElbow;
-      const supportWrist = isLeftSide ? leftWrist : rightWrist;
-      const supportHip = isLeftSide ? leftHip : rightHip;
-      const supportKnee = isLeftSide ? leftKnee : rightKnee;
-      const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
-      const supportEar = isLeftSide ? leftEar : rightEar;
-
-      // Calculate key angles for side plank validation
-
-      // 1. Shoulder Support Angle (shoulder-elbow-wrist) - should be ~90°
-      const shoulderSupportAngle = this.calculateAngle(supportShoulder, supportElbow, supportWrist);
-      const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
-      const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
-      const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
-
-      // 2. Torso-Hip Line (shoulder-hip-ankle) - should be ~180° (straight line)
-      const torsoHipAngle = this.calculateAngle(supportShoulder, supportHip, supportAnkle);
-      const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 160;
-      const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
-      const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
-
-      // 3. Check for hip sag (hip drops below shoulder-ankle line)
-      const shoulderAnkleMidY = (supportShoulder.y + supportAnkle.y) / 2;
-      const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.05; // normalized units
-      const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
-
-      // 4. Check for hip hike (hip rises above shoulder-ankle line)
-      const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.05; // normalized units
-      const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
-
-      // 5. Check elbow alignment (elbow should be under shoulder)
-      const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.08; // normalized units
-      const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
-
-      // 6. Check feet stacking (ankles should be close together)
-      const feetStackingThreshold = spConfig.FEET_STACKING_THRESHOLD || 0.1; // normalized units
-      const feetStacked = Math.abs(leftAnkle.x - rightAnkle.x) < feetStackingThreshold;
-
-      // 7. Head-neck alignment (ear-shoulder-hip should be ~180°)
-      let headNeckGood = true;
-      if (supportEar && vis(supportEar)) {
-        const headNeckAngle = this.calculateAngle(supportEar, supportShoulder, supportHip);
-        const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 160;
-        const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
-        headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
-      }
-
-      // Overall posture assessment
-      const isGoodPosture = shoulderAngleGood &&
-        torsoAngleGood &&
-        !hipSag &&
-        !hipHike &&
-        elbowAligned &&
-        feetStacked &&
-        headNeckGood;
-
-      // Debug logging
-      console.log('🔍 Straight Arm Plank Debug:', {
-        side: isLeftSide ? 'Left' : 'Right',
-        shoulderAngle: Math.round(shoulderSupportAngle),
-        torsoAngle: Math.round(torsoHipAngle),
-        hipSag,
-        hipHike,
-        elbowAligned,
-        feetStacked,
-        headNeckGood,
-        isGoodPosture,
-        postureStatus: this.postureStatus
-      });
-
-      // Update posture status with smoothing
-      if (isGoodPosture) {
-        this._postureGoodCount = (this._postureGoodCount || 0) + 1;
-        this._postureBadCount = 0;
-      } else {
-        this._postureBadCount = (this._postureBadCount || 0) + 1;
-        this._postureGoodCount = 0;
-      }
-
-      const POSTURE_GOOD_FRAMES = spConfig.POSTURE_GOOD_FRAMES || 3;
-      const POSTURE_BAD_FRAMES = spConfig.POSTURE_BAD_FRAMES || 4;
-
-      let smoothedStatus = this.postureStatus;
-      if (this._postureGoodCount >= POSTURE_GOOD_FRAMES) {
-        smoothedStatus = 'correct';
-      } else if (this._postureBadCount >= POSTURE_BAD_FRAMES) {
-        smoothedStatus = 'incorrect';
-      }
-
-      if (smoothedStatus !== this.postureStatus) {
-        this.postureStatus = smoothedStatus;
-        if (this.onPostureChange) this.onPostureChange(this.postureStatus, landmarks);
-      }
-
-      // Handle timing for side plank (similar to regular plank)
-      if (this.postureStatus === 'correct') {
-        const now = Date.now();
-        if (!this.timerRunning) {
-          this.startCorrectTimestampMs = now;
-          this.timerRunning = true;
-        }
-        const totalMs = this.accumulatedCorrectMs + (now - (this.startCorrectTimestampMs || now));
-        const seconds = Math.floor(totalMs / 1000);
-        if (this.onTimeUpdate) this.onTimeUpdate(seconds);
-      } else {
-        // Stop timer when posture is incorrect
-        if (this.timerRunning) {
-          this.accumulatedCorrectMs += Date.now() - this.startCorrectTimestampMs;
-          this.timerRunning = false;
-          this.startCorrectTimestampMs = 0;
-          if (this.onTimeUpdate) {
-            this.onTimeUpdate(Math.floor(this.accumulatedCorrectMs / 1000));
-          }
-        }
-      }
+      } else {
+        // Push-ups and other horizontal exercises: prefer a dedicated horizontal-body check.
+        // Two modes: side view (ankles visible) -> use straight-line similarity as before.
+        // Front/angled view (no ankle visibility) -> check shoulder-hip orientation close to horizontal
+        const cfg = window.MediaPipeConfig?.PUSHUP_CONFIG || {};
+        const SIDE_ABS_COS_MIN = cfg.SIDE_ABS_COS_MIN ?? 0.82; // slightly more lenient
+        const HORIZ_TORSO_MAX_DEG = cfg.HORIZ_TORSO_MAX_DEG ?? 35; // allow more tilt
 
-      // Provide form feedback for common mistakes
-      if (!isGoodPosture && this.onFormFeedback) {
-        const currentTime = Date.now();
-        const cooldown = spConfig.WARNING_COOLDOWN || 2000;
-
-        if (currentTime - this.lastWarningTime > cooldown) {
-          let feedbackMessage = '';
-          if (hipSag) {
-            feedbackMessage = 'Hip sagging - lift your hips up!';
-          } else if (hipHike) {
-            feedbackMessage = 'Hip too high - lower your hips!';
-          } else if (!elbowAligned) {
-            feedbackMessage = 'Keep elbow under shoulder!';
-          } else if (!feetStacked) {
-            feedbackMessage = 'Stack your feet together!';
-          } else if (!shoulderAngleGood) {
-            feedbackMessage = 'Adjust your arm position!';
-          } else if (!torsoAngleGood) {
-            feedbackMessage = 'Keep your body straight!';
+        if (geometry?.source === 'world') {
+          // World landmarks: the same two checks in 3D, whichever way the camera faces
+          const shoulders = [config.LEFT_SHOULDER || 11, config.RIGHT_SHOULDER || 12];
+          const hips = [config.LEFT_HIP || 23, config.RIGHT_HIP || 24];
+          const ankles = [config.LEFT_ANKLE || 27, config.RIGHT_ANKLE || 28];
+          if (ankleCenter) {
+            // Straight line through the hip (angle from the same cosine limit as the side view)
+            const minLineAngle = 180 - Math.acos(SIDE_ABS_COS_MIN) * 180 / Math.PI;
+            isGoodPostureInstant = geometry.angle(shoulders, hips, ankles) >= minLineAngle;
+            if (!isGoodPostureInstant) {
+              feedbackMessage = 'Keep your body in a straight line';
+              reason = 'body_not_straight';
+            }
+          } else {
+            const torsoTilt = geometry.tilt(hips, shoulders);
+            const nearHorizontal = Math.abs(torsoTilt - 90) <= HORIZ_TORSO_MAX_DEG;
+            const nearVertical = torsoTilt <= 20 || torsoTilt >= 160;
+            isGoodPostureInstant = nearHorizontal && !nearVertical;
+            if (!isGoodPostureInstant) {
+              if (nearVertical) {
+                feedbackMessage = 'Get into push-up position';
+                reason = 'standing_position';
+              } else {
+                feedbackMessage = 'Align your body horizontally';
+                reason = 'body_not_horizontal';
+              }
+            }
           }
-
-          if (feedbackMessage) {
-            this.onFormFeedback({
-              message: feedbackMessage,
-              type: 'warning',
-              timestamp: currentTime
-            });
-            this.lastWarningTime = currentTime;
+        } else if (ankleCenter && v2) {
+          // If ankle center available assume side/diagonal view and use cos similarity
+          let cosSim = -1;
+          const mag1 = Math.hypot(v1.x, v1.y) || 1;
+          const mag2 = Math.hypot(v2.x, v2.y) || 1;
+          cosSim = (v1.x * v2.x + v1.y * v2.y) / (mag1 * mag2);
+          const absCos = Math.abs(Math.max(-1, Math.min(1, cosSim)));
+          isGoodPostureInstant = absCos >= SIDE_ABS_COS_MIN;
+          if (!isGoodPostureInstant) {
+            feedbackMessage = 'Keep your body in a straight line';
+            reason = 'body_not_straight';
+          }
+        } else {
+          // Fallback: check that shoulder-hip axis is near horizontal (small dy)
+          const dx = shoulderCenter.x - hipCenter.x;
+          const dy = shoulderCenter.y - hipCenter.y;
+          const angDeg = Math.abs(Math.atan2(dy, dx) * 180 / Math.PI);
+          // angle near 0 or near 180 -> horizontal
+          const nearHorizontal = (angDeg <= HORIZ_TORSO_MAX_DEG) || (angDeg >= (180 - HORIZ_TORSO_MAX_DEG));
+          // Also ensure it's not standing (i.e., torso nearly vertical)
+          const nearVertical = (angDeg >= 90 - 20 && angDeg <= 90 + 20);
+          isGoodPostureInstant = nearHorizontal && !nearVertical;
+          if (!isGoodPostureInstant) {
+            if (nearVertical) {
+              feedbackMessage = 'Get into push-up position';
+              reason = 'standing_position';
+            } else {
+              feedbackMessage = 'Align your body horizontally';
+              reason = 'body_not_horizontal';
+            }
           }
         }
       }
 
-    } catch (error) {
-      console.error('Error updating straight arm plank counter:', error);
-    }
-  }
-
-  // Update reverse straight arm plank counter (exact copy of straight arm plank)
-  updateReverseStraightArmPlankCounter(landmarks) {
-    try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
-
-      // Get key landmarks for side plank
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-      const leftKnee = landmarks[config.LEFT_KNEE || 25];
-      const rightKnee = landmarks[config.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
-      const nose = landmarks[config.NOSE || 0];
-      const leftEar = landmarks[config.LEFT_EAR || 7];
-      const rightEar = landmarks[config.RIGHT_EAR || 8];
-
-      // Check visibility of key landmarks
-      const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
-
-      // Determine which side is the support side (left or right)
-      // We'll check both sides and use the one with better visibility
-      const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee) && vis(leftAnkle);
-      const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee) && vis(rightAnkle);
-
-      if (!leftSideVisible && !rightSideVisible) {
-        return; // Not enough landmarks visible
-      }
-
-      // Use the side with better visibility
-      const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
-      const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
-      const supportElbow = isLeftSide ? leftElbow : rightElbow;
-      const supportWrist = isLeftSide ? leftWrist : rightWrist;
-      const supportHip = isLeftSide ? leftHip : rightHip;
-      const supportKnee = isLeftSide ? leftKnee : rightKnee;
-      const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
-      const supportEar = isLeftSide ? leftEar : rightEar;
-
-      // Calculate key angles for side plank validation
-
-      // 1. Shoulder Support Angle (shoulder-elbow-wrist) - should be ~90°
-      const shoulderSupportAngle = this.calculateAngle(supportShoulder, supportElbow, supportWrist);
-      const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
-      const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
-      const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
-
-      // 2. Torso-Hip Line (shoulder-hip-ankle) - should be ~180° (straight line)
-      const torsoHipAngle = this.calculateAngle(supportShoulder, supportHip, supportAnkle);
-      const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 160;
-      const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
-      const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
-
-      // 3. Check for hip sag (hip drops below shoulder-ankle line)
-      const shoulderAnkleMidY = (supportShoulder.y + supportAnkle.y) / 2;
-      const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.05; // normalized units
-      const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
-
-      // 4. Check for hip hike (hip rises above shoulder-ankle line)
-      const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.05; // normalized units
-      const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
-
-      // 5. Check elbow alignment (elbow should be under shoulder)
-      const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.08; // normalized units
-      const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
-
-      // 6. Check feet stacking (ankles should be close together)
-      const feetStackingThreshold = spConfig.FEET_STACKING_THRESHOLD || 0.1; // normalized units
-      const feetStacked = Math.abs(leftAnkle.x - rightAnkle.x) < feetStackingThreshold;
-
-      // 7. Head-neck alignment (ear-shoulder-hip should be ~180°)
-      let headNeckGood = true;
-      if (supportEar && vis(supportEar)) {
-        const headNeckAngle = this.calculateAngle(supportEar, supportShoulder, supportHip);
-        const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 160;
-        const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
-        headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
-      }
-
-      // Overall posture assessment
-      const isGoodPosture = shoulderAngleGood &&
-        torsoAngleGood &&
-        !hipSag &&
-        !hipHike &&
-        elbowAligned &&
-        feetStacked &&
-        headNeckGood;
-
-      // Debug logging
-      console.log('🔍 Reverse Straight Arm Plank Debug:', {
-        side: isLeftSide ? 'Left' : 'Right',
-        shoulderAngle: Math.round(shoulderSupportAngle),
-        torsoAngle: Math.round(torsoHipAngle),
-        hipSag,
-        hipHike,
-        elbowAligned,
-        feetStacked,
-        headNeckGood,
-        isGoodPosture,
-        postureStatus: this.postureStatus
-      });
-
-      // Update posture status with smoothing
-      if (isGoodPosture) {
-        this._postureGoodCount = (this._postureGoodCount || 0) + 1;
-        this._postureBadCount = 0;
+      // Implement configurable hysteresis windows using frame counters
+      const hysteresisConfig = window.MediaPipeConfig?.HYSTERESIS_CONFIG || {};
+      const exerciseHysteresis = hysteresisConfig[exerciseMode] || { goodFrames: 3, badFrames: 5 };
+      
+      // Initialize hysteresis counters if not exists
+      if (!this._postureGoodFrameCount) this._postureGoodFrameCount = 0;
+      if (!this._postureBadFrameCount) this._postureBadFrameCount = 0;
+      if (!this._postureState) this._postureState = 'unknown';
+      
+      // Update frame counters based on instant posture
+      if (isGoodPostureInstant) {
+        this._postureGoodFrameCount++;
+        this._postureBadFrameCount = 0;
       } else {
-        this._postureBadCount = (this._postureBadCount || 0) + 1;
-        this._postureGoodCount = 0;
-      }
-
-      const POSTURE_GOOD_FRAMES = spConfig.POSTURE_GOOD_FRAMES || 3;
-      const POSTURE_BAD_FRAMES = spConfig.POSTURE_BAD_FRAMES || 4;
-
-      let smoothedStatus = this.postureStatus;
-      if (this._postureGoodCount >= POSTURE_GOOD_FRAMES) {
-        smoothedStatus = 'correct';
-      } else if (this._postureBadCount >= POSTURE_BAD_FRAMES) {
-        smoothedStatus = 'incorrect';
+        this._postureBadFrameCount++;
+        this._postureGoodFrameCount = 0;
       }
-
-      if (smoothedStatus !== this.postureStatus) {
-        this.postureStatus = smoothedStatus;
-        if (this.onPostureChange) this.onPostureChange(this.postureStatus, landmarks);
+      
+      // Apply hysteresis: only change state after threshold frames (scaled to the sampling rate)
+      let isValid = this._postureState === 'correct';
+      if (this._postureGoodFrameCount >= this.scaleFrames(exerciseHysteresis.goodFrames)) {
+        this._postureState = 'correct';
+        isValid = true;
+      } else if (this._postureBadFrameCount >= this.scaleFrames(exerciseHysteresis.badFrames)) {
+        this._postureState = 'incorrect';
+        isValid = false;
       }
-
-      // Handle timing for side plank (similar to regular plank)
-      if (this.postureStatus === 'correct') {
-        const now = Date.now();
-        if (!this.timerRunning) {
-          this.startCorrectTimestampMs = now;
-          this.timerRunning = true;
-        }
-        const totalMs = this.accumulatedCorrectMs + (now - (this.startCorrectTimestampMs || now));
-        const seconds = Math.floor(totalMs / 1000);
-        if (this.onTimeUpdate) this.onTimeUpdate(seconds);
-      } else {
-        // Stop timer when posture is incorrect
-        if (this.timerRunning) {
-          this.accumulatedCorrectMs += Date.now() - this.startCorrectTimestampMs;
-          this.timerRunning = false;
-          this.startCorrectTimestampMs = 0;
-          if (this.onTimeUpdate) {
-            this.onTimeUpdate(Math.floor(this.accumulatedCorrectMs / 1000));
-          }
+      
+      // Cardio bypass logic: allow rep counting for high-motion exercises even when posture temporarily fails
+      const cardioExercises = ['jumpingjacks', 'highknees', 'mountainclimbers'];
+      if (allowCardioBypass && cardioExercises.includes(exerciseMode)) {
+        // For cardio, we still validate but don't block counting
+        if (!isValid) {
+          reason = reason || 'posture_warning';
+          feedbackMessage = feedbackMessage || 'Try to maintain better form';
         }
+        // Override isValid to allow counting
+        isValid = true;
       }
 
-      // Provide form feedback for common mistakes
-      if (!isGoodPosture && this.onFormFeedback) {
-        const currentTime = Date.now();
-        const cooldown = spConfig.WARNING_COOLDOWN || 2000;
-
-        if (currentTime - this.lastWarningTime > cooldown) {
-          let feedbackMessage = '';
-          if (hipSag) {
-            feedbackMessage = 'Hip sagging - lift your hips up!';
-          } else if (hipHike) {
-            feedbackMessage = 'Hip too high - lower your hips!';
-          } else if (!elbowAligned) {
-            feedbackMessage = 'Keep elbow under shoulder!';
-          } else if (!feetStacked) {
-            feedbackMessage = 'Stack your feet together!';
-          } else if (!shoulderAngleGood) {
-            feedbackMessage = 'Adjust your arm position!';
-          } else if (!torsoAngleGood) {
-            feedbackMessage = 'Keep your body straight!';
-          }
-
-          if (feedbackMessage) {
-            this.onFormFeedback({
-              message: feedbackMessage,
-              type: 'warning',
-              timestamp: currentTime
-            });
-            this.lastWarningTime = currentTime;
-          }
-        }
-      }
+      console.log(`🏃 Posture(${exerciseMode}): instant=${isGoodPostureInstant}, state=${this._postureState}, isValid=${isValid}, orientation=${orientation}`);
 
+      // Return structured result object
+      return {
+        isValid,
+        reason: reason || (isValid ? 'posture_correct' : 'posture_incorrect'),
+        orientation,
+        feedback: feedbackMessage || (isValid ? null : 'Adjust your posture')
+      };
     } catch (error) {
-      console.error('Error updating reverse straight arm plank counter:', error);
+      console.error('Error checking back alignment:', error);
+      return false;
     }
   }
 
-  // Update knee plank counter (duplicate of straight arm plank logic but separate mode)
-  updateKneePlankCounter(landmarks) {
+  /**
+   * Calculate 3D angle between three points (handles z-coordinate)
+   * @param {Object} a - First point {x, y, z?, visibility}
+   * @param {Object} b - Middle point (vertex) {x, y, z?, visibility}
+   * @param {Object} c - Third point {x, y, z?, visibility}
+   * @returns {number|null} - Angle in degrees or null if calculation fails
+   */
+  calculateAngle3D(a, b, c) {
+    if (!a || !b || !c) return null;
+    
     try {
-      const config = window.MediaPipeConfig?.POSE_LANDMARKS || {};
-      const spConfig = window.MediaPipeConfig?.SIDEPLANK_CONFIG || {};
-
-      // Get key landmarks for knee plank (same as side/straight arm plank)
-      const leftShoulder = landmarks[config.LEFT_SHOULDER || 11];
-      const rightShoulder = landmarks[config.RIGHT_SHOULDER || 12];
-      const leftElbow = landmarks[config.LEFT_ELBOW || 13];
-      const rightElbow = landmarks[config.RIGHT_ELBOW || 14];
-      const leftWrist = landmarks[config.LEFT_WRIST || 15];
-      const rightWrist = landmarks[config.RIGHT_WRIST || 16];
-      const leftHip = landmarks[config.LEFT_HIP || 23];
-      const rightHip = landmarks[config.RIGHT_HIP || 24];
-      const leftKnee = landmarks[config.LEFT_KNEE || 25];
-      const rightKnee = landmarks[config.RIGHT_KNEE || 26];
-      const leftAnkle = landmarks[config.LEFT_ANKLE || 27];
-      const rightAnkle = landmarks[config.RIGHT_ANKLE || 28];
-      const nose = landmarks[config.NOSE || 0];
-      const leftEar = landmarks[config.LEFT_EAR || 7];
-      const rightEar = landmarks[config.RIGHT_EAR || 8];
-
-      // Check visibility of key landmarks
-      const vis = (p) => p && (p.visibility == null || p.visibility > 0.5);
-
-      // Determine which side is the support side (left or right)
-      const leftSideVisible = vis(leftShoulder) && vis(leftElbow) && vis(leftHip) && vis(leftKnee);
-      const rightSideVisible = vis(rightShoulder) && vis(rightElbow) && vis(rightHip) && vis(rightKnee);
-
-      if (!leftSideVisible && !rightSideVisible) {
-        return; // Not enough landmarks visible
-      }
-
-      // Use the side with better visibility
-      const isLeftSide = leftSideVisible && (!rightSideVisible || leftSideVisible);
-      const supportShoulder = isLeftSide ? leftShoulder : rightShoulder;
-      const supportElbow = isLeftSide ? leftElbow : rightElbow;
-      const supportWrist = isLeftSide ? leftWrist : rightWrist;
-      const supportHip = isLeftSide ? leftHip : rightHip;
-      const supportKnee = isLeftSide ? leftKnee : rightKnee;
-      const supportAnkle = isLeftSide ? leftAnkle : rightAnkle;
-      const supportEar = isLeftSide ? leftEar : rightEar;
-
-      // Calculate angles and checks (similar to straight arm plank)
-      const shoulderSupportAngle = this.calculateAngle(supportShoulder, supportElbow, supportWrist);
-      const SHOULDER_ANGLE_MIN = spConfig.SHOULDER_ANGLE_MIN || 80;
-      const SHOULDER_ANGLE_MAX = spConfig.SHOULDER_ANGLE_MAX || 100;
-      const shoulderAngleGood = shoulderSupportAngle >= SHOULDER_ANGLE_MIN && shoulderSupportAngle <= SHOULDER_ANGLE_MAX;
-
-      const torsoHipAngle = this.calculateAngle(supportShoulder, supportHip, supportAnkle || supportKnee);
-      const TORSO_ANGLE_MIN = spConfig.TORSO_ANGLE_MIN || 140; // allow a bit more tolerance for knee-supported planks
-      const TORSO_ANGLE_MAX = spConfig.TORSO_ANGLE_MAX || 200;
-      const torsoAngleGood = torsoHipAngle >= TORSO_ANGLE_MIN && torsoHipAngle <= TORSO_ANGLE_MAX;
-
-      const shoulderAnkleMidY = (supportShoulder.y + (supportAnkle ? supportAnkle.y : supportKnee.y)) / 2;
-      const hipSagThreshold = spConfig.HIP_SAG_THRESHOLD || 0.06; // slightly relaxed
-      const hipSag = supportHip.y > (shoulderAnkleMidY + hipSagThreshold);
-      const hipHikeThreshold = spConfig.HIP_HIKE_THRESHOLD || 0.06;
-      const hipHike = supportHip.y < (shoulderAnkleMidY - hipHikeThreshold);
-
-      const elbowAlignmentThreshold = spConfig.ELBOW_ALIGNMENT_THRESHOLD || 0.1;
-      const elbowAligned = Math.abs(supportElbow.x - supportShoulder.x) < elbowAlignmentThreshold;
-
-      const feetStacked = (leftAnkle && rightAnkle) ? (Math.abs(leftAnkle.x - rightAnkle.x) < (spConfig.FEET_STACKING_THRESHOLD || 0.12)) : true;
-
-      let headNeckGood = true;
-      if (supportEar && vis(supportEar)) {
-        const headNeckAngle = this.calculateAngle(supportEar, supportShoulder, supportHip);
-        const HEAD_NECK_ANGLE_MIN = spConfig.HEAD_NECK_ANGLE_MIN || 150;
-        const HEAD_NECK_ANGLE_MAX = spConfig.HEAD_NECK_ANGLE_MAX || 200;
-        headNeckGood = headNeckAngle >= HEAD_NECK_ANGLE_MIN && headNeckAngle <= HEAD_NECK_ANGLE_MAX;
-      }
-
-      const isGoodPosture = shoulderAngleGood && torsoAngleGood && !hipSag && !hipHike && elbowAligned && feetStacked && headNeckGood;
-
-      console.log('🔍 Knee Plank Debug:', { side: isLeftSide ? 'Left' : 'Right', shoulderSupportAngle: Math.round(shoulderSupportAngle), torsoHipAngle: Math.round(torsoHipAngle), hipSag, hipHike, elbowAligned, feetStacked, isGoodPosture, postureStatus: this.postureStatus });
-
-      if (isGoodPosture) {
-        this._postureGoodCount = (this._postureGoodCount || 0) + 1;
-        this._postureBadCount = 0;
-      } else {
-        this._postureBadCount = (this._postureBadCount || 0) + 1;
-        this._postureGoodCount = 0;
-      }
-
-      const POSTURE_GOOD_FRAMES = spConfig.POSTURE_GOOD_FRAMES || 3;
-      const POSTURE_BAD_FRAMES = spConfig.POSTURE_BAD_FRAMES || 4;
-
-      let smoothedStatus = this.postureStatus;
-      if (this._postureGoodCount >= POSTURE_GOOD_FRAMES) {
-        smoothedStatus = 'correct';
-      } else if (this._postureBadCount >= POSTURE_BAD_FRAMES) {
-        smoothedStatus = 'incorrect';
-      }
-
-      if (smoothedStatus !== this.postureStatus) {
-        this.postureStatus = smoothedStatus;
-        if (this.onPostureChange) this.onPostureChange(this.postureStatus, landmarks);
-      }
+      const ba = {
+        x: a.x - b.x,
+        y: a.y - b.y,
+        z: (a.z ?? 0) - (b.z ?? 0)
+      };
+      const bc = {
+        x: c.x - b.x,
+        y: c.y - b.y,
+        z: (c.z ?? 0) - (b.z ?? 0)
+      };
 
-      // Timing like plank
-      if (this.postureStatus === 'correct') {
-        const now = Date.now();
-        if (!this.timerRunning) {
-          this.startCorrectTimestampMs = now;
-          this.timerRunning = true;
-        }
-        const totalMs = this.accumulatedCorrectMs + (now - (this.startCorrectTimestampMs || now));
-        const seconds = Math.floor(totalMs / 1000);
-        if (this.onTimeUpdate) this.onTimeUpdate(seconds);
-      } else {
-        if (this.timerRunning) {
-          this.accumulatedCorrectMs += Date.now() - this.startCorrectTimestampMs;
-          this.timerRunning = false;
-          this.startCorrectTimestampMs = 0;
-          if (this.onTimeUpdate) {
-            this.onTimeUpdate(Math.floor(this.accumulatedCorrectMs / 1000));
-          }
-        }
-      }
+      const dot = ba.x * bc.x + ba.y * bc.y + ba.z * bc.z;
+      const magBA = Math.hypot(ba.x, ba.y, ba.z);
+      const magBC = Math.hypot(bc.x, bc.y, bc.z);
 
-      if (!isGoodPosture && this.onFormFeedback) {
-        const currentTime = Date.now();
-        const cooldown = spConfig.WARNING_COOLDOWN || 2000;
-        if (currentTime - this.lastWarningTime > cooldown) {
-          let feedbackMessage = '';
-          if (hipSag) feedbackMessage = 'Hip sagging - lift your hips up!';
-          else if (hipHike) feedbackMessage = 'Hip too high - lower your hips!';
-          else if (!elbowAligned) feedbackMessage = 'Keep elbow under shoulder!';
-          else if (!feetStacked) feedbackMessage = 'Stack your feet together!';
-          else if (!shoulderAngleGood) feedbackMessage = 'Adjust your arm position!';
-          else if (!torsoAngleGood) feedbackMessage = 'Keep your body straight!';
-
-          if (feedbackMessage) {
-            this.onFormFeedback({ message: feedbackMessage, type: 'warning', timestamp: currentTime });
-            this.lastWarningTime = currentTime;
-          }
-        }
-      }
+      if (magBA === 0 || magBC === 0) return null;
 
+      const cosAngle = Math.min(1, Math.max(-1, dot / (magBA * magBC)));
+      return Math.acos(cosAngle) * (180 / Math.PI);
     } catch (error) {
-      console.error('Error updating knee plank counter:', error);
+      console.error('Error calculating 3D angle:', error);
+      return null;
     }
   }
 
-  // reverse plank removed
   playWarningSound() {
     try {
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -4176,6 +2334,11 @@ class PoseDetectionUtils {
 
     if (!results.poseLandmarks || !canvasCtx) {
       console.log('❌ No landmarks or canvas context available');
+      // Nobody in frame: still show the framing guidance
+      if (canvasCtx && this.framingCheck) {
+        canvasCtx.clearRect(0, 0, canvasWidth, canvasHeight);
+        this.drawFramingGuide(canvasCtx, canvasWidth, canvasHeight);
+      }
       return;
     }
 
@@ -4300,9 +2463,25 @@ class PoseDetectionUtils {
     // Always use basic connections (more reliable)
     this.drawBasicConnections(canvasCtx, landmarks, canvasWidth, canvasHeight, transform);
 
+    // Partner mode: the second person's skeleton
+    const partnerLandmarks = this.partner?.lastResults?.poseLandmarks;
+    if (partnerLandmarks) {
+      this.drawBasicConnections(canvasCtx, partnerLandmarks, canvasWidth, canvasHeight, transform);
+    }
+
+    // Reference-form ghost beside the user, mismatched joints ringed in red
+    if (this.ghostPose) {
+      this.drawGhostPose(canvasCtx, landmarks, canvasWidth, canvasHeight, transform);
+    }
+
     // Add confidence indicator overlay
     this.drawConfidenceIndicator(canvasCtx, landmarks, canvasWidth, canvasHeight);
 
+    // Framing guidance before a set starts
+    if (this.framingCheck) {
+      this.drawFramingGuide(canvasCtx, canvasWidth, canvasHeight, landmarks, transform);
+    }
+
     // Draw sit-ups debug overlay if available
     try {
       const stateObj = this.perModeState && this.perModeState['situps'];
@@ -4527,6 +2706,149 @@ class PoseDetectionUtils {
   }
 
   // Draw professional confidence indicator overlay
+  /**
+   * Framing guidance: a banner with the current hint and stability progress, and red rings on
+   * critical landmarks the check reports as missing (where they were last seen)
+   * @param {CanvasRenderingContext2D} canvasCtx - Overlay context
+   * @param {number} canvasWidth - Canvas width in px
+   * @param {number} canvasHeight - Canvas height in px
+   * @param {Array|null} landmarks - Landmarks of the frame (null when nobody is detected)
+   * @param {Object|null} transform - Optional { scaleX, scaleY, offsetX, offsetY } as in drawPoseOverlay
+   */
+  drawFramingGuide(canvasCtx, canvasWidth, canvasHeight, landmarks = null, transform = null) {
+    const status = this.framing.status;
+    const toCanvas = (p) => transform
+      ? { x: p.x * transform.scaleX + transform.offsetX, y: p.y * transform.scaleY + transform.offsetY }
+      : { x: p.x * canvasWidth, y: p.y * canvasHeight };
+
+    canvasCtx.save();
+
+    // Missing critical landmarks, clamped into the frame so off-screen joints point at the edge
+    if (landmarks) {
+      canvasCtx.strokeStyle = 'rgba(239, 68, 68, 0.9)';
+      canvasCtx.lineWidth = 3;
+      status.missing.forEach((idx) => {
+        const p = landmarks[idx];
+        if (!p) return;
+        const { x, y } = toCanvas({ x: Math.min(0.98, Math.max(0.02, p.x)), y: Math.min(0.98, Math.max(0.02, p.y)) });
+        canvasCtx.beginPath();
+        canvasCtx.arc(x, y, 16, 0, 2 * Math.PI);
+        canvasCtx.stroke();
+      });
+    }
+
+    const message = status.ready
+      ? 'Framing looks good - ready to start'
+      : status.issue?.message || 'Hold still...';
+    const hint = status.view === 'side' ? 'Side view' : status.view === 'front' ? 'Front view' : null;
+    const bannerHeight = 56;
+    const bannerY = canvasHeight - bannerHeight - 16;
+    const bannerX = 16;
+    const bannerWidth = canvasWidth - 32;
+
+    canvasCtx.fillStyle = status.ready ? 'rgba(16, 185, 129, 0.85)' : 'rgba(0, 0, 0, 0.65)';
+    canvasCtx.beginPath();
+    canvasCtx.roundRect(bannerX, bannerY, bannerWidth, bannerHeight, 10);
+    canvasCtx.fill();
+
+    canvasCtx.font = 'bold 16px system-ui, -apple-system, sans-serif';
+    canvasCtx.fillStyle = '#FFFFFF';
+    canvasCtx.textAlign = 'center';
+    canvasCtx.textBaseline = 'middle';
+    canvasCtx.fillText(message, canvasWidth / 2, bannerY + (hint ? 20 : bannerHeight / 2 - 4));
+    if (hint) {
+      canvasCtx.font = '12px system-ui, -apple-system, sans-serif';
+      canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      canvasCtx.fillText(`Camera: ${hint}`, canvasWidth / 2, bannerY + 38);
+    }
+
+    // Stability progress toward unlocking Start
+    if (!status.ready) {
+      canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      canvasCtx.fillRect(bannerX + 12, bannerY + bannerHeight - 8, bannerWidth - 24, 3);
+      canvasCtx.fillStyle = '#10B981';
+      canvasCtx.fillRect(bannerX + 12, bannerY + bannerHeight - 8, (bannerWidth - 24) * status.progress, 3);
+    }
+
+    canvasCtx.restore();
+  }
+
+  /**
+   * Ghost skeleton of the exercise's reference pose at the phase closest to the user's pose,
+   * scaled to the calibrated torso; joints off by more than the tolerance are red on both skeletons
+   * @param {CanvasRenderingContext2D} canvasCtx - Overlay context
+   * @param {Array} landmarks - Landmarks of the frame
+   * @param {number} canvasWidth - Canvas width in px
+   * @param {number} canvasHeight - Canvas height in px
+   * @param {Object|null} transform - Optional { scaleX, scaleY, offsetX, offsetY } as in drawPoseOverlay
+   * @returns {Object|null} - GhostPose.match() result, null when the exercise has no reference pose
+   */
+  drawGhostPose(canvasCtx, landmarks, canvasWidth, canvasHeight, transform = null) {
+    if (!this.ghost.setExercise(this.exerciseMode)) return null;
+    const toCanvas = (p) => transform
+      ? { x: p.x * transform.scaleX + transform.offsetX, y: p.y * transform.scaleY + transform.offsetY }
+      : { x: p.x * canvasWidth, y: p.y * canvasHeight };
+    const calibration = this.calibrationData;
+    const torsoPx = calibration && !calibration.isDefault && calibration.torsoLength
+      ? calibration.torsoLength * (transform ? transform.scaleY : canvasHeight)
+      : null;
+
+    let match = null;
+    try {
+      match = this.ghost.match(landmarks, { toCanvas, torsoPx, width: canvasWidth, height: canvasHeight });
+    } catch (error) {
+      console.error('Error matching ghost pose:', error);
+    }
+    if (!match) return null;
+
+    const { points, mismatched } = match;
+    canvasCtx.save();
+    canvasCtx.lineCap = 'round';
+    canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    canvasCtx.lineWidth = 5;
+    GHOST_CONNECTIONS.forEach(([startIdx, endIdx]) => {
+      const start = points[startIdx];
+      const end = points[endIdx];
+      if (!start || !end) return;
+      canvasCtx.beginPath();
+      canvasCtx.moveTo(start.x, start.y);
+      canvasCtx.lineTo(end.x, end.y);
+      canvasCtx.stroke();
+    });
+    if (points[0] && points[11] && points[12]) {
+      const neck = { x: (points[11].x + points[12].x) / 2, y: (points[11].y + points[12].y) / 2 };
+      canvasCtx.beginPath();
+      canvasCtx.moveTo(neck.x, neck.y);
+      canvasCtx.lineTo(points[0].x, points[0].y);
+      canvasCtx.stroke();
+      canvasCtx.beginPath();
+      canvasCtx.arc(points[0].x, points[0].y, 10, 0, 2 * Math.PI);
+      canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+      canvasCtx.fill();
+    }
+
+    Object.keys(points).forEach((idx) => {
+      const bad = mismatched.includes(Number(idx));
+      canvasCtx.beginPath();
+      canvasCtx.arc(points[idx].x, points[idx].y, bad ? 7 : 5, 0, 2 * Math.PI);
+      canvasCtx.fillStyle = bad ? 'rgba(239, 68, 68, 0.85)' : 'rgba(255, 255, 255, 0.6)';
+      canvasCtx.fill();
+    });
+
+    // Same joints on the live skeleton
+    canvasCtx.strokeStyle = 'rgba(239, 68, 68, 0.9)';
+    canvasCtx.lineWidth = 4;
+    mismatched.forEach((idx) => {
+      if (!landmarks[idx]) return;
+      const { x, y } = toCanvas(landmarks[idx]);
+      canvasCtx.beginPath();
+      canvasCtx.arc(x, y, 18, 0, 2 * Math.PI);
+      canvasCtx.stroke();
+    });
+    canvasCtx.restore();
+    return match;
+  }
+
   drawConfidenceIndicator(canvasCtx, landmarks, canvasWidth, canvasHeight) {
     if (!landmarks) return;
     
@@ -4618,58 +2940,18 @@ class PoseDetectionUtils {
       this.perModeState[mode].count = 0;
       this.perModeState[mode].state = 'up';
       // reset mode-specific extras
-      if (mode === 'mountainclimbers') {
-        this.perModeState[mode]._lastLeftKneeY = null;
-        this.perModeState[mode]._lastRightKneeY = null;
-        this.perModeState[mode]._climberState = 'neutral';
-        this.perModeState[mode]._lastClimberTime = 0;
-      }
-      if (mode === 'situps') {
-        this.perModeState[mode]._lastRepAt = 0;
-        this.perModeState[mode]._stableCount = 0;
-      }
-      if (mode === 'burpees') {
-        this.perModeState[mode]._burpeeState = 'ready';
-      }
-      if (mode === 'jumpingjacks') {
-        this.perModeState[mode]._lastRepAt = 0;
-        this.perModeState[mode]._upCount = 0;
-        this.perModeState[mode]._downCount = 0;
-        this.perModeState[mode]._baselineAnkleDist = null;
-        this.perModeState[mode]._upSince = 0;
-        this.perModeState[mode]._ignoreUntil = 0;
-      }
-      if (mode === 'sideplank') {
-        // Reset side plank state
-        this.perModeState[mode].state = 'neutral';
-        this.perModeState[mode].count = 0;
-      }
-      if (mode === 'straightarmplank') {
-        // Reset straight arm plank state (time-based like sideplank)
-        this.perModeState[mode].state = 'neutral';
-        this.perModeState[mode].count = 0;
-      }
-      if (mode === 'reversestraightarmplank') {
-        // Reset reverse straight arm plank state (time-based like sideplank)
-        this.perModeState[mode].state = 'neutral';
-        this.perModeState[mode].count = 0;
-      }
-      if (mode === 'kneeplank') {
-        // Reset knee plank state (time-based like sideplank)
-        this.perModeState[mode].state = 'neutral';
-        this.perModeState[mode].count = 0;
-      }
-
-      if (mode === 'plank') {
-        // Reset plank stability/timing helpers
-        this.perModeState[mode]._stableCount = 0;
-        this.perModeState[mode]._lastHipY = null;
-        this.perModeState[mode]._lastShoulderY = null;
-        this.perModeState[mode]._lastAnkleY = null;
-        this.perModeState[mode]._lastTimestamp = 0;
+      const definition = getExerciseDefinition(mode);
+      if (definition?.reset) {
+        definition.reset(this.perModeState[mode]);
       }
     }
     this.postureStatus = 'unknown';
+    this.repQuality.reset(getExerciseDefinition(mode)?.quality || null);
+    this.repTempo.reset();
+    this.asymmetry.reset(getExerciseDefinition(mode)?.asymmetry || null);
+    this.fatigue.reset(getExerciseDefinition(mode)?.quality || null);
+    this.repConfidence.reset();
+    this.partner?.resetCounter();
     // Reset plank timing
     this.accumulatedCorrectMs = 0;
     this.timerRunning = false;
@@ -4684,7 +2966,11 @@ class PoseDetectionUtils {
       count: stateObj.count || 0,
       state: stateObj.state || 'up',
       posture: this.postureStatus,
-      timeSec: Math.floor((this.accumulatedCorrectMs + (this.timerRunning ? (Date.now() - this.startCorrectTimestampMs) : 0)) / 1000)
+      timeSec: Math.floor((this.accumulatedCorrectMs + (this.timerRunning ? (Date.now() - this.startCorrectTimestampMs) : 0)) / 1000),
+      formScore: this.repQuality.getSummary().score,
+      tutSec: Math.round(this.repTempo.getSummary().tutMs / 1000),
+      // Per-side counts for alternating movements (lunges); count is their total
+      ...(stateObj.sideCounts ? { sideCounts: { ...stateObj.sideCounts } } : {})
     };
   }
 
@@ -4694,21 +2980,44 @@ class PoseDetectionUtils {
   }
 
   // Set callback functions
-  setCallbacks({ onPushupCount, onPostureChange, onFormFeedback, onTimeUpdate }) {
+  setCallbacks({ onPushupCount, onPostureChange, onFormFeedback, onTimeUpdate, onRepQuality, onRepTempo, onAsymmetry, onExerciseRecognized, onFramingChange, onFatigue, onRepConfidence, onPartnerCount }) {
     this.onPushupCount = onPushupCount;
     this.onPostureChange = onPostureChange;
     this.onFormFeedback = onFormFeedback;
     this.onTimeUpdate = onTimeUpdate;
+    this.onRepQuality = onRepQuality;
+    this.onRepTempo = onRepTempo;
+    this.onAsymmetry = onAsymmetry;
+    this.onExerciseRecognized = onExerciseRecognized;
+    this.onFramingChange = onFramingChange;
+    this.onFatigue = onFatigue;
+    this.onRepConfidence = onRepConfidence;
+    this.onPartnerCount = onPartnerCount;
     console.debug('PoseDetectionUtils: setCallbacks assigned', {
       hasOnPushupCount: !!onPushupCount,
       hasOnPostureChange: !!onPostureChange,
       hasOnFormFeedback: !!onFormFeedback,
-      hasOnTimeUpdate: !!onTimeUpdate
+      hasOnTimeUpdate: !!onTimeUpdate,
+      hasOnRepQuality: !!onRepQuality,
+      hasOnRepTempo: !!onRepTempo,
+      hasOnAsymmetry: !!onAsymmetry,
+      hasOnExerciseRecognized: !!onExerciseRecognized,
+      hasOnFramingChange: !!onFramingChange,
+      hasOnFatigue: !!onFatigue,
+      hasOnRepConfidence: !!onRepConfidence,
+      hasOnPartnerCount: !!onPartnerCount
     });
   }
 
   // Cleanup
   cleanup() {
+    if (this.worker) {
+      // Terminated rather than asked to close: a worker busy with a frame would outlive the session
+      this.worker.onmessage = null;
+      this.worker.terminate();
+      this.worker = null;
+      this._workerBusy = false;
+    }
     if (this.pose) {
       this.pose.close();
       this.pose = null;
@@ -0,0 +1,76 @@
+// Pose inference worker: runs the TFJS BlazePose detector off the main thread
+// The classic MediaPipe Pose solution needs the DOM, so the worker always uses BlazePose (tfjs runtime);
+// the WebGL backend renders to an OffscreenCanvas inside the worker. With config.MULTI_POSE it runs
+// MoveNet MultiPose instead and reports every person found (the main thread picks the athlete).
+//
+// Messages in:  { type: 'init', config }            → { type: 'ready' } | { type: 'error', message }
+//               { type: 'frame', id, bitmap }        → { type: 'result', id, landmarks, worldLandmarks, inferenceMs }
+//                                                      (multi-pose: { type: 'result', id, people, inferenceMs })
+// The bitmap is transferred and closed here; the main thread sends one frame at a time and terminates
+// the worker when the session ends.
+
+import { keypointsToLandmarks, keypointsToWorldLandmarks, createMultiPoseDetector, estimatePeople } from './poseKeypoints';
+
+let detector = null;
+let multiPose = null;
+
+async function initialize(config = {}) {
+  const tf = await import(/* @vite-ignore */ config.TFJS_CORE_URL);
+  if (!tf || !tf.setBackend) {
+    throw new Error('TensorFlow.js core failed to load properly');
+  }
+  await import(/* @vite-ignore */ config.TFJS_CONVERTER_URL);
+  await import(/* @vite-ignore */ config.TFJS_BACKEND_WEBGL_URL);
+  await tf.setBackend('webgl');
+  await tf.ready();
+
+  const poseDetection = await import(/* @vite-ignore */ config.POSE_DETECTION_URL);
+  if (config.MULTI_POSE) {
+    multiPose = config.MULTI_POSE;
+    detector = await createMultiPoseDetector(poseDetection, multiPose);
+    return;
+  }
+  if (!poseDetection?.SupportedModels?.BlazePose) {
+    throw new Error('BlazePose model not found in pose detection library');
+  }
+  detector = await poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+    runtime: 'tfjs',
+    modelType: config.BLAZEPOSE_MODEL_TYPE || 'lite',
+    enableSmoothing: true
+  });
+  if (!detector) {
+    throw new Error('Failed to create BlazePose detector');
+  }
+}
+
+async function estimate(id, bitmap) {
+  const started = performance.now();
+  try {
+    if (multiPose) {
+      const people = await estimatePeople(detector, bitmap, bitmap.width, bitmap.height, multiPose);
+      self.postMessage({ type: 'result', id, people, inferenceMs: performance.now() - started });
+      return;
+    }
+    const poses = await detector.estimatePoses(bitmap, { flipHorizontal: true });
+    const pose = poses && poses[0];
+    const landmarks = keypointsToLandmarks(pose?.keypoints || pose?.keypoints3D, bitmap.width, bitmap.height);
+    const worldLandmarks = keypointsToWorldLandmarks(pose?.keypoints3D);
+    self.postMessage({ type: 'result', id, landmarks, worldLandmarks, inferenceMs: performance.now() - started });
+  } finally {
+    bitmap.close();
+  }
+}
+
+self.onmessage = async (event) => {
+  const { type } = event.data || {};
+  try {
+    if (type === 'init') {
+      await initialize(event.data.config);
+      self.postMessage({ type: 'ready' });
+    } else if (type === 'frame') {
+      await estimate(event.data.id, event.data.bitmap);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: event.data?.id, message: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,115 @@
+// BlazePose (TFJS pose-detection) keypoints → MediaPipe-style landmarks
+// Shared by the main-thread detector and the inference worker
+// Multi-person detection uses MoveNet MultiPose (BlazePose finds one person), whose 17 COCO keypoints
+// are spread over the 33 MediaPipe indices the counters read; see cocoToLandmarks().
+
+/**
+ * Normalize pixel keypoints to [0,1] like MediaPipe Pose, with visibility from the score
+ * @param {Array} keypoints - pose-detection keypoints ({ x, y, z, score })
+ * @param {number} width - Source frame width in px
+ * @param {number} height - Source frame height in px
+ * @returns {Array|null} - Landmarks, or null when no keypoints were found
+ */
+export function keypointsToLandmarks(keypoints, width, height) {
+  if (!keypoints || keypoints.length === 0) return null;
+  const w = width || 1;
+  const h = height || 1;
+  return keypoints.map(kp => ({
+    x: Math.max(0, Math.min(1, (kp.x || 0) / w)),
+    y: Math.max(0, Math.min(1, (kp.y || 0) / h)),
+    z: kp.z ?? 0,
+    visibility: kp.score ?? kp.visibility ?? 0.8
+  }));
+}
+
+/**
+ * World landmarks (meters, origin between the hips) like MediaPipe Pose's poseWorldLandmarks
+ * @param {Array} keypoints3D - pose-detection keypoints3D ({ x, y, z, score })
+ * @returns {Array|null} - World landmarks, or null when the model reported none
+ */
+export function keypointsToWorldLandmarks(keypoints3D) {
+  if (!keypoints3D || keypoints3D.length === 0) return null;
+  return keypoints3D.map(kp => ({
+    x: kp.x || 0,
+    y: kp.y || 0,
+    z: kp.z || 0,
+    visibility: kp.score ?? kp.visibility ?? 0.8
+  }));
+}
+
+// MediaPipe landmark index → COCO keypoint it is taken from (eyes, mouth, hands and feet have no
+// COCO keypoint and reuse the nearest one)
+const COCO_SOURCE = [
+  0, 1, 1, 1, 2, 2, 2, 3, 4, 0, 0, // face
+  5, 6, 7, 8, 9, 10, // shoulders, elbows, wrists
+  9, 10, 9, 10, 9, 10, // pinky, index, thumb
+  11, 12, 13, 14, 15, 16, // hips, knees, ankles
+  15, 16, 15, 16 // heels, foot index
+];
+// Landmarks with a COCO keypoint of their own
+const MEASURED = new Set([0, 2, 5, 7, 8, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28]);
+// Hand landmarks sit this share of the forearm past the wrist
+const HAND_EXTENSION = 0.2;
+// Borrowed keypoints are less certain than measured ones
+const DERIVED_VISIBILITY = 0.9;
+
+/**
+ * Spread MoveNet's 17 COCO keypoints over the 33 MediaPipe landmark indices
+ * @param {Array} keypoints - pose-detection keypoints in COCO order ({ x, y, score })
+ * @param {number} width - Source frame width in px
+ * @param {number} height - Source frame height in px
+ * @returns {Array|null} - 33 landmarks, or null when no keypoints were found
+ */
+export function cocoToLandmarks(keypoints, width, height) {
+  const coco = keypointsToLandmarks(keypoints, width, height);
+  if (!coco || coco.length < 17) return null;
+  return COCO_SOURCE.map((source, index) => {
+    const point = coco[source];
+    if (MEASURED.has(index)) return { ...point };
+    if (index >= 17 && index <= 22) {
+      const elbow = coco[source - 2];
+      return {
+        x: Math.max(0, Math.min(1, point.x + (point.x - elbow.x) * HAND_EXTENSION)),
+        y: Math.max(0, Math.min(1, point.y + (point.y - elbow.y) * HAND_EXTENSION)),
+        z: 0,
+        visibility: Math.min(point.visibility, elbow.visibility) * DERIVED_VISIBILITY
+      };
+    }
+    return { ...point, visibility: point.visibility * DERIVED_VISIBILITY };
+  });
+}
+
+/**
+ * Create the MoveNet MultiPose detector with tracking IDs
+ * @param {Object} poseDetection - Loaded @tensorflow-models/pose-detection module
+ * @param {Object} config - MULTI_POSE_CONFIG
+ * @returns {Promise<Object>} - Detector
+ */
+export async function createMultiPoseDetector(poseDetection, config = {}) {
+  if (!poseDetection?.SupportedModels?.MoveNet) {
+    throw new Error('MoveNet model not found in pose detection library');
+  }
+  return poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+    modelType: poseDetection.movenet?.modelType?.MULTIPOSE_LIGHTNING || 'MultiPose.Lightning',
+    enableSmoothing: true,
+    enableTracking: true,
+    trackerType: poseDetection.TrackerType?.BoundingBox || 'boundingBox',
+    minPoseScore: config.MIN_POSE_SCORE ?? 0.25
+  });
+}
+
+/**
+ * Run the multi-pose detector on a frame
+ * @param {Object} detector - createMultiPoseDetector() result
+ * @param {ImageBitmap|HTMLVideoElement|HTMLCanvasElement} input - Frame
+ * @param {number} width - Frame width in px
+ * @param {number} height - Frame height in px
+ * @param {Object} config - MULTI_POSE_CONFIG
+ * @returns {Promise<Array>} - People: [{ id (tracking ID or null), score, landmarks }]
+ */
+export async function estimatePeople(detector, input, width, height, config = {}) {
+  const poses = await detector.estimatePoses(input, { maxPoses: config.MAX_POSES ?? 6, flipHorizontal: true });
+  return (poses || [])
+    .map((pose) => ({ id: pose.id ?? null, score: pose.score ?? null, landmarks: cocoToLandmarks(pose.keypoints, width, height) }))
+    .filter((person) => person.landmarks);
+}
@@ -0,0 +1,295 @@
+/**
+ * RepConfidenceTracker - How sure the counter was about each rep
+ * Collects the visibility of the exercise's critical landmarks every frame and, once a counted rep
+ * is back at the top state, turns the frames since the previous rep into a record:
+ * {
+ *   rep: 3, timestamp, confidence: 0-100, level: 'high' | 'medium' | 'low',
+ *   visibility: { mean, score },                 // mean critical landmark visibility over the rep
+ *   margin: { value, score, transitions },       // how far the movement went past the machine thresholds
+ *   timing: { intervalMs, ratio, score }         // time since the previous rep against the set's median
+ * }
+ * Margins come from the counter's RepTracker (tracker.margins: peak margin per transition, see
+ * RepTracker.conditionMargin); the rep's margin is the smallest one, so a shallow bottom or a soft
+ * lockout both lower it. Counters without a machine score on visibility and timing only and are
+ * finalized as soon as they count. Missed reps cannot be detected here - the rep log below is where
+ * users add them.
+ *
+ * The rep log keeps manual corrections next to the detections, never editing a detected rep:
+ * {
+ *   entries: [{ id, source: 'detected' | 'manual', rep, timestamp, confidence, ..., removed }],
+ *   corrections: [{ type: 'remove' | 'restore' | 'add', id, timestamp }]
+ * }
+ * repCorrectionExport() turns it into JSON for tuning counter thresholds.
+ */
+
+import { downloadBlob } from './landmarkFixtures';
+
+const DEFAULTS = {
+  FULL_MARGIN: 0.1,          // relative distance past a threshold that scores full marks
+  VISIBILITY_GOOD: 0.85,
+  VISIBILITY_BAD: 0.5,
+  FAST_REP_RATIO: 0.6,       // reps faster than this share of the set's median interval lose confidence
+  DOUBLE_COUNT_RATIO: 0.2,   // ... and score zero at this share
+  LOW_CONFIDENCE: 50,
+  HIGH_CONFIDENCE: 75
+};
+const WEIGHTS = { visibility: 0.35, margin: 0.45, timing: 0.2 };
+const SET_BREAK_MS = 20000;
+const MEDIAN_REPS = 5;
+const EXPORT_VERSION = 1;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const rangeScore = (value, bad, good) => clamp01((value - bad) / (good - bad));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Mean visibility of the critical landmarks in a frame
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Array<number>} criticalIndices - PoseDetectionUtils.getCriticalLandmarks()
+ * @returns {number|null} - 0-1, or null when no landmark reports visibility
+ */
+export function sampleRepConfidence(landmarks, criticalIndices) {
+  const values = (criticalIndices || [])
+    .map((i) => landmarks?.[i]?.visibility)
+    .filter((v) => typeof v === 'number' && Number.isFinite(v));
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+class RepConfidenceTracker {
+  /**
+   * @param {Object} config - CONFIDENCE_CONFIG from MediaPipeConfig (see DEFAULTS)
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+    this.enabled = this.config.ENABLED !== false;
+    this.reset();
+  }
+
+  // Clear all samples and records
+  reset() {
+    this.records = [];
+    this._visibility = [];
+    this._pendingRep = 0;
+    this._lastCount = 0;
+    this._countTimes = [];
+  }
+
+  /**
+   * Add a frame and finalize a pending rep once the movement is back at the top
+   * @param {number|null} visibility - sampleRepConfidence() output
+   * @param {Object} frame - { timestamp, state, count, margins, topState } after the counter ran;
+   *   margins is the counter's tracker.margins (null without a machine)
+   * @returns {Object|null} - Finalized rep record, if any
+   */
+  update(visibility, { timestamp, state, count, margins = null, topState = 'up' }) {
+    if (visibility !== null && visibility !== undefined) this._visibility.push(visibility);
+
+    let record = null;
+    if (count > this._lastCount) {
+      // A new count while one is pending closes the previous rep first
+      if (this._pendingRep) record = this._finalize(timestamp, margins);
+      this._pendingRep = count;
+      this._countTimes.push(timestamp);
+    }
+    this._lastCount = count;
+    if (record) return record;
+
+    if (this._pendingRep && (!margins || state === topState)) {
+      return this._finalize(timestamp, margins);
+    }
+    return null;
+  }
+
+  /**
+   * Finalize a rep that never returned to the top (e.g. the session ended)
+   * @param {number} timestamp - Current time in ms
+   * @param {Object|null} margins - Counter tracker margins
+   * @returns {Object|null} - Finalized rep record, if any
+   */
+  flush(timestamp = Date.now(), margins = null) {
+    return this._pendingRep ? this._finalize(timestamp, margins) : null;
+  }
+
+  /**
+   * @returns {Object} - { reps, confidence (mean 0-100), low (reps below LOW_CONFIDENCE) }
+   */
+  getSummary() {
+    const reps = this.records.length;
+    if (!reps) return { reps: 0, confidence: null, low: 0 };
+    return {
+      reps,
+      confidence: Math.round(this.records.reduce((sum, r) => sum + r.confidence, 0) / reps),
+      low: this.records.filter((r) => r.confidence < this.config.LOW_CONFIDENCE).length
+    };
+  }
+
+  /**
+   * Score the frames since the previous rep
+   * @param {number} timestamp - Finalize time in ms
+   * @param {Object|null} margins - Counter tracker margins
+   * @returns {Object} - Rep record
+   * @private
+   */
+  _finalize(timestamp, margins) {
+    const c = this.config;
+    const rep = this._pendingRep;
+    this._pendingRep = 0;
+
+    const samples = this._visibility;
+    this._visibility = [];
+    const visibilityMean = samples.length ? samples.reduce((sum, v) => sum + v, 0) / samples.length : null;
+    const visibility = visibilityMean === null ? null : {
+      mean: Math.round(visibilityMean * 100) / 100,
+      score: Math.round(rangeScore(visibilityMean, c.VISIBILITY_BAD, c.VISIBILITY_GOOD) * 100)
+    };
+
+    const transitions = margins ? Object.fromEntries(
+      Object.entries(margins).map(([key, value]) => [key, Math.round(value * 1000) / 1000])
+    ) : null;
+    const values = transitions ? Object.values(transitions) : [];
+    const marginValue = values.length ? Math.min(...values) : null;
+    const margin = marginValue === null ? null : {
+      value: marginValue,
+      score: Math.round(clamp01(marginValue / c.FULL_MARGIN) * 100),
+      transitions
+    };
+
+    // Count time against the median interval of the set so far (a long break starts a new set)
+    const times = this._countTimes;
+    const index = times.length - 1;
+    const intervals = [];
+    for (let i = index; i > 0 && intervals.length <= MEDIAN_REPS; i--) {
+      const interval = times[i] - times[i - 1];
+      if (interval > SET_BREAK_MS) break;
+      intervals.push(interval);
+    }
+    const timing = intervals.length >= 2 ? (() => {
+      const ratio = intervals[0] / median(intervals.slice(1));
+      return {
+        intervalMs: Math.round(intervals[0]),
+        ratio: Math.round(ratio * 100) / 100,
+        score: Math.round(rangeScore(ratio, c.DOUBLE_COUNT_RATIO, c.FAST_REP_RATIO) * 100)
+      };
+    })() : null;
+
+    const parts = [['visibility', visibility], ['margin', margin], ['timing', timing]].filter(([, part]) => part);
+    const weight = parts.reduce((sum, [name]) => sum + WEIGHTS[name], 0);
+    const confidence = weight
+      ? Math.round(parts.reduce((sum, [name, part]) => sum + part.score * WEIGHTS[name], 0) / weight)
+      : 100;
+
+    const record = {
+      rep,
+      timestamp,
+      confidence,
+      level: confidence >= c.HIGH_CONFIDENCE ? 'high' : confidence >= c.LOW_CONFIDENCE ? 'medium' : 'low',
+      visibility,
+      margin,
+      timing
+    };
+    this.records.push(record);
+    return record;
+  }
+}
+
+/**
+ * @returns {Object} - Empty rep log ({ entries, corrections })
+ */
+export function createRepLog() {
+  return { entries: [], corrections: [] };
+}
+
+/**
+ * Add a detected rep to the log
+ * @param {Object} log - Rep log
+ * @param {Object} record - RepConfidenceTracker record
+ * @param {Object} extra - Extra fields kept on the entry (e.g. the set it belongs to)
+ * @returns {Object} - New log
+ */
+export function logDetectedRep(log, record, extra = {}) {
+  const entry = { ...record, ...extra, id: `d${log.entries.length + 1}`, source: 'detected', removed: false };
+  return { ...log, entries: [...log.entries, entry] };
+}
+
+/**
+ * Apply a manual correction: remove or restore an entry, or add a missed rep
+ * @param {Object} log - Rep log
+ * @param {Object} correction - { type: 'remove' | 'restore', id } or { type: 'add', ...extra fields }
+ * @param {number} timestamp - Correction time in ms
+ * @returns {Object} - New log (unchanged for unknown entries)
+ */
+export function correctRepLog(log, { type, id, ...extra }, timestamp = Date.now()) {
+  if (type === 'add') {
+    const entry = {
+      rep: null,
+      timestamp,
+      confidence: null,
+      ...extra,
+      id: `m${log.entries.length + 1}`,
+      source: 'manual',
+      removed: false
+    };
+    return {
+      entries: [...log.entries, entry],
+      corrections: [...log.corrections, { type, id: entry.id, timestamp }]
+    };
+  }
+  const removed = type === 'remove';
+  const target = log.entries.find((entry) => entry.id === id);
+  if (!target || target.removed === removed) return log;
+  return {
+    entries: log.entries.map((entry) => (entry.id === id ? { ...entry, removed } : entry)),
+    corrections: [...log.corrections, { type, id, timestamp }]
+  };
+}
+
+/**
+ * Reps in the log after corrections
+ * @param {Object} log - Rep log
+ * @param {Function} filter - Optional entry filter (e.g. one set)
+ * @returns {Object} - { detected, removed, added, total }
+ */
+export function repLogCounts(log, filter = () => true) {
+  const entries = log.entries.filter(filter);
+  const detected = entries.filter((e) => e.source === 'detected').length;
+  const removed = entries.filter((e) => e.source === 'detected' && e.removed).length;
+  const added = entries.filter((e) => e.source === 'manual' && !e.removed).length;
+  return { detected, removed, added, total: detected - removed + added };
+}
+
+/**
+ * Corrections export for tuning counter thresholds
+ * @param {Object} log - Rep log
+ * @param {Object} context - { mode, exercise, thresholds } (thresholds the counter ran with)
+ * @returns {Object} - JSON-ready export
+ */
+export function repCorrectionExport(log, { mode = null, exercise = null, thresholds = null } = {}) {
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    mode,
+    exercise,
+    thresholds,
+    counts: repLogCounts(log),
+    reps: log.entries,
+    corrections: log.corrections
+  };
+}
+
+/**
+ * Download the corrections export as a .json file (browser only)
+ * @param {Object} log - Rep log
+ * @param {Object} context - repCorrectionExport() context
+ */
+export function downloadRepCorrections(log, context = {}) {
+  const data = repCorrectionExport(log, context);
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `rep-corrections-${data.mode || 'workout'}-${data.exportedAt.replace(/[:.]/g, '-')}.json`);
+}
+
+export default RepConfidenceTracker;
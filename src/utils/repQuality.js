@@ -0,0 +1,241 @@
+/**
+ * RepQualityTracker - Per-rep form scoring
+ * Collects one sample per frame (depth angle, back deviation, left/right angles) and, once a
+ * counted rep is back at the top state, turns the samples since the previous rep into a record:
+ * {
+ *   rep: 3, timestamp, score: 0-100,
+ *   depth: { angle, score },                    // minimum joint angle reached
+ *   back: { deviation, score },                 // mean back/torso deviation in degrees
+ *   tempo: { eccentricMs, pauseMs, concentricMs, tutMs, score }, // phases, see repTempo.js
+ *   symmetry: { difference, score }             // mean |left - right| joint angle
+ * }
+ * Exercise definitions opt in with a `quality` block:
+ * {
+ *   joint: 'elbow' | 'knee' | 'hip',   // joint whose angle measures depth
+ *   depthSide: 'avg' | 'min',          // 'min' for single-leg movements (lunges)
+ *   depth: { target: 90, limit: 150 }, // full score at target, zero at limit (degrees)
+ *   back: { metric: 'line' | 'torso', good: 10, bad: 35 },
+ *   tempo: { eccentricMs: 600, concentricMs: 400 }, // minimum phase durations (a plan tempo overrides)
+ *   symmetry: false,                   // skip symmetry for one-sided movements (score is null)
+ *   topState: 'up'                     // state the rep finishes in
+ * }
+ */
+
+import { splitRepPhases } from './repTempo';
+
+const JOINTS = {
+  elbow: [[11, 13, 15], [12, 14, 16]],
+  knee: [[23, 25, 27], [24, 26, 28]],
+  hip: [[11, 23, 25], [12, 24, 26]]
+};
+
+const WEIGHTS = { depth: 0.35, back: 0.3, tempo: 0.15, symmetry: 0.2 };
+const SYMMETRY_RANGE = { good: 5, bad: 25 }; // degrees of left/right difference
+const MAX_WINDOW_SAMPLES = 600; // ~20s at 30fps; older samples are dropped while idle
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Linear score: 1 at `good`, 0 at `bad` (works for either direction)
+const rangeScore = (value, good, bad) => clamp01((bad - value) / (bad - good));
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * Build a quality sample for one frame
+ * @param {PoseDetectionUtils} pose - Detector instance (angle helpers)
+ * @param {Array} landmarks - Validated landmarks for the frame
+ * @param {Object} quality - Definition quality block
+ * @returns {Object|null} - { depth, left, right, back } or null when landmarks are missing
+ */
+export function sampleRepQuality(pose, landmarks, quality) {
+  const joints = JOINTS[quality?.joint];
+  if (!joints) return null;
+
+  const [leftIdx, rightIdx] = joints;
+  const point = (i) => landmarks[i];
+  if (![...leftIdx, ...rightIdx].every((i) => point(i))) return null;
+
+  const left = pose.calculateAngle(point(leftIdx[0]), point(leftIdx[1]), point(leftIdx[2]));
+  const right = pose.calculateAngle(point(rightIdx[0]), point(rightIdx[1]), point(rightIdx[2]));
+  const depth = quality.depthSide === 'min' ? Math.min(left, right) : (left + right) / 2;
+
+  let back = 0;
+  const [ls, rs, lh, rh, la, ra] = [11, 12, 23, 24, 27, 28].map(point);
+  if (ls && rs && lh && rh) {
+    const shoulder = midpoint(ls, rs);
+    const hip = midpoint(lh, rh);
+    if (quality.back?.metric === 'torso') {
+      // Lean of the shoulder-hip line from vertical
+      back = Math.abs(Math.atan2(shoulder.x - hip.x, hip.y - shoulder.y) * 180 / Math.PI);
+    } else if (la && ra) {
+      // Bend of the shoulder-hip-ankle line (straight body = 180°)
+      back = Math.abs(180 - pose.calculateAngle(shoulder, hip, midpoint(la, ra)));
+    }
+  }
+
+  return { depth, left, right, back };
+}
+
+class RepQualityTracker {
+  /**
+   * @param {Object|null} quality - Definition quality block (null disables scoring)
+   */
+  constructor(quality = null) {
+    this.tempo = null;
+    this.reset(quality);
+  }
+
+  /**
+   * Score tempo against a prescription instead of the definition defaults
+   * @param {Object|null} tempo - parseTempo() output, or null for the definition's tempo block
+   */
+  setTempo(tempo) {
+    this.tempo = tempo || null;
+  }
+
+  /**
+   * Clear all samples and records
+   * @param {Object|null} quality - New quality block (keeps the current one when undefined)
+   */
+  reset(quality) {
+    if (quality !== undefined) this.quality = quality;
+    this.records = [];
+    this._samples = [];
+    this._pendingRep = 0;
+    this._lastCount = 0;
+  }
+
+  get enabled() {
+    return !!this.quality;
+  }
+
+  /**
+   * Add a frame sample and finalize a pending rep once the movement is back at the top
+   * @param {Object|null} sample - sampleRepQuality() output
+   * @param {Object} frame - { timestamp, state, count } after the counter ran
+   * @returns {Object|null} - Finalized rep record, if any
+   */
+  update(sample, { timestamp, state, count }) {
+    if (!this.enabled) return null;
+
+    if (sample) {
+      this._samples.push({ t: timestamp, ...sample });
+      if (this._samples.length > MAX_WINDOW_SAMPLES && !this._pendingRep) {
+        this._samples.splice(0, this._samples.length - MAX_WINDOW_SAMPLES);
+      }
+    }
+
+    if (count > this._lastCount) {
+      // A new count while one is pending closes the previous rep first
+      const previous = this._pendingRep ? this._finalize(timestamp) : null;
+      this._pendingRep = count;
+      this._lastCount = count;
+      if (previous) return previous;
+    }
+    this._lastCount = count;
+
+    if (this._pendingRep && state === (this.quality.topState || 'up')) {
+      return this._finalize(timestamp);
+    }
+    return null;
+  }
+
+  /**
+   * Finalize a rep that never returned to the top (e.g. the session ended)
+   * @param {number} timestamp - Current time in ms
+   * @returns {Object|null} - Finalized rep record, if any
+   */
+  flush(timestamp = Date.now()) {
+    return this._pendingRep ? this._finalize(timestamp) : null;
+  }
+
+  /**
+   * Session summary: average of every rep record
+   * @returns {Object} - { reps, score, depth, back, tempo, symmetry } (component scores 0-100, symmetry may be null)
+   */
+  getSummary() {
+    const reps = this.records.length;
+    if (!reps) {
+      return { reps: 0, score: 0, depth: 0, back: 0, tempo: 0, symmetry: null };
+    }
+    const avg = (pick) => {
+      const values = this.records.map(pick).filter((v) => v !== null);
+      return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    };
+    return {
+      reps,
+      score: avg((r) => r.score),
+      depth: avg((r) => r.depth.score),
+      back: avg((r) => r.back.score),
+      tempo: avg((r) => r.tempo.score),
+      symmetry: avg((r) => r.symmetry.score)
+    };
+  }
+
+  /**
+   * Score the samples collected since the previous rep
+   * @param {number} timestamp - Finalize time in ms
+   * @returns {Object|null} - Rep record
+   * @private
+   */
+  _finalize(timestamp) {
+    const samples = this._samples;
+    const rep = this._pendingRep;
+    this._pendingRep = 0;
+    // The last sample (top of this rep) starts the next window
+    this._samples = samples.length ? [samples[samples.length - 1]] : [];
+    if (samples.length < 2) return null;
+
+    const q = this.quality;
+
+    // Depth: lowest joint angle in the window
+    const phases = splitRepPhases(samples);
+    const minAngle = phases.bottomAngle;
+    const depthTarget = q.depth?.target ?? 90;
+    const depthLimit = q.depth?.limit ?? 160;
+    const depthScore = rangeScore(minAngle, depthTarget, depthLimit);
+
+    // Tempo: each prescribed phase scores by how much of its minimum duration it took
+    const tempoTarget = this.tempo || {
+      eccentricMs: q.tempo?.eccentricMs || 600,
+      pauseMs: q.tempo?.pauseMs || 0,
+      concentricMs: q.tempo?.concentricMs || 400
+    };
+    const tempoPhases = ['eccentricMs', 'pauseMs', 'concentricMs'].filter((phase) => tempoTarget[phase] > 0);
+    const tempoScore = tempoPhases.length
+      ? tempoPhases.reduce((sum, phase) => sum + clamp01(phases[phase] / tempoTarget[phase]), 0) / tempoPhases.length
+      : 1;
+
+    // Back alignment and left/right symmetry: means over the window
+    const mean = (pick) => samples.reduce((sum, s) => sum + pick(s), 0) / samples.length;
+    const backDeviation = mean((s) => s.back);
+    const backScore = rangeScore(backDeviation, q.back?.good ?? 10, q.back?.bad ?? 35);
+    const difference = mean((s) => Math.abs(s.left - s.right));
+    const symmetryScore = q.symmetry === false ? null : rangeScore(difference, SYMMETRY_RANGE.good, SYMMETRY_RANGE.bad);
+
+    let score = depthScore * WEIGHTS.depth + backScore * WEIGHTS.back + tempoScore * WEIGHTS.tempo;
+    score = symmetryScore === null
+      ? score / (1 - WEIGHTS.symmetry)
+      : score + symmetryScore * WEIGHTS.symmetry;
+
+    const record = {
+      rep,
+      timestamp,
+      score: Math.round(score * 100),
+      depth: { angle: Math.round(minAngle), score: Math.round(depthScore * 100) },
+      back: { deviation: Math.round(backDeviation), score: Math.round(backScore * 100) },
+      tempo: {
+        eccentricMs: phases.eccentricMs,
+        pauseMs: phases.pauseMs,
+        concentricMs: phases.concentricMs,
+        tutMs: phases.tutMs,
+        score: Math.round(tempoScore * 100)
+      },
+      symmetry: { difference: Math.round(difference), score: symmetryScore === null ? null : Math.round(symmetryScore * 100) }
+    };
+    this.records.push(record);
+    return record;
+  }
+}
+
+export default RepQualityTracker;
@@ -0,0 +1,75 @@
+// Plan rep targets: 15, '15', '12 per leg', '10 each side', '8/side', '30s', '30s each'
+// and plan durations (rest '60s', '2 min', '1:30')
+
+const PER_SIDE_PATTERN = /\b(per|each)\b|\//i;
+const TIME_PATTERN = /^\s*\d+(\.\d+)?\s*(s|sec|secs|seconds|min|mins|minutes)\b/i;
+
+/**
+ * Parse a plan rep prescription
+ * @param {number|string} reps - Plan reps value
+ * @returns {Object|null} - { count, perSide, total, timeBased } (total counts both sides) or null
+ */
+export function parseRepTarget(reps) {
+  if (reps === null || reps === undefined || reps === '') return null;
+  if (typeof reps === 'number') {
+    return Number.isFinite(reps) ? { count: reps, perSide: false, total: reps, timeBased: false } : null;
+  }
+
+  const text = String(reps).trim();
+  const count = parseInt(text, 10);
+  if (!Number.isFinite(count)) return null;
+
+  const perSide = PER_SIDE_PATTERN.test(text.replace(/^\d+/, ''));
+  const timeBased = TIME_PATTERN.test(text);
+  return {
+    count,
+    perSide,
+    total: timeBased ? 0 : count * (perSide ? 2 : 1),
+    timeBased
+  };
+}
+
+/**
+ * Combined rep total for a plan/session reps value (both sides for per-side targets)
+ * @param {number|string} reps - Plan reps value
+ * @returns {number} - Total reps (0 for time targets or unparseable values)
+ */
+export function totalReps(reps) {
+  return parseRepTarget(reps)?.total || 0;
+}
+
+/**
+ * Reps that count toward a target; with a per-side target each side only counts up to its own share
+ * Reps the detector could not put on a side (count - left - right) fill whichever side is short.
+ * @param {number} count - Reps counted (both sides)
+ * @param {Object|null} sideCounts - { left, right } from the detector (null when it does not track sides)
+ * @param {number|null} perSide - Reps required on each side (null for a combined target)
+ * @returns {number} - Reps toward the target (at most 2 × perSide for per-side targets)
+ */
+export function repsTowardTarget(count, sideCounts = null, perSide = null) {
+  const total = Math.max(0, count || 0);
+  if (!perSide || !sideCounts) return total;
+  const left = Math.max(0, sideCounts.left || 0);
+  const right = Math.max(0, sideCounts.right || 0);
+  const unassigned = Math.max(0, total - left - right);
+  return Math.min(2 * perSide, Math.min(left, perSide) + Math.min(right, perSide) + unassigned);
+}
+
+/**
+ * Seconds in a plan duration: rest ('60s', '90 sec', '2 min', '1:30') or a time target ('45s each')
+ * @param {number|string} value - Plan value (plain numbers are seconds)
+ * @returns {number|null} - Seconds, or null when the value is not a duration
+ */
+export function parseSeconds(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+
+  const text = String(value).trim();
+  const clock = text.match(/^(\d+):(\d{1,2})\b/);
+  if (clock) return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+  const amount = parseFloat(text);
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  if (/^[\d.]+\s*(m|min|mins|minutes)\b/i.test(text)) return Math.round(amount * 60);
+  if (/^[\d.]+\s*(s|sec|secs|seconds)?\b/i.test(text)) return Math.round(amount);
+  return null;
+}
@@ -0,0 +1,215 @@
+/**
+ * Rep tempo and time under tension
+ * Splits a rep's joint-angle curve into lowering (eccentric), bottom pause and lifting
+ * (concentric) phases, groups reps into sets and compares them with a prescribed tempo.
+ *
+ * Tempo prescriptions use the usual "eccentric-pause-concentric" notation in seconds:
+ *   '3-1-1'   → 3s lowering, 1s pause at the bottom, 1s lifting
+ *   '4-0-X-0' → a fourth (top pause) digit is accepted and ignored, X = explosive (no minimum)
+ */
+
+const TOP_MARGIN_DEG = 10; // within this many degrees of the top angle counts as "at the top"
+const BOTTOM_MARGIN_DEG = 8; // within this many degrees of the lowest angle counts as the bottom pause
+const TOO_FAST_RATIO = 0.6; // a phase shorter than 60% of the prescription is "too fast"
+const SET_BREAK_MS = 20000; // a rest longer than this between reps starts a new set
+
+const PHASE_LABELS = {
+  eccentricMs: 'lowering',
+  pauseMs: 'pause',
+  concentricMs: 'lifting'
+};
+
+/**
+ * Parse a tempo prescription
+ * @param {string|Object|null} tempo - '3-1-1', '3-1-X-0' or { eccentricMs, pauseMs, concentricMs }
+ * @returns {Object|null} - { label, eccentricMs, pauseMs, concentricMs } or null when empty/invalid
+ */
+export function parseTempo(tempo) {
+  if (!tempo) return null;
+  if (typeof tempo === 'object') {
+    const { eccentricMs = 0, pauseMs = 0, concentricMs = 0 } = tempo;
+    return {
+      label: tempo.label || [eccentricMs, pauseMs, concentricMs].map((ms) => ms / 1000).join('-'),
+      eccentricMs,
+      pauseMs,
+      concentricMs
+    };
+  }
+
+  const parts = String(tempo).trim().toUpperCase().split(/[-/:\s]+/);
+  if (parts.length < 3 || parts.length > 4) return null;
+  const seconds = parts.slice(0, 3).map((part) => (part === 'X' ? 0 : Number(part)));
+  if (seconds.some((value) => !Number.isFinite(value) || value < 0)) return null;
+
+  return {
+    label: parts.join('-'),
+    eccentricMs: seconds[0] * 1000,
+    pauseMs: seconds[1] * 1000,
+    concentricMs: seconds[2] * 1000
+  };
+}
+
+/**
+ * Split one rep window into phases
+ * @param {Array} samples - [{ t, depth }] joint-angle samples from top to top
+ * @returns {Object|null} - { eccentricMs, pauseMs, concentricMs, tutMs, bottomAngle, bottomIndex }
+ */
+export function splitRepPhases(samples) {
+  if (!samples || samples.length < 2) return null;
+
+  let bottom = 0;
+  samples.forEach((s, i) => {
+    if (s.depth < samples[bottom].depth) bottom = i;
+  });
+  const bottomAngle = samples[bottom].depth;
+
+  // Bottom pause: contiguous samples around the lowest point that stay near it
+  let pauseStart = bottom;
+  while (pauseStart > 0 && samples[pauseStart - 1].depth <= bottomAngle + BOTTOM_MARGIN_DEG) pauseStart--;
+  let pauseEnd = bottom;
+  while (pauseEnd < samples.length - 1 && samples[pauseEnd + 1].depth <= bottomAngle + BOTTOM_MARGIN_DEG) pauseEnd++;
+
+  // Lowering starts where the movement last left the top before the pause
+  const topBefore = Math.max(...samples.slice(0, pauseStart + 1).map((s) => s.depth));
+  let eccStart = 0;
+  for (let i = pauseStart; i >= 0; i--) {
+    if (samples[i].depth >= topBefore - TOP_MARGIN_DEG) {
+      eccStart = i;
+      break;
+    }
+  }
+
+  // Lifting ends where the movement first gets back near the top after the pause
+  const after = samples.slice(pauseEnd);
+  const topAfter = Math.max(...after.map((s) => s.depth));
+  const conEnd = after.find((s) => s.depth >= topAfter - TOP_MARGIN_DEG) || after[after.length - 1];
+
+  const eccentricMs = samples[pauseStart].t - samples[eccStart].t;
+  const pauseMs = samples[pauseEnd].t - samples[pauseStart].t;
+  const concentricMs = conEnd.t - samples[pauseEnd].t;
+
+  return {
+    eccentricMs,
+    pauseMs,
+    concentricMs,
+    tutMs: eccentricMs + pauseMs + concentricMs,
+    bottomAngle,
+    bottomIndex: bottom
+  };
+}
+
+/**
+ * Phases that were clearly faster than prescribed
+ * @param {Object} phases - splitRepPhases() output
+ * @param {Object|null} prescribed - parseTempo() output
+ * @returns {Array} - [{ phase, label, actualMs, targetMs }]
+ */
+export function findTempoViolations(phases, prescribed) {
+  if (!phases || !prescribed) return [];
+  return Object.keys(PHASE_LABELS)
+    .filter((phase) => prescribed[phase] > 0 && phases[phase] < prescribed[phase] * TOO_FAST_RATIO)
+    .map((phase) => ({
+      phase,
+      label: PHASE_LABELS[phase],
+      actualMs: phases[phase],
+      targetMs: prescribed[phase]
+    }));
+}
+
+/**
+ * Overlay message for tempo violations
+ * @param {Array} violations - findTempoViolations() output
+ * @returns {string}
+ */
+export function describeTempoViolations(violations) {
+  const parts = violations.map((v) => `${v.label} ${(v.actualMs / 1000).toFixed(1)}s / ${v.targetMs / 1000}s`);
+  return `Too fast - slow down (${parts.join(', ')})`;
+}
+
+// Groups rep phases into sets and keeps time-under-tension totals
+class RepTempoTracker {
+  /**
+   * @param {string|Object|null} tempo - Prescribed tempo (see parseTempo)
+   */
+  constructor(tempo = null) {
+    this.prescribed = parseTempo(tempo);
+    this.reset();
+  }
+
+  /**
+   * Change the prescription; recorded sets are kept
+   * @param {string|Object|null} tempo - Prescribed tempo
+   * @returns {Object|null} - Parsed prescription
+   */
+  setPrescription(tempo) {
+    this.prescribed = parseTempo(tempo);
+    return this.prescribed;
+  }
+
+  reset() {
+    this.sets = [];
+    this._lastRepAt = 0;
+    this._forceNewSet = true;
+  }
+
+  // Start a new set with the next rep (e.g. the user pressed "next set")
+  startSet() {
+    this._forceNewSet = true;
+  }
+
+  /**
+   * Add a finished rep
+   * @param {Object} phases - splitRepPhases() output (or a rep record's tempo block)
+   * @param {number} timestamp - Rep time in ms
+   * @returns {Object|null} - { set, rep, phases, violations }
+   */
+  addRep(phases, timestamp = Date.now()) {
+    if (!phases) return null;
+
+    if (this._forceNewSet || (this._lastRepAt && timestamp - this._lastRepAt > SET_BREAK_MS)) {
+      this.sets.push({ set: this.sets.length + 1, reps: [], tutMs: 0 });
+      this._forceNewSet = false;
+    }
+    this._lastRepAt = timestamp;
+
+    const current = this.sets[this.sets.length - 1];
+    const rep = {
+      eccentricMs: phases.eccentricMs,
+      pauseMs: phases.pauseMs,
+      concentricMs: phases.concentricMs,
+      tutMs: phases.tutMs ?? (phases.eccentricMs + phases.pauseMs + phases.concentricMs)
+    };
+    current.reps.push(rep);
+    current.tutMs += rep.tutMs;
+
+    return {
+      set: current.set,
+      rep: current.reps.length,
+      phases: rep,
+      violations: findTempoViolations(rep, this.prescribed)
+    };
+  }
+
+  /**
+   * Tempo summary for the UI
+   * @returns {Object} - { prescribed, tutMs, sets: [{ set, reps, tutMs, eccentricMs, pauseMs, concentricMs }] }
+   */
+  getSummary() {
+    const avg = (reps, key) => Math.round(reps.reduce((sum, r) => sum + r[key], 0) / reps.length);
+    const sets = this.sets.map((s) => ({
+      set: s.set,
+      reps: s.reps.length,
+      tutMs: s.tutMs,
+      eccentricMs: avg(s.reps, 'eccentricMs'),
+      pauseMs: avg(s.reps, 'pauseMs'),
+      concentricMs: avg(s.reps, 'concentricMs')
+    }));
+    return {
+      prescribed: this.prescribed,
+      tutMs: sets.reduce((sum, s) => sum + s.tutMs, 0),
+      sets
+    };
+  }
+}
+
+export default RepTempoTracker;
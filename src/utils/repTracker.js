@@ -0,0 +1,521 @@
+/**
+ * RepTracker - Reusable state management component for exercise repetition tracking
+ * Encapsulates EMA smoothing, cooldown timers, baseline recalibration, and state transitions
+ *
+ * Optionally interprets a declarative state machine (see step()). Machine format:
+ * {
+ *   id: 'pushups',
+ *   initial: 'up',
+ *   thresholds: {                       // named values, literal or read from MediaPipeConfig
+ *     elbowDown: { config: 'PUSHUP_CONFIG.ELBOW_ANGLE_DOWN', default: 95 },
+ *     minRepMs: 400
+ *   },
+ *   conditions: {                       // reusable named conditions ({ ref: 'name' })
+ *     bottom: { metric: 'elbowAngle', lte: 'elbowDown' }
+ *   },
+ *   guard: { metric: 'postureCorrect' }, // optional: no transition unless true
+ *   states: {
+ *     up: { on: [{ to: 'down', when: { ref: 'bottom' }, count: true, minIntervalMs: 'minRepMs' }] },
+ *     down: { on: [{ to: 'up', when: { not: { ref: 'bottom' } }, frames: 2 }] }
+ *   }
+ * }
+ * Conditions: { all: [...] }, { any: [...] }, { not: cond }, { ref: 'name' } or a metric leaf
+ * { metric: 'name', lt|lte|gt|gte|eq|neq: value } (a bare { metric } tests truthiness).
+ * Values are numbers/booleans or threshold names.
+ * Transitions: `frames` is the hysteresis (consecutive frames the condition must hold),
+ * `count: true` counts the rep atomically with the transition (minIntervalMs / a vetoed count
+ * block the transition), `count: { when, minIntervalMs }` takes the transition and only counts
+ * when the extra condition and interval pass.
+ *
+ * step() also records how far each visit went past the condition that entered it: margins is
+ * { 'up->down': 0.12, ... }, the peak conditionMargin() of the transition's `when` over the last
+ * completed visit (e.g. how deep the bottom went, how straight the lockout was).
+ */
+class RepTracker {
+  /**
+   * Create a new RepTracker instance
+   * @param {Object} config - Configuration object
+   * @param {number} config.minRepMs - Minimum time between reps (milliseconds)
+   * @param {number} config.emaAlpha - EMA smoothing factor (0-1)
+   * @param {number} config.cooldownMs - Cooldown after rep counted (milliseconds)
+   * @param {Object} config.stateTransitions - Valid state transition map
+   * @param {Object} config.machine - Declarative state machine interpreted by step()
+   * @param {Object} config.thresholds - Threshold overrides for the machine (name -> value)
+   * @param {boolean} config.debugMode - Enable detailed logging
+   */
+  constructor(config = {}) {
+    this.minRepMs = config.minRepMs || 400;
+    this.emaAlpha = config.emaAlpha || 0.3;
+    this.cooldownMs = config.cooldownMs || 200;
+    this.machine = config.machine ? RepTracker.validateMachine(config.machine) : null;
+    this.thresholdOverrides = config.thresholds || {};
+    this.stateTransitions = config.stateTransitions || (this.machine ? RepTracker.transitionsFromMachine(this.machine) : null) || {
+      'up': ['down'],
+      'down': ['up']
+    };
+    this.debugMode = config.debugMode || false;
+
+    // Internal state
+    this.currentState = this._initialState();
+    this._transitionFrames = {};
+    this.lastTransitionTime = 0;
+    this.lastRepTime = 0;
+    this.smoothedValues = {};
+    this.inCooldown = false;
+    this.margins = {};
+    this._entered = null;
+
+    if (this.debugMode) {
+      console.log('RepTracker initialized with config:', config);
+    }
+  }
+
+  /**
+   * Update tracker with new frame metrics
+   * @param {Object} metrics - Frame-specific measurements
+   * @param {string} metrics.currentState - Detected state ('up', 'down', etc.)
+   * @param {number} metrics.timestamp - Frame timestamp in ms
+   * @param {Object} metrics.angles - Computed joint angles
+   * @returns {Object} - { stateChanged, shouldCount, feedback }
+   */
+  updateState(metrics) {
+    const { currentState, timestamp, angles = {} } = metrics;
+    const now = timestamp || Date.now();
+
+    // Validate state transition
+    const validTransitions = this.stateTransitions[this.currentState] || [];
+    const isValidTransition = validTransitions.includes(currentState);
+
+    if (!isValidTransition && currentState !== this.currentState) {
+      if (this.debugMode) {
+        console.log(`Invalid transition from ${this.currentState} to ${currentState}`);
+      }
+      return {
+        stateChanged: false,
+        shouldCount: false,
+        feedback: null
+      };
+    }
+
+    // Check if state actually changed
+    const stateChanged = currentState !== this.currentState;
+
+    if (stateChanged) {
+      this.lastTransitionTime = now;
+      this.currentState = currentState;
+
+      if (this.debugMode) {
+        console.log(`State transition: ${this.currentState} at ${now}`);
+      }
+    }
+
+    // Apply EMA smoothing to angles
+    for (const [key, value] of Object.entries(angles)) {
+      if (this.smoothedValues[key] !== undefined) {
+        this.smoothedValues[key] = this._smooth(value, this.smoothedValues[key]);
+      } else {
+        this.smoothedValues[key] = value;
+      }
+    }
+
+    return {
+      stateChanged,
+      shouldCount: this.shouldCountRep(now),
+      feedback: null
+    };
+  }
+
+  /**
+   * Check if conditions are met to count a rep
+   * @param {number} timestamp - Current timestamp (optional)
+   * @returns {boolean}
+   */
+  shouldCountRep(timestamp = null) {
+    const now = timestamp || Date.now();
+
+    // Check minimum rep timing
+    const timeSinceLastRep = now - this.lastRepTime;
+    if (timeSinceLastRep < this.minRepMs) {
+      if (this.debugMode) {
+        console.log(`Rep too fast: ${timeSinceLastRep}ms < ${this.minRepMs}ms`);
+      }
+      return false;
+    }
+
+    // Check cooldown
+    const timeSinceTransition = now - this.lastTransitionTime;
+    if (timeSinceTransition < this.cooldownMs) {
+      if (this.debugMode) {
+        console.log(`In cooldown: ${timeSinceTransition}ms < ${this.cooldownMs}ms`);
+      }
+      return false;
+    }
+
+    // Update last rep time if counting
+    this.lastRepTime = now;
+    this.inCooldown = true;
+
+    if (this.debugMode) {
+      console.log(`Rep counted at ${now}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Reset tracker state (e.g., on exercise mode change)
+   */
+  reset() {
+    this.currentState = this._initialState();
+    this._transitionFrames = {};
+    this.lastTransitionTime = 0;
+    this.lastRepTime = 0;
+    this.smoothedValues = {};
+    this.inCooldown = false;
+    this.margins = {};
+    this._entered = null;
+
+    if (this.debugMode) {
+      console.log('RepTracker reset');
+    }
+  }
+
+  /**
+   * Get current state for debugging
+   * @returns {Object} - Internal state snapshot
+   */
+  getDebugInfo() {
+    return {
+      currentState: this.currentState,
+      lastTransitionTime: this.lastTransitionTime,
+      lastRepTime: this.lastRepTime,
+      smoothedValues: { ...this.smoothedValues },
+      inCooldown: this.inCooldown,
+      margins: { ...this.margins },
+      machine: this.machine ? this.machine.id : null,
+      config: {
+        minRepMs: this.minRepMs,
+        emaAlpha: this.emaAlpha,
+        cooldownMs: this.cooldownMs,
+        stateTransitions: this.stateTransitions
+      }
+    };
+  }
+
+  /**
+   * Advance the declarative state machine by one frame
+   * @param {Object} metrics - Named per-frame measurements referenced by the machine
+   * @param {Object} options - Step options
+   * @param {number} options.timestamp - Frame timestamp in ms
+   * @param {Object} options.thresholds - Pre-resolved thresholds (defaults to resolveThresholds())
+   * @param {Function} options.beforeCount - Called before a rep is counted; return false to veto
+   * @param {Object} options.sampling - { frameScale, intervalSlackMs } when frames are not sampled at ~30fps
+   * @returns {Object} - { from, to, stateChanged, counted, vetoed, transition }
+   */
+  step(metrics = {}, options = {}) {
+    if (!this.machine) {
+      throw new Error('RepTracker.step requires a machine definition');
+    }
+
+    const now = options.timestamp || Date.now();
+    const thresholds = options.thresholds || this.resolveThresholds();
+    const result = {
+      from: this.currentState,
+      to: this.currentState,
+      stateChanged: false,
+      counted: false,
+      vetoed: false,
+      transition: null
+    };
+
+    // Guard blocks every transition (e.g. incorrect posture) and clears hysteresis
+    if (this.machine.guard && !this._evaluateCondition(this.machine.guard, metrics, thresholds)) {
+      this._transitionFrames = {};
+      return result;
+    }
+
+    // Peak margin of the condition that entered the current state
+    if (this._entered) {
+      const margin = this.conditionMargin(this._entered.when, metrics, thresholds);
+      if (margin !== null && margin > this._entered.peak) this._entered.peak = margin;
+    }
+
+    // Frame counts and rep intervals are tuned at ~30fps; the detector reports the actual sampling rate
+    const { frameScale = 1, intervalSlackMs = 0 } = options.sampling || {};
+    const intervalOk = (ms) => ms == null ||
+      (now - this.lastRepTime) > Math.max(0, this._resolveValue(ms, thresholds) - intervalSlackMs);
+    const transitions = this.machine.states[this.currentState]?.on || [];
+
+    for (let i = 0; i < transitions.length; i++) {
+      const transition = transitions[i];
+      const key = `${this.currentState}:${i}`;
+
+      if (!this._evaluateCondition(transition.when, metrics, thresholds)) {
+        this._transitionFrames[key] = 0;
+        continue;
+      }
+
+      // Hysteresis: condition must hold for N consecutive frames
+      this._transitionFrames[key] = (this._transitionFrames[key] || 0) + 1;
+      const framesNeeded = Math.max(1, Math.round(this._resolveValue(transition.frames ?? 1, thresholds) * frameScale));
+      if (this._transitionFrames[key] < framesNeeded) {
+        continue;
+      }
+
+      const atomicCount = transition.count === true;
+      if (!intervalOk(transition.minIntervalMs)) {
+        continue;
+      }
+      if (atomicCount && options.beforeCount && options.beforeCount(transition) === false) {
+        result.vetoed = true;
+        return result;
+      }
+
+      // Take the transition
+      this._transitionFrames = {};
+      if (this._entered && Number.isFinite(this._entered.peak)) {
+        this.margins[this._entered.key] = this._entered.peak;
+      }
+      this._entered = {
+        key: `${result.from}->${transition.to}`,
+        when: transition.when,
+        peak: this.conditionMargin(transition.when, metrics, thresholds) ?? -Infinity
+      };
+      this.currentState = transition.to;
+      this.lastTransitionTime = now;
+      result.to = transition.to;
+      result.stateChanged = transition.to !== result.from;
+      result.transition = transition;
+
+      let shouldCount = atomicCount;
+      if (transition.count && !atomicCount) {
+        shouldCount = (!transition.count.when || this._evaluateCondition(transition.count.when, metrics, thresholds)) &&
+          intervalOk(transition.count.minIntervalMs);
+        if (shouldCount && options.beforeCount && options.beforeCount(transition) === false) {
+          shouldCount = false;
+          result.vetoed = true;
+        }
+      }
+
+      if (shouldCount) {
+        this.lastRepTime = now;
+        result.counted = true;
+      }
+
+      if (this.debugMode) {
+        console.log(`Machine ${this.machine.id}: ${result.from} -> ${result.to}${result.counted ? ' (rep)' : ''}`);
+      }
+      return result;
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve machine thresholds (overrides > MediaPipeConfig > defaults)
+   * @returns {Object} - Threshold name -> number
+   */
+  resolveThresholds() {
+    const resolved = {};
+    const specs = this.machine?.thresholds || {};
+    for (const [name, spec] of Object.entries(specs)) {
+      const override = this.thresholdOverrides[name];
+      resolved[name] = (typeof override === 'number' && Number.isFinite(override))
+        ? override
+        : RepTracker.resolveThresholdSpec(spec);
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve one threshold spec: a literal or { config: 'SECTION.KEY', default }
+   * @param {number|Object} spec - Threshold spec
+   * @returns {number}
+   */
+  static resolveThresholdSpec(spec) {
+    if (spec && typeof spec === 'object') {
+      const fromConfig = String(spec.config || '').split('.').filter(Boolean)
+        .reduce((obj, key) => (obj == null ? undefined : obj[key]), window.MediaPipeConfig);
+      return (typeof fromConfig === 'number' && Number.isFinite(fromConfig)) ? fromConfig : spec.default;
+    }
+    return spec;
+  }
+
+  /**
+   * Validate a machine definition, throwing on unknown states, thresholds or condition refs
+   * @param {Object} machine - Machine definition
+   * @returns {Object} - The same machine
+   */
+  static validateMachine(machine) {
+    const fail = (reason) => {
+      throw new Error(`Invalid exercise machine "${machine?.id || 'unknown'}": ${reason}`);
+    };
+    if (!machine || typeof machine !== 'object') fail('machine must be an object');
+    const states = machine.states || {};
+    if (!Object.keys(states).length) fail('no states defined');
+    if (!states[machine.initial]) fail(`initial state "${machine.initial}" is not defined`);
+
+    const thresholds = machine.thresholds || {};
+    const conditions = machine.conditions || {};
+    const checkValue = (value, where) => {
+      if (typeof value === 'string' && !(value in thresholds)) fail(`unknown threshold "${value}" in ${where}`);
+    };
+    const checkCondition = (cond, where) => {
+      if (!cond || typeof cond !== 'object') fail(`missing condition in ${where}`);
+      if (cond.all || cond.any) {
+        (cond.all || cond.any).forEach((c) => checkCondition(c, where));
+      } else if (cond.not) {
+        checkCondition(cond.not, where);
+      } else if (cond.ref) {
+        if (!conditions[cond.ref]) fail(`unknown condition ref "${cond.ref}" in ${where}`);
+      } else if (cond.metric) {
+        ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'].forEach((op) => checkValue(cond[op], where));
+      } else {
+        fail(`condition in ${where} needs all/any/not/ref/metric`);
+      }
+    };
+
+    Object.entries(conditions).forEach(([name, cond]) => checkCondition(cond, `conditions.${name}`));
+    if (machine.guard) checkCondition(machine.guard, 'guard');
+    Object.entries(states).forEach(([stateName, state]) => {
+      (state.on || []).forEach((transition, i) => {
+        const where = `states.${stateName}.on[${i}]`;
+        if (!states[transition.to]) fail(`unknown target state "${transition.to}" in ${where}`);
+        checkCondition(transition.when, where);
+        checkValue(transition.frames, where);
+        checkValue(transition.minIntervalMs, where);
+        if (transition.count && typeof transition.count === 'object') {
+          if (transition.count.when) checkCondition(transition.count.when, `${where}.count`);
+          checkValue(transition.count.minIntervalMs, `${where}.count`);
+        }
+      });
+    });
+    return machine;
+  }
+
+  /**
+   * Derive a stateTransitions map from a machine (used by updateState validation)
+   * @param {Object} machine - Machine definition
+   * @returns {Object} - { state: [targets] }
+   */
+  static transitionsFromMachine(machine) {
+    const map = {};
+    Object.entries(machine.states).forEach(([name, state]) => {
+      map[name] = Array.from(new Set((state.on || []).map((t) => t.to)));
+    });
+    return map;
+  }
+
+  /**
+   * Evaluate a machine condition against frame metrics
+   * @param {Object} cond - Condition node
+   * @param {Object} metrics - Frame metrics
+   * @param {Object} thresholds - Resolved thresholds
+   * @returns {boolean}
+   * @private
+   */
+  _evaluateCondition(cond, metrics, thresholds) {
+    if (cond.all) return cond.all.every((c) => this._evaluateCondition(c, metrics, thresholds));
+    if (cond.any) return cond.any.some((c) => this._evaluateCondition(c, metrics, thresholds));
+    if (cond.not) return !this._evaluateCondition(cond.not, metrics, thresholds);
+    if (cond.ref) return this._evaluateCondition(this.machine.conditions[cond.ref], metrics, thresholds);
+
+    const value = metrics[cond.metric];
+    const ops = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'].filter((op) => op in cond);
+    if (!ops.length) return !!value;
+    if (value == null || (typeof value === 'number' && Number.isNaN(value))) return false;
+
+    return ops.every((op) => {
+      const target = this._resolveValue(cond[op], thresholds);
+      switch (op) {
+        case 'lt': return value < target;
+        case 'lte': return value <= target;
+        case 'gt': return value > target;
+        case 'gte': return value >= target;
+        case 'eq': return value === target;
+        default: return value !== target;
+      }
+    });
+  }
+
+  /**
+   * How far a condition is past its thresholds, relative to each threshold
+   * Positive when it holds (0.1 = 10% past the threshold), negative when it fails. Boolean and
+   * eq/neq leaves have no distance: null when they hold, -Infinity when they fail.
+   * @param {Object} cond - Condition node
+   * @param {Object} metrics - Frame metrics
+   * @param {Object} thresholds - Resolved thresholds
+   * @returns {number|null} - Margin, or null when the condition holds without a measurable distance
+   */
+  conditionMargin(cond, metrics, thresholds) {
+    const combine = (nodes, pick) => {
+      const margins = nodes.map((c) => this.conditionMargin(c, metrics, thresholds)).filter((m) => m !== null);
+      return margins.length ? pick(...margins) : null;
+    };
+    if (cond.all) return combine(cond.all, Math.min);
+    if (cond.any) {
+      // A branch that holds without a distance satisfies the `any` outright
+      const margins = cond.any.map((c) => this.conditionMargin(c, metrics, thresholds));
+      const measured = margins.filter((m) => m !== null);
+      if (margins.some((m) => m === null) && !measured.some((m) => m > 0)) return null;
+      return measured.length ? Math.max(...measured) : null;
+    }
+    if (cond.not) {
+      const inner = this.conditionMargin(cond.not, metrics, thresholds);
+      if (inner === null) return this._evaluateCondition(cond.not, metrics, thresholds) ? -Infinity : null;
+      return inner === -Infinity ? null : -inner;
+    }
+    if (cond.ref) return this.conditionMargin(this.machine.conditions[cond.ref], metrics, thresholds);
+
+    const value = metrics[cond.metric];
+    const ops = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'].filter((op) => op in cond);
+    const numeric = ops.filter((op) => op !== 'eq' && op !== 'neq');
+    if (!numeric.length || typeof value !== 'number' || Number.isNaN(value)) {
+      return this._evaluateCondition(cond, metrics, thresholds) ? null : -Infinity;
+    }
+    if (ops.length > numeric.length && !this._evaluateCondition(cond, metrics, thresholds)) return -Infinity;
+
+    const margins = numeric.map((op) => {
+      const target = this._resolveValue(cond[op], thresholds);
+      if (typeof target !== 'number' || target === 0) {
+        return this._evaluateCondition({ metric: cond.metric, [op]: cond[op] }, metrics, thresholds) ? null : -Infinity;
+      }
+      const distance = (op === 'lt' || op === 'lte') ? target - value : value - target;
+      return distance / Math.abs(target);
+    }).filter((m) => m !== null);
+    return margins.length ? Math.min(...margins) : null;
+  }
+
+  /**
+   * Resolve a literal or threshold name
+   * @param {number|boolean|string} value - Literal or threshold name
+   * @param {Object} thresholds - Resolved thresholds
+   * @returns {number|boolean}
+   * @private
+   */
+  _resolveValue(value, thresholds) {
+    return typeof value === 'string' ? thresholds[value] : value;
+  }
+
+  /**
+   * @returns {string} - Initial state for reset/construct
+   * @private
+   */
+  _initialState() {
+    return this.machine ? this.machine.initial : 'up';
+  }
+
+  /**
+   * Apply EMA smoothing to a value
+   * @param {number} newValue - New measurement
+   * @param {number} oldValue - Previous smoothed value
+   * @returns {number} - Smoothed value
+   * @private
+   */
+  _smooth(newValue, oldValue) {
+    // EMA formula: alpha * new + (1 - alpha) * old
+    return this.emaAlpha * newValue + (1 - this.emaAlpha) * oldValue;
+  }
+}
+
+export default RepTracker;
@@ -0,0 +1,132 @@
+/**
+ * Personal range of motion (ROM)
+ * Learns each user's typical full range per exercise from the bottom joint angle of their
+ * recorded reps (RepQualityTracker depth.angle) and turns it into the depth a rep must reach:
+ *
+ *   baseline = median bottom angle of the last MAX_HISTORY reps (once ROM_MIN_REPS are recorded)
+ *   target   = baseline + mode margin, capped below the definition's depth limit
+ *
+ * Until a baseline is learned, modes shift the counter's configured threshold instead
+ * (standard keeps it unchanged).
+ *
+ * Modes: strict (the user's full range), standard, assisted (partial range, e.g. beginners).
+ * The profile is a user preference (see userPreferences.js, key 'romProfile'):
+ * { mode: 'standard', exercises: { pushups: { depths: [88, 92, ...], baseline: 90, updatedAt } } }
+ */
+
+import { loadPreference, savePreference } from './userPreferences';
+
+export const ROM_MODES = {
+  strict: { label: 'Strict', margin: 5, description: 'Your full range on every rep' },
+  standard: { label: 'Standard', margin: 15, description: 'Close to your full range' },
+  assisted: { label: 'Assisted', margin: 30, description: 'Partial range while you build up' }
+};
+
+export const ROM_MIN_REPS = 8; // reps recorded before the baseline is personal
+const MAX_HISTORY = 30;    // bottom angles kept per exercise
+const LIMIT_GAP_DEG = 15;  // a target stays at least this far below the definition's depth limit
+
+/**
+ * Default mode for an onboarding fitness level
+ * @param {string} fitnessLevel - 'beginner' | 'intermediate' | 'advanced'
+ * @returns {string} - ROM mode key
+ */
+export function defaultRomMode(fitnessLevel) {
+  if (fitnessLevel === 'beginner') return 'assisted';
+  if (fitnessLevel === 'advanced') return 'strict';
+  return 'standard';
+}
+
+/**
+ * Typical full range from recorded bottom angles
+ * @param {Array<number>} depths - Bottom joint angles, oldest first
+ * @returns {number|null} - Median angle, or null with fewer than ROM_MIN_REPS reps
+ */
+export function learnRomBaseline(depths) {
+  const valid = (depths || []).filter((d) => Number.isFinite(d)).sort((a, b) => a - b);
+  if (valid.length < ROM_MIN_REPS) return null;
+  const mid = Math.floor(valid.length / 2);
+  return valid.length % 2 ? valid[mid] : (valid[mid - 1] + valid[mid]) / 2;
+}
+
+/**
+ * Depth angle a rep must reach
+ * @param {Object} definition - Exercise definition with quality.depth and rom blocks
+ * @param {Object|null} profile - ROM profile ({ mode, exercises })
+ * @param {number} configuredAngle - The counter's configured depth threshold
+ * @param {string} mode - ROM mode (defaults to the profile's)
+ * @returns {Object|null} - { angle, baseline, personal, mode }, or null when the configured threshold applies
+ */
+export function romTarget(definition, profile, configuredAngle, mode = profile?.mode) {
+  const depth = definition?.quality?.depth;
+  if (!depth || !ROM_MODES[mode] || !Number.isFinite(configuredAngle)) return null;
+  const learned = profile?.exercises?.[definition.mode]?.baseline ?? null;
+  if (learned === null && mode === 'standard') return null;
+
+  const margin = ROM_MODES[mode].margin;
+  const angle = learned !== null
+    ? learned + margin
+    : configuredAngle + margin - ROM_MODES.standard.margin;
+  const cap = (depth.limit ?? 160) - LIMIT_GAP_DEG;
+  return {
+    angle: Math.round(Math.min(cap, angle)),
+    baseline: learned !== null ? Math.round(learned) : null,
+    personal: learned !== null,
+    mode
+  };
+}
+
+/**
+ * Add a session's bottom angles to the profile and relearn the baseline
+ * @param {Object|null} profile - ROM profile
+ * @param {string} exerciseMode - Normalized exercise mode
+ * @param {Array<number>} depths - Bottom angles of the session's reps
+ * @returns {Object} - Updated profile (new object)
+ */
+export function recordRomDepths(profile, exerciseMode, depths) {
+  const base = profile || { mode: 'standard', exercises: {} };
+  const previous = base.exercises?.[exerciseMode]?.depths || [];
+  const history = [...previous, ...depths.filter((d) => Number.isFinite(d))].slice(-MAX_HISTORY);
+  return {
+    ...base,
+    exercises: {
+      ...(base.exercises || {}),
+      [exerciseMode]: {
+        depths: history,
+        baseline: learnRomBaseline(history),
+        updatedAt: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Starting profile for the signed-in user (mode from the onboarding fitness level)
+ * @returns {Object} - { mode, exercises }
+ */
+export function defaultRomProfile() {
+  try {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    return { mode: defaultRomMode(user.fitnessLevel), exercises: {} };
+  } catch (error) {
+    console.error('Error reading user fitness level:', error);
+    return { mode: 'standard', exercises: {} };
+  }
+}
+
+/**
+ * ROM profile of the signed-in user (a new profile uses the onboarding fitness level)
+ * @returns {Promise<Object>} - { mode, exercises }
+ */
+export async function loadRomProfile() {
+  return (await loadPreference('romProfile')) || defaultRomProfile();
+}
+
+/**
+ * Save the ROM profile for the signed-in user
+ * @param {Object} romProfile - Profile to save
+ * @returns {Promise<Object|null>} - Saved record, or null when nothing was saved
+ */
+export function saveRomProfile(romProfile) {
+  return savePreference('romProfile', romProfile);
+}
@@ -0,0 +1,104 @@
+// Opt-in landmark session recorder for the workout screen (CameraFeed / VideoUpload)
+// Sessions are landmark fixtures (see landmarkFixtures.js) with extra per-frame context, so an
+// exported file can be replayed by scripts/replay-landmarks.mjs as-is:
+// {
+//   ...fixture,
+//   source: 'camera' | 'video',
+//   frames: [{ t, landmarks, world?, mode, posture, count, videoMs? }],
+//   reps: [{ t, count, videoMs? }],   // frames where the counter went up
+//   summary: { frames, durationMs, count, timeSec, posture }
+// }
+
+import LandmarkFixtureRecorder, { downloadBlob } from './landmarkFixtures';
+
+class SessionRecorder extends LandmarkFixtureRecorder {
+  constructor(exerciseMode = 'pushups', source = 'camera') {
+    super(exerciseMode);
+    this.source = source;
+    this.reps = [];
+    this._lastCount = 0;
+  }
+
+  start(baselineStats = null) {
+    super.start(baselineStats);
+    this.reps = [];
+    this._lastCount = baselineStats?.count || 0;
+  }
+
+  /**
+   * Record a pose result together with the detector state for that frame
+   * @param {Object} results - Pose results ({ poseLandmarks })
+   * @param {Object} meta - { mode, posture, count, videoMs, timestamp }
+   * @returns {Object|null} - The recorded frame, or null when skipped
+   */
+  addFrame(results, meta = {}) {
+    const frame = super.addFrame(results, meta.timestamp);
+    if (!frame) return null;
+
+    frame.mode = meta.mode || this.exerciseMode;
+    frame.posture = meta.posture || 'unknown';
+    frame.count = meta.count || 0;
+    if (meta.videoMs != null) frame.videoMs = Math.round(meta.videoMs);
+
+    if (frame.count > this._lastCount) {
+      const rep = { t: frame.t, count: frame.count };
+      if (frame.videoMs != null) rep.videoMs = frame.videoMs;
+      this.reps.push(rep);
+    }
+    this._lastCount = frame.count;
+    return frame;
+  }
+
+  /**
+   * Build the session object
+   * @param {Object} stats - PoseDetectionUtils.getStats() at the end of the recording
+   * @returns {Object} - Session JSON (a superset of the fixture format)
+   */
+  toSession(stats = null) {
+    const fixture = this.toFixture(stats, `${this.source} session`);
+    const lastFrame = this.frames[this.frames.length - 1];
+    return {
+      ...fixture,
+      source: this.source,
+      reps: this.reps,
+      summary: {
+        frames: this.frames.length,
+        durationMs: lastFrame ? lastFrame.t : 0,
+        count: fixture.expect.count || 0,
+        timeSec: fixture.expect.timeSec || 0,
+        posture: stats?.posture || lastFrame?.posture || 'unknown'
+      }
+    };
+  }
+
+  /**
+   * Export the session as a gzip-compressed JSON file (plain JSON when CompressionStream is missing)
+   * @param {Object} stats - PoseDetectionUtils.getStats() at the end of the recording
+   * @returns {Promise<string>} - Downloaded file name
+   */
+  async export(stats = null) {
+    const session = this.toSession(stats);
+    const json = JSON.stringify(session);
+    const baseName = `session-${this.source}-${this.exerciseMode}-${session.recordedAt.replace(/[:.]/g, '-')}`;
+
+    if (typeof CompressionStream !== 'undefined') {
+      try {
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const blob = await new Response(stream).blob();
+        const filename = `${baseName}.json.gz`;
+        downloadBlob(new Blob([blob], { type: 'application/gzip' }), filename);
+        console.log(`💾 Session exported: ${filename} (${this.frames.length} frames, ${blob.size} bytes)`);
+        return filename;
+      } catch (error) {
+        console.warn('Session compression failed, exporting plain JSON:', error);
+      }
+    }
+
+    const filename = `${baseName}.json`;
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    console.log(`💾 Session exported: ${filename} (${this.frames.length} frames)`);
+    return filename;
+  }
+}
+
+export default SessionRecorder;
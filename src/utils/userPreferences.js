@@ -0,0 +1,52 @@
+// User preferences: per-user settings saved in IndexedDB under the signed-in user's id
+// (the ICP principal), one record per key - like calibration profiles, and unlike the
+// localStorage 'user' object, which AuthContext rewrites on every login.
+// Keys in use: 'romProfile' (romProfile.js), 'voiceCoach' (voiceCoach.js).
+
+import { getUserPreference, saveUserPreference } from './db';
+
+/**
+ * Signed-in user id (the workout screen keeps the session user in localStorage)
+ * @returns {string|null} - Principal id, or null when nobody is signed in
+ */
+export function currentUserId() {
+  try {
+    return JSON.parse(localStorage.getItem('user') || 'null')?.id ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load a preference of the signed-in user
+ * @param {string} key - Preference key
+ * @returns {Promise<*>} - Saved value, or undefined when there is none (or nobody is signed in)
+ */
+export async function loadPreference(key) {
+  try {
+    const userId = currentUserId();
+    if (!userId) return undefined;
+    const record = await getUserPreference(userId, key);
+    return record?.value;
+  } catch (error) {
+    console.error(`Error loading preference ${key}:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Save a preference for the signed-in user (nothing is saved while signed out)
+ * @param {string} key - Preference key
+ * @param {*} value - Value to save (structured-cloneable)
+ * @returns {Promise<Object|null>} - Saved record, or null when nothing was saved
+ */
+export async function savePreference(key, value) {
+  try {
+    const userId = currentUserId();
+    if (!userId) return null;
+    return await saveUserPreference(userId, key, value);
+  } catch (error) {
+    console.error(`Error saving preference ${key}:`, error);
+    return null;
+  }
+}
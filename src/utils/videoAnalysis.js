@@ -0,0 +1,255 @@
+/**
+ * VideoAnalyzer - Whole-file analysis of an uploaded exercise video
+ * Instead of playing the clip, an offscreen copy is seeked frame by frame at SAMPLE_FPS and every
+ * frame goes through a dedicated PoseDetectionUtils, so a clip is analyzed as fast as inference allows.
+ *
+ * The detector's clock is the video time: Date.now is swapped while onResults runs (the same trick
+ * scripts/replay-landmarks.mjs uses), so rep tempo, hold timers and feedback cooldowns behave as if
+ * the clip played live. onResults is synchronous, so nothing else observes the swapped clock.
+ *
+ * The report:
+ *   reps      every counted rep with its video time and RepQualityTracker record
+ *   warnings  segments where posture was 'incorrect', with the feedback given during them
+ *   feedback  every warning/error feedback message with its video time
+ *   holdSec   seconds held with correct posture (time-based exercises)
+ */
+
+import { getExerciseDefinition } from './exercises';
+
+const DEFAULT_SAMPLE_FPS = 15;
+const DEFAULT_SEEK_TIMEOUT_MS = 5000;
+const DEFAULT_FRAME_TIMEOUT_MS = 3000;
+const LOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Format a video time for timelines
+ * @param {number} ms - Video time in ms
+ * @returns {string} - 'm:ss'
+ */
+export function formatVideoTime(ms) {
+  const totalSec = Math.max(0, Math.floor((ms || 0) / 1000));
+  return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Wait for a media element event
+ * @param {HTMLMediaElement} element - Video element
+ * @param {string} eventName - e.g. 'loadeddata', 'seeked'
+ * @param {number} timeoutMs - Reject after this long
+ * @returns {Promise<void>} - Rejects on a media error or timeout
+ */
+export function waitForVideoEvent(element, eventName, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error(`Video could not be read (${eventName})`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for video ${eventName}`));
+    }, timeoutMs);
+    const cleanup = () => {
+      clearTimeout(timer);
+      element.removeEventListener(eventName, onEvent);
+      element.removeEventListener('error', onError);
+    };
+    element.addEventListener(eventName, onEvent);
+    element.addEventListener('error', onError);
+  });
+}
+
+class VideoAnalyzer {
+  /**
+   * @param {Object} config - VIDEO_ANALYSIS_CONFIG from MediaPipeConfig ({ SAMPLE_FPS, SEEK_TIMEOUT_MS, FRAME_TIMEOUT_MS })
+   */
+  constructor(config = {}) {
+    this.sampleFps = config.SAMPLE_FPS ?? DEFAULT_SAMPLE_FPS;
+    this.seekTimeoutMs = config.SEEK_TIMEOUT_MS ?? DEFAULT_SEEK_TIMEOUT_MS;
+    this.frameTimeoutMs = config.FRAME_TIMEOUT_MS ?? DEFAULT_FRAME_TIMEOUT_MS;
+    this.isRunning = false;
+    this._cancelled = false;
+  }
+
+  // Stop a running analysis after the current frame (analyze() resolves to null)
+  cancel() {
+    this._cancelled = true;
+  }
+
+  /**
+   * Analyze a whole video
+   * @param {string} url - Video URL (object URL of the uploaded file)
+   * @param {string} mode - Exercise mode for PoseDetectionUtils.setExerciseMode
+   * @param {Object} options
+   * @param {Function} options.onProgress - ({ progress (0-1), reps, speed (x real time) }) after every frame
+   * @returns {Promise<Object|null>} - Report, or null when cancelled
+   *   { mode, label, isHold, durationMs, frames, elapsedMs, reps: [{ rep, timeMs, sides, quality, confidence }],
+   *     warnings: [{ startMs, endMs, messages }], feedback: [{ timeMs, message, type }], holdSec, summary }
+   * @throws {Error} - When the video cannot be read or pose detection does not initialize
+   */
+  async analyze(url, mode, { onProgress } = {}) {
+    this._cancelled = false;
+    this.isRunning = true;
+    const startedAt = Date.now();
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = url;
+
+    let detector = null;
+    try {
+      await waitForVideoEvent(video, 'loadeddata', LOAD_TIMEOUT_MS);
+      const durationMs = video.duration * 1000;
+      if (!Number.isFinite(durationMs) || durationMs <= 0) {
+        throw new Error('Video duration is unknown');
+      }
+
+      const reps = [];
+      const qualityByRep = new Map();
+      const confidenceByRep = new Map();
+      const warnings = [];
+      const feedback = [];
+      let openWarning = null;
+      let holdSec = 0;
+      let summary = null;
+      let clockMs = 0;
+      let frameDone = false;
+      let resolveFrame = null;
+
+      // Loaded on demand like the camera's detector, so it stays out of the main chunk
+      const { default: PoseDetectionUtils } = await import('./poseDetection');
+      detector = new PoseDetectionUtils();
+      // Silent: warnings and rep pops from a clip analyzed at several times real time are noise
+      detector.playWarningSound = () => {};
+      detector.playSuccessSound = () => {};
+      // Set before initialize(): the MediaPipe backend binds onResults while initializing
+      const onResults = detector.onResults.bind(detector);
+      detector.onResults = (results) => {
+        const realNow = Date.now;
+        Date.now = () => startedAt + clockMs;
+        try {
+          onResults(results);
+        } finally {
+          Date.now = realNow;
+        }
+        frameDone = true;
+        if (resolveFrame) resolveFrame();
+      };
+
+      detector.setCallbacks({
+        onPushupCount: (count, sides) => {
+          while (reps.length < count) {
+            reps.push({ rep: reps.length + 1, timeMs: clockMs, sides: sides ? { ...sides } : null });
+          }
+        },
+        onPostureChange: (status) => {
+          if (status === 'incorrect' && !openWarning) {
+            openWarning = { startMs: clockMs, endMs: null, messages: [] };
+            warnings.push(openWarning);
+          } else if (status !== 'incorrect' && openWarning) {
+            openWarning.endMs = clockMs;
+            openWarning = null;
+          }
+        },
+        onFormFeedback: (item) => {
+          if (!item?.message || (item.type !== 'warning' && item.type !== 'error')) return;
+          feedback.push({ timeMs: clockMs, message: item.message, type: item.type });
+          if (openWarning && !openWarning.messages.includes(item.message)) {
+            openWarning.messages.push(item.message);
+          }
+        },
+        onTimeUpdate: (seconds) => {
+          holdSec = seconds;
+        },
+        onRepQuality: (record, qualitySummary) => {
+          qualityByRep.set(record.rep, record);
+          summary = qualitySummary;
+        },
+        onRepConfidence: (record) => {
+          confidenceByRep.set(record.rep, record);
+        }
+      });
+      detector.setExerciseMode(mode);
+
+      const initialized = await detector.initialize();
+      if (!initialized) {
+        throw new Error('Pose detection failed to initialize');
+      }
+      // Every sampled frame is analyzed: no governor frame skipping, counters scaled to the sample rate
+      detector.governor = null;
+      detector.setSamplingRate(this.sampleFps);
+
+      const stepMs = 1000 / this.sampleFps;
+      let frames = 0;
+      console.log(`🎬 Analyzing ${Math.round(durationMs / 1000)}s of video at ${this.sampleFps}fps as "${detector.exerciseMode}"`);
+      for (let timeMs = 0; timeMs < durationMs; timeMs += stepMs) {
+        if (this._cancelled) {
+          console.log('⏹️ Video analysis cancelled');
+          return null;
+        }
+        const seeked = waitForVideoEvent(video, 'seeked', this.seekTimeoutMs);
+        video.currentTime = timeMs / 1000;
+        await seeked;
+
+        clockMs = Math.round(timeMs);
+        frameDone = false;
+        await detector.processFrame(video);
+        // Worker results arrive after processFrame resolves
+        if (!frameDone && detector.worker) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, this.frameTimeoutMs);
+            resolveFrame = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          resolveFrame = null;
+        }
+        frames++;
+
+        if (onProgress) {
+          const elapsedMs = Date.now() - startedAt;
+          onProgress({
+            progress: Math.min(1, (timeMs + stepMs) / durationMs),
+            reps: reps.length,
+            speed: elapsedMs > 0 ? timeMs / elapsedMs : 0
+          });
+        }
+      }
+      if (openWarning) openWarning.endMs = durationMs;
+
+      const definition = getExerciseDefinition(detector.exerciseMode);
+      const report = {
+        mode: detector.exerciseMode,
+        label: definition?.label || null,
+        isHold: typeof definition?.isHoldValid === 'function',
+        durationMs,
+        frames,
+        elapsedMs: Date.now() - startedAt,
+        reps: reps.map((rep) => ({
+          ...rep,
+          quality: qualityByRep.get(rep.rep) || null,
+          confidence: confidenceByRep.get(rep.rep) || null
+        })),
+        warnings,
+        feedback,
+        holdSec,
+        summary
+      };
+      console.log(`✅ Video analyzed in ${Math.round(report.elapsedMs / 1000)}s: ${reps.length} reps, ${warnings.length} posture warnings`);
+      return report;
+    } finally {
+      this.isRunning = false;
+      if (detector) detector.cleanup();
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+}
+
+export default VideoAnalyzer;
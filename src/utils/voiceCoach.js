@@ -0,0 +1,243 @@
+/**
+ * VoiceCoach - Spoken workout cues over the Web Speech synthesis API
+ * Speaks rep counts, set transitions, rest countdowns, hold milestones and the form feedback
+ * from PoseDetectionUtils (onFormFeedback). Cues never talk over each other:
+ *
+ *   - one utterance at a time; waiting cues are ordered by priority (form > set/rest > hold > rep/tip)
+ *   - a cue with a `replace` key replaces the waiting cue with the same key (only the latest rep count is spoken)
+ *   - waiting cues expire after maxAgeMs (a rep count that comes out three reps late is noise)
+ *   - each cue key has a cooldown, so a form warning repeated every frame is spoken once
+ *
+ * Verbosity decides which cues are spoken at all (see VERBOSITY_LEVELS).
+ * Settings are a user preference (see userPreferences.js, key 'voiceCoach'):
+ * { enabled: true, volume: 0.8, voiceURI: null, verbosity: 'standard' }
+ */
+
+import { loadPreference, savePreference } from './userPreferences';
+
+export const VOICE_VERBOSITY = {
+  minimal: { label: 'Minimal', description: 'Sets, rest and form errors' },
+  standard: { label: 'Standard', description: 'Every rep and form warnings' },
+  detailed: { label: 'Detailed', description: 'All cues, including tips' }
+};
+
+export const DEFAULT_VOICE_SETTINGS = {
+  enabled: true,
+  volume: 0.8,
+  voiceURI: null,
+  verbosity: 'standard'
+};
+
+const VERBOSITY_LEVELS = { minimal: 1, standard: 2, detailed: 3 };
+
+const PRIORITY = { rep: 1, tip: 1, hold: 2, set: 3, rest: 3, form: 4 };
+
+const FORM_COOLDOWN_MS = 8000;   // same form message
+const HOLD_COOLDOWN_MS = 5000;
+const DEFAULT_MAX_AGE_MS = 4000; // waiting cues older than this are dropped
+
+/**
+ * Whether the browser can speak
+ * @returns {boolean}
+ */
+export function isSpeechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Voices the browser offers (may be empty until the 'voiceschanged' event fires)
+ * @returns {Array<SpeechSynthesisVoice>}
+ */
+export function listVoices() {
+  return isSpeechSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+class VoiceCoach {
+  /**
+   * @param {Object} settings - { enabled, volume, voiceURI, verbosity }
+   */
+  constructor(settings = DEFAULT_VOICE_SETTINGS) {
+    this.settings = { ...DEFAULT_VOICE_SETTINGS, ...settings };
+    this.active = false;
+    this._queue = [];
+    this._speaking = null;
+    this._lastSpokenAt = {};
+  }
+
+  /**
+   * Update settings (turning the coach off silences it immediately)
+   * @param {Object} settings - Partial settings
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    if (!this.settings.enabled) this.stop();
+  }
+
+  /**
+   * Only an active coach (workout running, not paused) speaks; deactivating clears waiting cues
+   * @param {boolean} active
+   */
+  setActive(active) {
+    if (this.active === active) return;
+    this.active = active;
+    // The cue being spoken finishes (e.g. "Set stopped" right before an automatic pause)
+    if (!active) this._queue = [];
+  }
+
+  /**
+   * Queue a cue
+   * @param {string} text - What to say
+   * @param {Object} options
+   * @param {string} options.kind - 'rep' | 'tip' | 'hold' | 'set' | 'rest' | 'form' (sets the priority)
+   * @param {number} options.verbosity - Lowest verbosity level that speaks this cue (1-3)
+   * @param {string} options.key - Cooldown key (defaults to the text)
+   * @param {number} options.cooldownMs - Minimum time between two cues with this key
+   * @param {string} options.replace - Replace the waiting cue with this key
+   * @param {number} options.maxAgeMs - Drop the cue when it waited longer than this
+   * @returns {boolean} - True when the cue was queued
+   */
+  say(text, { kind = 'set', verbosity = 1, key = text, cooldownMs = 0, replace = null, maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+    if (!text || !this.active || !this.settings.enabled || !isSpeechSupported()) return false;
+    if ((VERBOSITY_LEVELS[this.settings.verbosity] || 2) < verbosity) return false;
+
+    const now = Date.now();
+    if (cooldownMs && now - (this._lastSpokenAt[key] || 0) < cooldownMs) return false;
+    this._lastSpokenAt[key] = now;
+
+    if (replace) this._queue = this._queue.filter((cue) => cue.replace !== replace);
+    this._queue.push({ text, priority: PRIORITY[kind] || 1, replace, queuedAt: now, maxAgeMs });
+    // Highest priority first, oldest first within a priority
+    this._queue.sort((a, b) => b.priority - a.priority || a.queuedAt - b.queuedAt);
+    this._next();
+    return true;
+  }
+
+  /**
+   * Rep count (minimal verbosity: every 5th rep)
+   * @param {number} count - Reps counted so far
+   */
+  repCount(count) {
+    if (!count) return;
+    this.say(String(count), {
+      kind: 'rep',
+      verbosity: count % 5 === 0 ? 1 : 2,
+      key: `rep-${count}`,
+      replace: 'rep',
+      maxAgeMs: 1500
+    });
+  }
+
+  /**
+   * Set transition
+   * @param {number} set - Set that starts (1-based)
+   * @param {number} totalSets - Sets planned (optional)
+   */
+  setStarted(set, totalSets = null) {
+    const text = totalSets && set === totalSets ? 'Last set. Go!' : `Set ${set}. Go!`;
+    this.say(text, { kind: 'set', verbosity: 1, key: `set-${set}` });
+  }
+
+  /**
+   * Rest countdown, called every second of a rest period
+   * @param {number} secondsLeft - Seconds until the next set
+   */
+  restCountdown(secondsLeft) {
+    if (secondsLeft <= 0) return;
+    if (secondsLeft <= 3) {
+      this.say(String(secondsLeft), { kind: 'rest', verbosity: 1, key: `rest-${secondsLeft}`, replace: 'rest', maxAgeMs: 900 });
+    } else if (secondsLeft === 10) {
+      this.say('10 seconds of rest left', { kind: 'rest', verbosity: 2, key: 'rest-10', replace: 'rest' });
+    } else if (secondsLeft % 30 === 0) {
+      this.say(`Rest. ${secondsLeft} seconds`, { kind: 'rest', verbosity: 3, key: `rest-${secondsLeft}`, replace: 'rest' });
+    }
+  }
+
+  /**
+   * Hold milestone for time-based exercises (every 10s; minimal verbosity: every 30s)
+   * @param {number} seconds - Seconds held with correct posture
+   */
+  holdTime(seconds) {
+    if (!seconds || seconds % 10 !== 0) return;
+    this.say(`${seconds} seconds`, {
+      kind: 'hold',
+      verbosity: seconds % 30 === 0 ? 1 : 2,
+      key: `hold-${seconds}`,
+      cooldownMs: HOLD_COOLDOWN_MS,
+      replace: 'hold',
+      maxAgeMs: 2000
+    });
+  }
+
+  /**
+   * Form feedback from PoseDetectionUtils ({ message, type })
+   * Warnings speak at standard verbosity, errors always, tips and praise only when detailed.
+   * @param {Object} feedback
+   */
+  formFeedback(feedback) {
+    if (!feedback?.message) return;
+    const verbosity = feedback.type === 'error' ? 1 : feedback.type === 'warning' ? 2 : 3;
+    this.say(feedback.message, {
+      kind: verbosity < 3 ? 'form' : 'tip',
+      verbosity,
+      key: `form-${feedback.message}`,
+      cooldownMs: FORM_COOLDOWN_MS
+    });
+  }
+
+  // Stop speaking and drop waiting cues
+  stop() {
+    this._queue = [];
+    this._speaking = null;
+    if (isSpeechSupported()) window.speechSynthesis.cancel();
+  }
+
+  /**
+   * Speak the next waiting cue when nothing is being spoken
+   * @private
+   */
+  _next() {
+    if (this._speaking) return;
+    const now = Date.now();
+    this._queue = this._queue.filter((cue) => now - cue.queuedAt <= cue.maxAgeMs);
+    const cue = this._queue.shift();
+    if (!cue) return;
+
+    try {
+      const utterance = new window.SpeechSynthesisUtterance(cue.text);
+      utterance.volume = Math.max(0, Math.min(1, this.settings.volume));
+      const voice = this.settings.voiceURI && listVoices().find((v) => v.voiceURI === this.settings.voiceURI);
+      if (voice) utterance.voice = voice;
+      const done = () => {
+        if (this._speaking !== utterance) return;
+        this._speaking = null;
+        this._next();
+      };
+      utterance.onend = done;
+      utterance.onerror = done;
+      this._speaking = utterance;
+      window.speechSynthesis.speak(utterance);
+    } catch (error) {
+      console.error('Error speaking voice cue:', error);
+      this._speaking = null;
+    }
+  }
+}
+
+/**
+ * Voice coach settings of the signed-in user
+ * @returns {Promise<Object>} - { enabled, volume, voiceURI, verbosity }
+ */
+export async function loadVoiceSettings() {
+  return { ...DEFAULT_VOICE_SETTINGS, ...((await loadPreference('voiceCoach')) || {}) };
+}
+
+/**
+ * Save voice coach settings for the signed-in user
+ * @param {Object} voiceCoach - Settings to save
+ * @returns {Promise<Object|null>} - Saved record, or null when nothing was saved
+ */
+export function saveVoiceSettings(voiceCoach) {
+  return savePreference('voiceCoach', voiceCoach);
+}
+
+export default VoiceCoach;
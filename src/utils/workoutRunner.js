@@ -0,0 +1,528 @@
+/**
+ * WorkoutRunner - Steps through a workout plan: work phases with rep or hold targets, rest countdowns
+ * and interval formats. It is a plain state machine driven by the workout screen:
+ *
+ *   start / pause / resume / stop     user controls
+ *   tick(now)                         clock (rest countdowns, timed intervals), called a few times a second
+ *   reportReps(count) / reportHold(s) PoseDetectionUtils counts for the current set
+ *   skip / repeat / skipExercise      jump out of the current phase, redo the set, move to the next exercise
+ *   correctSetReps(...)               a rep correction for a finished set (results follow it)
+ *
+ * Every call returns the events it caused, in order:
+ *   { type: 'work', index, item, set, totalSets, round, target, exerciseChanged }  a set / interval starts
+ *   { type: 'setComplete', index, item, set, reps, holdSec, reachedTarget,
+ *     resultSet }                                                                 a set / interval ended
+ *   { type: 'rest', seconds, next: { index, item, set } | null }                  a rest period starts
+ *   { type: 'restTick', secondsLeft }                                             once per second of rest
+ *   { type: 'exerciseComplete', index, item }                                     last set of an exercise done
+ *   { type: 'done', results }                                                     the workout is over
+ * results[index] is { name, sets, reps, holdSec, setReps } (setReps: reps per finished set, resultSet indexes it).
+ *
+ * Formats (plan `format`, a type string or { type, minutes, rounds, work, rest, roundRest }):
+ *   sets     all sets of an exercise, resting `rest` between sets and exercises (default)
+ *   circuit  one set of each exercise per round, rounds = most sets of any exercise
+ *   emom     every minute on the minute for `minutes`: hit the target, rest the remainder of the minute
+ *   amrap    as many rounds as possible in `minutes`: each target reached moves straight to the next exercise
+ *   tabata   `rounds` intervals of `work` seconds work / `rest` seconds rest (20/10 x 8), no rep targets
+ */
+
+import { parseRepTarget, parseSeconds, repsTowardTarget } from './repTargets';
+
+const DEFAULT_REST_SEC = 60;
+const DEFAULT_INTERVAL_MINUTES = 10;
+const TABATA_DEFAULTS = { rounds: 8, work: 20, rest: 10 };
+
+export const WORKOUT_FORMATS = {
+  sets: { label: 'Straight Sets', description: 'All sets of an exercise, resting between sets' },
+  circuit: { label: 'Circuit', description: 'One set of each exercise per round' },
+  emom: { label: 'EMOM', description: 'Every minute on the minute - rest what is left of the minute' },
+  amrap: { label: 'AMRAP', description: 'As many rounds as possible before time runs out' },
+  tabata: { label: 'Tabata', description: '20s work / 10s rest intervals' }
+};
+
+/**
+ * Normalize a plan format
+ * @param {string|Object|null} format - 'emom' or { type: 'emom', minutes: 12 }; missing = straight sets
+ * @returns {Object} - { type, minutes, rounds, workSec, restSec, roundRestSec }
+ */
+export function normalizeFormat(format) {
+  const spec = typeof format === 'string' ? { type: format } : (format || {});
+  const type = WORKOUT_FORMATS[String(spec.type || '').toLowerCase()] ? String(spec.type).toLowerCase() : 'sets';
+  const minutes = parseInt(spec.minutes, 10);
+  const rounds = parseInt(spec.rounds, 10);
+  return {
+    type,
+    minutes: Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_INTERVAL_MINUTES,
+    rounds: Number.isFinite(rounds) && rounds > 0 ? rounds : (type === 'tabata' ? TABATA_DEFAULTS.rounds : null),
+    workSec: parseSeconds(spec.work) || TABATA_DEFAULTS.work,
+    restSec: parseSeconds(spec.rest) ?? TABATA_DEFAULTS.rest,
+    roundRestSec: parseSeconds(spec.roundRest)
+  };
+}
+
+/**
+ * Work target of a plan item
+ * @param {Object} item - Plan item ({ reps: 15 | '12 per leg' | '45s', ... })
+ * @returns {Object|null} - { reps, perSide } (reps counts both sides; perSide is each side's share or null),
+ *   { seconds }, or null (open-ended)
+ */
+export function itemTarget(item) {
+  const target = parseRepTarget(item?.reps);
+  if (!target) return null;
+  if (target.timeBased) {
+    const seconds = parseSeconds(item.reps);
+    return seconds ? { seconds } : null;
+  }
+  if (!(target.total > 0)) return null;
+  return { reps: target.total, perSide: target.perSide ? target.count : null };
+}
+
+const itemSets = (item) => {
+  const sets = parseInt(item?.sets, 10);
+  return Number.isFinite(sets) && sets > 0 ? sets : 1;
+};
+
+const itemRest = (item) => parseSeconds(item?.rest) ?? DEFAULT_REST_SEC;
+
+class WorkoutRunner {
+  /**
+   * @param {Object} plan - { items: [{ name, sets, reps, rest }], format }
+   * @param {Object} options
+   * @param {Function} options.isHold - (item) => true when the item's time target counts held seconds
+   *   (reportHold) instead of elapsed time
+   */
+  constructor(plan, { isHold = () => false } = {}) {
+    this.items = (plan?.items || []).filter(Boolean);
+    this.format = normalizeFormat(plan?.format);
+    this.isHold = isHold;
+    this.phase = 'idle';
+    this.index = 0;
+    this.set = 1;
+    this.round = 1;
+    this.reps = 0;
+    this.sideCounts = null;
+    this.holdSec = 0;
+    this.target = null;
+    this.results = this.items.map((item) => ({ name: item.name, sets: 0, reps: 0, holdSec: 0, setReps: [] }));
+    this._events = [];
+    this._phaseStartedAt = 0;
+    this._phaseEndsAt = null;
+    this._clockStartedAt = 0;
+    this._clockEndsAt = null;
+    this._pausedAt = null;
+    this._restNext = null;
+    this._lastRestTick = null;
+    this._lastWork = null;
+  }
+
+  get isRunning() {
+    return this.phase === 'work' || this.phase === 'rest';
+  }
+
+  get isPaused() {
+    return this._pausedAt !== null;
+  }
+
+  // Timed formats run on the clock, so a set cannot be redone
+  get canRepeat() {
+    return this.format.type === 'sets' || this.format.type === 'circuit';
+  }
+
+  /**
+   * Start the workout with the first exercise
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  start(now = Date.now()) {
+    if (!this.items.length) {
+      this._finish();
+      return this._drain();
+    }
+    this._clockStartedAt = now;
+    const { type, minutes } = this.format;
+    this._clockEndsAt = type === 'emom' || type === 'amrap' ? now + minutes * 60000 : null;
+    this._startWork(0, 1, now);
+    return this._drain();
+  }
+
+  /**
+   * Freeze the clock (rest countdowns and intervals)
+   * @param {number} now - Timestamp in ms
+   */
+  pause(now = Date.now()) {
+    if (this.isRunning && this._pausedAt === null) this._pausedAt = now;
+  }
+
+  /**
+   * Continue after pause(); timers are shifted by the paused time
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  resume(now = Date.now()) {
+    if (this._pausedAt === null) return [];
+    const paused = now - this._pausedAt;
+    this._pausedAt = null;
+    this._phaseStartedAt += paused;
+    this._clockStartedAt += paused;
+    if (this._phaseEndsAt !== null) this._phaseEndsAt += paused;
+    if (this._clockEndsAt !== null) this._clockEndsAt += paused;
+    return this.tick(now);
+  }
+
+  // End the workout early; the set in progress counts toward the results (no events: the screen stops on its own)
+  stop() {
+    if (this.phase === 'work') this._completeSet(false);
+    this._drain();
+    this.phase = 'done';
+    this._pausedAt = null;
+  }
+
+  /**
+   * Advance the clock
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  tick(now = Date.now()) {
+    if (!this.isRunning || this._pausedAt !== null) return [];
+
+    if (this._clockEndsAt !== null && now >= this._clockEndsAt) {
+      if (this.phase === 'work') this._completeSet(false);
+      this._finish();
+      return this._drain();
+    }
+
+    if (this.phase === 'rest') {
+      const secondsLeft = Math.max(0, Math.ceil((this._phaseEndsAt - now) / 1000));
+      if (secondsLeft !== this._lastRestTick && secondsLeft > 0) {
+        this._lastRestTick = secondsLeft;
+        this._emit({ type: 'restTick', secondsLeft });
+      }
+      if (now >= this._phaseEndsAt) this._endRest(now);
+    } else if (this.phase === 'work') {
+      if (this._phaseEndsAt !== null && now >= this._phaseEndsAt) {
+        // Timed interval over (Tabata work, EMOM minute): target missed or not used
+        this._endWork(this._targetReached(now), now);
+      } else if (this.target?.seconds && !this.isHold(this.items[this.index]) && this._targetReached(now)) {
+        this._endWork(true, now);
+      }
+    }
+    return this._drain();
+  }
+
+  /**
+   * Reps counted in the current set
+   * @param {number} count - PoseDetectionUtils count since the set started (both sides)
+   * @param {number} now - Timestamp in ms
+   * @param {Object|null} sideCounts - { left, right } for alternating movements; per-side targets need both
+   * @returns {Array<Object>} - Events
+   */
+  reportReps(count, now = Date.now(), sideCounts = null) {
+    if (this.phase !== 'work' || this._pausedAt !== null) return [];
+    this.reps = Math.max(0, count || 0);
+    if (sideCounts) this.sideCounts = { ...sideCounts };
+    if (this.target?.reps && this._targetReached(now)) this._endWork(true, now);
+    return this._drain();
+  }
+
+  /**
+   * Seconds held with correct posture in the current set (hold exercises)
+   * @param {number} seconds - PoseDetectionUtils hold time since the set started
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  reportHold(seconds, now = Date.now()) {
+    if (this.phase !== 'work' || this._pausedAt !== null) return [];
+    this.holdSec = Math.max(0, seconds || 0);
+    if (this.target?.seconds && this.isHold(this.items[this.index]) && this._targetReached(now)) {
+      this._endWork(true, now);
+    }
+    return this._drain();
+  }
+
+  /**
+   * Skip the current phase: end the set (and go to its rest) or end the rest early
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  skip(now = Date.now()) {
+    if (!this.isRunning) return [];
+    this._pausedAt = null;
+    if (this.phase === 'work') this._endWork(this._targetReached(now), now);
+    else this._endRest(now);
+    return this._drain();
+  }
+
+  /**
+   * Redo the current set (during its rest: the set just finished); straight sets and circuits only
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  repeat(now = Date.now()) {
+    if (!this.isRunning || !this.canRepeat) return [];
+    this._pausedAt = null;
+    if (this.phase === 'rest' && this._lastWork) {
+      const { index, set } = this._lastWork;
+      // The repeated set replaces the one it redoes
+      const result = this.results[index];
+      result.sets = Math.max(0, result.sets - 1);
+      result.reps = Math.max(0, result.reps - this._lastWork.reps);
+      result.setReps.splice(this._lastWork.resultSet, 1);
+      result.holdSec = Math.max(0, result.holdSec - this._lastWork.holdSec);
+      this._startWork(index, set, now);
+    } else {
+      this._startWork(this.index, this.set, now);
+    }
+    return this._drain();
+  }
+
+  /**
+   * Leave the current exercise (straight sets and circuits: the next exercise starts right away)
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<Object>} - Events
+   */
+  skipExercise(now = Date.now()) {
+    if (!this.isRunning) return [];
+    this._pausedAt = null;
+    if (this.format.type !== 'sets') return this.skip(now);
+    if (this.phase === 'work') this._completeSet(this._targetReached(now));
+    const next = this.index + 1;
+    if (next < this.items.length) this._startWork(next, 1, now);
+    else this._finish();
+    return this._drain();
+  }
+
+  /**
+   * Replace the reps of a finished set (the user corrected its count); the set stays finished
+   * @param {number} index - Item index
+   * @param {number} resultSet - Position of the set in results[index].setReps (setComplete event)
+   * @param {number} reps - Corrected reps
+   */
+  correctSetReps(index, resultSet, reps) {
+    const result = this.results[index];
+    if (!result || !(resultSet in result.setReps)) return;
+    result.setReps[resultSet] = Math.max(0, reps || 0);
+    result.reps = result.setReps.reduce((sum, n) => sum + n, 0);
+    if (this._lastWork?.index === index && this._lastWork.resultSet === resultSet) {
+      this._lastWork.reps = result.setReps[resultSet];
+    }
+  }
+
+  /**
+   * Snapshot for the UI
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} - { format, phase, paused, index, item, set, totalSets, round, target, reps, holdSec,
+   *   remainingSec (rest / timed interval), clockRemainingSec (EMOM / AMRAP), next, results }
+   */
+  getState(now = Date.now()) {
+    const at = this._pausedAt ?? now;
+    const remaining = (end) => (end === null ? null : Math.max(0, Math.ceil((end - at) / 1000)));
+    const item = this.items[this.index] || null;
+    return {
+      format: this.format.type,
+      phase: this.phase,
+      paused: this._pausedAt !== null,
+      index: this.index,
+      item,
+      set: this.set,
+      totalSets: this._totalSets(item),
+      round: this.round,
+      target: this.target,
+      reps: this.reps,
+      holdSec: this.holdSec,
+      elapsedSec: this.phase === 'work' ? Math.floor((at - this._phaseStartedAt) / 1000) : 0,
+      remainingSec: remaining(this._phaseEndsAt),
+      clockRemainingSec: remaining(this._clockEndsAt),
+      next: this.phase === 'rest' ? this._restNext : null,
+      results: this.results
+    };
+  }
+
+  // Sets shown as "set x of y" for the format
+  _totalSets(item) {
+    switch (this.format.type) {
+      case 'circuit':
+        return Math.max(...this.items.map(itemSets));
+      case 'emom':
+        return this.format.minutes;
+      case 'tabata':
+        return this.format.rounds;
+      case 'amrap':
+        return null;
+      default:
+        return itemSets(item);
+    }
+  }
+
+  _targetReached(now) {
+    const target = this.target;
+    if (!target) return false;
+    if (target.reps) return repsTowardTarget(this.reps, this.sideCounts, target.perSide) >= target.reps;
+    const held = this.isHold(this.items[this.index]) ? this.holdSec : (now - this._phaseStartedAt) / 1000;
+    return held >= target.seconds;
+  }
+
+  _startWork(index, set, now) {
+    const exerciseChanged = index !== this.index || this.phase === 'idle';
+    const { type, workSec } = this.format;
+    this.phase = 'work';
+    this.index = index;
+    this.set = set;
+    this.reps = 0;
+    this.sideCounts = null;
+    this.holdSec = 0;
+    this._phaseStartedAt = now;
+    this._restNext = null;
+    this._lastRestTick = null;
+
+    const item = this.items[index];
+    if (type === 'tabata') {
+      this.target = { seconds: workSec };
+      this._phaseEndsAt = now + workSec * 1000;
+    } else if (type === 'emom') {
+      // The minute runs from the clock, not from when this set started
+      const minute = set - 1;
+      this.target = itemTarget(item);
+      this._phaseEndsAt = this._clockStartedAt + (minute + 1) * 60000;
+    } else {
+      this.target = itemTarget(item);
+      this._phaseEndsAt = null;
+    }
+    if (type !== 'sets' && type !== 'amrap') this.round = set;
+
+    this._emit({
+      type: 'work',
+      index,
+      item,
+      set,
+      totalSets: this._totalSets(item),
+      round: this.round,
+      target: this.target,
+      exerciseChanged
+    });
+  }
+
+  _completeSet(reachedTarget) {
+    const item = this.items[this.index];
+    const result = this.results[this.index];
+    result.sets += 1;
+    result.reps += this.reps;
+    result.holdSec += this.holdSec;
+    result.setReps.push(this.reps);
+    const resultSet = result.setReps.length - 1;
+    this._lastWork = { index: this.index, set: this.set, reps: this.reps, holdSec: this.holdSec, resultSet };
+    this._emit({
+      type: 'setComplete',
+      index: this.index,
+      item,
+      set: this.set,
+      reps: this.reps,
+      holdSec: this.holdSec,
+      reachedTarget,
+      resultSet
+    });
+    if (this.format.type === 'sets' && this.set >= itemSets(item)) {
+      this._emit({ type: 'exerciseComplete', index: this.index, item });
+    }
+  }
+
+  _endWork(reachedTarget, now) {
+    this._completeSet(reachedTarget);
+    const { type } = this.format;
+    const n = this.items.length;
+
+    if (type === 'amrap') {
+      const next = (this.index + 1) % n;
+      if (next === 0) this.round += 1;
+      this._startWork(next, this.round, now);
+      return;
+    }
+    if (type === 'emom') {
+      // Rest what is left of the minute; the next minute starts on the clock
+      const minute = this.set;
+      if (minute >= this.format.minutes) {
+        this._finish();
+        return;
+      }
+      const next = { index: minute % n, item: this.items[minute % n], set: minute + 1 };
+      this._startRest(Math.max(0, this._phaseEndsAt - now) / 1000, next, now);
+      return;
+    }
+    if (type === 'tabata') {
+      if (this.set >= this.format.rounds) {
+        this._finish();
+        return;
+      }
+      const next = { index: this.set % n, item: this.items[this.set % n], set: this.set + 1 };
+      this._startRest(this.format.restSec, next, now);
+      return;
+    }
+
+    const next = this._nextStep();
+    if (!next) {
+      this._finish();
+      return;
+    }
+    const roundEnds = type === 'circuit' && next.set > this.set;
+    const rest = roundEnds && this.format.roundRestSec !== null ? this.format.roundRestSec : itemRest(this.items[this.index]);
+    this._startRest(rest, next, now);
+  }
+
+  // Next set for straight sets and circuits, null when the workout is complete
+  _nextStep() {
+    const n = this.items.length;
+    if (this.format.type === 'circuit') {
+      const rounds = this._totalSets();
+      for (let round = this.set, start = this.index + 1; round <= rounds; round++, start = 0) {
+        for (let i = start; i < n; i++) {
+          if (itemSets(this.items[i]) >= round) return { index: i, item: this.items[i], set: round };
+        }
+      }
+      return null;
+    }
+    if (this.set < itemSets(this.items[this.index])) {
+      return { index: this.index, item: this.items[this.index], set: this.set + 1 };
+    }
+    const index = this.index + 1;
+    return index < n ? { index, item: this.items[index], set: 1 } : null;
+  }
+
+  _startRest(seconds, next, now) {
+    if (seconds <= 0) {
+      this._startWork(next.index, next.set, now);
+      return;
+    }
+    this.phase = 'rest';
+    this.target = null;
+    this._phaseStartedAt = now;
+    this._phaseEndsAt = now + seconds * 1000;
+    this._restNext = next;
+    this._lastRestTick = null;
+    this._emit({ type: 'rest', seconds: Math.round(seconds), next });
+  }
+
+  _endRest(now) {
+    const next = this._restNext;
+    if (next) this._startWork(next.index, next.set, now);
+    else this._finish();
+  }
+
+  _finish() {
+    this.phase = 'done';
+    this.target = null;
+    this._phaseEndsAt = null;
+    this._restNext = null;
+    this._emit({ type: 'done', results: this.results });
+  }
+
+  _emit(event) {
+    this._events.push(event);
+  }
+
+  _drain() {
+    const events = this._events;
+    this._events = [];
+    return events;
+  }
+}
+
+export default WorkoutRunner;
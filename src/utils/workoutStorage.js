@@ -10,9 +10,12 @@ export const STORAGE_KEYS = {
   BADGES: 'fitcoach_badges',
   TODAY_PLAN: 'fitcoach_today_plan',
   CHAT_CONVERSATIONS: 'fitcoach_chat_conversations',
-  CHAT_SETTINGS: 'fitcoach_chat_settings'
+  CHAT_SETTINGS: 'fitcoach_chat_settings',
+  ASYMMETRY_HISTORY: 'fitcoach_asymmetry_history'
 };
 
+const MAX_ASYMMETRY_HISTORY = 100;
+
 // Initialize default workout stats
 const DEFAULT_WORKOUT_STATS = {
   totalWorkouts: 0,
@@ -425,6 +428,35 @@ export function setTodayPlan(plan) {
   }
 }
 
+// Left/right balance history (one entry per session, see AsymmetryMonitor.getSummary)
+export function getAsymmetryHistory(exerciseName = null) {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.ASYMMETRY_HISTORY);
+    const history = stored ? JSON.parse(stored) : [];
+    return exerciseName ? history.filter(entry => entry.exerciseName === exerciseName) : history;
+  } catch (error) {
+    console.error('Error getting asymmetry history:', error);
+    return [];
+  }
+}
+
+export function recordAsymmetrySession(exerciseName, summary) {
+  try {
+    if (!summary?.reps) return null;
+    const entry = {
+      exerciseName,
+      date: new Date().toISOString(),
+      ...summary
+    };
+    const history = [...getAsymmetryHistory(), entry].slice(-MAX_ASYMMETRY_HISTORY);
+    localStorage.setItem(STORAGE_KEYS.ASYMMETRY_HISTORY, JSON.stringify(history));
+    return entry;
+  } catch (error) {
+    console.error('Error recording asymmetry session:', error);
+    return null;
+  }
+}
+
 // Cleanup old data (keep last N days)
 export function cleanupOldData(daysToKeep = 30) {
   try {
@@ -61,6 +61,9 @@ export async function recordCompletedWorkout(sessionData, userId = null) {
         sets: item.sets || 1,
         durationSec: item.durationSec || item.duration,
         angleAccuracy: item.angleAccuracy,
+        formScore: item.formScore,
+        repQuality: item.repQuality,
+        asymmetry: item.asymmetry,
         caloriesBurned: Math.round(caloriesBurned / sessionItems.length)
       }));
 
@@ -37,6 +37,9 @@ CREATE TABLE public.exercises (
   sets INTEGER DEFAULT 1,
   duration_sec INTEGER,
   angle_accuracy DECIMAL(5,2),
+  form_score DECIMAL(5,2),
+  rep_quality JSONB,
+  asymmetry JSONB,
   calories_burned INTEGER,
   date_performed TIMESTAMPTZ DEFAULT NOW(),
   deleted_at TIMESTAMPTZ